@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from './src/models/user.model.js';
+import Message from './src/models/message.model.js';
+import Reaction from './src/models/reaction.model.js';
+import { getReactionSummaries } from './src/controllers/reaction.controller.js';
+
+dotenv.config();
+
+// Compares the old per-message Reaction.find loading with the batched aggregation
+// used by getMessages, counting the MongoDB queries each approach issues.
+// Usage: node benchmark-reactions.js [historyLength ...]
+const HISTORY_LENGTHS = process.argv.slice(2).map(Number).filter(Boolean);
+const LENGTHS = HISTORY_LENGTHS.length > 0 ? HISTORY_LENGTHS : [10, 50, 100, 500];
+const REACTION_TYPES = ["👍", "❤️", "😂", "😮", "😢", "😡"];
+
+let queryCount = 0;
+const countQuery = () => {
+  queryCount += 1;
+};
+
+// The per-message loading getMessages used before batching
+async function loadReactionsPerMessage(messages) {
+  return Promise.all(messages.map(async (message) => {
+    const reactions = await Reaction.find({ messageId: message._id })
+      .populate("userId", "fullName profilePic");
+    return reactions.length;
+  }));
+}
+
+async function measure(fn) {
+  queryCount = 0;
+  const start = process.hrtime.bigint();
+  await fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  return { queries: queryCount, ms: ms.toFixed(1) };
+}
+
+async function benchmarkReactions() {
+  const createdUserIds = [];
+
+  try {
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Two throwaway users to hold the benchmark conversation
+    const [alice, bob] = await User.insertMany([
+      { fullName: 'Benchmark Alice', email: `bench-alice-${Date.now()}@example.com`, password: 'x'.repeat(8) },
+      { fullName: 'Benchmark Bob', email: `bench-bob-${Date.now()}@example.com`, password: 'x'.repeat(8) },
+    ]);
+    createdUserIds.push(alice._id, bob._id);
+
+    const rows = [];
+    for (const length of LENGTHS) {
+      const messages = await Message.insertMany(
+        Array.from({ length }, (_, i) => ({
+          senderId: i % 2 === 0 ? alice._id : bob._id,
+          receiverId: i % 2 === 0 ? bob._id : alice._id,
+          text: `benchmark message ${i}`,
+        }))
+      );
+      await Reaction.insertMany(
+        messages.flatMap((message, i) => [
+          { messageId: message._id, userId: alice._id, type: REACTION_TYPES[i % REACTION_TYPES.length] },
+          { messageId: message._id, userId: bob._id, type: REACTION_TYPES[(i + 1) % REACTION_TYPES.length] },
+        ])
+      );
+      mongoose.set('debug', countQuery);
+
+      const perMessage = await measure(() => loadReactionsPerMessage(messages));
+      const batched = await measure(() => getReactionSummaries(messages.map((m) => m._id)));
+      rows.push({ messages: length, ...prefix('perMessage', perMessage), ...prefix('batched', batched) });
+
+      mongoose.set('debug', false);
+      await Reaction.deleteMany({ messageId: { $in: messages.map((m) => m._id) } });
+      await Message.deleteMany({ _id: { $in: messages.map((m) => m._id) } });
+    }
+
+    console.log('\n📊 Reaction loading: queries issued vs history length');
+    console.table(rows);
+  } catch (error) {
+    console.error('❌ Benchmark failed:', error);
+  } finally {
+    mongoose.set('debug', false);
+    if (createdUserIds.length > 0) {
+      await User.deleteMany({ _id: { $in: createdUserIds } });
+      console.log('🧹 Benchmark data removed');
+    }
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+function prefix(name, { queries, ms }) {
+  return { [`${name} queries`]: queries, [`${name} ms`]: ms };
+}
+
+benchmarkReactions();
@@ -1,5 +1,8 @@
 import User from "../models/user.model.js";
 import Report from "../models/report.model.js";
+import Message from "../models/message.model.js";
+import { decryptCaesar } from "../lib/caesarCipher.js";
+import { formatRevisions } from "./message.controller.js";
 
 export const getAllUsers = async (req, res) => {
   try {
@@ -35,3 +38,50 @@ export const getReportedUsers = async (req, res) => {
     res.status(500).json({ message: "Failed to fetch reported users" });
   }
 };
+
+// Reported messages with every revision, so moderators see what was said before any edit
+export const getReportedMessages = async (req, res) => {
+  try {
+    const reports = await Report.find({ reportedMessage: { $ne: null } })
+      .populate("reportedBy", "fullName email")
+      .sort({ createdAt: -1 });
+
+    const reportsByMessage = new Map();
+    reports.forEach((report) => {
+      const messageId = report.reportedMessage.toString();
+      if (!reportsByMessage.has(messageId)) reportsByMessage.set(messageId, []);
+      reportsByMessage.get(messageId).push({
+        reportedBy: report.reportedBy,
+        reason: report.reason,
+        createdAt: report.createdAt,
+      });
+    });
+
+    const messages = await Message.find({ _id: { $in: [...reportsByMessage.keys()] } })
+      .populate("senderId", "fullName email profilePic")
+      .populate("revisions.editedBy", "fullName email");
+
+    const reportedMessages = messages
+      .map((message) => ({
+        messageId: message._id,
+        sender: message.senderId,
+        groupId: message.groupId,
+        text: message.text && message.isEncrypted ? decryptCaesar(message.text) : message.text,
+        image: message.image,
+        isDeleted: message.isDeleted,
+        edited: message.edited,
+        createdAt: message.createdAt,
+        sentiment: message.sentiment,
+        toxicity: message.toxicity,
+        revisions: formatRevisions(message, { includeAnalysis: true }),
+        reports: reportsByMessage.get(message._id.toString()),
+        reportCount: reportsByMessage.get(message._id.toString()).length,
+      }))
+      .sort((a, b) => new Date(b.reports[0].createdAt) - new Date(a.reports[0].createdAt));
+
+    res.status(200).json(reportedMessages);
+  } catch (err) {
+    console.error("Error fetching reported messages:", err);
+    res.status(500).json({ message: "Failed to fetch reported messages" });
+  }
+};
@@ -1,9 +1,21 @@
-import { generateToken } from "../lib/utils.js";
+import mongoose from "mongoose";
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
 import bcrypt from "bcryptjs";
 import cloudinary from "../lib/cloudinary.js";
 import e2eEncryption from "../lib/encryption.js";
 import { validatePassword } from "../lib/passwordValidator.js";
+import { LAST_SEEN_VISIBILITIES, PRESENCE_STATUSES } from "../lib/presence.js";
+import { broadcastOnlineUsers, deliverPendingMessages, emitHeldReadReceipts, getReceiverSocketId } from "../lib/socket.js";
+import { consumeEmailToken, sendPasswordResetEmail, sendVerificationEmail } from "../lib/emailTokens.js";
+import {
+  clearAuthCookies,
+  findSessionFromRefreshCookie,
+  revokeSession as endSession,
+  revokeUserSessions,
+  rotateSession,
+  startSession,
+} from "../lib/sessions.js";
 
 export const signup = async (req, res) => {
   const { fullName, email, password } = req.body;
@@ -51,9 +63,14 @@ export const signup = async (req, res) => {
 
     console.log("💾 Saving user to database with encryption keys...");
     
-    // Generate token and save user
-    generateToken(newUser._id, res);
+    // Save user, then sign them in on this device
     await newUser.save();
+    await startSession(newUser._id, req, res);
+
+    // The account works straight away; the emailed link only confirms the address
+    sendVerificationEmail(newUser).catch((mailError) =>
+      console.error("❌ Failed to send verification email:", mailError)
+    );
 
     console.log("✅ User created successfully with encryption keys:", newUser._id);
 
@@ -63,6 +80,9 @@ export const signup = async (req, res) => {
       email: newUser.email,
       profilePic: newUser.profilePic,
       encryptionEnabled: true,
+      isEmailVerified: newUser.isEmailVerified,
+      presenceStatus: newUser.presenceStatus,
+      lastSeenVisibility: newUser.lastSeenVisibility,
       createdAt: newUser.createdAt
     });
   } catch (error) {
@@ -80,7 +100,7 @@ export const login = async (req, res) => {
   try {
     console.log("🔐 Login attempt:", email);
 
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select("+presenceStatus");
 
     if (!user) {
       return res.status(400).json({ message: "Invalid credentials" });
@@ -97,7 +117,7 @@ export const login = async (req, res) => {
       await user.save();
     }
 
-    generateToken(user._id, res);
+    await startSession(user._id, req, res);
 
     res.status(200).json({
       _id: user._id,
@@ -106,6 +126,9 @@ export const login = async (req, res) => {
       profilePic: user.profilePic,
       isAdmin: user.isAdmin,
       interests: user.interests,
+      isEmailVerified: user.isEmailVerified,
+      presenceStatus: user.presenceStatus,
+      lastSeenVisibility: user.lastSeenVisibility,
       createdAt: user.createdAt
     });
   } catch (error) {
@@ -115,9 +138,29 @@ export const login = async (req, res) => {
   }
 };
 
-export const logout = (req, res) => {
+// Swap the refresh cookie for a new access token (and a new refresh token); 401 means sign in again
+export const refresh = async (req, res) => {
+  try {
+    const { error } = await rotateSession(req, res);
+    if (error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session expired, please log in again", code: error });
+    }
+    res.status(200).json({ message: "Session refreshed" });
+  } catch (error) {
+    console.log("Error in refresh controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Signs this device out: its session is revoked, so a copied token stops working too
+export const logout = async (req, res) => {
   try {
-    res.cookie("jwt", "", { maxAge: 0 });
+    const session = await findSessionFromRefreshCookie(req);
+    if (session && !session.revokedAt) {
+      await endSession(session, "logout");
+    }
+    clearAuthCookies(res);
     res.status(200).json({ message: "Logged out successfully" });
   } catch (error) {
     console.log("Error in logout controller", error.message);
@@ -154,7 +197,7 @@ export const updateProfile = async (req, res) => {
       userId,
       { profilePic: finalProfilePicUrl },
       { new: true }
-    );
+    ).select("+presenceStatus");
 
     res.status(200).json(updatedUser);
   } catch (error) {
@@ -165,8 +208,18 @@ export const updateProfile = async (req, res) => {
 
 export const checkAuth = (req, res) => {
   try {
-    const { _id, fullName, email, profilePic, interests, createdAt } = req.user;
-    res.status(200).json({ _id, fullName, email, profilePic, interests, createdAt });
+    const { _id, fullName, email, profilePic, interests, isEmailVerified, presenceStatus, lastSeenVisibility, createdAt } = req.user;
+    res.status(200).json({
+      _id,
+      fullName,
+      email,
+      profilePic,
+      interests,
+      isEmailVerified,
+      presenceStatus,
+      lastSeenVisibility,
+      createdAt,
+    });
   } catch (error) {
     console.log("Error in checkAuth controller", error.message);
     res.status(500).json({ message: "Internal Server Error" });
@@ -186,7 +239,7 @@ export const updateInterests = async (req, res) => {
       userId,
       { interests },
       { new: true }
-    ).select("-password");
+    ).select("-password +presenceStatus");
 
     if (!updatedUser) {
       return res.status(404).json({ message: "User not found" });
@@ -199,6 +252,155 @@ export const updateInterests = async (req, res) => {
   }
 };
 
+// Pick a presence status, and whether non-friends may see when the user was last online
+export const updatePresence = async (req, res) => {
+  try {
+    const { presenceStatus, lastSeenVisibility } = req.body;
+    const update = {};
+
+    if (presenceStatus !== undefined) {
+      if (!PRESENCE_STATUSES.includes(presenceStatus)) {
+        return res.status(400).json({ message: `Status must be one of: ${PRESENCE_STATUSES.join(", ")}` });
+      }
+      update.presenceStatus = presenceStatus;
+      // To everyone else, going invisible looks like going offline
+      if (presenceStatus === "invisible" && req.user.presenceStatus !== "invisible") {
+        update.lastSeenAt = new Date();
+      }
+    }
+    if (lastSeenVisibility !== undefined) {
+      if (!LAST_SEEN_VISIBILITIES.includes(lastSeenVisibility)) {
+        return res.status(400).json({ message: `Last seen visibility must be one of: ${LAST_SEEN_VISIBILITIES.join(", ")}` });
+      }
+      update.lastSeenVisibility = lastSeenVisibility;
+    }
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: "Nothing to update" });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(req.user._id, update, { new: true })
+      .select("+presenceStatus +lastSeenAt lastSeenVisibility");
+    if (!updatedUser) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (update.presenceStatus && update.presenceStatus !== req.user.presenceStatus) {
+      await broadcastOnlineUsers();
+      // What they received and read while invisible shows as delivered and read now that they're back.
+      // lastSeenAt still holds the time they went invisible.
+      const userId = req.user._id.toString();
+      if (req.user.presenceStatus === "invisible") {
+        if (getReceiverSocketId(userId)) await deliverPendingMessages(userId);
+        if (updatedUser.lastSeenAt) await emitHeldReadReceipts(userId, updatedUser.lastSeenAt);
+      }
+    }
+    res.status(200).json({
+      presenceStatus: updatedUser.presenceStatus,
+      lastSeenVisibility: updatedUser.lastSeenVisibility,
+    });
+  } catch (error) {
+    console.log("Error in updatePresence controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Confirm the email address with the token from the link sent at signup
+export const verifyEmail = async (req, res) => {
+  try {
+    const emailToken = await consumeEmailToken(req.body.token, "verify-email");
+    if (!emailToken) {
+      return res.status(400).json({ message: "This verification link is invalid or has expired" });
+    }
+
+    await User.updateOne({ _id: emailToken.userId }, { isEmailVerified: true });
+    console.log(`📧 Email verified for user ${emailToken.userId}`);
+    res.status(200).json({ message: "Email verified" });
+  } catch (error) {
+    console.log("Error in verifyEmail controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Send the signed-in user a new verification link
+export const resendVerification = async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({ message: "Your email is already verified" });
+    }
+
+    const sent = await sendVerificationEmail(req.user);
+    if (!sent) {
+      return res.status(429).json({ message: "A link was sent a moment ago, please check your inbox" });
+    }
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (error) {
+    console.log("Error in resendVerification controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Email a password reset link. The answer doesn't say whether the address has an account.
+export const forgotPassword = async (req, res) => {
+  try {
+    const email = typeof req.body.email === "string" ? req.body.email.trim() : "";
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await User.findOne({ email }).select("fullName email");
+    if (user) {
+      // Sent after answering, so a slow or failing mail server can't tell registered addresses apart
+      sendPasswordResetEmail(user).catch((mailError) =>
+        console.error("❌ Failed to send password reset email:", mailError)
+      );
+    }
+    res.status(200).json({ message: "If an account uses this email, a reset link is on its way" });
+  } catch (error) {
+    console.log("Error in forgotPassword controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Set a new password with the token from the reset link; every device has to sign in again
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: "Reset token and new password are required" });
+    }
+
+    // Checked before the token is used up, so a weak password can be corrected with the same link
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        message: "Password does not meet security requirements",
+        errors: passwordValidation.errors,
+      });
+    }
+
+    const emailToken = await consumeEmailToken(token, "reset-password");
+    if (!emailToken) {
+      return res.status(400).json({ message: "This reset link is invalid or has expired" });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+    // Opening the emailed link proves the address too
+    const user = await User.findByIdAndUpdate(emailToken.userId, { password: hashedPassword, isEmailVerified: true });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const revokedCount = await revokeUserSessions(user._id, "password-reset");
+    clearAuthCookies(res);
+    console.log(`🔑 Password reset for user ${user._id}, ${revokedCount} session(s) signed out`);
+    res.status(200).json({ message: "Password updated, please log in with your new password" });
+  } catch (error) {
+    console.log("Error in resetPassword controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
 export const validatePasswordStrength = (req, res) => {
   try {
     const { password } = req.body;
@@ -221,3 +423,59 @@ export const validatePasswordStrength = (req, res) => {
   }
 };
 
+
+// The user's signed-in devices, most recently used first; `current` marks this one
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select("device ip createdAt lastUsedAt")
+      .sort({ lastUsedAt: -1 });
+
+    res.status(200).json(
+      sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id),
+      }))
+    );
+  } catch (error) {
+    console.log("Error in getSessions controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Sign out one of the user's other devices (this one signs out with logout)
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ message: "Invalid session ID" });
+    }
+    if (req.authSession._id.equals(sessionId)) {
+      return res.status(400).json({ message: "Use log out to end the session on this device" });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await endSession(session, "revoked");
+    console.log(`🔒 Session ${sessionId} revoked by user ${req.user._id}`);
+    res.status(200).json({ message: "Session revoked", sessionId });
+  } catch (error) {
+    console.log("Error in revokeSession controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Sign out every device but this one
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user._id, "revoked", req.authSession._id);
+    console.log(`🔒 ${revokedCount} other session(s) revoked by user ${req.user._id}`);
+    res.status(200).json({ message: "Other sessions revoked", revokedCount });
+  } catch (error) {
+    console.log("Error in revokeOtherSessions controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
@@ -1,7 +1,8 @@
 import Group from '../models/group.model.js';
 import User from '../models/user.model.js';
 import cloudinary from '../lib/cloudinary.js';
-import { io } from '../lib/socket.js';
+import { io, getReceiverSocketId } from '../lib/socket.js';
+import { PIN_PERMISSIONS, PERMISSION_ERRORS, MAX_PIN_LIMIT, getGroupPermissions } from '../lib/messagePermissions.js';
 
 export const createGroup = async (req, res) => {
   const { name, members } = req.body;
@@ -192,4 +193,68 @@ export const updateGroupProfile = async (req, res) => {
     console.log("error in update group profile:", error);
     res.status(500).json({ message: "Internal server error" });
   }
-};
\ No newline at end of file
+};
+
+// Group admin only: choose moderators (must be members), who may pin messages and how many pins are allowed
+export const updateGroupPermissions = async (req, res) => {
+  const { groupId } = req.params;
+  const { moderators, pinPermission, pinLimit } = req.body;
+  const userId = req.user._id;
+
+  if (moderators !== undefined && !Array.isArray(moderators)) {
+    return res.status(400).json({ message: "Moderators must be an array" });
+  }
+  if (pinPermission !== undefined && !PIN_PERMISSIONS.includes(pinPermission)) {
+    return res.status(400).json({ message: `Pin permission must be one of: ${PIN_PERMISSIONS.join(', ')}` });
+  }
+  if (pinLimit !== undefined && !(Number.isInteger(pinLimit) && pinLimit >= 1 && pinLimit <= MAX_PIN_LIMIT)) {
+    return res.status(400).json({ message: `Pin limit must be between 1 and ${MAX_PIN_LIMIT}` });
+  }
+
+  try {
+    const group = await Group.findById(groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    if (group.admin?.toString() !== userId.toString()) {
+      return res.status(403).json({ message: "Only the group admin can change permissions", code: PERMISSION_ERRORS.NOT_GROUP_ADMIN });
+    }
+
+    if (moderators !== undefined) {
+      const memberIds = group.members.map(member => member.toString());
+      group.moderators = [...new Set(moderators.map(String))].filter(id => memberIds.includes(id));
+    }
+    if (pinPermission !== undefined) {
+      group.pinPermission = pinPermission;
+    }
+    if (pinLimit !== undefined) {
+      group.pinLimit = pinLimit;
+    }
+    await group.save();
+
+    console.log("🛡️ Group permissions updated:", {
+      groupId,
+      moderators: group.moderators.length,
+      pinPermission: group.pinPermission,
+      pinLimit: group.pinLimit
+    });
+
+    // Each member gets their own effective permissions so open chats update in place
+    group.members.forEach(memberId => {
+      const socketId = getReceiverSocketId(memberId.toString());
+      if (socketId) {
+        io.to(socketId).emit("groupPermissionsUpdated", {
+          groupId: group._id,
+          moderators: group.moderators,
+          pinPermission: group.pinPermission,
+          pinLimit: group.pinLimit,
+          permissions: getGroupPermissions(group, memberId),
+        });
+      }
+    });
+
+    const updatedGroup = await Group.findById(groupId).populate('members', 'fullName profilePic');
+    res.status(200).json(updatedGroup);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to update group permissions", error: error.message });
+  }
+};
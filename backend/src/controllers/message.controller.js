@@ -1,12 +1,47 @@
+import mongoose from "mongoose";
+
 import User from "../models/user.model.js";
 import Message from "../models/message.model.js";
 import Group from "../models/group.model.js";
+import ReadMarker from "../models/readMarker.model.js";
+import PollVote from "../models/pollVote.model.js";
 
-import cloudinary from "../lib/cloudinary.js";
-import { getReceiverSocketId, io } from "../lib/socket.js";
+import { getReceiverSocketId, io, isInvisible } from "../lib/socket.js";
 import { analyzeToxicity, analyzeKeywordToxicity, analyzeTextToxicity, analyzeTextToxicityWithEnhancedSentiment, getEnhancedSentiment } from "../lib/toxicity.js";
 import e2eEncryption from "../lib/encryption.js";
 import { encryptCaesar, decryptCaesar } from "../lib/caesarCipher.js";
+import { escapeRegex } from "../lib/utils.js";
+import { stripMarkdown } from "../lib/markdown.js";
+import { checkMessagePermission, getGroupPermissions, PERMISSION_ERRORS, DEFAULT_PIN_LIMIT, MAX_PIN_LIMIT } from "../lib/messagePermissions.js";
+import { MESSAGE_TTL_OPTIONS, getConversationKey, getExpiresAt, getMessageTtl } from "../lib/disappearingMessages.js";
+import { loadMentionGroup, resolveMentions } from "../lib/mentions.js";
+import { extractFirstUrl, linkPreviewService } from "../lib/linkPreview.js";
+import { ATTACHMENT_ERRORS, decodeDataUrl, inspectAttachment, inspectVoiceNote } from "../lib/attachments.js";
+import { storeAttachment } from "../lib/attachmentStorage.js";
+import ConversationSetting from "../models/conversationSetting.model.js";
+import { getReactionSummaries } from "./reaction.controller.js";
+import { getStarredIds } from "./star.controller.js";
+import { getPollResults } from "./poll.controller.js";
+
+// Page size for conversation history (getMessages)
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+// Message search (searchMessages)
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+const MAX_SEARCH_CONTEXT = 3;
+const SEARCH_SNIPPET_RADIUS = 40;
+
+// Last-message preview length in the sidebar (getConversationSummaries)
+const PREVIEW_LENGTH = 80;
+
+// Conversations a message can be forwarded to in one request (forwardMessage)
+const MAX_FORWARD_TARGETS = 10;
+
+// Mentions list page size (getMentions)
+const MENTION_PAGE_SIZE = 20;
+const MAX_MENTION_PAGE_SIZE = 50;
 
 export const getUsersForSidebar = async (req, res) => {
   try {
@@ -30,291 +65,960 @@ export const getUsersForSidebar = async (req, res) => {
   }
 };
 
+// (createdAt, _id) keyset condition relative to a cursor message; op is $lt, $gt or $gte
+const cursorCondition = (cursorMessage, op) => {
+  const strictOp = op === "$gte" ? "$gt" : op;
+  return {
+    $or: [
+      { createdAt: { [strictOp]: cursorMessage.createdAt } },
+      { createdAt: cursorMessage.createdAt, _id: { [op]: cursorMessage._id } },
+    ],
+  };
+};
+
+// Fetch one page of populated messages. sortOrder 1 = oldest-first, -1 = newest-first
+const findMessagePage = (filter, sortOrder, limit) => {
+  return Message.find(filter)
+    .select("-revisions")
+    .sort({ createdAt: sortOrder, _id: sortOrder })
+    .limit(limit)
+    .populate("senderId", "fullName profilePic email")
+    .populate("receiverId", "fullName profilePic email")
+    .populate("forwardedFrom.senderId", "fullName profilePic")
+    .populate({
+      path: "replyTo",
+      populate: {
+        path: "senderId",
+        select: "fullName profilePic email",
+      },
+    });
+};
+
+// ✅ Convert a populated message document to a plain object with decrypted text
+export const toDecryptedObject = (message) => {
+  const messageObj = message.toObject();
+
+  if (messageObj.isEncrypted && messageObj.text) {
+    messageObj.text = decryptCaesar(messageObj.text);
+    messageObj.isDecryptedForDisplay = true;
+  }
+
+  if (messageObj.replyTo && messageObj.replyTo.isEncrypted && messageObj.replyTo.text) {
+    messageObj.replyTo.text = decryptCaesar(messageObj.replyTo.text);
+    messageObj.replyTo.isDecryptedForDisplay = true;
+  }
+
+  return messageObj;
+};
+
+// Analysis stored for a message with nothing to analyze; `source` says why ("default" or "skipped")
+const neutralAnalysis = (source) => ({
+  sentiment: { value: "neutral", confidence: 0, score: 0, source, wordAnalysis: [], enhanced: false },
+  toxicity: { isToxic: false, toxicityScore: 0, severity: "none", categories: [] },
+  sentimentOverridden: false,
+});
+
+// Sentiment + toxicity for a message's text, with the neutral fallbacks used when analysis fails
+// or there is no text (image-only). `fallbackSentiment` is the client's own guess, if any.
+// Markdown syntax is stripped first; the stored text keeps it.
+const analyzeMessageText = async (text, selectedModel, fallbackSentiment) => {
+  const plainText = text ? stripMarkdown(text) : "";
+  if (plainText.trim()) {
+    try {
+      console.log("🔍 Analyzing sentiment for text:", plainText.substring(0, 50));
+      const analysisResult = await analyzeTextToxicityWithEnhancedSentiment(plainText, selectedModel || 'svc');
+      console.log("✅ Analysis complete:", analysisResult.sentiment.value);
+      return analysisResult;
+    } catch (error) {
+      console.warn("⚠️ Sentiment analysis failed, using fallback:", error.message);
+      return {
+        sentiment: { 
+          value: fallbackSentiment || "neutral", 
+          confidence: 0, 
+          score: 0, 
+          source: "fallback", 
+          wordAnalysis: [], 
+          enhanced: false 
+        },
+        toxicity: { 
+          isToxic: false, 
+          toxicityScore: 0, 
+          severity: "none", 
+          categories: [] 
+        },
+        sentimentOverridden: false
+      };
+    }
+  }
+
+  // No text to analyze - use default sentiment
+  console.log("ℹ️ No text to analyze, using default sentiment");
+  return neutralAnalysis("default");
+};
+
+// Whether a user can see a message: a DM participant or a member of the message's group
+export const canReadMessage = async (message, userId) => {
+  if (message.groupId) {
+    return !!(await Group.exists({ _id: message.groupId, members: userId }));
+  }
+  return message.senderId.toString() === userId.toString()
+    || message.receiverId?.toString() === userId.toString();
+};
+
+/**
+ * The conversation a message belongs to, shaped so the client can open it
+ * @param {Object} message - Decrypted message with groupId (name, profilePic, members) or senderId/receiverId populated
+ * @param {string} myId - The viewer; a DM is described by the other participant
+ */
+export const toConversationRef = (message, myId) => {
+  const group = message.groupId;
+  if (group) {
+    return { type: "group", groupId: group._id, name: group.name, profilePic: group.profilePic, members: group.members };
+  }
+  return {
+    type: "dm",
+    user: message.senderId?._id?.toString() === myId.toString() ? message.receiverId : message.senderId,
+  };
+};
+
+// Tell each mentioned member directly, whether or not they have the group open
+const emitMentions = (message, userIds, group) => {
+  userIds.forEach((userId) => {
+    const socketId = getReceiverSocketId(userId.toString());
+    if (socketId) {
+      io.to(socketId).emit("mentioned", { message, conversation: toConversationRef({ groupId: group }, userId) });
+    }
+  });
+};
+
+// Reply counts (and latest reply time) for a page of one conversation's messages, keyed by parent
+// id string. Only replies in the same conversation count.
+const getReplyCounts = async (messages) => {
+  if (messages.length === 0) return new Map();
+
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        ...pinConversationFilter(messages[0]),
+        replyTo: { $in: messages.map((message) => message._id) },
+        isDeleted: { $ne: true },
+      },
+    },
+    { $group: { _id: "$replyTo", replyCount: { $sum: 1 }, lastReplyAt: { $max: "$createdAt" } } },
+  ]);
+  return new Map(counts.map((entry) => [entry._id.toString(), entry]));
+};
+
+// Every message of the conversation a message belongs to (used for its pins and thread replies).
+// The message's refs may be populated.
+const pinConversationFilter = (message) => {
+  if (message.groupId) return { groupId: message.groupId._id || message.groupId };
+  const senderId = message.senderId?._id || message.senderId;
+  const receiverId = message.receiverId?._id || message.receiverId;
+  return {
+    $or: [
+      { senderId, receiverId },
+      { senderId: receiverId, receiverId: senderId },
+    ],
+  };
+};
+
+/**
+ * Whether a message being sent may reply to `replyTo`: only a message of the same conversation
+ * @param {string} replyTo - Id of the message replied to
+ * @param {Object} conversation - { senderId, receiverId } of a DM or { groupId }
+ * @returns {Promise<boolean>}
+ */
+export const isReplyInConversation = async (replyTo, { senderId, receiverId, groupId }) => {
+  const conversationId = groupId || receiverId;
+  if (!mongoose.Types.ObjectId.isValid(replyTo) || !mongoose.Types.ObjectId.isValid(conversationId)) return false;
+  return !!(await Message.exists({ _id: replyTo, ...pinConversationFilter({ senderId, receiverId, groupId }) }));
+};
+
+// A message this sender already stored under the same client idempotency key, ready to return
+const findExistingClientMessage = async (senderId, clientMessageId) => {
+  const [existing] = await findMessagePage({ senderId, clientMessageId }, -1, 1);
+  return existing ? toDecryptedObject(existing) : null;
+};
+
 export const getMessages = async (req, res) => {
   try {
     const { id: userToChatId } = req.params;
-    const { groupId } = req.query;
+    const { groupId, before, after, around } = req.query;
     const myId = req.user._id;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || MESSAGE_PAGE_SIZE, 1), MAX_MESSAGE_PAGE_SIZE);
 
-    let messages;
-    if (groupId) {
-      messages = await Message.find({ groupId })
-        .populate("senderId", "fullName profilePic email")
-        .populate({
-          path: "replyTo",
-          populate: {
-            path: "senderId",
-            select: "fullName profilePic email",
-          },
-        })
-        .sort({ createdAt: 1 });
-    } else {
-      messages = await Message.find({
-        $or: [
-          { senderId: myId, receiverId: userToChatId },
-          { senderId: userToChatId, receiverId: myId },
-        ],
-      })
-        .populate("senderId", "fullName profilePic email")
-        .populate("receiverId", "fullName profilePic email")
-        .populate({
-          path: "replyTo",
-          populate: {
-            path: "senderId",
-            select: "fullName profilePic email",
-          },
-        })
-        .sort({ createdAt: 1 });
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({ error: "Use only one of before, after or around" });
     }
 
-    // ✅ Import Reaction model to fetch reactions
-    const Reaction = (await import("../models/reaction.model.js")).default;
+    const conversationFilter = groupId
+      ? { groupId }
+      : {
+          $or: [
+            { senderId: myId, receiverId: userToChatId },
+            { senderId: userToChatId, receiverId: myId },
+          ],
+        };
 
-    // ✅ AUTO-DECRYPT MESSAGES using Caesar cipher
-    const decryptedMessages = await Promise.all(messages.map(async (message) => {
-      const messageObj = message.toObject();
-      
-      // Decrypt text if it's encrypted
-      if (messageObj.isEncrypted && messageObj.text) {
-        messageObj.text = decryptCaesar(messageObj.text);
-        messageObj.isDecryptedForDisplay = true;
+    // ✅ Resolve the cursor message so pages are keyed on (createdAt, _id)
+    const cursorId = before || after || around;
+    let cursorMessage = null;
+    if (cursorId) {
+      if (!mongoose.Types.ObjectId.isValid(cursorId)) {
+        return res.status(400).json({ error: "Invalid cursor" });
       }
 
-      // ✅ Also decrypt replyTo message if it exists and is encrypted
-      if (messageObj.replyTo && messageObj.replyTo.isEncrypted && messageObj.replyTo.text) {
-        messageObj.replyTo.text = decryptCaesar(messageObj.replyTo.text);
-        messageObj.replyTo.isDecryptedForDisplay = true;
+      cursorMessage = await Message.findOne({ _id: cursorId, ...conversationFilter }).select("createdAt");
+      if (!cursorMessage) {
+        return res.status(404).json({ error: "Cursor message not found in this conversation" });
       }
+    }
 
-      // ✅ Fetch reactions for this message
-      const reactions = await Reaction.find({ messageId: messageObj._id })
-        .populate("userId", "fullName profilePic");
-      
-      // Group reactions by type
-      const reactionSummary = reactions.reduce((acc, reaction) => {
-        if (!acc[reaction.type]) {
-          acc[reaction.type] = [];
-        }
-        acc[reaction.type].push({
-          userId: reaction.userId._id,
-          fullName: reaction.userId.fullName,
-          profilePic: reaction.userId.profilePic,
-        });
-        return acc;
-      }, {});
+    // One extra message is fetched per direction to know whether another page exists
+    let messages;
+    let pagination;
+    if (around) {
+      // Half a page of older messages, then the cursor message and the newer ones after it
+      const olderLimit = Math.floor(limit / 2);
+      const newerLimit = limit - olderLimit;
+      const [olderPage, newerPage] = await Promise.all([
+        findMessagePage({ $and: [conversationFilter, cursorCondition(cursorMessage, "$lt")] }, -1, olderLimit + 1),
+        findMessagePage({ $and: [conversationFilter, cursorCondition(cursorMessage, "$gte")] }, 1, newerLimit + 1),
+      ]);
+
+      messages = [...olderPage.slice(0, olderLimit).reverse(), ...newerPage.slice(0, newerLimit)];
+      pagination = {
+        limit,
+        hasMoreBefore: olderPage.length > olderLimit,
+        hasMoreAfter: newerPage.length > newerLimit,
+      };
+    } else {
+      // Newest-first for the latest page and "before" pages, oldest-first for "after" pages
+      const sortOrder = after ? 1 : -1;
+      const filter = cursorMessage
+        ? { $and: [conversationFilter, cursorCondition(cursorMessage, before ? "$lt" : "$gt")] }
+        : conversationFilter;
+
+      messages = await findMessagePage(filter, sortOrder, limit + 1);
+      const hasMore = messages.length > limit;
+      messages = messages.slice(0, limit);
+      if (!after) {
+        messages.reverse();
+      }
+
+      pagination = {
+        limit,
+        hasMoreBefore: after ? true : hasMore,
+        hasMoreAfter: after ? hasMore : !!before,
+      };
+    }
+
+    // ✅ Load reactions and thread reply counts for the whole page with one aggregation each
+    const pageIds = messages.map((message) => message._id);
+    const [reactionSummaries, replyCounts, starredIds, pollResults] = await Promise.all([
+      getReactionSummaries(pageIds),
+      getReplyCounts(messages),
+      getStarredIds(myId, pageIds),
+      getPollResults(messages.filter((message) => message.messageType === "poll"), myId),
+    ]);
+
+    // ✅ AUTO-DECRYPT MESSAGES using Caesar cipher
+    const decryptedMessages = messages.map((message) => {
+      const messageObj = toDecryptedObject(message);
+
+      const { reactions = [], reactionSummary = {}, totalReactions = 0 } =
+        reactionSummaries.get(messageObj._id.toString()) || {};
 
       messageObj.reactions = reactions;
       messageObj.reactionSummary = reactionSummary;
-      messageObj.totalReactions = reactions.length;
+      messageObj.totalReactions = totalReactions;
+
+      const thread = replyCounts.get(messageObj._id.toString());
+      messageObj.replyCount = thread?.replyCount || 0;
+      messageObj.lastReplyAt = thread?.lastReplyAt || null;
+
+      messageObj.starred = starredIds.has(messageObj._id.toString());
+
+      if (pollResults.has(messageObj._id.toString())) {
+        messageObj.pollResults = pollResults.get(messageObj._id.toString());
+      }
       
       return messageObj;
-    }));
+    });
 
-    res.status(200).json(decryptedMessages);
+    // ✅ Group read markers drive the "seen by" list on the client
+    const response = {
+      messages: decryptedMessages,
+      pagination,
+      messageTtl: await getMessageTtl(groupId ? { groupId } : { userIds: [myId, userToChatId] }),
+    };
+    if (groupId) {
+      const [readMarkers, group] = await Promise.all([
+        ReadMarker.find({ groupId })
+          .select("userId lastReadMessageId lastReadAt")
+          .populate("userId", "fullName profilePic"),
+        Group.findById(groupId).select("admin moderators members pinPermission"),
+      ]);
+      response.readMarkers = readMarkers;
+      // ✅ What the viewer may do with other members' messages (drives the message dropdown)
+      response.permissions = group ? getGroupPermissions(group, myId) : null;
+    }
+
+    res.status(200).json(response);
   } catch (error) {
     console.error("Error in getMessages controller:", error.message);
     res.status(500).json({ error: "Internal server error" });
   }
 };
 
-export const sendMessage = async (req, res) => {
+// A thread: the parent message and every reply that points at it, oldest first
+export const getThread = async (req, res) => {
   try {
-    const { text, image, groupId, sentiment, replyTo, selectedModel } = req.body;
-    const receiverId = req.params.id;
-    const senderId = req.user._id;
+    const { messageId } = req.params;
+    const myId = req.user._id;
 
-    console.log("📨 [START] sendMessage called");
-    console.log("   - Text:", text?.substring(0, 50) || "EMPTY");
-    console.log("   - Has Image:", !!image);
-    console.log("   - Receiver ID:", receiverId);
-    console.log("   - Sender ID:", senderId);
-    console.log("   - Group ID:", groupId);
-    console.log("   - Selected Model:", selectedModel);
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
 
-    // ✅ VALIDATE: At least text or image must be present
-    if (!text?.trim() && !image) {
-      console.log("❌ Message validation failed: Neither text nor image provided");
-      return res.status(400).json({ message: "Message must contain text or image" });
+    const [parent] = await findMessagePage({ _id: messageId }, 1, 1);
+    if (!parent) {
+      return res.status(404).json({ error: "Message not found" });
     }
-    
-    console.log("✅ Message validation passed");
 
-    // ✅ UPLOAD IMAGE TO CLOUDINARY if provided
-    let uploadedImageUrl = null;
-    if (image) {
-      try {
-        // Check if image is too large (base64 can be huge)
-        const imageSizeInMB = (image.length * 0.75) / 1024 / 1024;
-        console.log(`📸 Image size: ${imageSizeInMB.toFixed(2)}MB`);
-        
-        if (imageSizeInMB > 10) {
-          console.warn("⚠️ Image too large (>10MB base64), storing base64 directly:", imageSizeInMB);
-          // Store base64 directly if too large for Cloudinary
-          uploadedImageUrl = image;
-        } else {
-          console.log("📸 Uploading image to Cloudinary...");
-          try {
-            const uploadResult = await cloudinary.uploader.upload(image, {
-              folder: "chat-app/messages",
-              resource_type: "auto",
-              quality: "auto",
-              fetch_format: "auto",
-              timeout: 60000,
-            });
-            uploadedImageUrl = uploadResult.secure_url;
-            console.log("✅ Image uploaded to Cloudinary:", uploadedImageUrl);
-          } catch (cloudinaryError) {
-            console.warn("⚠️ Cloudinary upload failed, storing base64 directly:", cloudinaryError.message);
-            // Fallback to storing base64 directly
-            uploadedImageUrl = image;
-          }
-        }
-      } catch (uploadError) {
-        console.error("❌ Image processing error:", uploadError.message);
-        // Store base64 as fallback
-        uploadedImageUrl = image;
-      }
+    if (!(await canReadMessage(parent, myId))) {
+      return res.status(403).json({ error: "You don't have access to this thread" });
     }
 
-    // Analyze sentiment and toxicity (only if text is provided)
-    let analysisResult;
-    if (text?.trim()) {
-      try {
-        console.log("🔍 Analyzing sentiment for text:", text.substring(0, 50));
-        analysisResult = await analyzeTextToxicityWithEnhancedSentiment(text, selectedModel || 'svc');
-        console.log("✅ Analysis complete:", analysisResult.sentiment.value);
-      } catch (error) {
-        console.warn("⚠️ Sentiment analysis failed, using fallback:", error.message);
-        analysisResult = {
-          sentiment: { 
-            value: sentiment || "neutral", 
-            confidence: 0, 
-            score: 0, 
-            source: "fallback", 
-            wordAnalysis: [], 
-            enhanced: false 
-          },
-          toxicity: { 
-            isToxic: false, 
-            toxicityScore: 0, 
-            severity: "none", 
-            categories: [] 
+    // limit 0 = no limit: the panel shows the whole thread
+    const replies = await findMessagePage(
+      { ...pinConversationFilter(parent), replyTo: parent._id, isDeleted: { $ne: true } },
+      1,
+      0
+    );
+
+    const reactionSummaries = await getReactionSummaries([parent._id, ...replies.map((reply) => reply._id)]);
+    const withReactions = (message) => {
+      const messageObj = toDecryptedObject(message);
+      const { reactions = [], reactionSummary = {}, totalReactions = 0 } =
+        reactionSummaries.get(messageObj._id.toString()) || {};
+      return { ...messageObj, reactions, reactionSummary, totalReactions };
+    };
+
+    res.status(200).json({
+      parent: { ...withReactions(parent), replyCount: replies.length },
+      replies: replies.map(withReactions),
+    });
+  } catch (error) {
+    console.error("Error in getThread controller:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Decrypted revisions of a message, oldest first. `includeAnalysis` adds the per-version
+// sentiment/toxicity, which only the admin moderation view needs.
+export const formatRevisions = (message, { includeAnalysis = false } = {}) => {
+  return (message.revisions || []).map((revision) => {
+    const formatted = {
+      _id: revision._id,
+      text: revision.text && message.isEncrypted ? decryptCaesar(revision.text) : revision.text,
+      editedAt: revision.editedAt,
+      editedBy: revision.editedBy,
+    };
+    if (includeAnalysis) {
+      formatted.sentiment = revision.sentiment;
+      formatted.toxicity = revision.toxicity;
+    }
+    return formatted;
+  });
+};
+
+// Edit history of a message for anyone who can read it
+export const getEditHistory = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
+
+    const message = await Message.findById(messageId)
+      .select("senderId receiverId groupId isEncrypted edited editedAt isDeleted revisions")
+      .populate("revisions.editedBy", "fullName profilePic");
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    if (!(await canReadMessage(message, req.user._id))) {
+      return res.status(403).json({ error: "You don't have access to this message" });
+    }
+
+    // Deleted messages keep their trail for moderators only
+    const revisions = message.isDeleted ? [] : formatRevisions(message);
+
+    res.status(200).json({ messageId: message._id, editedAt: message.editedAt, revisions });
+  } catch (error) {
+    console.error("Error in getEditHistory controller:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Shape a conversation's last message for the sidebar preview
+const toPreview = (message) => {
+  if (!message) return null;
+
+  let text = null;
+  if (!message.isDeleted && message.text) {
+    const decrypted = message.isEncrypted ? decryptCaesar(message.text) : message.text;
+    text = decrypted.length > PREVIEW_LENGTH ? `${decrypted.slice(0, PREVIEW_LENGTH)}…` : decrypted;
+  }
+
+  return {
+    _id: message._id,
+    senderId: message.senderId,
+    text,
+    hasImage: !!message.image,
+    attachmentName: message.isDeleted ? null : message.attachment?.name || null,
+    pollQuestion: message.isDeleted ? null : message.poll?.question || null,
+    messageType: message.messageType,
+    isDeleted: !!message.isDeleted,
+    createdAt: message.createdAt,
+  };
+};
+
+// Last message, its timestamp and the unread count for every DM and group of the logged-in user
+export const getConversationSummaries = async (req, res) => {
+  try {
+    const myId = req.user._id;
+
+    // ✅ DMs: one aggregation groups messages by the other participant
+    // Unread = sent to me and readAt explicitly null (messages from before receipts existed have no field)
+    const dmSummaries = await Message.aggregate([
+      { $match: { $or: [{ receiverId: myId }, { senderId: myId, receiverId: { $ne: null } }] } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $group: {
+          _id: { $cond: [{ $eq: ["$senderId", myId] }, "$receiverId", "$senderId"] },
+          lastMessage: { $first: "$$ROOT" },
+          unreadCount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$receiverId", myId] },
+                    { $eq: ["$readAt", null] },
+                    { $ne: ["$isDeleted", true] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
           },
-          sentimentOverridden: false
-        };
+        },
+      },
+    ]);
+
+    // ✅ Groups: last message per group, unread = newer than my read marker and not sent by me
+    const myGroups = await Group.find({ members: myId }).select("_id");
+    const groupIds = myGroups.map((group) => group._id);
+    const markers = await ReadMarker.find({ userId: myId, groupId: { $in: groupIds } });
+    const lastReadAtByGroup = new Map(markers.map((marker) => [marker.groupId.toString(), marker.lastReadAt]));
+
+    const [groupLastMessages, groupUnreadCounts] = groupIds.length === 0
+      ? [[], []]
+      : await Promise.all([
+          Message.aggregate([
+            { $match: { groupId: { $in: groupIds } } },
+            { $sort: { createdAt: -1, _id: -1 } },
+            { $group: { _id: "$groupId", lastMessage: { $first: "$$ROOT" } } },
+          ]),
+          Message.aggregate([
+            {
+              $match: {
+                senderId: { $ne: myId },
+                isDeleted: { $ne: true },
+                $or: groupIds.map((groupId) => ({
+                  groupId,
+                  createdAt: { $gt: lastReadAtByGroup.get(groupId.toString()) || new Date(0) },
+                })),
+              },
+            },
+            { $group: { _id: "$groupId", unreadCount: { $sum: 1 } } },
+          ]),
+        ]);
+
+    const unreadByGroup = new Map(groupUnreadCounts.map((entry) => [entry._id.toString(), entry.unreadCount]));
+
+    const conversations = [
+      ...dmSummaries.map((summary) => ({
+        type: "dm",
+        userId: summary._id,
+        lastMessage: toPreview(summary.lastMessage),
+        lastMessageAt: summary.lastMessage.createdAt,
+        unreadCount: summary.unreadCount,
+      })),
+      ...groupLastMessages.map((summary) => ({
+        type: "group",
+        groupId: summary._id,
+        lastMessage: toPreview(summary.lastMessage),
+        lastMessageAt: summary.lastMessage.createdAt,
+        unreadCount: unreadByGroup.get(summary._id.toString()) || 0,
+      })),
+    ].sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+
+    res.status(200).json({ conversations });
+  } catch (error) {
+    console.error("Error in getConversationSummaries controller:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Build a short excerpt of `text` around the first match of `query`
+const buildSnippet = (text, query) => {
+  if (!text) return null;
+
+  const matchStart = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+  if (matchStart === -1) {
+    return { text: text.slice(0, SEARCH_SNIPPET_RADIUS * 2), matchStart: -1, matchLength: 0 };
+  }
+
+  const start = Math.max(0, matchStart - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(text.length, matchStart + query.length + SEARCH_SNIPPET_RADIUS);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    matchStart: matchStart - start + prefix.length,
+    matchLength: query.length,
+  };
+};
+
+export const searchMessages = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const { q, groupId, userId, senderId, from, to, hasImage, sentiment, before } = req.query;
+    const query = q?.trim() || "";
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+    const contextSize = Math.min(Math.max(parseInt(req.query.context) || 0, 0), MAX_SEARCH_CONTEXT);
+
+    const hasFilter = groupId || userId || senderId || from || to || hasImage !== undefined || sentiment;
+    if (query.length < 2 && !hasFilter) {
+      return res.status(400).json({ error: "Search needs at least 2 characters or a filter" });
+    }
+
+    for (const id of [groupId, userId, senderId, before]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: "Invalid id in search filters" });
       }
+    }
+
+    // ✅ Restrict to conversations the caller belongs to
+    const myGroups = await Group.find({ members: myId }).select("_id");
+    const myGroupIds = myGroups.map((group) => group._id);
+
+    let conversationFilter;
+    if (groupId) {
+      if (!myGroupIds.some((id) => id.toString() === groupId)) {
+        return res.status(403).json({ error: "You are not a member of this group" });
+      }
+      conversationFilter = { groupId: new mongoose.Types.ObjectId(groupId) };
+    } else if (userId) {
+      conversationFilter = {
+        $or: [
+          { senderId: myId, receiverId: userId },
+          { senderId: userId, receiverId: myId },
+        ],
+      };
     } else {
-      // No text to analyze - use default sentiment
-      console.log("ℹ️ No text to analyze, using default sentiment");
-      analysisResult = {
-        sentiment: { 
-          value: "neutral", 
-          confidence: 0, 
-          score: 0, 
-          source: "default", 
-          wordAnalysis: [], 
-          enhanced: false 
-        },
-        toxicity: { 
-          isToxic: false, 
-          toxicityScore: 0, 
-          severity: "none", 
-          categories: [] 
-        },
-        sentimentOverridden: false
+      conversationFilter = {
+        $or: [
+          { receiverId: myId },
+          { senderId: myId, receiverId: { $ne: null } },
+          { groupId: { $in: myGroupIds } },
+        ],
       };
     }
 
-    const finalSentiment = analysisResult.sentiment.value;
+    const filters = [conversationFilter, { isDeleted: { $ne: true } }];
 
-    // ✅ ENCRYPT MESSAGE using Caesar cipher with key=4
-    const encryptedText = text ? encryptCaesar(text) : null;
-    console.log(`🔐 Caesar cipher encryption (key=4):`);
-    console.log(`   Original: "${text}"`);
-    console.log(`   Encrypted: "${encryptedText}"`);
+    // ✅ Text is stored Caesar-shifted; the shift is deterministic and keeps letter case,
+    // so matching the shifted query case-insensitively finds the same hits as plain text
+    if (query.length > 0) {
+      filters.push({ text: { $regex: escapeRegex(encryptCaesar(query)), $options: "i" } });
+    }
 
-    // Create message object
-    const messageData = {
-      senderId,
-      text: encryptedText, // ✅ Store encrypted text
-      image: uploadedImageUrl || null, // ✅ Use Cloudinary URL
-      sentiment: finalSentiment,
-      sentimentAnalysis: analysisResult.sentiment,
-      sentimentOverridden: analysisResult.sentimentOverridden || false,
-      toxicity: analysisResult.toxicity,
-      replyTo: replyTo || null,
-      isEncrypted: true,
-      encryptionMethod: 'caesar',
-      encryptionKey: 4
+    if (senderId) {
+      filters.push({ senderId });
+    }
+
+    if (from || to) {
+      const createdAt = {};
+      if (from) createdAt.$gte = new Date(from);
+      if (to) createdAt.$lte = new Date(to);
+      if (Object.values(createdAt).some((date) => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: "Invalid date range" });
+      }
+      filters.push({ createdAt });
+    }
+
+    if (hasImage === "true") {
+      filters.push({ image: { $nin: [null, ""] } });
+    } else if (hasImage === "false") {
+      filters.push({ image: { $in: [null, ""] } });
+    }
+
+    if (sentiment) {
+      if (!["positive", "negative", "neutral"].includes(sentiment)) {
+        return res.status(400).json({ error: "Invalid sentiment filter" });
+      }
+      filters.push({ sentiment });
+    }
+
+    if (before) {
+      const cursorMessage = await Message.findById(before).select("createdAt");
+      if (!cursorMessage) {
+        return res.status(404).json({ error: "Cursor message not found" });
+      }
+      filters.push(cursorCondition(cursorMessage, "$lt"));
+    }
+
+    let hits = await findMessagePage({ $and: filters }, -1, limit + 1)
+      .populate({
+        path: "groupId",
+        select: "name profilePic members",
+        populate: { path: "members", select: "fullName profilePic" },
+      });
+    const hasMore = hits.length > limit;
+    hits = hits.slice(0, limit);
+
+    const results = await Promise.all(hits.map(async (hit) => {
+      const message = toDecryptedObject(hit);
+      const group = message.groupId;
+
+      const conversation = toConversationRef(message, myId);
+
+      // Surrounding messages from the same conversation
+      let context = { before: [], after: [] };
+      if (contextSize > 0 && (group || (message.senderId && message.receiverId))) {
+        const sameConversation = group
+          ? { groupId: group._id }
+          : {
+              $or: [
+                { senderId: message.senderId._id, receiverId: message.receiverId._id },
+                { senderId: message.receiverId._id, receiverId: message.senderId._id },
+              ],
+            };
+        const [olderMessages, newerMessages] = await Promise.all([
+          findMessagePage({ $and: [sameConversation, cursorCondition(hit, "$lt")] }, -1, contextSize),
+          findMessagePage({ $and: [sameConversation, cursorCondition(hit, "$gt")] }, 1, contextSize),
+        ]);
+        context = {
+          before: olderMessages.reverse().map(toDecryptedObject),
+          after: newerMessages.map(toDecryptedObject),
+        };
+      }
+
+      return {
+        message: { ...message, groupId: group ? group._id : null },
+        conversation,
+        snippet: buildSnippet(message.text, query),
+        context,
+      };
+    }));
+
+    res.status(200).json({
+      results,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? hits[hits.length - 1]._id : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error in searchMessages controller:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+/**
+ * Store the base64 data URL image of a JSON request (scheduled messages, older clients)
+ * @param {string} image - "data:image/…;base64,…"
+ * @returns {Promise<{ imageUrl: string|null, rejection?: Object }>} - rejection is { status, error, code };
+ *   throws when the storage upload itself fails
+ */
+export const uploadMessageImage = async (image) => {
+  if (!image) return { imageUrl: null };
+
+  const buffer = decodeDataUrl(image);
+  const { attachment, rejection } = buffer
+    ? inspectAttachment(buffer, "image")
+    : { rejection: { status: 400, error: "Invalid image data", code: ATTACHMENT_ERRORS.UNSUPPORTED_TYPE } };
+  if (rejection) return { imageUrl: null, rejection };
+  if (attachment.kind !== "image") {
+    return {
+      imageUrl: null,
+      rejection: { status: 415, error: "Only images can be sent this way", code: ATTACHMENT_ERRORS.UNSUPPORTED_TYPE },
     };
+  }
 
-    // Add receiverId or groupId
-    if (groupId) {
-      messageData.groupId = groupId;
-    } else {
-      messageData.receiverId = receiverId;
+  console.log(`📸 Uploading image (${(attachment.size / 1024 / 1024).toFixed(2)}MB)...`);
+  const { url } = await storeAttachment(attachment);
+  return { imageUrl: url };
+};
+
+/**
+ * Store a message and emit it to the DM receiver or group room: analysis, Caesar storage, socket emit
+ * Shared by sendMessage, forwardMessage and the scheduled message worker
+ * @param {Object} fields - { senderId, receiverId, groupId, text, imageUrl, attachment, messageType, poll, sentiment, replyTo, selectedModel, clientMessageId, forwardedFrom }
+ * @returns {Promise<{ message: Object, duplicate: boolean }>} - duplicate is true when clientMessageId was already stored
+ */
+export const deliverMessage = async ({ senderId, receiverId, groupId, text, imageUrl, attachment, messageType, poll, sentiment, replyTo, selectedModel, clientMessageId, forwardedFrom }) => {
+  // Analyze sentiment and toxicity (only if text is provided); voice notes have no text to analyze,
+  // a poll's question stands in for its text
+  const analysisResult = messageType === "voice"
+    ? neutralAnalysis("skipped")
+    : await analyzeMessageText(text || poll?.question, selectedModel, sentiment);
+
+  const finalSentiment = analysisResult.sentiment.value;
+
+  // ✅ ENCRYPT MESSAGE using Caesar cipher with key=4
+  const encryptedText = text ? encryptCaesar(text) : null;
+  console.log(`🔐 Caesar cipher encryption (key=4):`);
+  console.log(`   Original: "${text}"`);
+  console.log(`   Encrypted: "${encryptedText}"`);
+
+  // Create message object
+  const messageData = {
+    senderId,
+    text: encryptedText, // ✅ Store encrypted text
+    image: imageUrl || null, // ✅ URL from the attachment storage
+    attachment: attachment || null,
+    messageType: messageType || "text",
+    poll: poll || undefined,
+    sentiment: finalSentiment,
+    sentimentAnalysis: analysisResult.sentiment,
+    sentimentOverridden: analysisResult.sentimentOverridden || false,
+    toxicity: analysisResult.toxicity,
+    replyTo: replyTo || null,
+    forwardedFrom: forwardedFrom || undefined,
+    clientMessageId: clientMessageId || undefined,
+    isEncrypted: true,
+    encryptionMethod: 'caesar',
+    encryptionKey: 4
+  };
+
+  // ✅ Disappearing messages: stamp the expiry from the conversation's timer
+  messageData.expiresAt = await getExpiresAt(groupId ? { groupId } : { userIds: [senderId, receiverId] });
+
+  // ✅ Mentions: "@Full Name" of other group members, stored as user ids
+  let mentionGroup = null;
+  if (groupId && text?.includes("@")) {
+    mentionGroup = await loadMentionGroup(groupId);
+    messageData.mentions = mentionGroup ? resolveMentions(text, mentionGroup.members, senderId) : [];
+  }
+
+  // Add receiverId or groupId
+  if (groupId) {
+    messageData.groupId = groupId;
+  } else {
+    messageData.receiverId = receiverId;
+    // ✅ The receiver is online, so the socket emit below delivers it right away; an invisible
+    // receiver's receipt waits until they reappear
+    if (getReceiverSocketId(receiverId) && !(await isInvisible(receiverId))) {
+      messageData.deliveredAt = new Date();
     }
+  }
 
-    const newMessage = new Message(messageData);
+  const newMessage = new Message(messageData);
+  try {
     await newMessage.save();
+  } catch (saveError) {
+    // Two retries of the same send raced past the caller's lookup; the unique index kept one
+    if (saveError.code === 11000 && clientMessageId) {
+      const existing = await findExistingClientMessage(senderId, clientMessageId);
+      if (existing) return { message: existing, duplicate: true };
+    }
+    throw saveError;
+  }
 
-    console.log("✅ Message saved successfully (encrypted)");
+  console.log("✅ Message saved successfully (encrypted)");
 
-    // Populate for response
-    await newMessage.populate("senderId", "fullName profilePic email");
-    if (receiverId) {
-      await newMessage.populate("receiverId", "fullName profilePic email");
+  // Populate for response
+  await newMessage.populate("senderId", "fullName profilePic email");
+  if (receiverId) {
+    await newMessage.populate("receiverId", "fullName profilePic email");
+  }
+  if (replyTo) {
+    await newMessage.populate({
+      path: "replyTo",
+      populate: { path: "senderId", select: "fullName profilePic email" }
+    });
+  }
+  if (forwardedFrom) {
+    await newMessage.populate("forwardedFrom.senderId", "fullName profilePic");
+  }
+
+  const messageForSocket = newMessage.toObject();
+  
+  // ✅ DECRYPT for socket emission
+  if (messageForSocket.isEncrypted && messageForSocket.text) {
+    messageForSocket.text = decryptCaesar(messageForSocket.text);
+    messageForSocket.isDecryptedForDisplay = true;
+    console.log(`🔓 Decrypted for socket: "${messageForSocket.text}"`);
+  }
+
+  // ✅ DECRYPT replyTo message for socket emission
+  if (messageForSocket.replyTo && messageForSocket.replyTo.isEncrypted && messageForSocket.replyTo.text) {
+    messageForSocket.replyTo.text = decryptCaesar(messageForSocket.replyTo.text);
+    messageForSocket.replyTo.isDecryptedForDisplay = true;
+    console.log(`🔓 Decrypted replyTo for socket: "${messageForSocket.replyTo.text}"`);
+  }
+
+  // ✅ EMIT SOCKET EVENTS - Only emit ONCE per message
+  if (groupId) {
+    console.log("📡 Emitting newMessage to group:", groupId);
+    io.to(groupId.toString()).emit("newMessage", messageForSocket);
+  } else {
+    // Emit to receiver
+    const receiverSocketId = getReceiverSocketId(receiverId);
+    console.log("📡 Receiver socketId lookup:", { receiverId, receiverSocketId });
+    if (receiverSocketId) {
+      io.to(receiverSocketId).emit("newMessage", messageForSocket);
+      console.log("✅ Socket event emitted to receiver:", receiverSocketId);
+    } else {
+      console.log("⚠️ No receiver socket found for receiverId:", receiverId);
     }
-    if (replyTo) {
-      await newMessage.populate({
-        path: "replyTo",
-        populate: { path: "senderId", select: "fullName profilePic email" }
-      });
+    
+    // Emit to sender (so they see their own message in real-time)
+    const senderIdStr = senderId.toString();
+    const senderSocketId = getReceiverSocketId(senderIdStr);
+    console.log("📡 Sender socketId lookup:", { senderId: senderIdStr, senderSocketId });
+    if (senderSocketId) {
+      io.to(senderSocketId).emit("newMessage", messageForSocket);
+      console.log("✅ Socket event emitted to sender:", senderSocketId);
+    } else {
+      console.log("⚠️ No sender socket found for senderId:", senderIdStr);
     }
+  }
+
+  if (messageData.mentions?.length > 0) {
+    emitMentions(messageForSocket, messageData.mentions, mentionGroup);
+  }
+
+  // ✅ Link preview: fetched in the background and pushed as messageLinkPreview when ready
+  if (text) {
+    linkPreviewService.attachToMessage(newMessage, text);
+  }
+
+  return { message: messageForSocket, duplicate: false };
+};
 
-    const messageForSocket = newMessage.toObject();
+export const sendMessage = async (req, res) => {
+  try {
+    const { text, image, groupId, sentiment, replyTo, selectedModel, clientMessageId, messageType } = req.body;
+    const receiverId = req.params.id;
+    const senderId = req.user._id;
+
+    console.log("📨 [START] sendMessage called");
+    console.log("   - Text:", text?.substring(0, 50) || "EMPTY");
+    console.log("   - Has Image:", !!image);
+    console.log("   - Attachment:", req.file ? `${req.file.originalname} (${req.file.size} bytes)` : "none");
+    console.log("   - Receiver ID:", receiverId);
+    console.log("   - Sender ID:", senderId);
+    console.log("   - Group ID:", groupId);
+    console.log("   - Selected Model:", selectedModel);
+
+    // ✅ VALIDATE: At least text or an attachment must be present
+    if (!text?.trim() && !image && !req.file) {
+      console.log("❌ Message validation failed: Neither text nor attachment provided");
+      return res.status(400).json({ message: "Message must contain text or an attachment" });
+    }
     
-    // ✅ DECRYPT for socket emission
-    if (messageForSocket.isEncrypted && messageForSocket.text) {
-      messageForSocket.text = decryptCaesar(messageForSocket.text);
-      messageForSocket.isDecryptedForDisplay = true;
-      console.log(`🔓 Decrypted for socket: "${messageForSocket.text}"`);
+    console.log("✅ Message validation passed");
+
+    // ✅ IDEMPOTENCY: a retried send from the client outbox returns the message already stored
+    if (clientMessageId !== undefined) {
+      if (typeof clientMessageId !== "string" || !clientMessageId || clientMessageId.length > 64) {
+        return res.status(400).json({ message: "Invalid clientMessageId" });
+      }
+
+      const existing = await findExistingClientMessage(senderId, clientMessageId);
+      if (existing) {
+        console.log("♻️ Duplicate send ignored for clientMessageId:", clientMessageId);
+        return res.status(200).json(existing);
+      }
     }
 
-    // ✅ DECRYPT replyTo message for socket emission
-    if (messageForSocket.replyTo && messageForSocket.replyTo.isEncrypted && messageForSocket.replyTo.text) {
-      messageForSocket.replyTo.text = decryptCaesar(messageForSocket.replyTo.text);
-      messageForSocket.replyTo.isDecryptedForDisplay = true;
-      console.log(`🔓 Decrypted replyTo for socket: "${messageForSocket.replyTo.text}"`);
+    // ✅ THREADS: a reply stays in the conversation of the message it answers
+    if (replyTo && !(await isReplyInConversation(replyTo, { senderId, receiverId, groupId }))) {
+      return res.status(400).json({ message: "You can only reply to a message in this conversation" });
     }
 
-    // ✅ EMIT SOCKET EVENTS - Only emit ONCE per message
-    if (groupId) {
-      console.log("📡 Emitting newMessage to group:", groupId);
-      io.to(groupId.toString()).emit("newMessage", messageForSocket);
-    } else {
-      // Emit to receiver
-      const receiverSocketId = getReceiverSocketId(receiverId);
-      console.log("📡 Receiver socketId lookup:", { receiverId, receiverSocketId });
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit("newMessage", messageForSocket);
-        console.log("✅ Socket event emitted to receiver:", receiverSocketId);
-      } else {
-        console.log("⚠️ No receiver socket found for receiverId:", receiverId);
+    // ✅ ATTACHMENT: a multipart file is typed and size-checked from its content, never from what the
+    // client declares; uploaded images are shown inline like the base64 `image` of JSON sends
+    let upload = null;
+    if (req.file) {
+      const { attachment, rejection } = inspectAttachment(req.file.buffer, req.file.originalname);
+      if (rejection) {
+        console.log(`🚫 Attachment rejected: ${rejection.code}`);
+        return res.status(rejection.status).json({ message: rejection.error, code: rejection.code });
       }
-      
-      // Emit to sender (so they see their own message in real-time)
-      const senderIdStr = senderId.toString();
-      const senderSocketId = getReceiverSocketId(senderIdStr);
-      console.log("📡 Sender socketId lookup:", { senderId: senderIdStr, senderSocketId });
-      if (senderSocketId) {
-        io.to(senderSocketId).emit("newMessage", messageForSocket);
-        console.log("✅ Socket event emitted to sender:", senderSocketId);
-      } else {
-        console.log("⚠️ No sender socket found for senderId:", senderIdStr);
+      upload = attachment;
+    }
+
+    // ✅ VOICE NOTE: an audio recording on its own, with the duration and waveform the client measured
+    let voiceNote = null;
+    if (messageType === "voice") {
+      if (!upload || text?.trim()) {
+        return res.status(400).json({ message: "A voice note is a single recording without text" });
+      }
+      const inspected = inspectVoiceNote(upload, req.body);
+      if (inspected.rejection) {
+        const { rejection } = inspected;
+        return res.status(rejection.status).json({ message: rejection.error, code: rejection.code });
       }
+      voiceNote = inspected.voiceNote;
+    } else if (messageType !== undefined && messageType !== "text") {
+      return res.status(400).json({ message: "Invalid message type" });
     }
 
+    let uploadedImageUrl = null;
+    let storedAttachment = null;
+    try {
+      if (upload?.kind === "image") {
+        uploadedImageUrl = (await storeAttachment(upload)).url;
+      } else if (upload) {
+        storedAttachment = { ...(await storeAttachment(upload)), ...voiceNote };
+      } else if (image) {
+        const { imageUrl, rejection } = await uploadMessageImage(image);
+        if (rejection) {
+          return res.status(rejection.status).json({ message: rejection.error, code: rejection.code });
+        }
+        uploadedImageUrl = imageUrl;
+      }
+    } catch (uploadError) {
+      console.error("❌ Attachment upload failed:", uploadError.message);
+      return res.status(502).json({ message: "Couldn't upload the attachment, please try again" });
+    }
+
+    const { message: messageForSocket, duplicate } = await deliverMessage({
+      senderId,
+      receiverId,
+      groupId,
+      text,
+      imageUrl: uploadedImageUrl,
+      attachment: storedAttachment,
+      messageType: voiceNote ? "voice" : "text",
+      sentiment,
+      replyTo,
+      selectedModel,
+      clientMessageId,
+    });
+    if (duplicate) return res.status(200).json(messageForSocket);
+
     // Return the decrypted message
     res.status(201).json(messageForSocket);
   } catch (error) {
@@ -327,10 +1031,107 @@ export const sendMessage = async (req, res) => {
   }
 };
 
+// Copy a message (text and image) into one or more DMs and groups; each copy is analyzed again
+export const forwardMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { receiverIds = [], groupIds = [], selectedModel } = req.body;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ error: "Invalid message ID" });
+    }
+    if (!Array.isArray(receiverIds) || !Array.isArray(groupIds)) {
+      return res.status(400).json({ error: "receiverIds and groupIds must be arrays" });
+    }
+
+    const uniqueReceiverIds = [...new Set(receiverIds.map(String))];
+    const uniqueGroupIds = [...new Set(groupIds.map(String))];
+    const targetCount = uniqueReceiverIds.length + uniqueGroupIds.length;
+    if (targetCount === 0) {
+      return res.status(400).json({ error: "Choose at least one conversation" });
+    }
+    if (targetCount > MAX_FORWARD_TARGETS) {
+      return res.status(400).json({ error: `You can forward to at most ${MAX_FORWARD_TARGETS} conversations at once` });
+    }
+
+    const original = await Message.findById(messageId).select("-revisions");
+    if (!original) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    // Only messages the forwarder could open themselves
+    if (!(await canReadMessage(original, userId))) {
+      console.log(`🚫 forward denied for ${userId} on ${messageId}: ${PERMISSION_ERRORS.NOT_PARTICIPANT}`);
+      return res.status(403).json({
+        code: PERMISSION_ERRORS.NOT_PARTICIPANT,
+        error: "You can only forward messages from your own conversations",
+      });
+    }
+    // A poll's votes belong to its group, so polls aren't copied either
+    if (original.isDeleted || original.messageType === "system" || original.messageType === "poll") {
+      return res.status(400).json({ error: "This message can't be forwarded" });
+    }
+
+    // Destinations the user may post to: existing users, and groups they are a member of
+    const validIds = (ids) => ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const [receivers, groups] = await Promise.all([
+      User.find({ _id: { $in: validIds(uniqueReceiverIds), $ne: userId } }).select("_id"),
+      Group.find({ _id: { $in: validIds(uniqueGroupIds) }, members: userId }).select("_id"),
+    ]);
+    const allowedReceivers = new Set(receivers.map((receiver) => receiver._id.toString()));
+    const allowedGroups = new Set(groups.map((group) => group._id.toString()));
+
+    const text = original.isEncrypted && original.text ? decryptCaesar(original.text) : original.text;
+    // A forward of a forward still credits the original author
+    const forwardedFrom = original.forwardedFrom?.messageId
+      ? { messageId: original.forwardedFrom.messageId, senderId: original.forwardedFrom.senderId }
+      : { messageId: original._id, senderId: original.senderId };
+
+    const targets = [
+      ...uniqueReceiverIds.map((receiverId) => ({ receiverId, allowed: allowedReceivers.has(receiverId) })),
+      ...uniqueGroupIds.map((groupId) => ({ groupId, allowed: allowedGroups.has(groupId) })),
+    ];
+
+    const messages = [];
+    const failed = [];
+    // One at a time: every copy goes through the toxicity and sentiment pipeline
+    for (const { receiverId, groupId, allowed } of targets) {
+      if (!allowed) {
+        failed.push({ receiverId, groupId, error: groupId ? "Group not found" : "User not found" });
+        continue;
+      }
+
+      try {
+        const { message } = await deliverMessage({
+          senderId: userId,
+          receiverId,
+          groupId,
+          text,
+          imageUrl: original.image,
+          attachment: original.attachment,
+          messageType: original.messageType,
+          selectedModel,
+          forwardedFrom,
+        });
+        messages.push(message);
+      } catch (error) {
+        console.error("❌ forwardMessage delivery error:", error.message);
+        failed.push({ receiverId, groupId, error: "Failed to forward" });
+      }
+    }
+
+    console.log(`↪️ Message ${messageId} forwarded to ${messages.length} conversation(s), ${failed.length} failed`);
+    res.status(messages.length > 0 ? 201 : 400).json({ messages, failed });
+  } catch (error) {
+    console.error("❌ forwardMessage error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
 export const editMessage = async (req, res) => {
   try {
     const { messageId } = req.params;
-    const { newText } = req.body;
+    const { newText, selectedModel } = req.body;
     const userId = req.user._id;
 
     // Find the message
@@ -339,25 +1140,86 @@ export const editMessage = async (req, res) => {
       return res.status(404).json({ error: "Message not found" });
     }
 
-    // Check if user is the sender or receiver (for private messages) or group member (for group messages)
-    const isPrivateMessage = message.receiverId && !message.groupId;
-    const isSender = message.senderId.toString() === userId.toString();
-    const isReceiver = isPrivateMessage && message.receiverId.toString() === userId.toString();
-    const isGroupMember = message.groupId ? (await Group.findOne({ _id: message.groupId, members: userId })) : false;
+    const denied = await checkMessagePermission(message, userId, "edit");
+    if (denied) {
+      console.log(`🚫 edit denied for ${userId} on ${messageId}: ${denied.code}`);
+      return res.status(403).json(denied);
+    }
+
+    if (message.isDeleted) {
+      return res.status(400).json({ error: "Deleted messages can't be edited" });
+    }
+
+    if (message.messageType === "system") {
+      return res.status(400).json({ error: "System messages can't be edited" });
+    }
+
+    if (message.messageType === "voice") {
+      return res.status(400).json({ error: "Voice notes can't be edited" });
+    }
+
+    if (message.messageType === "poll") {
+      return res.status(400).json({ error: "Polls can't be edited" });
+    }
 
-    if (!isSender && !isReceiver && !isGroupMember) {
-      return res.status(403).json({ error: "You don't have permission to edit this message" });
+    if (!newText?.trim() && !message.image && !message.attachment) {
+      return res.status(400).json({ error: "Message must contain text or image" });
     }
 
+    // ✅ Re-run sentiment/toxicity on the new text so the stored analysis matches what is shown
+    const analysisResult = await analyzeMessageText(newText, selectedModel, message.sentiment);
+
     // ✅ ENCRYPT the new text using Caesar cipher
     const encryptedText = newText ? encryptCaesar(newText) : null;
     console.log(`🔐 Caesar cipher encryption for edited message (key=4):`);
     console.log(`   Original: "${newText}"`);
     console.log(`   Encrypted: "${encryptedText}"`);
 
+    // ✅ Keep the audit trail: the original version on first edit, then every new version
+    const editedAt = new Date();
+    if (message.revisions.length === 0) {
+      message.revisions.push({
+        text: message.text,
+        editedAt: message.createdAt,
+        editedBy: message.senderId,
+        sentiment: message.sentiment,
+        toxicity: message.toxicity,
+      });
+    }
+    message.revisions.push({
+      text: encryptedText,
+      editedAt,
+      editedBy: userId,
+      sentiment: analysisResult.sentiment.value,
+      toxicity: analysisResult.toxicity,
+    });
+
+    // ✅ Mentions follow the new text; only members newly mentioned are notified
+    let mentionGroup = null;
+    let newMentions = [];
+    if (message.groupId) {
+      mentionGroup = await loadMentionGroup(message.groupId);
+      const mentions = mentionGroup ? resolveMentions(newText, mentionGroup.members, message.senderId) : [];
+      const previous = new Set(message.mentions.map((id) => id.toString()));
+      newMentions = mentions.filter((id) => !previous.has(id.toString()));
+      message.mentions = mentions;
+    }
+
+    // ✅ A different first link drops the old card; the new one is fetched after saving
+    const previousText = message.text && message.isEncrypted ? decryptCaesar(message.text) : message.text;
+    const linkChanged = extractFirstUrl(newText) !== extractFirstUrl(previousText);
+    if (linkChanged) {
+      message.linkPreview = null;
+    }
+
     // Update message
     message.text = encryptedText;
     message.edited = true;
+    message.editedAt = editedAt;
+    message.sentiment = analysisResult.sentiment.value;
+    message.sentimentAnalysis = analysisResult.sentiment;
+    message.sentimentOverridden = analysisResult.sentimentOverridden || false;
+    message.toxicity = analysisResult.toxicity;
     await message.save();
 
     // Populate for response
@@ -373,6 +1235,7 @@ export const editMessage = async (req, res) => {
     }
 
     const messageForSocket = message.toObject();
+    delete messageForSocket.revisions; // edit history is only served by getEditHistory
 
     // ✅ DECRYPT for socket emission
     if (messageForSocket.isEncrypted && messageForSocket.text) {
@@ -412,6 +1275,14 @@ export const editMessage = async (req, res) => {
       }
     }
 
+    if (newMentions.length > 0) {
+      emitMentions(messageForSocket, newMentions, mentionGroup);
+    }
+
+    if (linkChanged && newText) {
+      linkPreviewService.attachToMessage(message, newText);
+    }
+
     res.status(200).json(messageForSocket);
   } catch (error) {
     console.error("❌ editMessage error:", error);
@@ -430,20 +1301,26 @@ export const deleteMessage = async (req, res) => {
       return res.status(404).json({ error: "Message not found" });
     }
 
-    // Check if user is the sender or receiver (for private messages) or group member (for group messages)
-    const isPrivateMessage = message.receiverId && !message.groupId;
-    const isSender = message.senderId.toString() === userId.toString();
-    const isReceiver = isPrivateMessage && message.receiverId.toString() === userId.toString();
-    const isGroupMember = message.groupId ? (await Group.findOne({ _id: message.groupId, members: userId })) : false;
-
-    if (!isSender && !isReceiver && !isGroupMember) {
-      return res.status(403).json({ error: "You don't have permission to delete this message" });
+    const denied = await checkMessagePermission(message, userId, "delete");
+    if (denied) {
+      console.log(`🚫 delete denied for ${userId} on ${messageId}: ${denied.code}`);
+      return res.status(403).json(denied);
     }
 
     // Soft delete - mark as deleted instead of actually removing
     message.isDeleted = true;
     message.text = null; // Clear the text
+    message.linkPreview = null;
+    message.attachment = null;
+    message.poll = undefined;
+    // A deleted message no longer takes up one of the conversation's pin slots
+    message.pinned = false;
+    message.pinnedAt = null;
+    message.pinnedBy = null;
     await message.save();
+    if (message.messageType === "poll") {
+      await PollVote.deleteMany({ messageId: message._id });
+    }
 
     console.log("✅ Message marked as deleted:", messageId);
 
@@ -454,6 +1331,7 @@ export const deleteMessage = async (req, res) => {
     }
 
     const messageForSocket = message.toObject();
+    delete messageForSocket.revisions; // edit history is only served by getEditHistory
 
     // ✅ DECRYPT replyTo message for socket emission
     if (messageForSocket.replyTo && messageForSocket.replyTo.isEncrypted && messageForSocket.replyTo.text) {
@@ -504,30 +1382,57 @@ export const pinMessage = async (req, res) => {
       return res.status(404).json({ error: "Message not found" });
     }
 
-    // Check if user is the sender or receiver (for private messages) or group member (for group messages)
-    const isPrivateMessage = message.receiverId && !message.groupId;
-    const isSender = message.senderId.toString() === userId.toString();
-    const isReceiver = isPrivateMessage && message.receiverId.toString() === userId.toString();
-    const isGroupMember = message.groupId ? (await Group.findOne({ _id: message.groupId, members: userId })) : false;
-
-    if (!isSender && !isReceiver && !isGroupMember) {
-      return res.status(403).json({ error: "You don't have permission to pin this message" });
+    const denied = await checkMessagePermission(message, userId, "pin");
+    if (denied) {
+      console.log(`🚫 pin denied for ${userId} on ${messageId}: ${denied.code}`);
+      return res.status(403).json(denied);
     }
 
-    // Toggle pin status
-    const wasPinned = message.pinned;
-    message.pinned = !message.pinned;
+    // An explicit { pinned } sets the state; without it the pin toggles
+    const shouldPin = typeof req.body?.pinned === "boolean" ? req.body.pinned : !message.pinned;
+
+    if (shouldPin && !message.pinned) {
+      if (message.isDeleted) {
+        return res.status(400).json({ error: "Deleted messages can't be pinned" });
+      }
+
+      // ✅ Each conversation holds a limited number of pins (groups choose theirs)
+      const group = message.groupId ? await Group.findById(message.groupId).select("pinLimit") : null;
+      const pinLimit = group?.pinLimit || DEFAULT_PIN_LIMIT;
+      const pinCount = await Message.countDocuments({
+        ...pinConversationFilter(message),
+        pinned: true,
+      });
+      if (pinCount >= pinLimit) {
+        return res.status(400).json({
+          error: `You can pin up to ${pinLimit} messages here. Unpin one first.`,
+          code: PERMISSION_ERRORS.PIN_LIMIT_REACHED,
+        });
+      }
+
+      message.pinned = true;
+      message.pinnedAt = new Date();
+      message.pinnedBy = userId;
+    } else if (!shouldPin && message.pinned) {
+      message.pinned = false;
+      message.pinnedAt = null;
+      message.pinnedBy = null;
+    }
     await message.save();
 
-    console.log(`✅ Message ${wasPinned ? 'unpinned' : 'pinned'}: ${messageId}`);
+    console.log(`✅ Message ${message.pinned ? 'pinned' : 'unpinned'}: ${messageId}`);
 
     // Populate for response
     await message.populate("senderId", "fullName profilePic email");
     if (message.receiverId) {
       await message.populate("receiverId", "fullName profilePic email");
     }
+    if (message.pinnedBy) {
+      await message.populate("pinnedBy", "fullName profilePic");
+    }
 
     const messageForSocket = message.toObject();
+    delete messageForSocket.revisions; // edit history is only served by getEditHistory
 
     // ✅ DECRYPT for socket emission if encrypted
     if (messageForSocket.isEncrypted && messageForSocket.text) {
@@ -549,9 +1454,10 @@ export const pinMessage = async (req, res) => {
       io.to(message.groupId.toString()).emit("messagePinned", messageForSocket);
     } else {
       // For DM: emit to both sender and receiver
+      // Either participant may pin, so address the message's own sender rather than the caller
       console.log("📡 Emitting messagePinned to both users");
-      const receiverSocketId = getReceiverSocketId(message.receiverId.toString());
-      const senderSocketId = getReceiverSocketId(userId.toString());
+      const receiverSocketId = getReceiverSocketId(message.receiverId._id.toString());
+      const senderSocketId = getReceiverSocketId(message.senderId._id.toString());
       
       console.log("   Receiver Socket ID:", receiverSocketId);
       console.log("   Sender Socket ID:", senderSocketId);
@@ -572,4 +1478,186 @@ export const pinMessage = async (req, res) => {
     console.error("❌ pinMessage error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
-};
\ No newline at end of file
+};
+// Set or clear a conversation's disappearing messages timer and post a notice in the chat
+export const setMessageTtl = async (req, res) => {
+  try {
+    const { receiverId, groupId, ttl } = req.body;
+    const userId = req.user._id;
+    const messageTtl = ttl ? Number(ttl) : null;
+
+    if (messageTtl !== null && !MESSAGE_TTL_OPTIONS[messageTtl]) {
+      return res.status(400).json({ error: `Timer must be one of ${Object.keys(MESSAGE_TTL_OPTIONS).join(", ")} seconds, or off` });
+    }
+    if (!receiverId === !groupId) {
+      return res.status(400).json({ error: "Choose either a receiver or a group" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(groupId || receiverId)) {
+      return res.status(400).json({ error: "Invalid conversation" });
+    }
+
+    // DM participants can change the timer; in groups it's the admin and moderators
+    if (groupId) {
+      const group = await Group.findById(groupId).select("admin moderators members pinPermission");
+      if (!group) {
+        return res.status(404).json({ error: "Group not found" });
+      }
+      const permissions = getGroupPermissions(group, userId);
+      if (!permissions.role) {
+        return res.status(403).json({ error: "You are not a member of this group", code: PERMISSION_ERRORS.NOT_PARTICIPANT });
+      }
+      if (!permissions.canModerate) {
+        return res.status(403).json({ error: "Only the group admin or a moderator can change this", code: PERMISSION_ERRORS.NOT_MODERATOR });
+      }
+    } else if (receiverId === userId.toString() || !(await User.exists({ _id: receiverId }))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const conversation = groupId ? { groupId } : { userIds: [userId, receiverId] };
+    const previousTtl = await getMessageTtl(conversation);
+    if (previousTtl === messageTtl) {
+      return res.status(200).json({ messageTtl, message: null });
+    }
+
+    await ConversationSetting.findOneAndUpdate(
+      { key: getConversationKey(conversation) },
+      { $set: { messageTtl, updatedBy: userId } },
+      { upsert: true }
+    );
+
+    const noticeText = messageTtl
+      ? `${req.user.fullName} set disappearing messages to ${MESSAGE_TTL_OPTIONS[messageTtl]}`
+      : `${req.user.fullName} turned off disappearing messages`;
+
+    // The notice itself never expires, so the change stays visible in the history
+    const notice = await Message.create({
+      senderId: userId,
+      receiverId: groupId ? undefined : receiverId,
+      groupId: groupId || undefined,
+      text: encryptCaesar(noticeText),
+      messageType: "system",
+      isEncrypted: true,
+      encryptionMethod: 'caesar',
+      encryptionKey: 4,
+    });
+    await notice.populate("senderId", "fullName profilePic email");
+    if (!groupId) {
+      await notice.populate("receiverId", "fullName profilePic email");
+    }
+
+    const noticeForSocket = toDecryptedObject(notice);
+    delete noticeForSocket.revisions;
+    const ttlUpdate = { groupId: groupId || null, userIds: groupId ? null : [userId, receiverId], messageTtl };
+
+    console.log(`⏳ Disappearing messages ${messageTtl ? `set to ${messageTtl}s` : "turned off"}:`, getConversationKey(conversation));
+
+    if (groupId) {
+      io.to(groupId.toString()).emit("newMessage", noticeForSocket);
+      io.to(groupId.toString()).emit("messageTtlUpdated", ttlUpdate);
+    } else {
+      [userId.toString(), receiverId].forEach((participantId) => {
+        const socketId = getReceiverSocketId(participantId);
+        if (socketId) {
+          io.to(socketId).emit("newMessage", noticeForSocket);
+          io.to(socketId).emit("messageTtlUpdated", ttlUpdate);
+        }
+      });
+    }
+
+    res.status(200).json({ messageTtl, message: noticeForSocket });
+  } catch (error) {
+    console.error("❌ setMessageTtl error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// A conversation's pinned messages, newest pin first, without loading its history
+export const getPins = async (req, res) => {
+  try {
+    const { id: userToChatId } = req.params;
+    const { groupId } = req.query;
+    const myId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId || userToChatId)) {
+      return res.status(400).json({ error: "Invalid conversation" });
+    }
+
+    let pinLimit = DEFAULT_PIN_LIMIT;
+    if (groupId) {
+      const group = await Group.findOne({ _id: groupId, members: myId }).select("pinLimit");
+      if (!group) {
+        return res.status(404).json({ error: "Group not found" });
+      }
+      pinLimit = group.pinLimit || DEFAULT_PIN_LIMIT;
+    }
+
+    const filter = groupId
+      ? { groupId }
+      : pinConversationFilter({ senderId: myId, receiverId: userToChatId });
+
+    const pins = await Message.find({ ...filter, pinned: true })
+      .select("-revisions")
+      .sort({ pinnedAt: -1 })
+      .limit(MAX_PIN_LIMIT)
+      .populate("senderId", "fullName profilePic")
+      .populate("pinnedBy", "fullName profilePic");
+
+    res.status(200).json({ pins: pins.map(toDecryptedObject), limit: pinLimit });
+  } catch (error) {
+    console.error("❌ getPins error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Group messages that mention the signed-in user, newest first (notifications page)
+export const getMentions = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || MENTION_PAGE_SIZE, 1), MAX_MENTION_PAGE_SIZE);
+
+    // Only groups the user still belongs to
+    const myGroups = await Group.find({ members: myId }).select("_id");
+    const filters = [{ mentions: myId, groupId: { $in: myGroups.map((group) => group._id) }, isDeleted: { $ne: true } }];
+
+    if (before) {
+      if (!mongoose.Types.ObjectId.isValid(before)) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      const cursorMessage = await Message.findById(before).select("createdAt");
+      if (!cursorMessage) {
+        return res.status(404).json({ error: "Cursor message not found" });
+      }
+      filters.push(cursorCondition(cursorMessage, "$lt"));
+    }
+
+    let hits = await findMessagePage({ $and: filters }, -1, limit + 1)
+      .populate({
+        path: "groupId",
+        select: "name profilePic members",
+        populate: { path: "members", select: "fullName profilePic" },
+      });
+    const hasMore = hits.length > limit;
+    hits = hits.slice(0, limit);
+
+    const items = hits.map((hit) => {
+      const message = toDecryptedObject(hit);
+      return {
+        message: { ...message, groupId: message.groupId._id },
+        conversation: toConversationRef(message, myId),
+      };
+    });
+
+    res.status(200).json({
+      items,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? hits[hits.length - 1]._id : null,
+      },
+    });
+  } catch (error) {
+    console.error("❌ getMentions error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
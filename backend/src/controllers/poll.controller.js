@@ -0,0 +1,184 @@
+import mongoose from "mongoose";
+
+import Message from "../models/message.model.js";
+import Group from "../models/group.model.js";
+import PollVote from "../models/pollVote.model.js";
+import { io } from "../lib/socket.js";
+import { PERMISSION_ERRORS, getGroupPermissions } from "../lib/messagePermissions.js";
+import { isPollClosed, normalizeVote, parsePollInput, tallyPoll } from "../lib/polls.js";
+import { canReadMessage, deliverMessage } from "./message.controller.js";
+
+const findVotes = (filter) =>
+  PollVote.find(filter).select("messageId userId optionIds").populate("userId", "fullName profilePic");
+
+/**
+ * Results of the poll messages in a page, with the user's own choices as `myVotes`
+ * @param {Array} pollMessages - Messages of type "poll"
+ * @param {string} userId - The viewer
+ * @returns {Promise<Map<string, Object>>} - Keyed by message id (see tallyPoll for the shape)
+ */
+export const getPollResults = async (pollMessages, userId) => {
+  const results = new Map();
+  const polls = pollMessages.filter((message) => message.poll);
+  if (polls.length === 0) return results;
+
+  const votes = await findVotes({ messageId: { $in: polls.map((message) => message._id) } });
+  const votesByMessage = new Map();
+  votes.forEach((vote) => {
+    const key = vote.messageId.toString();
+    votesByMessage.set(key, [...(votesByMessage.get(key) || []), vote]);
+  });
+
+  polls.forEach((message) => {
+    const key = message._id.toString();
+    const messageVotes = votesByMessage.get(key) || [];
+    const mine = messageVotes.find((vote) => vote.userId?._id.toString() === userId.toString());
+    results.set(key, {
+      ...tallyPoll(message.poll, messageVotes),
+      myVotes: mine ? mine.optionIds.map(String) : [],
+    });
+  });
+  return results;
+};
+
+// Recount a poll and push the tally to its group room. Everyone gets the same payload, so it never
+// carries anyone's own choices; each client keeps its own myVotes.
+const publishPollResults = async (message) => {
+  const results = tallyPoll(message.poll, await findVotes({ messageId: message._id }));
+  io.to(message.groupId.toString()).emit("pollUpdated", {
+    messageId: message._id,
+    groupId: message.groupId,
+    results,
+  });
+  return results;
+};
+
+// The poll message behind a vote or close request, after the group membership check
+const loadPollForMember = async (req, res) => {
+  const { messageId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400).json({ error: "Invalid message ID" });
+    return null;
+  }
+
+  const message = await Message.findById(messageId).select("senderId groupId isDeleted messageType poll");
+  if (!message || message.messageType !== "poll" || message.isDeleted || !message.poll) {
+    res.status(404).json({ error: "Poll not found" });
+    return null;
+  }
+  if (!(await canReadMessage(message, req.user._id))) {
+    res.status(403).json({ code: PERMISSION_ERRORS.NOT_PARTICIPANT, error: "Only group members can take part in this poll" });
+    return null;
+  }
+  return message;
+};
+
+// Post a poll to a group the user is a member of
+export const createPoll = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { selectedModel } = req.body;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ error: "Invalid group ID" });
+    }
+    if (!(await Group.exists({ _id: groupId, members: userId }))) {
+      return res.status(403).json({ code: PERMISSION_ERRORS.NOT_PARTICIPANT, error: "You are not a member of this group" });
+    }
+
+    const { poll, error } = parsePollInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { message } = await deliverMessage({
+      senderId: userId,
+      groupId,
+      text: null,
+      messageType: "poll",
+      poll,
+      selectedModel,
+    });
+
+    console.log(`📊 Poll created in group ${groupId}: ${message._id}`);
+    res.status(201).json({ ...message, pollResults: { ...tallyPoll(message.poll, []), myVotes: [] } });
+  } catch (error) {
+    console.error("❌ createPoll error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Cast, change or (with no options) withdraw the user's vote
+export const votePoll = async (req, res) => {
+  try {
+    const message = await loadPollForMember(req, res);
+    if (!message) return;
+
+    if (isPollClosed(message.poll)) {
+      return res.status(400).json({ error: "This poll is closed" });
+    }
+
+    const { optionIds, error } = normalizeVote(message.poll, req.body.optionIds);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const userId = req.user._id;
+    if (optionIds.length === 0) {
+      await PollVote.deleteOne({ messageId: message._id, userId });
+    } else {
+      const saveVote = () =>
+        PollVote.findOneAndUpdate({ messageId: message._id, userId }, { $set: { optionIds } }, { upsert: true, new: true });
+      try {
+        await saveVote();
+      } catch (saveError) {
+        // Another vote of the same user (a double click, a second device) inserted first; the unique
+        // index kept theirs, which this one now updates
+        if (saveError.code !== 11000) throw saveError;
+        await saveVote();
+      }
+    }
+
+    const results = await publishPollResults(message);
+    res.status(200).json({ messageId: message._id, results: { ...results, myVotes: optionIds } });
+  } catch (error) {
+    console.error("❌ votePoll error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Stop a poll taking votes before its closing time: its creator or a group admin/moderator
+export const closePoll = async (req, res) => {
+  try {
+    const message = await loadPollForMember(req, res);
+    if (!message) return;
+
+    const userId = req.user._id;
+    if (message.senderId.toString() !== userId.toString()) {
+      const group = await Group.findById(message.groupId).select("admin moderators members");
+      if (!group || !getGroupPermissions(group, userId).canModerate) {
+        return res.status(403).json({
+          code: PERMISSION_ERRORS.NOT_MODERATOR,
+          error: "Only the poll's creator or a group moderator can close it",
+        });
+      }
+    }
+    if (isPollClosed(message.poll)) {
+      return res.status(400).json({ error: "This poll is already closed" });
+    }
+
+    message.poll.closedAt = new Date();
+    await message.save();
+
+    const myVote = await PollVote.findOne({ messageId: message._id, userId }).select("optionIds");
+    const results = await publishPollResults(message);
+    res.status(200).json({
+      messageId: message._id,
+      results: { ...results, myVotes: myVote ? myVote.optionIds.map(String) : [] },
+    });
+  } catch (error) {
+    console.error("❌ closePoll error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
@@ -1,6 +1,9 @@
+import mongoose from "mongoose";
+
 import Reaction from "../models/reaction.model.js";
 import Message from "../models/message.model.js";
 import { getReceiverSocketId, io } from "../lib/socket.js";
+import { canReadMessage } from "./message.controller.js";
 
 export const addReaction = async (req, res) => {
   try {
@@ -14,6 +17,11 @@ export const addReaction = async (req, res) => {
       return res.status(404).json({ error: "Message not found" });
     }
 
+    // Only the people in the message's conversation, whose rooms the reaction is emitted to
+    if (!(await canReadMessage(message, userId))) {
+      return res.status(403).json({ error: "You can't react to this message" });
+    }
+
     // Check if user already reacted to this message
     const existingReaction = await Reaction.findOne({ messageId, userId });
 
@@ -140,32 +148,102 @@ export const removeReaction = async (req, res) => {
   }
 };
 
+// Load reactions for a batch of messages with a single aggregation.
+// Returns a Map of messageId -> { reactions, reactionSummary, totalReactions }.
+export const getReactionSummaries = async (messageIds) => {
+  const summaries = new Map();
+  if (messageIds.length === 0) return summaries;
+
+  const results = await Reaction.aggregate([
+    { $match: { messageId: { $in: messageIds } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "userId",
+        foreignField: "_id",
+        as: "user"
+      }
+    },
+    { $unwind: "$user" },
+    {
+      $group: {
+        _id: { messageId: "$messageId", type: "$type" },
+        users: {
+          $push: {
+            userId: "$user._id",
+            fullName: "$user.fullName",
+            profilePic: "$user.profilePic"
+          }
+        },
+        reactions: {
+          $push: {
+            _id: "$_id",
+            messageId: "$messageId",
+            type: "$type",
+            createdAt: "$createdAt",
+            updatedAt: "$updatedAt",
+            userId: {
+              _id: "$user._id",
+              fullName: "$user.fullName",
+              profilePic: "$user.profilePic"
+            }
+          }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: "$_id.messageId",
+        summary: { $push: { k: "$_id.type", v: "$users" } },
+        reactions: { $push: "$reactions" },
+        totalReactions: { $sum: { $size: "$users" } }
+      }
+    },
+    {
+      $project: {
+        reactionSummary: { $arrayToObject: "$summary" },
+        reactions: {
+          $reduce: {
+            input: "$reactions",
+            initialValue: [],
+            in: { $concatArrays: ["$$value", "$$this"] }
+          }
+        },
+        totalReactions: 1
+      }
+    }
+  ]);
+
+  results.forEach((result) => {
+    summaries.set(result._id.toString(), {
+      reactions: result.reactions,
+      reactionSummary: result.reactionSummary,
+      totalReactions: result.totalReactions,
+    });
+  });
+
+  return summaries;
+};
+
 export const getMessageReactions = async (req, res) => {
   try {
     const { messageId } = req.params;
 
-    const reactions = await Reaction.find({ messageId }).populate("userId", "fullName profilePic");
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
 
-    // Group reactions by type
-    const reactionSummary = reactions.reduce((acc, reaction) => {
-      if (!acc[reaction.type]) {
-        acc[reaction.type] = [];
-      }
-      acc[reaction.type].push({
-        userId: reaction.userId._id,
-        fullName: reaction.userId.fullName,
-        profilePic: reaction.userId.profilePic,
-      });
-      return acc;
-    }, {});
+    const summaries = await getReactionSummaries([new mongoose.Types.ObjectId(messageId)]);
+    const { reactions = [], reactionSummary = {}, totalReactions = 0 } = summaries.get(messageId) || {};
 
     res.status(200).json({
       reactions,
       summary: reactionSummary,
-      total: reactions.length,
+      total: totalReactions,
     });
   } catch (error) {
     console.log("Error in getMessageReactions controller: ", error.message);
     res.status(500).json({ error: "Internal server error" });
   }
-};
\ No newline at end of file
+};
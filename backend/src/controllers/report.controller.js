@@ -1,6 +1,8 @@
 import mongoose from "mongoose";
 
 import Report from "../models/report.model.js";
+import Message from "../models/message.model.js";
+import { canReadMessage } from "./message.controller.js";
 
 export const reportUser = async (req, res) => {
   try {
@@ -31,6 +33,52 @@ export const reportUser = async (req, res) => {
   }
 };
 
+export const reportMessage = async (req, res) => {
+  try {
+    const reporterId = req.user._id;
+    const { messageId } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: "Invalid message id." });
+    }
+
+    const message = await Message.findById(messageId).select("senderId receiverId groupId");
+    if (!message) {
+      return res.status(404).json({ message: "Message not found." });
+    }
+
+    if (message.senderId.toString() === reporterId.toString()) {
+      return res.status(400).json({ message: "You cannot report your own message." });
+    }
+
+    if (!(await canReadMessage(message, reporterId))) {
+      return res.status(403).json({ message: "You cannot report this message." });
+    }
+
+    // Check if already reported
+    const existingReport = await Report.findOne({ reportedMessage: messageId, reportedBy: reporterId });
+    if (existingReport) {
+      return res.status(400).json({ message: "You have already reported this message." });
+    }
+
+    // The sender is recorded too, so message reports count towards the user's reports
+    const report = new Report({
+      reportedUser: message.senderId,
+      reportedBy: reporterId,
+      reportedMessage: messageId,
+      reason: reason || "",
+    });
+
+    await report.save();
+
+    res.status(201).json({ message: "Message reported successfully." });
+  } catch (error) {
+    console.error("Report message error:", error);
+    res.status(500).json({ message: "Failed to report message." });
+  }
+};
+
 export const getReportedUsersCount = async (req, res) => {
   try {
     const reportCounts = await Report.aggregate([
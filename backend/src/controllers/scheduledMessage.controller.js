@@ -0,0 +1,165 @@
+import mongoose from "mongoose";
+import ScheduledMessage from "../models/scheduledMessage.model.js";
+import User from "../models/user.model.js";
+import Group from "../models/group.model.js";
+import { encryptCaesar } from "../lib/caesarCipher.js";
+import { formatScheduledMessage } from "../lib/scheduledMessageWorker.js";
+import { isReplyInConversation, uploadMessageImage } from "./message.controller.js";
+
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Returns a Date for a valid future send time, or null
+const parseSendAt = (value) => {
+  const sendAt = new Date(value);
+  if (!value || Number.isNaN(sendAt.getTime())) return null;
+
+  const delay = sendAt.getTime() - Date.now();
+  if (delay <= 0 || delay > MAX_SCHEDULE_AHEAD_MS) return null;
+  return sendAt;
+};
+
+export const scheduleMessage = async (req, res) => {
+  try {
+    const { text, image, receiverId, groupId, replyTo, selectedModel, sendAt: sendAtInput } = req.body;
+    const senderId = req.user._id;
+
+    if (!text?.trim() && !image) {
+      return res.status(400).json({ message: "Message must contain text or image" });
+    }
+    if (!receiverId === !groupId) {
+      return res.status(400).json({ message: "Choose either a receiver or a group" });
+    }
+
+    const sendAt = parseSendAt(sendAtInput);
+    if (!sendAt) {
+      return res.status(400).json({ message: "Send time must be in the future and within a year" });
+    }
+
+    const targetId = groupId || receiverId;
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ message: "Invalid conversation" });
+    }
+    const target = groupId
+      ? await Group.exists({ _id: groupId, members: senderId })
+      : await User.exists({ _id: receiverId });
+    if (!target) {
+      return res.status(404).json({ message: groupId ? "Group not found" : "User not found" });
+    }
+
+    if (replyTo && !(await isReplyInConversation(replyTo, { senderId, receiverId, groupId }))) {
+      return res.status(400).json({ message: "You can only reply to a message in this conversation" });
+    }
+
+    // Images are stored now, so the worker only has to post the message when it is due
+    const { imageUrl, rejection } = await uploadMessageImage(image);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.error, code: rejection.code });
+    }
+
+    const scheduled = await ScheduledMessage.create({
+      senderId,
+      receiverId: receiverId || null,
+      groupId: groupId || null,
+      text: text ? encryptCaesar(text) : null,
+      image: imageUrl,
+      replyTo: replyTo || null,
+      selectedModel: selectedModel || null,
+      sendAt,
+    });
+
+    console.log(`⏰ Message scheduled for ${sendAt.toISOString()}:`, scheduled._id);
+    res.status(201).json(formatScheduledMessage(scheduled));
+  } catch (error) {
+    console.error("❌ scheduleMessage error:", error);
+    res.status(500).json({ message: "Failed to schedule message" });
+  }
+};
+
+// The signed-in user's pending and failed scheduled messages, soonest first
+export const getScheduledMessages = async (req, res) => {
+  try {
+    const scheduled = await ScheduledMessage.find({
+      senderId: req.user._id,
+      status: { $in: ["scheduled", "sending", "failed"] },
+    }).sort({ sendAt: 1 });
+
+    res.status(200).json(scheduled.map(formatScheduledMessage));
+  } catch (error) {
+    console.error("❌ getScheduledMessages error:", error);
+    res.status(500).json({ message: "Failed to fetch scheduled messages" });
+  }
+};
+
+// Change the text or send time; a failed message can be rescheduled this way too
+export const updateScheduledMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { text, sendAt: sendAtInput } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid scheduled message ID" });
+    }
+
+    const update = { status: "scheduled", attempts: 0, error: null };
+    if (text !== undefined) {
+      update.text = text?.trim() ? encryptCaesar(text) : null;
+    }
+    if (sendAtInput !== undefined) {
+      const sendAt = parseSendAt(sendAtInput);
+      if (!sendAt) {
+        return res.status(400).json({ message: "Send time must be in the future and within a year" });
+      }
+      update.sendAt = sendAt;
+    }
+
+    const existing = await ScheduledMessage.findOne({ _id: id, senderId: req.user._id });
+    if (!existing) {
+      return res.status(404).json({ message: "Scheduled message not found" });
+    }
+    if (!(update.text !== undefined ? update.text : existing.text) && !existing.image) {
+      return res.status(400).json({ message: "Message must contain text or image" });
+    }
+
+    // Only while the worker hasn't picked it up
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { _id: id, senderId: req.user._id, status: { $in: ["scheduled", "failed"] } },
+      { $set: update },
+      { new: true }
+    );
+    if (!scheduled) {
+      return res.status(409).json({ message: "This message can no longer be changed" });
+    }
+
+    res.status(200).json(formatScheduledMessage(scheduled));
+  } catch (error) {
+    console.error("❌ updateScheduledMessage error:", error);
+    res.status(500).json({ message: "Failed to update scheduled message" });
+  }
+};
+
+export const cancelScheduledMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid scheduled message ID" });
+    }
+
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { _id: id, senderId: req.user._id, status: { $in: ["scheduled", "failed"] } },
+      { $set: { status: "cancelled" } },
+      { new: true }
+    );
+    if (!scheduled) {
+      const exists = await ScheduledMessage.exists({ _id: id, senderId: req.user._id });
+      return exists
+        ? res.status(409).json({ message: "This message can no longer be changed" })
+        : res.status(404).json({ message: "Scheduled message not found" });
+    }
+
+    res.status(200).json(formatScheduledMessage(scheduled));
+  } catch (error) {
+    console.error("❌ cancelScheduledMessage error:", error);
+    res.status(500).json({ message: "Failed to cancel scheduled message" });
+  }
+};
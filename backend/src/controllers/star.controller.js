@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+
+import Star from "../models/star.model.js";
+import Message from "../models/message.model.js";
+import Group from "../models/group.model.js";
+import { PERMISSION_ERRORS } from "../lib/messagePermissions.js";
+import { canReadMessage, toConversationRef, toDecryptedObject } from "./message.controller.js";
+
+// Saved messages page size (getStarredMessages)
+const STAR_PAGE_SIZE = 20;
+const MAX_STAR_PAGE_SIZE = 50;
+
+// Ids (as strings) of the messages in a page the user has starred
+export const getStarredIds = async (userId, messageIds) => {
+  if (messageIds.length === 0) return new Set();
+
+  const stars = await Star.find({ userId, messageId: { $in: messageIds } }).select("messageId");
+  return new Set(stars.map((star) => star.messageId.toString()));
+};
+
+export const starMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ error: "Invalid message ID" });
+    }
+
+    const message = await Message.findById(messageId).select("senderId receiverId groupId isDeleted messageType");
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    if (!(await canReadMessage(message, userId))) {
+      return res.status(403).json({
+        code: PERMISSION_ERRORS.NOT_PARTICIPANT,
+        error: "You can only star messages from your own conversations",
+      });
+    }
+    if (message.isDeleted || message.messageType === "system") {
+      return res.status(400).json({ error: "This message can't be starred" });
+    }
+
+    // Starring twice leaves the original star (and its position in the list) alone
+    const star = await Star.findOneAndUpdate(
+      { userId, messageId },
+      { $setOnInsert: { userId, messageId } },
+      { upsert: true, new: true }
+    );
+
+    res.status(200).json({ messageId, starred: true, starredAt: star.createdAt });
+  } catch (error) {
+    console.error("❌ starMessage error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const unstarMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ error: "Invalid message ID" });
+    }
+
+    await Star.deleteOne({ userId: req.user._id, messageId });
+    res.status(200).json({ messageId, starred: false });
+  } catch (error) {
+    console.error("❌ unstarMessage error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// The user's starred messages across every conversation, newest star first.
+// Messages that were deleted, or whose group the user has left, are left out.
+export const getStarredMessages = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || STAR_PAGE_SIZE, 1), MAX_STAR_PAGE_SIZE);
+
+    const filter = { userId };
+    if (before) {
+      if (!mongoose.Types.ObjectId.isValid(before)) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      const cursorStar = await Star.findOne({ _id: before, userId }).select("createdAt");
+      if (!cursorStar) {
+        return res.status(404).json({ error: "Cursor not found" });
+      }
+      filter.$or = [
+        { createdAt: { $lt: cursorStar.createdAt } },
+        { createdAt: cursorStar.createdAt, _id: { $lt: cursorStar._id } },
+      ];
+    }
+
+    const [stars, myGroups] = await Promise.all([
+      Star.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate({
+          path: "messageId",
+          select: "-revisions",
+          populate: [
+            { path: "senderId", select: "fullName profilePic email" },
+            { path: "receiverId", select: "fullName profilePic email" },
+            {
+              path: "groupId",
+              select: "name profilePic members",
+              populate: { path: "members", select: "fullName profilePic" },
+            },
+          ],
+        }),
+      Group.find({ members: userId }).select("_id"),
+    ]);
+    const hasMore = stars.length > limit;
+    const page = stars.slice(0, limit);
+    const myGroupIds = new Set(myGroups.map((group) => group._id.toString()));
+
+    const items = page
+      .filter(({ messageId: message }) => message && !message.isDeleted
+        && (!message.groupId || myGroupIds.has(message.groupId._id.toString())))
+      .map((star) => {
+        const message = toDecryptedObject(star.messageId);
+        return {
+          _id: star._id,
+          starredAt: star.createdAt,
+          message: { ...message, groupId: message.groupId ? message.groupId._id : null },
+          conversation: toConversationRef(message, userId),
+        };
+      });
+
+    res.status(200).json({
+      items,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+      },
+    });
+  } catch (error) {
+    console.error("❌ getStarredMessages error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
@@ -1,7 +1,9 @@
+import mongoose from "mongoose";
 import User from "../models/user.model.js";
 import { FriendRequest } from "../models/friendRequest.model.js";
 import { getReceiverSocketId, io } from "../lib/socket.js";
 import e2eEncryption from "../lib/encryption.js";
+import { describePresence } from "../lib/presence.js";
 
 const cosineSimilarity = (a, b) => {
   const intersection = a.filter(item => b.includes(item));
@@ -427,6 +429,26 @@ export const getUserById = async (req, res) => {
   }
 };
 
+// Whether a user is online, away or busy, or when they were last seen (if they let the viewer see it)
+export const getUserPresence = async (req, res) => {
+  try {
+    const userId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(userId).select("friends lastSeenVisibility +presenceStatus +lastSeenAt");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({ userId, ...describePresence(user, req.user._id, !!getReceiverSocketId(userId)) });
+  } catch (error) {
+    console.error("Error fetching user presence:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
 export const getAllUsersExceptAdmin = async (req, res) => {
   try {
     const adminEmail = "bey@email.com";
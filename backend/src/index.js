@@ -15,18 +15,24 @@ import groupRoutes from "./routes/group.route.js";
 import adminRoutes from "./routes/admin.route.js";
 import reportRoutes from "./routes/report.route.js";
 import reactionRoutes from "./routes/reaction.route.js";
+import starRoutes from "./routes/star.route.js";
+import pollRoutes from "./routes/poll.route.js";
 import toxicityRoutes from "./routes/toxicity.route.js";
 import encryptionRoutes from "./routes/encryption.route.js";
-import { app, server } from "./lib/socket.js";
+import { app, server, closeRealtimeAdapter, connectRealtimeAdapter } from "./lib/socket.js";
+import { scheduledMessageWorker } from "./lib/scheduledMessageWorker.js";
+import { messageExpirySweeper } from "./lib/disappearingMessages.js";
+import { LOCAL_UPLOAD_ROUTE, getAttachmentStorage } from "./lib/attachmentStorage.js";
 
 dotenv.config();
 
 const PORT = process.env.PORT;
 const __dirname = path.resolve();
 
-// ✅ Increase payload size limit for image uploads
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ limit: "50mb", extended: true }));
+// ✅ Attachments are sent as multipart (see upload.middleware.js); JSON bodies only carry the
+// base64 images of profile pictures and scheduled messages
+app.use(express.json({ limit: "15mb" }));
+app.use(express.urlencoded({ limit: "15mb", extended: true }));
 app.use(cookieParser());
 app.use(
   cors({
@@ -35,6 +41,24 @@ app.use(
   })
 );
 
+// ✅ Files of the local disk attachment storage. Anything but images downloads rather than opening
+// in the page, and nosniff keeps browsers to the type the file was accepted as.
+const attachmentStorage = getAttachmentStorage();
+if (attachmentStorage.directory) {
+  app.use(
+    LOCAL_UPLOAD_ROUTE,
+    express.static(attachmentStorage.directory, {
+      index: false,
+      setHeaders: (res, filePath) => {
+        res.setHeader("X-Content-Type-Options", "nosniff");
+        if (!/\.(png|jpe?g|gif|webp)$/i.test(filePath)) {
+          res.setHeader("Content-Disposition", "attachment");
+        }
+      },
+    })
+  );
+}
+
 app.use("/api/auth", authRoutes);
 app.use("/api/messages", messageRoutes);
 app.use("/api/user", userRoutes);
@@ -42,6 +66,8 @@ app.use("/api/group", groupRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/report", reportRoutes);
 app.use("/api/reactions", reactionRoutes);
+app.use("/api/stars", starRoutes);
+app.use("/api/polls", pollRoutes);
 app.use("/api/toxicity", toxicityRoutes);
 app.use("/api/encryption", encryptionRoutes);
 
@@ -53,10 +79,32 @@ if (process.env.NODE_ENV === "production") {
   });
 }
 
+// ✅ Presence and socket rooms are shared through the realtime adapter (Redis when REDIS_URL is set),
+// so several instances of the server can run side by side
+await connectRealtimeAdapter();
+
+// Leave the realtime cluster cleanly, rather than the other instances waiting for this one's heartbeat to lapse
+["SIGINT", "SIGTERM"].forEach((signal) => {
+  process.once(signal, async () => {
+    try {
+      await closeRealtimeAdapter();
+    } catch (err) {
+      console.error("❌ Error closing the realtime adapter:", err);
+    }
+    process.exit(0);
+  });
+});
+
 server.listen(PORT, async () => {
   console.log("server is running on PORT:" + PORT);
   await connectDB();
   
   // Clean up orphaned friend requests on server start
   await cleanupOrphanedFriendRequests();
+
+  // Deliver scheduled messages, including any that came due while the server was down
+  scheduledMessageWorker.start();
+
+  // Remove disappearing messages whose timer has run out
+  messageExpirySweeper.start();
 });
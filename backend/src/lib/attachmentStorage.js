@@ -0,0 +1,124 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import cloudinary from "./cloudinary.js";
+
+// Where the local disk adapter keeps files, and the URL path index.js serves them from
+export const LOCAL_UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+export const LOCAL_UPLOAD_ROUTE = "/api/uploads";
+
+/**
+ * Attachments stored on Cloudinary: images as image resources, everything else as raw files
+ * @param {Object} [client] - Configured cloudinary v2 SDK, injectable for tests
+ * @returns {{ name: string, save: Function, remove: Function }}
+ */
+export const createCloudinaryStorage = (client = cloudinary) => ({
+  name: "cloudinary",
+
+  save: (attachment) =>
+    new Promise((resolve, reject) => {
+      const isImage = attachment.kind === "image";
+      const upload = client.uploader.upload_stream(
+        {
+          folder: "chat-app/messages",
+          resource_type: isImage ? "image" : "raw",
+          // Raw files keep their extension so they are served with the right type
+          ...(isImage ? {} : { public_id: `${crypto.randomUUID()}.${attachment.extension}` }),
+          timeout: 60000,
+        },
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({ url: result.secure_url, storageKey: `${result.resource_type}:${result.public_id}` });
+        }
+      );
+      upload.end(attachment.buffer);
+    }),
+
+  remove: async (storageKey) => {
+    // Keys are "<resource type>:<public id>"; anything else wasn't stored here
+    const separator = storageKey.indexOf(":");
+    if (separator === -1) return;
+    await client.uploader.destroy(storageKey.slice(separator + 1), { resource_type: storageKey.slice(0, separator) });
+  },
+});
+
+/**
+ * Attachments written to a local directory, for development and tests
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Where files are written
+ * @param {string} [options.baseUrl] - URL path the directory is served from
+ * @returns {{ name: string, directory: string, save: Function, remove: Function }}
+ */
+export const createLocalDiskStorage = ({ directory = LOCAL_UPLOAD_DIR, baseUrl = LOCAL_UPLOAD_ROUTE } = {}) => ({
+  name: "local",
+  directory,
+
+  save: async (attachment) => {
+    // Random names: the original name is only kept on the message, never used as a path
+    const fileName = `${crypto.randomUUID()}.${attachment.extension}`;
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, fileName), attachment.buffer);
+    return { url: `${baseUrl}/${fileName}`, storageKey: fileName };
+  },
+
+  remove: async (storageKey) => {
+    // Keys are bare file names in the directory; never follow one anywhere else
+    if (path.basename(storageKey) !== storageKey) return;
+    await fs.rm(path.join(directory, storageKey), { force: true });
+  },
+});
+
+// ATTACHMENT_STORAGE picks the adapter; without it Cloudinary is used when it is configured
+const createConfiguredStorage = () => {
+  const choice = process.env.ATTACHMENT_STORAGE || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+  return choice === "cloudinary" ? createCloudinaryStorage() : createLocalDiskStorage();
+};
+
+let attachmentStorage = createConfiguredStorage();
+console.log(`📎 Attachment storage: ${attachmentStorage.name}`);
+
+export const getAttachmentStorage = () => attachmentStorage;
+
+// Swap the adapter, e.g. for a local disk directory in tests
+export const setAttachmentStorage = (storage) => {
+  attachmentStorage = storage;
+};
+
+/**
+ * Store an inspected attachment (see lib/attachments.js) with the current adapter
+ * @param {Object} attachment - From inspectAttachment
+ * @returns {Promise<Object>} - The message's attachment field: { url, name, mimeType, size, kind, storageKey }
+ */
+export const storeAttachment = async (attachment) => {
+  const { url, storageKey } = await attachmentStorage.save(attachment);
+  return {
+    url,
+    name: attachment.name,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    kind: attachment.kind,
+    storageKey,
+  };
+};
+
+/**
+ * The storage key of a message image kept on local disk. Images only keep their URL on the message,
+ * and local URLs end in the file name.
+ * @param {string} [imageUrl]
+ * @returns {string|null}
+ */
+export const getLocalImageKey = (imageUrl) =>
+  imageUrl?.startsWith(`${LOCAL_UPLOAD_ROUTE}/`) ? imageUrl.slice(LOCAL_UPLOAD_ROUTE.length + 1) : null;
+
+/**
+ * Delete a stored file with the current adapter. A failure is only logged: whatever pointed at the
+ * file is already gone.
+ * @param {string} storageKey
+ */
+export const removeStoredFile = async (storageKey) => {
+  try {
+    await attachmentStorage.remove(storageKey);
+  } catch (error) {
+    console.warn(`⚠️ Could not remove stored file ${storageKey}:`, error.message);
+  }
+};
@@ -0,0 +1,208 @@
+import path from "path";
+
+const MB = 1024 * 1024;
+
+// Size limit for each kind of attachment
+export const ATTACHMENT_KINDS = {
+  image: { label: "Images", maxBytes: 10 * MB },
+  document: { label: "Documents", maxBytes: 25 * MB },
+  audio: { label: "Audio files", maxBytes: 20 * MB },
+  archive: { label: "Archives", maxBytes: 50 * MB },
+};
+
+// Largest upload of any kind, for the multipart parser's own limit
+export const MAX_ATTACHMENT_BYTES = Math.max(...Object.values(ATTACHMENT_KINDS).map((kind) => kind.maxBytes));
+
+// Accepted types (as sniffed from the content, never as declared by the client), with their kind and
+// the extension they are stored under. SVG and HTML are deliberately absent: browsers run scripts in them.
+const ACCEPTED_TYPES = {
+  "image/png": { kind: "image", extension: "png" },
+  "image/jpeg": { kind: "image", extension: "jpg" },
+  "image/gif": { kind: "image", extension: "gif" },
+  "image/webp": { kind: "image", extension: "webp" },
+  "application/pdf": { kind: "document", extension: "pdf" },
+  "application/msword": { kind: "document", extension: "doc" },
+  "application/vnd.ms-excel": { kind: "document", extension: "xls" },
+  "application/vnd.ms-powerpoint": { kind: "document", extension: "ppt" },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": { kind: "document", extension: "docx" },
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": { kind: "document", extension: "xlsx" },
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": { kind: "document", extension: "pptx" },
+  "text/plain": { kind: "document", extension: "txt" },
+  "text/csv": { kind: "document", extension: "csv" },
+  "audio/mpeg": { kind: "audio", extension: "mp3" },
+  "audio/ogg": { kind: "audio", extension: "ogg" },
+  "audio/wav": { kind: "audio", extension: "wav" },
+  "audio/flac": { kind: "audio", extension: "flac" },
+  "audio/webm": { kind: "audio", extension: "webm" },
+  "audio/mp4": { kind: "audio", extension: "m4a" },
+  "application/zip": { kind: "archive", extension: "zip" },
+};
+
+// Machine-readable reasons an upload is refused
+export const ATTACHMENT_ERRORS = {
+  EMPTY_FILE: "EMPTY_FILE",
+  UNSUPPORTED_TYPE: "UNSUPPORTED_TYPE",
+  FILE_TOO_LARGE: "FILE_TOO_LARGE",
+  INVALID_VOICE_NOTE: "INVALID_VOICE_NOTE",
+};
+
+const MAX_NAME_LENGTH = 120;
+
+// Voice notes: longest recording accepted, and most waveform bars kept for the player
+export const MAX_VOICE_NOTE_SECONDS = 5 * 60;
+const MAX_WAVEFORM_BARS = 64;
+
+const hasBytes = (buffer, bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+const hasText = (buffer, text, offset = 0) => buffer.toString("latin1", offset, offset + text.length) === text;
+const extensionOf = (fileName) => path.extname(fileName || "").slice(1).toLowerCase();
+
+// Plain text: no NUL bytes and valid UTF-8 throughout
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The MIME type of a file from its leading bytes. The name's extension only decides between
+ * formats that share a container (legacy Office files, MP4 audio, text vs CSV).
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - Name as uploaded
+ * @returns {string|null} - One of the accepted types, or null
+ */
+export const sniffMimeType = (buffer, fileName) => {
+  const extension = extensionOf(fileName);
+
+  if (hasBytes(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (hasBytes(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (hasText(buffer, "GIF87a") || hasText(buffer, "GIF89a")) return "image/gif";
+  if (hasText(buffer, "RIFF") && hasText(buffer, "WEBP", 8)) return "image/webp";
+  if (hasText(buffer, "RIFF") && hasText(buffer, "WAVE", 8)) return "audio/wav";
+  if (hasText(buffer, "%PDF-")) return "application/pdf";
+  if (hasText(buffer, "OggS")) return "audio/ogg";
+  if (hasText(buffer, "fLaC")) return "audio/flac";
+  if (hasText(buffer, "ID3") || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return "audio/mpeg";
+  if (hasBytes(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return "audio/webm";
+
+  // ISO media: audio-only brands, or an .m4a recording written with a generic brand
+  if (hasText(buffer, "ftyp", 4)) {
+    return hasText(buffer, "M4A", 8) || extension === "m4a" ? "audio/mp4" : null;
+  }
+
+  // Office Open XML documents are zip archives; the part names stored inside tell them apart
+  if (hasBytes(buffer, [0x50, 0x4b, 0x03, 0x04]) || hasBytes(buffer, [0x50, 0x4b, 0x05, 0x06])) {
+    if (buffer.includes("[Content_Types].xml")) {
+      if (buffer.includes("word/")) return "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+      if (buffer.includes("xl/")) return "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+      if (buffer.includes("ppt/")) return "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+    }
+    return "application/zip";
+  }
+
+  // Legacy Office files share one container format
+  if (hasBytes(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return { doc: "application/msword", xls: "application/vnd.ms-excel", ppt: "application/vnd.ms-powerpoint" }[extension] || null;
+  }
+
+  if (isText(buffer)) return extension === "csv" ? "text/csv" : "text/plain";
+  return null;
+};
+
+// A display name safe to store and send back in a download header
+const cleanFileName = (fileName, extension) => {
+  const base = path.basename(fileName || "").replace(/[\u0000-\u001f\u007f"\\/]/g, "").trim();
+  if (!base || base.startsWith(".")) return `attachment.${extension}`;
+  if (base.length <= MAX_NAME_LENGTH) return base;
+
+  const suffix = path.extname(base).slice(0, 16);
+  return base.slice(0, MAX_NAME_LENGTH - suffix.length) + suffix;
+};
+
+/**
+ * Check an uploaded file against the accepted types and their size limits
+ * @param {Buffer} buffer - File content
+ * @param {string} originalName - Name as uploaded
+ * @returns {{ attachment?: Object, rejection?: Object }} - attachment is { buffer, name, mimeType, extension,
+ *   kind, size }; rejection is { status, error, code } ready to send back
+ */
+export const inspectAttachment = (buffer, originalName) => {
+  if (!buffer?.length) {
+    return { rejection: { status: 400, error: "The file is empty", code: ATTACHMENT_ERRORS.EMPTY_FILE } };
+  }
+
+  const mimeType = sniffMimeType(buffer, originalName);
+  const type = ACCEPTED_TYPES[mimeType];
+  if (!type) {
+    return { rejection: { status: 415, error: "This file type isn't supported", code: ATTACHMENT_ERRORS.UNSUPPORTED_TYPE } };
+  }
+
+  const { label, maxBytes } = ATTACHMENT_KINDS[type.kind];
+  if (buffer.length > maxBytes) {
+    return {
+      rejection: { status: 413, error: `${label} can be at most ${maxBytes / MB} MB`, code: ATTACHMENT_ERRORS.FILE_TOO_LARGE },
+    };
+  }
+
+  return {
+    attachment: {
+      buffer,
+      name: cleanFileName(originalName, type.extension),
+      mimeType,
+      extension: type.extension,
+      kind: type.kind,
+      size: buffer.length,
+    },
+  };
+};
+
+/**
+ * Check the recording of a voice note and the metadata the client measured for it
+ * @param {Object} attachment - From inspectAttachment
+ * @param {Object} metadata - Form fields: duration (seconds) and waveform (JSON array of 0–1 bar heights)
+ * @returns {{ voiceNote?: Object, rejection?: Object }} - voiceNote is { duration, waveform }
+ */
+export const inspectVoiceNote = (attachment, { duration, waveform }) => {
+  if (attachment.kind !== "audio") {
+    return { rejection: { status: 415, error: "A voice note must be an audio recording", code: ATTACHMENT_ERRORS.UNSUPPORTED_TYPE } };
+  }
+
+  const seconds = Number(duration);
+  if (!Number.isFinite(seconds) || seconds <= 0 || seconds > MAX_VOICE_NOTE_SECONDS) {
+    return {
+      rejection: {
+        status: 400,
+        error: `Voice notes can be at most ${MAX_VOICE_NOTE_SECONDS / 60} minutes`,
+        code: ATTACHMENT_ERRORS.INVALID_VOICE_NOTE,
+      },
+    };
+  }
+
+  // The waveform is only decoration: anything malformed is dropped rather than refused
+  let bars = [];
+  try {
+    const parsed = typeof waveform === "string" ? JSON.parse(waveform) : waveform;
+    if (Array.isArray(parsed)) {
+      bars = parsed
+        .slice(0, MAX_WAVEFORM_BARS)
+        .map((value) => Math.round(Math.min(Math.max(Number(value) || 0, 0), 1) * 100) / 100);
+    }
+  } catch {
+    bars = [];
+  }
+
+  return { voiceNote: { duration: Math.round(seconds * 10) / 10, waveform: bars } };
+};
+
+/**
+ * Decode a base64 data URL (the JSON image field of older clients and scheduled messages)
+ * @param {string} dataUrl - "data:image/png;base64,…"
+ * @returns {Buffer|null}
+ */
+export const decodeDataUrl = (dataUrl) => {
+  const match = /^data:[^;,]*(?:;[^;,]*)*;base64,(.*)$/s.exec(dataUrl || "");
+  return match ? Buffer.from(match[1], "base64") : null;
+};
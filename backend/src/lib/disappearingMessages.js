@@ -0,0 +1,138 @@
+import Message from "../models/message.model.js";
+import Reaction from "../models/reaction.model.js";
+import Star from "../models/star.model.js";
+import PollVote from "../models/pollVote.model.js";
+import ConversationSetting from "../models/conversationSetting.model.js";
+import { getReceiverSocketId, io } from "./socket.js";
+import { getLocalImageKey, removeStoredFile } from "./attachmentStorage.js";
+
+// Timers a conversation can choose, in seconds, with the label used in system messages
+export const MESSAGE_TTL_OPTIONS = {
+  3600: "1 hour",
+  86400: "24 hours",
+  604800: "7 days",
+};
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const SWEEP_BATCH_SIZE = 500;
+
+/**
+ * Key of the settings document for a conversation
+ * @param {Object} conversation - { groupId } or { userIds: [a, b] }
+ */
+export const getConversationKey = ({ groupId, userIds }) => {
+  if (groupId) return `group:${groupId}`;
+  const [first, second] = userIds.map(String).sort();
+  return `dm:${first}:${second}`;
+};
+
+/**
+ * The disappearing messages timer of a conversation
+ * @param {Object} conversation - { groupId } or { userIds: [a, b] }
+ * @returns {Promise<number|null>} - Seconds, or null when messages are kept
+ */
+export const getMessageTtl = async (conversation) => {
+  const setting = await ConversationSetting.findOne({ key: getConversationKey(conversation) }).select("messageTtl");
+  return setting?.messageTtl || null;
+};
+
+/**
+ * When a message sent now should expire
+ * @returns {Promise<Date|null>}
+ */
+export const getExpiresAt = async (conversation, now = new Date()) => {
+  const ttl = await getMessageTtl(conversation);
+  return ttl ? new Date(now.getTime() + ttl * 1000) : null;
+};
+
+// Tell the open chats of a removed message's conversation to drop it
+const emitExpired = (message) => {
+  const payload = { messageId: message._id, groupId: message.groupId || null };
+  if (message.groupId) {
+    io.to(message.groupId.toString()).emit("messageExpired", payload);
+    return;
+  }
+
+  [message.senderId, message.receiverId].forEach((userId) => {
+    const socketId = getReceiverSocketId(userId.toString());
+    if (socketId) io.to(socketId).emit("messageExpired", payload);
+  });
+};
+
+// Delete the stored files of removed messages. A forwarded copy shares its original's file, so a
+// file still shown by another message is kept.
+const removeMessageFiles = async (messages) => {
+  const files = messages.flatMap((message) => {
+    const attachmentKey = message.attachment?.storageKey;
+    const imageKey = getLocalImageKey(message.image);
+    return [
+      attachmentKey && { storageKey: attachmentKey, filter: { "attachment.storageKey": attachmentKey } },
+      imageKey && { storageKey: imageKey, filter: { image: message.image } },
+    ].filter(Boolean);
+  });
+
+  for (const { storageKey, filter } of files) {
+    if (await Message.exists(filter)) continue;
+    await removeStoredFile(storageKey);
+  }
+};
+
+/**
+ * Periodically deletes messages whose expiresAt has passed, with their reactions, stars, poll votes
+ * and stored files; pinned messages are kept
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @param {number} [options.intervalMs] - Sweep interval
+ * @returns {{ start: Function, stop: Function, sweep: Function }}
+ */
+export const createMessageExpirySweeper = ({ now = () => new Date(), intervalMs = SWEEP_INTERVAL_MS } = {}) => {
+  let timer = null;
+  let isSweeping = false;
+
+  // Remove one batch of expired messages; returns how many were removed
+  const sweep = async () => {
+    if (isSweeping) return 0;
+    isSweeping = true;
+
+    try {
+      const expired = await Message.find({ expiresAt: { $lte: now() }, pinned: { $ne: true } })
+        .select("_id senderId receiverId groupId image attachment")
+        .limit(SWEEP_BATCH_SIZE);
+      if (expired.length === 0) return 0;
+
+      const expiredIds = expired.map((message) => message._id);
+      await Promise.all([
+        Message.deleteMany({ _id: { $in: expiredIds } }),
+        Reaction.deleteMany({ messageId: { $in: expiredIds } }),
+        Star.deleteMany({ messageId: { $in: expiredIds } }),
+        PollVote.deleteMany({ messageId: { $in: expiredIds } }),
+      ]);
+      await removeMessageFiles(expired);
+
+      expired.forEach(emitExpired);
+      console.log(`🧹 Removed ${expired.length} expired message(s)`);
+      return expired.length;
+    } catch (error) {
+      console.error("❌ Message expiry sweep failed:", error.message);
+      return 0;
+    } finally {
+      isSweeping = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    console.log(`🧹 Message expiry sweeper started (every ${intervalMs / 1000}s)`);
+    sweep();
+    timer = setInterval(sweep, intervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, sweep };
+};
+
+export const messageExpirySweeper = createMessageExpirySweeper();
@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import EmailToken from "../models/emailToken.model.js";
+import { sendMail } from "./mailer.js";
+
+// How long an emailed link works
+export const EMAIL_TOKEN_TTL_MS = {
+  "verify-email": 24 * 60 * 60 * 1000,
+  "reset-password": 60 * 60 * 1000,
+};
+
+// A new link is not sent while the previous one is younger than this
+export const EMAIL_RESEND_COOLDOWN_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+// Links in emails point at the frontend, which calls the API with the token
+const clientUrl = (pagePath, token) =>
+  `${(process.env.CLIENT_URL || "http://localhost:5173").replace(/\/$/, "")}${pagePath}?token=${encodeURIComponent(token)}`;
+
+/**
+ * Create a single-use token for an emailed link, replacing the user's earlier unused ones for the same purpose
+ * @param {string} userId
+ * @param {"verify-email"|"reset-password"} purpose
+ * @returns {Promise<string|null>} - The token, or null while the previous one is within EMAIL_RESEND_COOLDOWN_MS
+ */
+export const issueEmailToken = async (userId, purpose) => {
+  const recent = await EmailToken.exists({
+    userId,
+    purpose,
+    usedAt: null,
+    createdAt: { $gt: new Date(Date.now() - EMAIL_RESEND_COOLDOWN_MS) },
+  });
+  if (recent) return null;
+
+  await EmailToken.deleteMany({ userId, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString("base64url");
+  await EmailToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + EMAIL_TOKEN_TTL_MS[purpose]),
+  });
+  return token;
+};
+
+/**
+ * Use up a token from an emailed link. Only one request can succeed with a given token.
+ * @param {string} token
+ * @param {"verify-email"|"reset-password"} purpose
+ * @returns {Promise<Object|null>} - The token document (with userId), or null when it is unknown, used or expired
+ */
+export const consumeEmailToken = (token, purpose) => {
+  if (typeof token !== "string" || !token) return Promise.resolve(null);
+  return EmailToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Email a user the link that confirms their address
+ * @returns {Promise<boolean>} - false when a link was sent too recently
+ */
+export const sendVerificationEmail = async (user) => {
+  const token = await issueEmailToken(user._id, "verify-email");
+  if (!token) return false;
+
+  const link = clientUrl("/verify-email", token);
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Hi ${user.fullName},\n\nConfirm your email address by opening this link:\n${link}\n\nIt works for 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p><p><a href="${link}">Confirm your email address</a></p><p>The link works for 24 hours.</p>`,
+  });
+  return true;
+};
+
+/**
+ * Email a user the link that lets them choose a new password
+ * @returns {Promise<boolean>} - false when a link was sent too recently
+ */
+export const sendPasswordResetEmail = async (user) => {
+  const token = await issueEmailToken(user._id, "reset-password");
+  if (!token) return false;
+
+  const link = clientUrl("/reset-password", token);
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${user.fullName},\n\nChoose a new password by opening this link:\n${link}\n\n` +
+      "It works for 1 hour. If you didn't ask to reset your password, you can ignore this email.",
+    html:
+      `<p>Hi ${escapeHtml(user.fullName)},</p><p><a href="${link}">Choose a new password</a></p>` +
+      "<p>The link works for 1 hour. If you didn't ask to reset your password, you can ignore this email.</p>",
+  });
+  return true;
+};
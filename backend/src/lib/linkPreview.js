@@ -0,0 +1,387 @@
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import LinkPreview from "../models/linkPreview.model.js";
+import Message from "../models/message.model.js";
+import { getReceiverSocketId, io } from "./socket.js";
+
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_BODY_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const USER_AGENT = "BeyonderChat-LinkPreview/1.0";
+
+// How long a fetched preview (or a failed fetch) is reused before the link is fetched again
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FAILED_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Longest value kept for each text field of a preview
+const FIELD_LIMITS = { title: 200, description: 300, siteName: 100 };
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/i;
+const TRAILING_PUNCTUATION = /[.,:;!?'"*_\]}]$/;
+
+// Loopback, private, link-local, CGNAT, multicast and other non-public ranges. IPv4-mapped IPv6
+// addresses (::ffff:10.0.0.1) are checked against the IPv4 rules by BlockList itself.
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Whether an IP address must not be fetched from (anything that isn't a public unicast address)
+ * @param {string} address - IPv4 or IPv6 address
+ */
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+/**
+ * The first http(s) link in a message, normalised for use as a cache key
+ * @param {string} text - Message text (markdown source)
+ * @returns {string|null}
+ */
+export const extractFirstUrl = (text) => {
+  const match = text?.match(URL_PATTERN);
+  if (!match) return null;
+
+  // Punctuation ending the sentence isn't part of the link; a ")" is kept only when it closes a "("
+  // in the link itself (e.g. wiki pages), so "[label](https://…)" and "(see https://…)" work
+  let candidate = match[0];
+  const count = (char) => candidate.split(char).length - 1;
+  while (TRAILING_PUNCTUATION.test(candidate) || (candidate.endsWith(")") && count(")") > count("("))) {
+    candidate = candidate.slice(0, -1);
+  }
+
+  try {
+    const url = new URL(candidate);
+    if (url.username || url.password) return null;
+    url.hash = "";
+    return url.href;
+  } catch {
+    return null;
+  }
+};
+
+// The entities page titles commonly use; numeric ones are decoded in full
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ",
+  ndash: "–", mdash: "—", hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", copy: "©", reg: "®",
+};
+
+const decodeEntities = (value) =>
+  value.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] !== "#") return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+    const codePoint = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    try {
+      return String.fromCodePoint(codePoint);
+    } catch {
+      return entity;
+    }
+  });
+
+// Collapse whitespace and cut to the field's limit
+const clip = (value, limit) => {
+  const text = (value || "").replace(/\s+/g, " ").trim();
+  if (!text) return null;
+  return text.length > limit ? `${text.slice(0, limit - 1).trimEnd()}…` : text;
+};
+
+const META_TAG = /<meta\s[^>]*>/gi;
+const ATTRIBUTE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+const TITLE_TAG = /<title[^>]*>([\s\S]*?)<\/title>/i;
+
+/**
+ * Open Graph / Twitter card metadata of a page, falling back to <title> and the meta description
+ * @param {string} html - Page source (the start of it is enough)
+ * @param {URL} pageUrl - Where the page was served from, to resolve a relative image
+ * @returns {Object|null} - { title, description, image, siteName }, or null when there's nothing to show
+ */
+export const parseMetadata = (html, pageUrl) => {
+  const meta = {};
+  for (const [tag] of html.matchAll(META_TAG)) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, bare] of tag.matchAll(ATTRIBUTE)) {
+      attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+    }
+    const key = (attributes.property || attributes.name)?.toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = decodeEntities(attributes.content);
+    }
+  }
+
+  const pageTitle = html.match(TITLE_TAG)?.[1];
+  const title = clip(meta["og:title"] || meta["twitter:title"] || (pageTitle && decodeEntities(pageTitle)), FIELD_LIMITS.title);
+  const description = clip(meta["og:description"] || meta["twitter:description"] || meta.description, FIELD_LIMITS.description);
+  if (!title && !description) return null;
+
+  // The image is loaded by clients, so only absolute http(s) URLs are kept
+  let image = null;
+  const imageSource = meta["og:image:secure_url"] || meta["og:image"] || meta["og:image:url"] || meta["twitter:image"];
+  if (imageSource) {
+    try {
+      const imageUrl = new URL(imageSource, pageUrl);
+      if (imageUrl.protocol === "https:" || imageUrl.protocol === "http:") image = imageUrl.href;
+    } catch {
+      image = null;
+    }
+  }
+
+  return {
+    title,
+    description,
+    image,
+    siteName: clip(meta["og:site_name"] || pageUrl.hostname.replace(/^www\./, ""), FIELD_LIMITS.siteName),
+  };
+};
+
+// dns.lookup that refuses to hand out blocked addresses. Used as the socket's lookup, so the check
+// applies to the address actually connected to (a second DNS answer can't swap in a private one).
+const createSafeLookup = (lookup, isBlockedAddress) => (hostname, options, callback) => {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const allowed = addresses.filter(({ address }) => !isBlockedAddress(address));
+    if (allowed.length === 0) {
+      return callback(new Error(`Refusing to fetch from a private address (${hostname})`));
+    }
+    if (options.all) return callback(null, allowed);
+    callback(null, allowed[0].address, allowed[0].family);
+  });
+};
+
+const decodeBody = (body, contentType) => {
+  const charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+  try {
+    return new TextDecoder(charset || "utf-8").decode(body);
+  } catch {
+    return new TextDecoder("utf-8").decode(body);
+  }
+};
+
+// One GET without following redirects: { redirect: URL } or { html }
+const requestPage = (url, { lookup, maxBytes, signal }) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.get(
+      url,
+      { lookup, signal, headers: { "User-Agent": USER_AGENT, Accept: "text/html,application/xhtml+xml" } },
+      (response) => {
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          resolve({ redirect: new URL(headers.location, url) });
+          return;
+        }
+        if (statusCode < 200 || statusCode >= 300) {
+          response.resume();
+          reject(new Error(`Unexpected status ${statusCode}`));
+          return;
+        }
+
+        const contentType = headers["content-type"] || "";
+        if (!/^\s*(text\/html|application\/xhtml\+xml)/i.test(contentType)) {
+          response.destroy();
+          reject(new Error(`Not an HTML page (${contentType || "no content type"})`));
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        const finish = () => resolve({ html: decodeBody(Buffer.concat(chunks).subarray(0, maxBytes), contentType) });
+
+        response.on("data", (chunk) => {
+          chunks.push(chunk);
+          size += chunk.length;
+          // The metadata lives in <head>: stop once it has been read or the size limit is reached
+          if (size >= maxBytes || chunk.includes("</head>")) {
+            finish();
+            response.destroy();
+          }
+        });
+        response.on("end", finish);
+        response.on("error", reject);
+      }
+    );
+    request.on("error", reject);
+  });
+
+/**
+ * Fetches a page's preview metadata without letting message links reach internal services
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Limit for the whole fetch, redirects included
+ * @param {number} [options.maxBytes] - Most of the page that is read
+ * @param {number} [options.maxRedirects]
+ * @param {Function} [options.lookup] - DNS lookup with the dns.lookup signature, injectable for tests
+ * @param {Function} [options.isBlockedAddress] - Addresses never connected to; tests against a local
+ *   stub server pass () => false
+ * @returns {Function} - async (url) => { title, description, image, siteName } | null; throws when the fetch fails
+ */
+export const createLinkPreviewFetcher = ({
+  timeoutMs = FETCH_TIMEOUT_MS,
+  maxBytes = MAX_BODY_BYTES,
+  maxRedirects = MAX_REDIRECTS,
+  lookup = dns.lookup,
+  isBlockedAddress = isPrivateAddress,
+} = {}) => {
+  const safeLookup = createSafeLookup(lookup, isBlockedAddress);
+
+  // Every hop (the link and each redirect) is checked before it is requested
+  const assertFetchable = (url) => {
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error(`Unsupported protocol ${url.protocol}`);
+    }
+    // IP literals are connected to directly, without going through the lookup
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host) && isBlockedAddress(host)) {
+      throw new Error(`Refusing to fetch from a private address (${host})`);
+    }
+  };
+
+  return async (link) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      let url = new URL(link);
+      for (let redirects = 0; ; redirects++) {
+        assertFetchable(url);
+        const result = await requestPage(url, { lookup: safeLookup, maxBytes, signal: controller.signal });
+        if (!result.redirect) return parseMetadata(result.html, url);
+        if (redirects >= maxRedirects) throw new Error("Too many redirects");
+        url = result.redirect;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+};
+
+const idOf = (value) => (value?._id ?? value).toString();
+
+// Push a message's new preview card to the open chats of its conversation
+const emitLinkPreview = (message, linkPreview) => {
+  const payload = { messageId: message._id, groupId: message.groupId ? idOf(message.groupId) : null, linkPreview };
+  if (message.groupId) {
+    io.to(idOf(message.groupId)).emit("messageLinkPreview", payload);
+    return;
+  }
+
+  [message.senderId, message.receiverId].forEach((userId) => {
+    const socketId = getReceiverSocketId(idOf(userId));
+    if (socketId) io.to(socketId).emit("messageLinkPreview", payload);
+  });
+};
+
+/**
+ * Link previews for messages: fetched once per URL and cached in LinkPreview for every message
+ * that links to it
+ * @param {Object} [options]
+ * @param {Function} [options.fetchPreview] - From createLinkPreviewFetcher, injectable for tests
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @returns {{ getPreview: Function, attachToMessage: Function }}
+ */
+export const createLinkPreviewService = ({ fetchPreview = createLinkPreviewFetcher(), now = () => new Date() } = {}) => {
+  // Fetches in progress by URL, so a link sent to several chats at once is requested only once
+  const inFlight = new Map();
+
+  const fetchAndCache = async (url) => {
+    let metadata = null;
+    try {
+      metadata = await fetchPreview(url);
+    } catch (error) {
+      console.warn(`⚠️ Link preview fetch failed for ${url}:`, error.message);
+    }
+
+    const fetchedAt = now();
+    const expiresAt = new Date(fetchedAt.getTime() + (metadata ? CACHE_TTL_MS : FAILED_CACHE_TTL_MS));
+    try {
+      await LinkPreview.updateOne(
+        { url },
+        {
+          $set: {
+            title: metadata?.title ?? null,
+            description: metadata?.description ?? null,
+            image: metadata?.image ?? null,
+            siteName: metadata?.siteName ?? null,
+            failed: !metadata,
+            fetchedAt,
+            expiresAt,
+          },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Could not cache link preview for ${url}:`, error.message);
+    }
+
+    return metadata ? { url, ...metadata } : null;
+  };
+
+  /**
+   * The preview card for a link, from the cache when it has one
+   * @param {string} url - As returned by extractFirstUrl
+   * @returns {Promise<Object|null>} - { url, title, description, image, siteName }, or null
+   */
+  const getPreview = async (url) => {
+    const cached = await LinkPreview.findOne({ url, expiresAt: { $gt: now() } }).lean();
+    if (cached) {
+      if (cached.failed) return null;
+      const { title, description, image, siteName } = cached;
+      return { url, title, description, image, siteName };
+    }
+
+    if (!inFlight.has(url)) {
+      inFlight.set(url, fetchAndCache(url).finally(() => inFlight.delete(url)));
+    }
+    return inFlight.get(url);
+  };
+
+  /**
+   * Give a just-sent or edited message the preview of its first link and push it to the
+   * conversation. Called without awaiting the result; a failure only means there is no card.
+   * @param {Object} message - The saved message document
+   * @param {string} text - Its plain (decrypted) text
+   */
+  const attachToMessage = async (message, text) => {
+    try {
+      const url = extractFirstUrl(text);
+      if (!url) return;
+
+      const linkPreview = await getPreview(url);
+      if (!linkPreview) return;
+
+      // The message may have been edited or deleted while fetching: only that same version gets the card
+      const { modifiedCount } = await Message.updateOne(
+        { _id: message._id, editedAt: message.editedAt ?? null, isDeleted: { $ne: true } },
+        { $set: { linkPreview } }
+      );
+      if (modifiedCount > 0) emitLinkPreview(message, linkPreview);
+    } catch (error) {
+      console.error("❌ Link preview failed:", error.message);
+    }
+  };
+
+  return { getPreview, attachToMessage };
+};
+
+export const linkPreviewService = createLinkPreviewService();
@@ -0,0 +1,97 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+const DEFAULT_FROM = "Beyonder Chat <no-reply@localhost>";
+
+/**
+ * Mail sent through an SMTP server
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} [options.port] - 465 uses TLS from the start, anything else upgrades with STARTTLS
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @param {string} [options.from] - Sender address
+ * @returns {{ name: string, send: Function }}
+ */
+export const createSmtpMailer = ({ host, port = 587, user, pass, from = DEFAULT_FROM }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transport.sendMail({ from, ...message }),
+  };
+};
+
+/**
+ * Mail printed to the server log, for development
+ * @param {Object} [options]
+ * @param {string} [options.from] - Sender address
+ * @returns {{ name: string, send: Function }}
+ */
+export const createConsoleMailer = ({ from = DEFAULT_FROM } = {}) => ({
+  name: "console",
+  send: async ({ to, subject, text }) => {
+    console.log(`📧 Mail from ${from} to ${to}: ${subject}\n${text}`);
+  },
+});
+
+/**
+ * Mail written as JSON files to a directory, for development and tests to read links back from
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Where messages are written
+ * @param {string} [options.from] - Sender address
+ * @returns {{ name: string, directory: string, send: Function }}
+ */
+export const createFileMailer = ({ directory = path.resolve(process.env.MAIL_DIR || "mail"), from = DEFAULT_FROM } = {}) => ({
+  name: "file",
+  directory,
+  send: async (message) => {
+    // Time-ordered names, so the newest message sorts last
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ from, ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+});
+
+// MAILER picks the transport; without it SMTP is used when SMTP_HOST is set
+const createConfiguredMailer = () => {
+  const choice = process.env.MAILER || (process.env.SMTP_HOST ? "smtp" : "console");
+  const from = process.env.MAIL_FROM || DEFAULT_FROM;
+
+  if (choice === "smtp") {
+    return createSmtpMailer({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || undefined,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from,
+    });
+  }
+  return choice === "file" ? createFileMailer({ from }) : createConsoleMailer({ from });
+};
+
+let mailer = createConfiguredMailer();
+console.log(`📧 Mailer: ${mailer.name}`);
+
+export const getMailer = () => mailer;
+
+// Swap the transport, e.g. for a file mailer in tests
+export const setMailer = (nextMailer) => {
+  mailer = nextMailer;
+};
+
+/**
+ * Send an email with the current transport
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+export const sendMail = (message) => mailer.send(message);
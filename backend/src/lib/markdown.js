@@ -0,0 +1,12 @@
+// The markdown subset the client renders (**bold**, *italic*, _italic_, `code`, ``` blocks,
+// [links](url) and - / 1. lists). Messages are stored as written; this only strips the syntax
+// so toxicity and sentiment analysis see the words people actually read.
+export const stripMarkdown = (text) =>
+  text
+    .replace(/^[ \t]*```.*$/gm, "")
+    .replace(/^([ \t]*)(?:[-*]|\d+[.)])[ \t]+/gm, "$1")
+    .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, "$1")
+    .replace(/`([^`\n]+)`/g, "$1")
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, "$1")
+    .replace(/(?<![\w*])\*(?=[^\s*])(.+?)(?<=[^\s*])\*(?![\w*])/g, "$1")
+    .replace(/(?<!\w)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, "$1");
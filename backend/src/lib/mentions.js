@@ -0,0 +1,36 @@
+import Group from "../models/group.model.js";
+
+// Characters that continue a name: "@Ann" must not match inside "@Anna" or "x@Ann"
+const NAME_CHAR = /[\p{L}\p{N}_]/u;
+
+/**
+ * Group members mentioned as "@Full Name" in a message (case-insensitive)
+ * @param {string} text - Plain message text
+ * @param {Array} members - Group members with fullName populated
+ * @param {string} senderId - The author, who can't mention themselves
+ * @returns {Array} - Ids of the mentioned members
+ */
+export const resolveMentions = (text, members, senderId) => {
+  if (!text?.includes("@")) return [];
+  const lowerText = text.toLowerCase();
+
+  return members
+    .filter((member) => {
+      if (!member.fullName || member._id.toString() === senderId.toString()) return false;
+
+      const handle = `@${member.fullName.toLowerCase()}`;
+      for (let index = lowerText.indexOf(handle); index !== -1; index = lowerText.indexOf(handle, index + 1)) {
+        const before = text.charAt(index - 1);
+        const after = text.charAt(index + handle.length);
+        if ((!before || !NAME_CHAR.test(before)) && (!after || !NAME_CHAR.test(after))) return true;
+      }
+      return false;
+    })
+    .map((member) => member._id);
+};
+
+// The group with what mention resolution and the "mentioned" event need
+export const loadMentionGroup = (groupId) =>
+  Group.findById(groupId)
+    .select("name profilePic members")
+    .populate("members", "fullName profilePic");
@@ -0,0 +1,97 @@
+import Group from "../models/group.model.js";
+
+// Who may pin messages in a group, from most to least permissive
+export const PIN_PERMISSIONS = ["everyone", "moderators", "admin"];
+
+// Pinned messages allowed at once: DMs use the default, groups choose up to the maximum
+export const DEFAULT_PIN_LIMIT = 5;
+export const MAX_PIN_LIMIT = 25;
+
+// Machine-readable reasons sent with a 403 so the client can hide actions the user can't perform
+export const PERMISSION_ERRORS = {
+  NOT_SENDER: "NOT_SENDER",
+  NOT_MODERATOR: "NOT_MODERATOR",
+  NOT_PARTICIPANT: "NOT_PARTICIPANT",
+  PIN_NOT_ALLOWED: "PIN_NOT_ALLOWED",
+  NOT_GROUP_ADMIN: "NOT_GROUP_ADMIN",
+  PIN_LIMIT_REACHED: "PIN_LIMIT_REACHED",
+};
+
+const toId = (value) => (value?._id || value)?.toString();
+
+/**
+ * A user's role in a group: "admin", "moderator", "member", or null when they aren't a member
+ * @param {Object} group - Group document (members/moderators may be populated)
+ * @param {string} userId - The user to check
+ */
+export const getGroupRole = (group, userId) => {
+  const id = userId.toString();
+  if (!group.members.some((member) => toId(member) === id)) return null;
+  if (toId(group.admin) === id) return "admin";
+  if ((group.moderators || []).some((moderator) => toId(moderator) === id)) return "moderator";
+  return "member";
+};
+
+/**
+ * What a user may do with other people's messages in a group
+ * @returns {{ role: string|null, canModerate: boolean, canPin: boolean, pinPermission: string }}
+ */
+export const getGroupPermissions = (group, userId) => {
+  const role = getGroupRole(group, userId);
+  const canModerate = role === "admin" || role === "moderator";
+  const pinPermission = group.pinPermission || "everyone";
+
+  let canPin = !!role;
+  if (pinPermission === "moderators") canPin = canModerate;
+  if (pinPermission === "admin") canPin = role === "admin";
+
+  return { role, canModerate, canPin, pinPermission };
+};
+
+/**
+ * Check whether a user may edit, delete or pin a message
+ * Only the sender can edit; the sender or a group admin/moderator can delete;
+ * DM participants can pin, group members can pin when the group's pinPermission allows it
+ * @param {Object} message - Message document
+ * @param {string} userId - The acting user
+ * @param {"edit"|"delete"|"pin"} action
+ * @returns {Promise<{ code: string, error: string }|null>} - null when allowed
+ */
+export const checkMessagePermission = async (message, userId, action) => {
+  const id = userId.toString();
+  const isSender = toId(message.senderId) === id;
+
+  if (action === "edit") {
+    return isSender
+      ? null
+      : { code: PERMISSION_ERRORS.NOT_SENDER, error: "Only the sender can edit this message" };
+  }
+
+  if (!message.groupId) {
+    const isReceiver = toId(message.receiverId) === id;
+    if (action === "pin") {
+      return isSender || isReceiver
+        ? null
+        : { code: PERMISSION_ERRORS.NOT_PARTICIPANT, error: "You are not part of this conversation" };
+    }
+    return isSender
+      ? null
+      : { code: PERMISSION_ERRORS.NOT_SENDER, error: "Only the sender can delete this message" };
+  }
+
+  if (action === "delete" && isSender) return null;
+
+  const group = await Group.findById(message.groupId).select("admin moderators members pinPermission");
+  const permissions = group ? getGroupPermissions(group, id) : { role: null };
+
+  if (!permissions.role) {
+    return { code: PERMISSION_ERRORS.NOT_PARTICIPANT, error: "You are not a member of this group" };
+  }
+  if (action === "delete" && !permissions.canModerate) {
+    return { code: PERMISSION_ERRORS.NOT_MODERATOR, error: "Only the sender or a group moderator can delete this message" };
+  }
+  if (action === "pin" && !permissions.canPin) {
+    return { code: PERMISSION_ERRORS.PIN_NOT_ALLOWED, error: "Pinning is restricted in this group" };
+  }
+  return null;
+};
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+
+// Bounds on what a poll may contain
+export const POLL_LIMITS = {
+  maxQuestionLength: 300,
+  minOptions: 2,
+  maxOptions: 10,
+  maxOptionLength: 100,
+  // Furthest ahead a closing time may be set
+  maxOpenDays: 30,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a new poll from a request body
+ * @param {Object} body - { question, options, allowMultiple, anonymous, closesAt }
+ * @param {Date} [now]
+ * @returns {{ poll?: Object, error?: string }} - poll is ready for the message's `poll` field
+ */
+export const parsePollInput = ({ question, options, allowMultiple, anonymous, closesAt }, now = new Date()) => {
+  const trimmedQuestion = typeof question === "string" ? question.trim() : "";
+  if (!trimmedQuestion) return { error: "A poll needs a question" };
+  if (trimmedQuestion.length > POLL_LIMITS.maxQuestionLength) {
+    return { error: `Questions can be at most ${POLL_LIMITS.maxQuestionLength} characters` };
+  }
+
+  if (!Array.isArray(options)) return { error: "Options must be an array" };
+  const texts = options.map((option) => (typeof option === "string" ? option.trim() : "")).filter(Boolean);
+  if (texts.length < POLL_LIMITS.minOptions || texts.length > POLL_LIMITS.maxOptions) {
+    return { error: `A poll has ${POLL_LIMITS.minOptions} to ${POLL_LIMITS.maxOptions} options` };
+  }
+  if (texts.some((text) => text.length > POLL_LIMITS.maxOptionLength)) {
+    return { error: `Options can be at most ${POLL_LIMITS.maxOptionLength} characters` };
+  }
+  if (new Set(texts.map((text) => text.toLowerCase())).size !== texts.length) {
+    return { error: "Options must be different from each other" };
+  }
+
+  let closeTime = null;
+  if (closesAt) {
+    closeTime = new Date(closesAt);
+    if (Number.isNaN(closeTime.getTime()) || closeTime <= now) {
+      return { error: "The closing time must be in the future" };
+    }
+    if (closeTime - now > POLL_LIMITS.maxOpenDays * DAY_MS) {
+      return { error: `Polls can stay open for at most ${POLL_LIMITS.maxOpenDays} days` };
+    }
+  }
+
+  return {
+    poll: {
+      question: trimmedQuestion,
+      options: texts.map((text) => ({ text })),
+      allowMultiple: !!allowMultiple,
+      anonymous: !!anonymous,
+      closesAt: closeTime,
+      closedAt: null,
+    },
+  };
+};
+
+// Whether a poll no longer takes votes: closed by hand, or past its closing time
+export const isPollClosed = (poll, now = new Date()) =>
+  !!poll.closedAt || (!!poll.closesAt && new Date(poll.closesAt) <= now);
+
+/**
+ * Check a member's choice against a poll's options
+ * @param {Object} poll - The message's poll (options with _id)
+ * @param {Array} optionIds - Chosen option ids; empty withdraws the vote
+ * @returns {{ optionIds?: Array<string>, error?: string }}
+ */
+export const normalizeVote = (poll, optionIds) => {
+  if (!Array.isArray(optionIds)) return { error: "optionIds must be an array" };
+
+  const chosen = [...new Set(optionIds.map(String))];
+  const validIds = new Set(poll.options.map((option) => option._id.toString()));
+  if (chosen.some((id) => !mongoose.Types.ObjectId.isValid(id) || !validIds.has(id))) {
+    return { error: "Unknown poll option" };
+  }
+  if (!poll.allowMultiple && chosen.length > 1) {
+    return { error: "This poll allows only one choice" };
+  }
+  return { optionIds: chosen };
+};
+
+/**
+ * Count the votes of one poll
+ * @param {Object} poll - The message's poll
+ * @param {Array} votes - Its PollVote documents, userId populated with fullName/profilePic
+ * @param {Date} [now]
+ * @returns {Object} - { options: [{ optionId, votes, voters? }], totalVoters, closed }; voters are left
+ *   out of anonymous polls
+ */
+export const tallyPoll = (poll, votes, now = new Date()) => {
+  const options = poll.options.map((option) => ({
+    optionId: option._id.toString(),
+    votes: 0,
+    ...(poll.anonymous ? {} : { voters: [] }),
+  }));
+  const byId = new Map(options.map((option) => [option.optionId, option]));
+
+  votes.forEach((vote) => {
+    vote.optionIds.forEach((optionId) => {
+      const option = byId.get(optionId.toString());
+      if (!option) return;
+      option.votes += 1;
+      if (option.voters && vote.userId) {
+        const { _id, fullName, profilePic } = vote.userId;
+        option.voters.push({ _id, fullName, profilePic });
+      }
+    });
+  });
+
+  return { options, totalVoters: votes.length, closed: isPollClosed(poll, now) };
+};
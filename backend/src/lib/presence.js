@@ -0,0 +1,26 @@
+// Statuses a user can pick: "online" is the automatic one; invisible users appear offline to everyone
+export const PRESENCE_STATUSES = ["online", "away", "busy", "invisible"];
+
+// Who may see when a user was last online
+export const LAST_SEEN_VISIBILITIES = ["everyone", "friends"];
+
+const toId = (value) => (value?._id || value)?.toString();
+
+/**
+ * What a viewer may know about a user's presence
+ * @param {Object} user - With friends, lastSeenVisibility and the select: false fields presenceStatus, lastSeenAt
+ * @param {string} viewerId - Who is asking
+ * @param {boolean} isConnected - Whether the user has a socket open (see getReceiverSocketId)
+ * @returns {{ status: string, lastSeenAt: Date|null }} - status is "offline" or one of PRESENCE_STATUSES
+ */
+export const describePresence = (user, viewerId, isConnected) => {
+  const isSelf = toId(user) === toId(viewerId);
+  const isOnline = isConnected && (isSelf || user.presenceStatus !== "invisible");
+  const canSeeLastSeen =
+    isSelf || user.lastSeenVisibility !== "friends" || user.friends.some((friend) => toId(friend) === toId(viewerId));
+
+  return {
+    status: isOnline ? user.presenceStatus || "online" : "offline",
+    lastSeenAt: !isOnline && canSeeLastSeen ? user.lastSeenAt || null : null,
+  };
+};
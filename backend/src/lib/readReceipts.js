@@ -0,0 +1,116 @@
+import Message from "../models/message.model.js";
+import Group from "../models/group.model.js";
+import ReadMarker from "../models/readMarker.model.js";
+
+/**
+ * Mark every undelivered direct message to a user as delivered (called when they connect)
+ * @param {string} userId - The user who just came online
+ * @returns {Promise<Array>} - One receipt per sender: { senderId, receiverId, messageIds, deliveredAt }
+ */
+export const markPendingDelivered = async (userId) => {
+  const pending = await Message.find({ receiverId: userId, deliveredAt: null }).select("_id senderId");
+  if (pending.length === 0) return [];
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: pending.map((message) => message._id) } },
+    { $set: { deliveredAt } }
+  );
+
+  const bySender = {};
+  pending.forEach((message) => {
+    const senderId = message.senderId.toString();
+    if (!bySender[senderId]) bySender[senderId] = [];
+    bySender[senderId].push(message._id);
+  });
+
+  return Object.entries(bySender).map(([senderId, messageIds]) => ({
+    senderId,
+    receiverId: userId,
+    messageIds,
+    deliveredAt,
+  }));
+};
+
+/**
+ * Mark the direct messages another user sent to `readerId` as read
+ * @param {string} readerId - The user who opened the conversation
+ * @param {string} senderId - The other participant of the DM
+ * @returns {Promise<Object|null>} - { readerId, senderId, messageIds, readAt } or null if nothing changed
+ */
+export const markDirectMessagesRead = async (readerId, senderId) => {
+  const unread = await Message.find({ senderId, receiverId: readerId, readAt: null }).select("_id");
+  if (unread.length === 0) return null;
+
+  const readAt = new Date();
+  const messageIds = unread.map((message) => message._id);
+  await Message.updateMany(
+    { _id: { $in: messageIds } },
+    [{ $set: { readAt, deliveredAt: { $ifNull: ["$deliveredAt", readAt] } } }]
+  );
+
+  return { readerId, senderId, messageIds, readAt };
+};
+
+/**
+ * Move a member's read marker in a group to the latest message
+ * @param {string} userId - The member who opened the group
+ * @param {string} groupId - The group conversation
+ * @returns {Promise<Object|null>} - { groupId, userId, lastReadMessageId, lastReadAt } or null
+ */
+export const markGroupRead = async (userId, groupId) => {
+  const isMember = await Group.exists({ _id: groupId, members: userId });
+  if (!isMember) return null;
+
+  const latestMessage = await Message.findOne({ groupId }).sort({ createdAt: -1, _id: -1 }).select("_id");
+  if (!latestMessage) return null;
+
+  const existing = await ReadMarker.findOne({ groupId, userId });
+  if (existing?.lastReadMessageId?.equals(latestMessage._id)) return null;
+
+  const marker = await ReadMarker.findOneAndUpdate(
+    { groupId, userId },
+    { $set: { lastReadMessageId: latestMessage._id, lastReadAt: new Date() } },
+    { upsert: true, new: true }
+  );
+
+  return {
+    groupId,
+    userId,
+    lastReadMessageId: marker.lastReadMessageId,
+    lastReadAt: marker.lastReadAt,
+  };
+};
+
+/**
+ * The read state a user recorded since a time, shaped as the events that announce it (used to send
+ * what was held back while they were invisible)
+ * @param {string} readerId
+ * @param {Date} since
+ * @returns {Promise<{ receipts: Array, markers: Array }>} - receipts as from markDirectMessagesRead, one per
+ *   sender with the latest readAt; markers as from markGroupRead
+ */
+export const getReadStateSince = async (readerId, since) => {
+  const [readMessages, readMarkers] = await Promise.all([
+    Message.find({ receiverId: readerId, readAt: { $gte: since } }).select("_id senderId readAt"),
+    ReadMarker.find({ userId: readerId, lastReadAt: { $gte: since } }),
+  ]);
+
+  const bySender = {};
+  readMessages.forEach((message) => {
+    const senderId = message.senderId.toString();
+    if (!bySender[senderId]) bySender[senderId] = { readerId, senderId, messageIds: [], readAt: message.readAt };
+    bySender[senderId].messageIds.push(message._id);
+    if (message.readAt > bySender[senderId].readAt) bySender[senderId].readAt = message.readAt;
+  });
+
+  return {
+    receipts: Object.values(bySender),
+    markers: readMarkers.map((marker) => ({
+      groupId: marker.groupId,
+      userId: readerId,
+      lastReadMessageId: marker.lastReadMessageId,
+      lastReadAt: marker.lastReadAt,
+    })),
+  };
+};
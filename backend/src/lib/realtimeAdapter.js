@@ -0,0 +1,228 @@
+import crypto from "crypto";
+import { createClient } from "redis";
+import { createAdapter } from "@socket.io/redis-adapter";
+
+// A Redis-backed instance refreshes its liveness key this often; the others give up on it when the key lapses
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const INSTANCE_TTL_MS = 30 * 1000;
+
+/**
+ * Presence and routing for a single Node process: socket.io's own in-memory rooms, and connections
+ * counted in a Map. Every adapter has the same interface:
+ * - attach(io, { onPresenceChange }) - install on the server before it takes connections
+ * - addConnection(userId, socketId) - resolves to true when the user just came online
+ * - removeConnection(userId, socketId) - resolves to true when that was their last connection
+ * - isOnline(userId), getOnlineUserIds() - synchronous, as emits are decided on the spot
+ * - close()
+ * @returns {Object}
+ */
+export const createMemoryRealtimeAdapter = () => {
+  const userSockets = new Map(); // {userId: Set<socketId>}
+
+  return {
+    name: "memory",
+
+    attach: async () => {},
+
+    addConnection: async (userId, socketId) => {
+      const cameOnline = !userSockets.has(userId);
+      if (cameOnline) userSockets.set(userId, new Set());
+      userSockets.get(userId).add(socketId);
+      return cameOnline;
+    },
+
+    removeConnection: async (userId, socketId) => {
+      const socketIds = userSockets.get(userId);
+      socketIds?.delete(socketId);
+      if (socketIds?.size !== 0) return false;
+      userSockets.delete(userId);
+      return true;
+    },
+
+    isOnline: (userId) => userSockets.has(userId),
+
+    getOnlineUserIds: () => [...userSockets.keys()],
+
+    close: async () => {},
+  };
+};
+
+/**
+ * Presence and routing shared by every Node process using the same Redis (or a Redis-compatible
+ * server). Emits and rooms go through @socket.io/redis-adapter. Each instance records the users
+ * connected to it under its own key and announces changes on a channel, so all instances keep a
+ * copy of who is online. An instance that stops heartbeating is swept and its users go offline.
+ * @param {Object} options
+ * @param {Object} options.pubClient - Connected node-redis client
+ * @param {Object} options.subClient - Connected duplicate of pubClient, used for subscriptions only
+ * @param {string} [options.keyPrefix] - Namespace for keys and channels, so clusters (or test runs) can share a server
+ * @param {number} [options.heartbeatIntervalMs] - How often this instance refreshes its liveness key and sweeps the others
+ * @param {number} [options.instanceTtlMs] - How long the liveness key outlives the last heartbeat
+ * @returns {Object} - See createMemoryRealtimeAdapter for the interface
+ */
+export const createRedisRealtimeAdapter = ({
+  pubClient,
+  subClient,
+  keyPrefix = "beyonder:realtime",
+  heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS,
+  instanceTtlMs = INSTANCE_TTL_MS,
+}) => {
+  const instanceId = crypto.randomUUID();
+  const instancesKey = `${keyPrefix}:instances`;
+  const aliveKey = (id) => `${keyPrefix}:alive:${id}`;
+  const usersKey = (id) => `${keyPrefix}:users:${id}`;
+  const presenceChannel = `${keyPrefix}:presence`;
+
+  const localSockets = new Map(); // {userId: Set<socketId>}, connections to this instance
+  const onlineUsers = new Map(); // {userId: Set<instanceId>}, across the cluster
+  let onPresenceChange = () => {};
+  let heartbeat = null;
+
+  const markOnline = (userId, id) => {
+    if (!onlineUsers.has(userId)) onlineUsers.set(userId, new Set());
+    onlineUsers.get(userId).add(id);
+  };
+
+  // Returns true when the user has no instance left
+  const markOffline = (userId, id) => {
+    const instances = onlineUsers.get(userId);
+    instances?.delete(id);
+    if (instances?.size !== 0) return false;
+    onlineUsers.delete(userId);
+    return true;
+  };
+
+  const dropInstance = (id) => {
+    [...onlineUsers.keys()].forEach((userId) => markOffline(userId, id));
+  };
+
+  const publish = (event) => pubClient.publish(presenceChannel, JSON.stringify({ from: instanceId, ...event }));
+
+  // Changes announced by the other instances; this one applies its own before publishing them
+  const handlePresenceMessage = (raw) => {
+    const event = JSON.parse(raw);
+    if (event.from === instanceId) return;
+
+    if (event.gone) {
+      dropInstance(event.instanceId);
+    } else if (event.online) {
+      markOnline(event.userId, event.from);
+    } else {
+      markOffline(event.userId, event.from);
+    }
+  };
+
+  const beat = () =>
+    pubClient
+      .multi()
+      .set(aliveKey(instanceId), "1", { expiration: { type: "PX", value: instanceTtlMs } })
+      .sAdd(instancesKey, instanceId)
+      .exec();
+
+  // Instances whose liveness key lapsed crashed without closing: take their users offline. The SREM
+  // decides which instance does it, so the new online list is broadcast once.
+  const sweepDeadInstances = async () => {
+    const ids = await pubClient.sMembers(instancesKey);
+    for (const id of ids) {
+      if (id === instanceId || (await pubClient.exists(aliveKey(id)))) continue;
+      if (!(await pubClient.sRem(instancesKey, id))) continue;
+
+      console.warn(`⚠️ Realtime instance ${id} stopped heartbeating, taking its users offline`);
+      await pubClient.del(usersKey(id));
+      dropInstance(id);
+      await publish({ instanceId: id, gone: true });
+      onPresenceChange();
+    }
+  };
+
+  return {
+    name: "redis",
+    instanceId,
+
+    attach: async (io, options = {}) => {
+      onPresenceChange = options.onPresenceChange || onPresenceChange;
+      io.adapter(createAdapter(pubClient, subClient, { key: `${keyPrefix}:socket.io` }));
+
+      // Subscribe before reading who is online elsewhere, so no change falls between the two
+      await subClient.subscribe(presenceChannel, handlePresenceMessage);
+      await beat();
+      await sweepDeadInstances();
+      const ids = await pubClient.sMembers(instancesKey);
+      await Promise.all(
+        ids
+          .filter((id) => id !== instanceId)
+          .map(async (id) => {
+            const userIds = await pubClient.sMembers(usersKey(id));
+            userIds.forEach((userId) => markOnline(userId, id));
+          })
+      );
+
+      heartbeat = setInterval(() => {
+        beat()
+          .then(sweepDeadInstances)
+          .catch((err) => console.error("❌ Realtime heartbeat failed:", err));
+      }, heartbeatIntervalMs);
+      heartbeat.unref();
+    },
+
+    addConnection: async (userId, socketId) => {
+      const firstHere = !localSockets.has(userId);
+      if (firstHere) localSockets.set(userId, new Set());
+      localSockets.get(userId).add(socketId);
+      if (!firstHere) return false;
+
+      const cameOnline = !onlineUsers.has(userId);
+      markOnline(userId, instanceId);
+      await pubClient.sAdd(usersKey(instanceId), userId);
+      await publish({ userId, online: true });
+      return cameOnline;
+    },
+
+    removeConnection: async (userId, socketId) => {
+      const socketIds = localSockets.get(userId);
+      socketIds?.delete(socketId);
+      if (socketIds?.size !== 0) return false;
+
+      localSockets.delete(userId);
+      const wentOffline = markOffline(userId, instanceId);
+      await pubClient.sRem(usersKey(instanceId), userId);
+      await publish({ userId, online: false });
+      return wentOffline;
+    },
+
+    isOnline: (userId) => onlineUsers.has(userId),
+
+    getOnlineUserIds: () => [...onlineUsers.keys()],
+
+    // Leave the cluster cleanly: the others drop this instance's users now rather than after the TTL
+    close: async () => {
+      clearInterval(heartbeat);
+      dropInstance(instanceId);
+      await pubClient
+        .multi()
+        .sRem(instancesKey, instanceId)
+        .del([usersKey(instanceId), aliveKey(instanceId)])
+        .exec();
+      await publish({ instanceId, gone: true });
+      onPresenceChange();
+      await Promise.all([subClient.close(), pubClient.close()]);
+    },
+  };
+};
+
+/**
+ * The adapter chosen by REALTIME_ADAPTER ("memory" or "redis"); without it Redis is used when REDIS_URL is set
+ * @returns {Promise<Object>}
+ */
+export const createConfiguredRealtimeAdapter = async () => {
+  const choice = process.env.REALTIME_ADAPTER || (process.env.REDIS_URL ? "redis" : "memory");
+  if (choice !== "redis") return createMemoryRealtimeAdapter();
+
+  const pubClient = createClient({ url: process.env.REDIS_URL });
+  const subClient = pubClient.duplicate();
+  pubClient.on("error", (err) => console.error("❌ Redis error:", err));
+  subClient.on("error", (err) => console.error("❌ Redis subscriber error:", err));
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return createRedisRealtimeAdapter({ pubClient, subClient, keyPrefix: process.env.REDIS_KEY_PREFIX });
+};
@@ -0,0 +1,150 @@
+import ScheduledMessage from "../models/scheduledMessage.model.js";
+import Group from "../models/group.model.js";
+import { decryptCaesar } from "./caesarCipher.js";
+import { getReceiverSocketId, io } from "./socket.js";
+import { deliverMessage } from "../controllers/message.controller.js";
+
+const POLL_INTERVAL_MS = 15 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 3;
+// A claim older than this belongs to a worker that died mid-send, so it's picked up again
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Shape a scheduled message for the client (decrypted text, no worker bookkeeping)
+ * @param {Object} scheduled - ScheduledMessage document
+ */
+export const formatScheduledMessage = (scheduled) => ({
+  _id: scheduled._id,
+  receiverId: scheduled.receiverId,
+  groupId: scheduled.groupId,
+  text: scheduled.text ? decryptCaesar(scheduled.text) : null,
+  image: scheduled.image,
+  replyTo: scheduled.replyTo,
+  sendAt: scheduled.sendAt,
+  status: scheduled.status,
+  error: scheduled.error,
+  messageId: scheduled.messageId,
+  createdAt: scheduled.createdAt,
+});
+
+// Let the sender's open scheduled list follow the worker
+const notifySender = (scheduled) => {
+  const senderSocketId = getReceiverSocketId(scheduled.senderId.toString());
+  if (senderSocketId) {
+    io.to(senderSocketId).emit("scheduledMessageUpdated", formatScheduledMessage(scheduled));
+  }
+};
+
+/**
+ * Send one scheduled message through the same path as sendMessage
+ * The clientMessageId is derived from the schedule, so a retry after a crash can't send it twice
+ * @param {Object} scheduled - ScheduledMessage document
+ * @returns {Promise<Object>} - The delivered message
+ */
+export const deliverScheduledMessage = async (scheduled) => {
+  if (scheduled.groupId) {
+    const isMember = await Group.exists({ _id: scheduled.groupId, members: scheduled.senderId });
+    if (!isMember) {
+      throw new Error("You are no longer a member of this group");
+    }
+  }
+
+  const { message } = await deliverMessage({
+    senderId: scheduled.senderId,
+    receiverId: scheduled.receiverId?.toString(),
+    groupId: scheduled.groupId,
+    text: scheduled.text ? decryptCaesar(scheduled.text) : null,
+    imageUrl: scheduled.image,
+    replyTo: scheduled.replyTo,
+    selectedModel: scheduled.selectedModel,
+    clientMessageId: `scheduled-${scheduled._id}`,
+  });
+  return message;
+};
+
+/**
+ * Polls MongoDB for due scheduled messages and delivers them
+ * State lives in the collection, so pending messages survive a restart
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @param {Function} [options.deliver] - Sends one scheduled message, injectable for tests
+ * @param {number} [options.intervalMs] - Poll interval
+ * @returns {{ start: Function, stop: Function, tick: Function }}
+ */
+export const createScheduledMessageWorker = ({
+  now = () => new Date(),
+  deliver = deliverScheduledMessage,
+  intervalMs = POLL_INTERVAL_MS,
+} = {}) => {
+  let timer = null;
+  let isTicking = false;
+
+  // Atomically take the oldest due message so two workers never send the same one
+  const claimNext = (current, skipIds) =>
+    ScheduledMessage.findOneAndUpdate(
+      {
+        _id: { $nin: skipIds },
+        sendAt: { $lte: current },
+        $or: [
+          { status: "scheduled" },
+          { status: "sending", lockedAt: { $lte: new Date(current.getTime() - STALE_LOCK_MS) } },
+        ],
+      },
+      { $set: { status: "sending", lockedAt: current }, $inc: { attempts: 1 } },
+      { sort: { sendAt: 1 }, new: true }
+    );
+
+  // Deliver everything due at now(); returns how many messages were processed
+  const tick = async () => {
+    if (isTicking) return 0;
+    isTicking = true;
+
+    const current = now();
+    const processedIds = [];
+    try {
+      while (processedIds.length < BATCH_SIZE) {
+        const scheduled = await claimNext(current, processedIds);
+        if (!scheduled) break;
+        processedIds.push(scheduled._id);
+
+        try {
+          const message = await deliver(scheduled);
+          scheduled.status = "sent";
+          scheduled.messageId = message._id;
+          scheduled.error = null;
+          console.log(`⏰ Scheduled message delivered: ${scheduled._id}`);
+        } catch (error) {
+          // Failed attempts go back in the queue for the next tick until MAX_ATTEMPTS
+          scheduled.status = scheduled.attempts >= MAX_ATTEMPTS ? "failed" : "scheduled";
+          scheduled.error = error.message;
+          console.error(`❌ Scheduled message ${scheduled._id} failed (attempt ${scheduled.attempts}):`, error.message);
+        }
+        scheduled.lockedAt = null;
+        await scheduled.save();
+        notifySender(scheduled);
+      }
+    } catch (error) {
+      console.error("❌ Scheduled message worker error:", error.message);
+    } finally {
+      isTicking = false;
+    }
+    return processedIds.length;
+  };
+
+  const start = () => {
+    if (timer) return;
+    console.log(`⏰ Scheduled message worker started (every ${intervalMs / 1000}s)`);
+    tick();
+    timer = setInterval(tick, intervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, tick };
+};
+
+export const scheduledMessageWorker = createScheduledMessageWorker();
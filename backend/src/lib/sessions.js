@@ -0,0 +1,233 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import { disconnectSessionSockets } from "./socket.js";
+import { authCookieOptions, generateToken } from "./utils.js";
+
+// A session stays signed in this long after its last refresh
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The refresh cookie is only sent to the auth routes
+export const REFRESH_COOKIE = "refreshToken";
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+// Tabs sharing the cookie can refresh at the same moment: the one that loses the race presents the
+// token just replaced. Within this window that is treated as a race, later as a stolen token.
+const REUSE_GRACE_MS = 30 * 1000;
+
+// Machine-readable reasons for a 401, so the client knows whether refreshing can help
+export const AUTH_ERRORS = {
+  NO_TOKEN: "NO_TOKEN",
+  TOKEN_EXPIRED: "TOKEN_EXPIRED",
+  INVALID_TOKEN: "INVALID_TOKEN",
+  SESSION_REVOKED: "SESSION_REVOKED",
+};
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Firefox", /Firefox\/|FxiOS/],
+  ["Chrome", /Chrome\/|CriOS/],
+  ["Safari", /Safari\//],
+];
+const SYSTEMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["ChromeOS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * A readable name for the device behind a user agent, for the sessions list
+ * @param {string} userAgent
+ * @returns {string} - e.g. "Firefox on Linux"
+ */
+export const describeDevice = (userAgent = "") => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+};
+
+// A fresh refresh token for a session: "<sessionId>.<secret>"; only the secret's hash is stored
+const createRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+const setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_COOKIE, token, authCookieOptions(REFRESH_TOKEN_TTL_MS, REFRESH_COOKIE_PATH));
+};
+
+// The session id and secret of a refresh cookie, or null when it is malformed
+const parseRefreshToken = (token) => {
+  const [sessionId, secret, extra] = typeof token === "string" ? token.split(".") : [];
+  if (!sessionId || !secret || extra !== undefined || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Where the request came from, as shown in the sessions list
+const describeClient = (req) => {
+  const userAgent = (req.get("user-agent") || "").slice(0, 300);
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip || "" };
+};
+
+/**
+ * Sign a user in on this device: a new session with its access and refresh cookies
+ * @returns {Promise<Object>} - The session
+ */
+export const startSession = async (userId, req, res) => {
+  // The id is assigned here, so the refresh token can name it before the first save
+  const session = new Session({
+    userId,
+    ...describeClient(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  const { token, hash } = createRefreshToken(session._id);
+  session.refreshTokenHash = hash;
+  await session.save();
+
+  setRefreshCookie(res, token);
+  generateToken(userId, session._id, res);
+  return session;
+};
+
+/**
+ * Exchange the refresh cookie for a new access token and a new refresh token (rotation).
+ * Presenting a refresh token that was already replaced revokes the session: someone else has it.
+ * @returns {Promise<{ session?: Object, error?: string }>} - error is one of AUTH_ERRORS
+ */
+export const rotateSession = async (req, res) => {
+  const parsed = parseRefreshToken(req.cookies[REFRESH_COOKIE]);
+  if (!parsed) return { error: AUTH_ERRORS.NO_TOKEN };
+
+  const session = await Session.findById(parsed.sessionId);
+  const now = new Date();
+  if (!session || session.revokedAt || session.expiresAt <= now) {
+    return { error: AUTH_ERRORS.SESSION_REVOKED };
+  }
+
+  // Only swapped if the presented token is still the current one, so two refreshes can't both rotate
+  const presentedHash = hashToken(parsed.secret);
+  const next = createRefreshToken(session._id);
+  const rotated = presentedHash === session.refreshTokenHash
+    ? await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash },
+        {
+          $set: {
+            previousTokenHash: presentedHash,
+            refreshTokenHash: next.hash,
+            rotatedAt: now,
+            lastUsedAt: now,
+            expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+            ...describeClient(req),
+          },
+        },
+        { new: true }
+      )
+    : null;
+  if (rotated) {
+    setRefreshCookie(res, next.token);
+    generateToken(rotated.userId, rotated._id, res);
+    return { session: rotated };
+  }
+
+  const latest = await Session.findById(session._id).select("userId previousTokenHash rotatedAt revokedAt");
+  const isRace = latest && !latest.revokedAt
+    && presentedHash === latest.previousTokenHash && now - latest.rotatedAt < REUSE_GRACE_MS;
+  if (!isRace) {
+    console.warn(`🚨 Refresh token reuse on session ${session._id}, revoking it`);
+    await revokeSession(session, "reuse");
+    return { error: AUTH_ERRORS.SESSION_REVOKED };
+  }
+
+  // The refresh that won the race sets the new refresh cookie; this one only needs an access token
+  generateToken(latest.userId, latest._id, res);
+  return { session: latest };
+};
+
+// Sign a session out; its access token stops working at the next request (see protectRoute) and its
+// sockets are dropped now
+export const revokeSession = async (session, reason) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+  disconnectSessionSockets([session._id]);
+};
+
+/**
+ * Sign out every session of a user, or all but one
+ * @param {string} userId
+ * @param {string} reason - Stored as revokedReason
+ * @param {string} [exceptSessionId] - A session to keep, e.g. the one making the request
+ * @returns {Promise<number>} - How many sessions were revoked
+ */
+export const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessionIds = await Session.find(filter).distinct("_id");
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  disconnectSessionSockets(sessionIds);
+  return result.modifiedCount;
+};
+
+// The session behind an access token, if it is still signed in
+export const findActiveSession = (sessionId, userId) =>
+  Session.findOne({ _id: sessionId, userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+/**
+ * Check an access token and the session it names, for protectRoute and the socket handshake
+ * @param {string} token - The "jwt" cookie
+ * @returns {Promise<{ user?: Object, session?: Object, error?: string }>} - error is one of AUTH_ERRORS;
+ *   user is null when the account no longer exists
+ */
+export const verifyAccessToken = async (token) => {
+  if (!token) return { error: AUTH_ERRORS.NO_TOKEN };
+
+  // An expired access token is routine: the client refreshes it (POST /auth/refresh) and retries
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { error: error.name === "TokenExpiredError" ? AUTH_ERRORS.TOKEN_EXPIRED : AUTH_ERRORS.INVALID_TOKEN };
+  }
+
+  // Tokens from before sessions existed name no session and can't be revoked: sign in again
+  if (!decoded?.sessionId) return { error: AUTH_ERRORS.INVALID_TOKEN };
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select("-password +presenceStatus"),
+    findActiveSession(decoded.sessionId, decoded.userId),
+  ]);
+  if (!session) return { error: AUTH_ERRORS.SESSION_REVOKED };
+
+  return { user, session };
+};
+
+// The session a request's refresh cookie belongs to, when the token is its current or just-replaced one
+// (logout must work with an expired access token)
+export const findSessionFromRefreshCookie = async (req) => {
+  const parsed = parseRefreshToken(req.cookies[REFRESH_COOKIE]);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId);
+  const presentedHash = hashToken(parsed.secret);
+  if (!session || (presentedHash !== session.refreshTokenHash && presentedHash !== session.previousTokenHash)) {
+    return null;
+  }
+  return session;
+};
+
+export const clearAuthCookies = (res) => {
+  res.cookie("jwt", "", authCookieOptions(0));
+  res.cookie(REFRESH_COOKIE, "", authCookieOptions(0, REFRESH_COOKIE_PATH));
+};
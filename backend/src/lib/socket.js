@@ -1,6 +1,13 @@
 import { Server } from "socket.io";
 import http from "http";
 import express from "express";
+import cookieParser from "cookie-parser";
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import Group from "../models/group.model.js";
+import { getReadStateSince, markPendingDelivered, markDirectMessagesRead, markGroupRead } from "./readReceipts.js";
+import { AUTH_ERRORS, verifyAccessToken } from "./sessions.js";
+import { createConfiguredRealtimeAdapter, createMemoryRealtimeAdapter } from "./realtimeAdapter.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -8,42 +15,187 @@ const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
     origin: ["http://localhost:5173"],
+    credentials: true,
   },
 });
 
+// ✅ Sockets authenticate with the same access token cookie as the REST routes (see protectRoute).
+// The client refreshes and reconnects when this rejects it with TOKEN_EXPIRED.
+io.engine.use(cookieParser());
+io.use(async (socket, next) => {
+  try {
+    const { user, session, error } = await verifyAccessToken(socket.request.cookies?.jwt);
+    if (error || !user) {
+      const authError = new Error("Unauthorized");
+      authError.data = { code: error || AUTH_ERRORS.INVALID_TOKEN };
+      return next(authError);
+    }
+
+    socket.data.userId = user._id.toString();
+    socket.data.sessionId = session._id.toString();
+    next();
+  } catch (err) {
+    console.error("Error authenticating socket:", err);
+    next(new Error("Internal server error"));
+  }
+});
+
+// Every socket of a session is in its room, so signing the session out can drop them all
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Disconnect the sockets of revoked sessions; they can't reconnect with those sessions' tokens
+export function disconnectSessionSockets(sessionIds) {
+  sessionIds.forEach((sessionId) => {
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  });
+}
+
+// Presence and cross-process routing (see lib/realtimeAdapter.js). In-memory until
+// connectRealtimeAdapter runs, which index.js does before the server listens.
+let realtime = createMemoryRealtimeAdapter();
+
+/**
+ * Install the realtime adapter, e.g. Redis so several Node processes share presence and rooms
+ * @param {Object} [adapter] - Defaults to the one configured by REALTIME_ADAPTER / REDIS_URL
+ */
+export async function connectRealtimeAdapter(adapter) {
+  realtime = adapter || (await createConfiguredRealtimeAdapter());
+  await realtime.attach(io, { onPresenceChange: () => broadcastOnlineUsers() });
+  console.log(`📡 Realtime adapter: ${realtime.name}`);
+}
+
+export const closeRealtimeAdapter = () => realtime.close();
+
+/**
+ * Send the online list: the ids of connected users, minus invisible ones, with the away/busy statuses
+ * as a second argument ({ userId: status })
+ * @param {Object} [target] - io for everyone, or a single socket
+ */
+export async function broadcastOnlineUsers(target = io) {
+  try {
+    const userIds = realtime.getOnlineUserIds();
+    const chosen = await User.find({ _id: { $in: userIds }, presenceStatus: { $in: ["away", "busy", "invisible"] } }).select("+presenceStatus");
+    const invisible = new Set(chosen.filter((user) => user.presenceStatus === "invisible").map((user) => user._id.toString()));
+    const statuses = Object.fromEntries(
+      chosen.filter((user) => user.presenceStatus !== "invisible").map((user) => [user._id.toString(), user.presenceStatus])
+    );
+
+    target.emit("getOnlineUsers", userIds.filter((id) => !invisible.has(id)), statuses);
+  } catch (err) {
+    console.error("Error broadcasting online users:", err);
+  }
+}
+
+// Every socket of a user (one per tab or device) is in their room
+const userRoom = (userId) => `user:${userId}`;
+
+// The user: and session: rooms are joined by the server alone; a room a client names must be a group
+const isReservedRoom = (room) => room.startsWith("user:") || room.startsWith("session:");
+const isGroupRoomName = (room) =>
+  typeof room === "string" && !isReservedRoom(room) && mongoose.Types.ObjectId.isValid(room);
+
+// Where to emit to reach all of a user's devices: their room, or undefined while they're offline
+// (on every instance, with a shared adapter)
 export function getReceiverSocketId(userId) {
-  const socketId = userSocketMap[userId];
-  console.log("🔍 getReceiverSocketId:", { userId, socketId, allMappings: userSocketMap });
-  return socketId;
+  const isOnline = !!userId && realtime.isOnline(userId.toString());
+  console.log("🔍 getReceiverSocketId:", { userId, isOnline });
+  return isOnline ? userRoom(userId) : undefined;
+}
+
+// Invisible users appear offline, so nothing that only an online user causes (typing, delivery and
+// read receipts) may reach anyone else while they are
+export async function isInvisible(userId) {
+  return Boolean(await User.exists({ _id: userId, presenceStatus: "invisible" }));
+}
+
+/**
+ * Mark the direct messages waiting for a connected user as delivered and tell their senders.
+ * Nothing happens while the user is invisible; updatePresence calls this again when they reappear.
+ * @param {string} userId
+ */
+export async function deliverPendingMessages(userId) {
+  if (await isInvisible(userId)) return;
+
+  const receipts = await markPendingDelivered(userId);
+  receipts.forEach((receipt) => {
+    const senderSocketId = getReceiverSocketId(receipt.senderId);
+    if (senderSocketId) {
+      io.to(senderSocketId).emit("messagesDelivered", receipt);
+    }
+  });
+}
+
+const emitReadReceipt = (receipt) => {
+  const senderSocketId = getReceiverSocketId(receipt.senderId);
+  if (senderSocketId) {
+    io.to(senderSocketId).emit("messagesRead", receipt);
+  }
+};
+
+const emitGroupReadMarker = (marker) => {
+  io.to(marker.groupId.toString()).emit("groupReadMarker", marker);
+};
+
+/**
+ * Record that a user read a DM or group, and tell the others. An invisible user's read state is
+ * stored but not sent; emitHeldReadReceipts sends it when they reappear.
+ * @param {string} userId - The reader
+ * @param {{ receiverId?: string, groupId?: string }} conversation - The other DM participant, or the group
+ */
+export async function markReadAndNotify(userId, { receiverId, groupId }) {
+  if (groupId) {
+    const marker = await markGroupRead(userId, groupId);
+    if (marker && !(await isInvisible(userId))) emitGroupReadMarker(marker);
+  } else if (receiverId) {
+    const receipt = await markDirectMessagesRead(userId, receiverId);
+    if (receipt && !(await isInvisible(userId))) emitReadReceipt(receipt);
+  }
 }
 
-// used to store online users
-const userSocketMap = {}; // {userId: socketId}
+/**
+ * Send the read receipts and group read markers a user held back while invisible
+ * @param {string} userId
+ * @param {Date} since - When they went invisible
+ */
+export async function emitHeldReadReceipts(userId, since) {
+  const { receipts, markers } = await getReadStateSince(userId, since);
+  receipts.forEach(emitReadReceipt);
+  markers.forEach(emitGroupReadMarker);
+}
 
 io.on("connection", (socket) => {
   console.log("A user connected", socket.id);
 
-  const userId = socket.handshake.auth?.userId;
+  // From the verified token, never from the client
+  const { userId, sessionId } = socket.data;
 
-  console.log("New socket connection:", socket.id);
-  console.log("Auth payload:", socket.handshake.auth);
+  socket.join([sessionRoom(sessionId), userRoom(userId)]);
 
-  if (userId) {
-    userSocketMap[userId] = socket.id;
-    console.log(`Mapped userId ${userId} to socket ${socket.id}`);
-  } else {
-    console.warn("No userId found in socket handshake auth. Mapping skipped.");
-  }
+  // Typing is only relayed to a group room this socket was let into by join-group
+  const inGroupRoom = (groupId) => isGroupRoomName(groupId) && socket.rooms.has(groupId);
+
+  // io.emit() is used to send events to all the connected clients; another tab of someone already
+  // online changes nothing for them, so only the new socket needs the list
+  realtime
+    .addConnection(userId, socket.id)
+    .then((cameOnline) => {
+      console.log(`Mapped userId ${userId} to socket ${socket.id}`);
+      return broadcastOnlineUsers(cameOnline ? io : socket);
+    })
+    .catch((err) => console.error("Error recording connection:", err));
 
-  // io.emit() is used to send events to all the connected clients
-  io.emit("getOnlineUsers", Object.keys(userSocketMap));
+  // ✅ Messages sent while this user was offline are delivered now
+  deliverPendingMessages(userId).catch((err) => console.error("Error marking messages delivered:", err));
 
   // Add typing indicator events here
-  socket.on("typing", ({ senderId, receiverId, groupId }) => {
+  socket.on("typing", async ({ receiverId, groupId }) => {
     try {
+      if (await isInvisible(userId)) return;
+      const senderId = userId;
       console.log("Received typing event from", senderId, "to", receiverId, "groupId:", groupId);
       
       if (groupId) {
+        if (!inGroupRoom(groupId)) return;
         // For group typing, emit to all group members except sender
         socket.to(groupId).emit("typing", { senderId, groupId });
       } else if (receiverId) {
@@ -61,11 +213,14 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("stopTyping", ({ senderId, receiverId, groupId }) => {
+  socket.on("stopTyping", async ({ receiverId, groupId }) => {
     try {
+      if (await isInvisible(userId)) return;
+      const senderId = userId;
       console.log("Received stopTyping event from", senderId, "to", receiverId, "groupId:", groupId);
       
       if (groupId) {
+        if (!inGroupRoom(groupId)) return;
         // For group typing, emit to all group members except sender
         socket.to(groupId).emit("stopTyping", { senderId, groupId });
       } else if (receiverId) {
@@ -83,80 +238,48 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("newMessage", ({ newMessage, receiverId }) => {
-    try {
-      console.log("Received newMessage event for receiver:", receiverId);
-      const receiverSocketId = getReceiverSocketId(receiverId);
-      if (receiverSocketId) {
-        console.log("Forwarding new message to receiver socket:", receiverSocketId);
-        io.to(receiverSocketId).emit("newMessage", newMessage);
-      } else {
-        console.log("No receiver socket found for userId:", receiverId);
-      }
-    } catch (err) {
-      console.error("Error in newMessage handler:", err);
-    }
-  });
-
-// Join group room event
-socket.on("join-group", (groupId) => {
-  console.log(`Socket ${socket.id} joining group room: ${groupId}`);
-  socket.join(groupId);
-});
-
-// Join DM room event - for real-time message updates between two users
-socket.on("join-dm", (dmRoomId) => {
-  console.log(`Socket ${socket.id} joining DM room: ${dmRoomId}`);
-  socket.join(dmRoomId);
-});
-
-// Group message event - Removed to prevent duplicates since API endpoints handle emissions
-
-// Reaction events
-socket.on("reactionAdded", ({ messageId, reaction, groupId, receiverId }) => {
+// Read receipts - fired when a conversation is opened or a message arrives in the open one
+socket.on("markMessagesRead", async ({ receiverId, groupId } = {}) => {
   try {
-    console.log("Received reactionAdded event for message:", messageId);
-    if (groupId) {
-      // For group messages, emit to the group room
-      io.to(groupId).emit("reactionAdded", { messageId, reaction });
-    } else if (receiverId) {
-      // For direct messages, emit to the receiver
-      const receiverSocketId = getReceiverSocketId(receiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit("reactionAdded", { messageId, reaction });
-      }
-      // Also emit to the sender (current user) in case they have multiple tabs
-      socket.emit("reactionAdded", { messageId, reaction });
-    }
+    await markReadAndNotify(userId, { receiverId, groupId });
   } catch (err) {
-    console.error("Error in reactionAdded handler:", err);
+    console.error("Error in markMessagesRead handler:", err);
   }
 });
 
-socket.on("reactionRemoved", ({ messageId, userId, groupId, receiverId }) => {
+// Join group room event - members only, checked against the group itself
+socket.on("join-group", async (groupId) => {
   try {
-    console.log("Received reactionRemoved event for message:", messageId);
-    if (groupId) {
-      // For group messages, emit to the group room
-      io.to(groupId).emit("reactionRemoved", { messageId, userId });
-    } else if (receiverId) {
-      // For direct messages, emit to the receiver
-      const receiverSocketId = getReceiverSocketId(receiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit("reactionRemoved", { messageId, userId });
-      }
-      // Also emit to the sender (current user) in case they have multiple tabs
-      socket.emit("reactionRemoved", { messageId, userId });
+    if (!isGroupRoomName(groupId)) {
+      console.log(`Socket ${socket.id} refused invalid group room: ${groupId}`);
+      return;
     }
+    if (!(await Group.exists({ _id: groupId, members: userId }))) {
+      console.log(`Socket ${socket.id} refused group room ${groupId}: not a member`);
+      return;
+    }
+
+    console.log(`Socket ${socket.id} joining group room: ${groupId}`);
+    socket.join(groupId);
   } catch (err) {
-    console.error("Error in reactionRemoved handler:", err);
+    console.error("Error in join-group handler:", err);
   }
 });
 
+// Messages and reactions are emitted by the REST controllers once stored, never relayed from a client
+
   socket.on("disconnect", () => {
     console.log("A user disconnected", socket.id, "with userId:", userId);
-    delete userSocketMap[userId];
-    io.emit("getOnlineUsers", Object.keys(userSocketMap));
+    // Offline only once their last tab or device has gone. Invisible users keep the last-seen time
+    // from before they went invisible, so it doesn't give them away.
+    realtime
+      .removeConnection(userId, socket.id)
+      .then(async (wentOffline) => {
+        if (!wentOffline) return;
+        await User.updateOne({ _id: userId, presenceStatus: { $ne: "invisible" } }, { lastSeenAt: new Date() });
+        await broadcastOnlineUsers();
+      })
+      .catch((err) => console.error("Error recording disconnection:", err));
   });
 });
 
@@ -1,17 +1,25 @@
 import jwt from "jsonwebtoken";
 
-export const generateToken = (userId, res) => {
+// Access tokens are short-lived: the refresh token (lib/sessions.js) gets a new one while the session lasts
+export const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+// Options shared by the auth cookies
+export const authCookieOptions = (maxAge, path = "/") => ({
+  maxAge,
+  path,
+  httpOnly: true, // prevent XSS attacks
+  sameSite: "strict", // prevent CSRF attacks
+  secure: process.env.NODE_ENV !== "development",
+});
+
+// Sign an access token for one session and set it as the "jwt" cookie
+export const generateToken = (userId, sessionId, res) => {
   try {
-    const token = jwt.sign({ userId }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
+    const token = jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_TTL_MS / 1000,
     });
 
-    res.cookie("jwt", token, {
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
-      httpOnly: true, // prevent XSS attacks
-      sameSite: "strict", // prevent CSRF attacks
-      secure: process.env.NODE_ENV !== "development",
-    });
+    res.cookie("jwt", token, authCookieOptions(ACCESS_TOKEN_TTL_MS));
 
     return token;
   } catch (error) {
@@ -19,3 +27,6 @@ export const generateToken = (userId, res) => {
     throw error;
   }
 };
+
+// Escape user input for safe use inside a RegExp / $regex
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
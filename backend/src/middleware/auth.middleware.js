@@ -1,27 +1,26 @@
-import jwt from "jsonwebtoken";
-import User from "../models/user.model.js";
+import { AUTH_ERRORS, verifyAccessToken } from "../lib/sessions.js";
+
+const AUTH_ERROR_MESSAGES = {
+  [AUTH_ERRORS.NO_TOKEN]: "Unauthorized - No Token Provided",
+  [AUTH_ERRORS.TOKEN_EXPIRED]: "Unauthorized - Token Expired",
+  [AUTH_ERRORS.INVALID_TOKEN]: "Unauthorized - Invalid Token",
+  [AUTH_ERRORS.SESSION_REVOKED]: "Unauthorized - Session Revoked",
+};
 
 export const protectRoute = async (req, res, next) => {
   try {
-    const token = req.cookies.jwt;
-
-    if (!token) {
-      return res.status(401).json({ message: "Unauthorized - No Token Provided" });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const { user, session, error } = await verifyAccessToken(req.cookies.jwt);
 
-    if (!decoded) {
-      return res.status(401).json({ message: "Unauthorized - Invalid Token" });
+    if (error) {
+      return res.status(401).json({ message: AUTH_ERROR_MESSAGES[error], code: error });
     }
 
-    const user = await User.findById(decoded.userId).select("-password");
-
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
     req.user = user;
+    req.authSession = session;
 
     next();
   } catch (error) {
@@ -0,0 +1,28 @@
+import multer from "multer";
+import { ATTACHMENT_ERRORS, MAX_ATTACHMENT_BYTES } from "../lib/attachments.js";
+
+// Files are kept in memory: they are sniffed and checked before being handed to storage
+const parseAttachment = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1, fields: 20 },
+  // Browsers send the file name as UTF-8 without saying so
+  defParamCharset: "utf8",
+}).single("attachment");
+
+// Reads a multipart send (form fields plus one "attachment" file) into req.body and req.file.
+// JSON requests pass straight through.
+export const receiveAttachment = (req, res, next) => {
+  parseAttachment(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        message: `Attachments can be at most ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`,
+        code: ATTACHMENT_ERRORS.FILE_TOO_LARGE,
+      });
+    }
+
+    console.log("Error in receiveAttachment middleware: ", error.message);
+    res.status(400).json({ message: error instanceof multer.MulterError ? error.message : "Invalid upload" });
+  });
+};
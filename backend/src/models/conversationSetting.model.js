@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Settings shared by everyone in a conversation (a DM pair or a group)
+const conversationSettingSchema = new mongoose.Schema(
+  {
+    // "group:<groupId>" or "dm:<lowerUserId>:<higherUserId>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Disappearing messages timer in seconds; null means messages are kept
+    messageTtl: {
+      type: Number,
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const ConversationSetting = mongoose.model("ConversationSetting", conversationSettingSchema);
+
+export default ConversationSetting;
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// A single-use link sent by email (see lib/emailTokens.js). Only the token's hash is stored.
+const emailTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // "verify-email" or "reset-password"
+    purpose: {
+      type: String,
+      enum: ["verify-email", "reset-password"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+emailTokenSchema.index({ userId: 1, purpose: 1 });
+emailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const EmailToken = mongoose.model("EmailToken", emailTokenSchema);
+
+export default EmailToken;
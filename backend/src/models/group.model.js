@@ -5,6 +5,9 @@ const groupSchema = new mongoose.Schema({
   profilePic: { type: String, default: "/avatar.png" },
   admin: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  moderators: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // Can delete other members' messages
+  pinPermission: { type: String, enum: ['everyone', 'moderators', 'admin'], default: 'everyone' },
+  pinLimit: { type: Number, default: 5, min: 1, max: 25 }, // Most messages pinned at once
   createdAt: { type: Date, default: Date.now },
 });
 
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Shared cache of fetched link metadata, keyed by URL, so a link posted many times is fetched once.
+// Failed fetches are cached too (failed: true), for a shorter time, so a dead link isn't retried
+// on every message.
+const linkPreviewSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    title: String,
+    description: String,
+    image: String,
+    siteName: String,
+    failed: {
+      type: Boolean,
+      default: false,
+    },
+    fetchedAt: {
+      type: Date,
+      required: true,
+    },
+    // Removed by MongoDB once this passes; the next message with the link fetches it again
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+linkPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LinkPreview = mongoose.model("LinkPreview", linkPreviewSchema);
+
+export default LinkPreview;
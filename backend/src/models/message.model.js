@@ -1,5 +1,59 @@
 import mongoose from "mongoose";
 
+// Card shown under a message for the first link in its text (see lib/linkPreview.js)
+const linkPreviewSchema = new mongoose.Schema(
+  {
+    url: String,
+    title: String,
+    description: String,
+    image: String,
+    siteName: String,
+  },
+  { _id: false }
+);
+
+// A file sent with a message (images use `image` instead); see lib/attachments.js for the accepted types
+const attachmentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    name: String,
+    mimeType: String,
+    size: Number,
+    kind: {
+      type: String,
+      enum: ["image", "document", "audio", "archive"],
+    },
+    // Where the storage adapter keeps the file (Cloudinary public id or local file name)
+    storageKey: String,
+    // ✅ Voice notes only: length in seconds and the bar heights (0–1) of the player's waveform
+    duration: Number,
+    waveform: {
+      type: [Number],
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+// One choice of a poll; votes refer to it by its _id
+const pollOptionSchema = new mongoose.Schema({
+  text: { type: String, required: true },
+});
+
+// A group poll; votes are kept apart in PollVote so anonymous polls never carry who voted
+const pollSchema = new mongoose.Schema(
+  {
+    question: { type: String, required: true },
+    options: [pollOptionSchema],
+    allowMultiple: { type: Boolean, default: false },
+    anonymous: { type: Boolean, default: false },
+    // No more votes after this (null = open until closed by hand)
+    closesAt: { type: Date, default: null },
+    closedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     senderId: {
@@ -23,6 +77,15 @@ const messageSchema = new mongoose.Schema(
     image: {
       type: String,
     },
+    attachment: {
+      type: attachmentSchema,
+      default: null,
+    },
+    // ✅ Set for "poll" messages, which have no text of their own
+    poll: {
+      type: pollSchema,
+      default: undefined,
+    },
     // ✅ Simplified encryption fields for Caesar cipher
     isEncrypted: {
       type: Boolean,
@@ -41,6 +104,27 @@ const messageSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // ✅ Every version of the text once a message is edited (first entry = the original).
+    // Text is stored Caesar-encrypted like `text`; excluded from normal message queries.
+    revisions: [{
+      text: String,
+      editedAt: Date,
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      sentiment: String,
+      toxicity: {
+        isToxic: Boolean,
+        toxicityScore: Number,
+        severity: String,
+        categories: [String],
+      },
+    }],
     isDeleted: {
       type: Boolean,
       default: false,
@@ -49,6 +133,15 @@ const messageSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     sentiment: {
       type: String,
       enum: ["positive", "negative", "neutral"],
@@ -74,7 +167,8 @@ const messageSchema = new mongoose.Schema(
       },
       source: {
         type: String,
-        enum: ["user_provided", "enhanced_analysis", "toxicity_override", "fallback", "error_fallback"],
+        // "default": nothing to analyze (image or file only); "skipped": voice notes aren't analyzed
+        enum: ["user_provided", "enhanced_analysis", "toxicity_override", "fallback", "error_fallback", "default", "skipped"],
         default: "user_provided",
       },
       wordAnalysis: [{
@@ -120,10 +214,77 @@ const messageSchema = new mongoose.Schema(
       ref: "Message",
       default: null,
     },
+    // ✅ Set on forwarded copies: the message it came from and who originally wrote it.
+    // Forwarding a forward keeps pointing at the original.
+    forwardedFrom: {
+      messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message",
+      },
+      senderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    // ✅ Group members mentioned as "@Full Name" in the text
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }],
+    // ✅ Filled in shortly after sending, once the link has been fetched (or read from the shared cache)
+    linkPreview: {
+      type: linkPreviewSchema,
+      default: null,
+    },
+    // Client-generated idempotency key so a resent outbox message is stored only once
+    clientMessageId: {
+      type: String,
+      default: undefined,
+    },
+    // ✅ Delivery/read receipts for direct messages (groups use ReadMarker)
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    // "system" messages are conversation notices (e.g. the disappearing timer changed), not user content;
+    // "voice" messages are a recorded audio attachment with no text; "poll" messages are a group poll
+    messageType: {
+      type: String,
+      enum: ["text", "system", "voice", "poll"],
+      default: "text",
+    },
+    // ✅ Disappearing messages: removed by the expiry sweeper once this passes (unless pinned)
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// Indexes backing the cursor-paginated history queries in getMessages
+messageSchema.index({ groupId: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1, _id: -1 });
+// Backs the received-messages side of getConversationSummaries and the unread/read receipt lookups
+messageSchema.index({ receiverId: 1, readAt: 1, createdAt: -1 });
+// Thread lookups: replies to a parent, oldest first
+messageSchema.index({ replyTo: 1, createdAt: 1 });
+// Pin lists: a conversation's pinned messages, newest pin first
+messageSchema.index({ groupId: 1, pinnedAt: -1 }, { partialFilterExpression: { pinned: true } });
+messageSchema.index({ senderId: 1, receiverId: 1, pinnedAt: -1 }, { partialFilterExpression: { pinned: true } });
+// Mentions list in notifications: a user's mentions, newest first
+messageSchema.index({ mentions: 1, createdAt: -1, _id: -1 });
+// Expiry sweeper: messages past their expiresAt
+messageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: "date" } } });
+messageSchema.index(
+  { senderId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: "string" } } }
+);
+
 const Message = mongoose.model("Message", messageSchema);
 
 export default Message;
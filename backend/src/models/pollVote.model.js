@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// One member's choice in a poll message; replaced when they change their vote
+const pollVoteSchema = new mongoose.Schema(
+  {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Ids of the chosen poll options (one unless the poll allows several)
+    optionIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    }],
+  },
+  { timestamps: true }
+);
+
+// A member votes once per poll
+pollVoteSchema.index({ messageId: 1, userId: 1 }, { unique: true });
+
+const PollVote = mongoose.model("PollVote", pollVoteSchema);
+
+export default PollVote;
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Per-member read position in a group conversation
+const readMarkerSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastReadMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    lastReadAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One marker per member per group
+readMarkerSchema.index({ groupId: 1, userId: 1 }, { unique: true });
+
+const ReadMarker = mongoose.model("ReadMarker", readMarkerSchema);
+
+export default ReadMarker;
@@ -3,6 +3,7 @@ import mongoose from "mongoose";
 const reportSchema = new mongoose.Schema({
   reportedUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  reportedMessage: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
   reason: { type: String, default: "" },
   createdAt: { type: Date, default: Date.now },
 });
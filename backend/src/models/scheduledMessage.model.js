@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+// A message composed now and delivered later by the scheduled message worker
+const scheduledMessageSchema = new mongoose.Schema(
+  {
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    receiverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    text: {
+      type: String, // Caesar-encrypted, like Message.text
+      default: null,
+    },
+    image: {
+      type: String, // Uploaded when the message is scheduled
+      default: null,
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    selectedModel: {
+      type: String,
+      default: null,
+    },
+    sendAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "sending", "sent", "failed", "cancelled"],
+      default: "scheduled",
+    },
+    lockedAt: {
+      type: Date, // When the worker claimed it; stale claims are retried after a crash
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Worker: due messages in send order
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+// A user's own scheduled list
+scheduledMessageSchema.index({ senderId: 1, status: 1, sendAt: 1 });
+
+const ScheduledMessage = mongoose.model("ScheduledMessage", scheduledMessageSchema);
+
+export default ScheduledMessage;
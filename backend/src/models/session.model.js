@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// A signed-in device. Its refresh token is stored only as a hash and replaced on every refresh
+// (see lib/sessions.js); access tokens name the session so revoking it signs that device out.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // The token this one replaced, to tell a stale tab from a stolen token (see rotateSession)
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    // Readable summary of the user agent, e.g. "Chrome on Windows"
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Pushed back on every refresh; the TTL index removes the session some time after
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // "logout", "revoked" (from the sessions list), "reuse" (an old refresh token came back) or "password-reset"
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Active sessions list: a user's sessions, most recently used first
+sessionSchema.index({ userId: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
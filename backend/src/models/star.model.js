@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// A message a user saved for later; private to that user and kept apart from the message itself
+const starSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A message can be starred once per user
+starSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+// Saved messages list: newest star first
+starSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+
+const Star = mongoose.model("Star", starSchema);
+
+export default Star;
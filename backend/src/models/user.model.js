@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { LAST_SEEN_VISIBILITIES, PRESENCE_STATUSES } from "../lib/presence.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,6 +21,12 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Set by the link emailed at signup (or by resetting the password, which proves the same).
+    // Advisory only: nothing is held back from unverified accounts.
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
     isAdmin: {
       type: Boolean,
       default: false,
@@ -34,6 +41,23 @@ const userSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Presence: private to the user, so other users only learn them through describePresence
+    presenceStatus: {
+      type: String,
+      enum: PRESENCE_STATUSES,
+      default: "online",
+      select: false,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    lastSeenVisibility: {
+      type: String,
+      enum: LAST_SEEN_VISIBILITIES,
+      default: "everyone",
+    },
     // End-to-End Encryption fields
     publicKey: {
       type: String,
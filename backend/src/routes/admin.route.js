@@ -1,7 +1,7 @@
 
 
 import express from "express";
-import { getAllUsers, deleteUser, getReportedUsers } from "../controllers/admin.controller.js";
+import { getAllUsers, deleteUser, getReportedUsers, getReportedMessages } from "../controllers/admin.controller.js";
 import { getReportedUsersCount } from "../controllers/report.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
 import { isAdmin } from "../middleware/isAdmin.middleware.js";
@@ -12,5 +12,6 @@ router.get("/users", protectRoute, isAdmin, getAllUsers);
 router.delete("/users/:id", protectRoute, isAdmin, deleteUser);
 router.get("/reported-users", protectRoute, isAdmin, getReportedUsers);
 router.get("/reported-users-count", protectRoute, isAdmin, getReportedUsersCount);
+router.get("/reported-messages", protectRoute, isAdmin, getReportedMessages);
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,22 @@
 import express from "express";
-import { checkAuth, login, logout, signup, updateProfile, updateInterests, validatePasswordStrength } from "../controllers/auth.controller.js";
+import {
+  checkAuth,
+  forgotPassword,
+  getSessions,
+  login,
+  logout,
+  refresh,
+  resendVerification,
+  resetPassword,
+  revokeOtherSessions,
+  revokeSession,
+  signup,
+  updateProfile,
+  updateInterests,
+  updatePresence,
+  validatePasswordStrength,
+  verifyEmail,
+} from "../controllers/auth.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
@@ -7,11 +24,22 @@ const router = express.Router();
 router.post("/signup", signup);
 router.post("/login", login);
 router.post("/logout", logout);
+router.post("/refresh", refresh);
 router.post("/validate-password", validatePasswordStrength);
+router.post("/verify-email", verifyEmail);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/resend-verification", protectRoute, resendVerification);
 
 router.put("/update-profile", protectRoute, updateProfile);
 router.put("/update-interests", protectRoute, updateInterests);
+router.put("/presence", protectRoute, updatePresence);
 
 router.get("/check", protectRoute, checkAuth);
 
+// Signed-in devices
+router.get("/sessions", protectRoute, getSessions);
+router.delete("/sessions/:sessionId", protectRoute, revokeSession);
+router.delete("/sessions", protectRoute, revokeOtherSessions);
+
 export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 const router = express.Router();
-import { createGroup, getMyGroups, getAllGroups, addMembersToGroup, removeMemberFromGroup, deleteGroup, updateGroupProfile } from '../controllers/group.controller.js';
+import { createGroup, getMyGroups, getAllGroups, addMembersToGroup, removeMemberFromGroup, deleteGroup, updateGroupProfile, updateGroupPermissions } from '../controllers/group.controller.js';
 import { protectRoute } from '../middleware/auth.middleware.js';
 import { isAdmin } from '../middleware/isAdmin.middleware.js';
 
@@ -10,6 +10,7 @@ router.get('/all', protectRoute, getAllGroups);
 router.post('/add-members/:groupId', protectRoute, addMembersToGroup);
 router.post('/remove-member/:groupId', protectRoute, removeMemberFromGroup);
 router.put('/update-profile/:groupId', protectRoute, updateGroupProfile);
+router.put('/permissions/:groupId', protectRoute, updateGroupPermissions);
 router.delete('/:groupId', protectRoute, isAdmin, deleteGroup);
 
 export default router;
\ No newline at end of file
@@ -1,27 +1,57 @@
 import express from "express";
 import { protectRoute } from "../middleware/auth.middleware.js";
+import { receiveAttachment } from "../middleware/upload.middleware.js";
 import {
   getUsersForSidebar,
   getMessages,
   sendMessage,
+  forwardMessage,
   editMessage,
   deleteMessage,
-  pinMessage
+  pinMessage,
+  searchMessages,
+  getConversationSummaries,
+  getThread,
+  getEditHistory,
+  setMessageTtl,
+  getPins,
+  getMentions
 } from "../controllers/message.controller.js";
+import {
+  scheduleMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+} from "../controllers/scheduledMessage.controller.js";
 
 const router = express.Router();
 
 // GET endpoints (more specific first)
 router.get("/users", protectRoute, getUsersForSidebar);
+router.get("/search", protectRoute, searchMessages);
+router.get("/conversations", protectRoute, getConversationSummaries);
+router.get("/thread/:messageId", protectRoute, getThread);
+router.get("/history/:messageId", protectRoute, getEditHistory);
+router.get("/scheduled", protectRoute, getScheduledMessages);
+router.get("/pins/:id", protectRoute, getPins);
+router.get("/mentions", protectRoute, getMentions);
 
 // Message operations (more specific routes before generic :id route)
 router.put("/edit/:messageId", protectRoute, editMessage);
 router.delete("/delete/:messageId", protectRoute, deleteMessage);
 router.put("/pin/:messageId", protectRoute, pinMessage);
+router.put("/ttl", protectRoute, setMessageTtl);
 
 // POST endpoints
-router.post("/send", protectRoute, sendMessage);
-router.post("/send/:id", protectRoute, sendMessage);
+// Sends are JSON, or multipart when a file is attached (see receiveAttachment)
+router.post("/send", protectRoute, receiveAttachment, sendMessage);
+router.post("/send/:id", protectRoute, receiveAttachment, sendMessage);
+router.post("/forward/:messageId", protectRoute, forwardMessage);
+
+// Scheduled messages (delivered later by the scheduled message worker)
+router.post("/scheduled", protectRoute, scheduleMessage);
+router.put("/scheduled/:id", protectRoute, updateScheduledMessage);
+router.delete("/scheduled/:id", protectRoute, cancelScheduledMessage);
 
 // Generic message retrieval (least specific route - last)
 router.get("/:id", protectRoute, getMessages);
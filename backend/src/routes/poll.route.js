@@ -0,0 +1,11 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { closePoll, createPoll, votePoll } from "../controllers/poll.controller.js";
+
+const router = express.Router();
+
+router.post("/group/:groupId", protectRoute, createPoll);
+router.post("/:messageId/vote", protectRoute, votePoll);
+router.post("/:messageId/close", protectRoute, closePoll);
+
+export default router;
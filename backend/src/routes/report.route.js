@@ -1,5 +1,5 @@
 import express from "express";
-import { reportUser, getReportedUsersCount, reportGroup, getReportedGroupsCount } from "../controllers/report.controller.js";
+import { reportUser, getReportedUsersCount, reportGroup, getReportedGroupsCount, reportMessage } from "../controllers/report.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
@@ -9,6 +9,9 @@ router.post("/user/:id", protectRoute, reportUser);
 // Get reported users count
 router.get("/users/count", protectRoute, getReportedUsersCount);
 
+// Report a message
+router.post("/message/:messageId", protectRoute, reportMessage);
+
 // Report a group
 router.post("/group/:groupId", protectRoute, reportGroup);
 // Get reported groups count
@@ -0,0 +1,11 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { getStarredMessages, starMessage, unstarMessage } from "../controllers/star.controller.js";
+
+const router = express.Router();
+
+router.get("/", protectRoute, getStarredMessages);
+router.post("/:messageId", protectRoute, starMessage);
+router.delete("/:messageId", protectRoute, unstarMessage);
+
+export default router;
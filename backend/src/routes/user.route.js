@@ -9,6 +9,7 @@ import {
   getFriends,
   unfriendUser,
   getUserById,
+  getUserPresence,
   getAllUsersExceptAdmin,
   getAdminUser,
   ensureEncryptionKeys,
@@ -29,6 +30,7 @@ router.delete("/friend-requests/:requestId/cancel", protectRoute, cancelFriendRe
 router.delete("/friends/unfriend/:userId", protectRoute, unfriendUser);
 
 router.get("/user/:id", protectRoute, getUserById);
+router.get("/user/:id/presence", protectRoute, getUserPresence);
 
 router.get("/all-users-except-admin", protectRoute, getAllUsersExceptAdmin);
 
@@ -0,0 +1,97 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import Message from "../src/models/message.model.js";
+import Reaction from "../src/models/reaction.model.js";
+import Star from "../src/models/star.model.js";
+import PollVote from "../src/models/pollVote.model.js";
+import { createLocalDiskStorage, setAttachmentStorage } from "../src/lib/attachmentStorage.js";
+import { createMessageExpirySweeper } from "../src/lib/disappearingMessages.js";
+import { clearMemoryMongo, connectMemoryMongo } from "./helpers/memoryMongo.js";
+import { createUsers } from "./helpers/fixtures.js";
+
+const NOW = new Date("2026-03-01T09:00:00Z");
+const EXPIRED = new Date(NOW.getTime() - 1000);
+const LATER = new Date(NOW.getTime() + 60 * 60 * 1000);
+
+describe("message expiry sweeper", () => {
+  let uploadDir;
+  let alice;
+  let bob;
+
+  before(async () => {
+    await connectMemoryMongo();
+    uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), "beyonder-uploads-"));
+    setAttachmentStorage(createLocalDiskStorage({ directory: uploadDir }));
+  });
+
+  after(() => fs.rm(uploadDir, { recursive: true, force: true }));
+
+  beforeEach(async () => {
+    clearMemoryMongo();
+    [alice, bob] = await createUsers("Alice Expiry", "Bob Expiry");
+  });
+
+  const storeFile = (name) => fs.writeFile(path.join(uploadDir, name), "file contents");
+  const fileExists = (name) => fs.access(path.join(uploadDir, name)).then(() => true, () => false);
+  const dm = (fields) => Message.create({ senderId: alice._id, receiverId: bob._id, ...fields });
+
+  it("removes expired messages with their reactions, stars, poll votes and files", async () => {
+    await Promise.all(["document.pdf", "photo.png", "kept.pdf"].map(storeFile));
+
+    const withAttachment = await dm({
+      text: "report",
+      expiresAt: EXPIRED,
+      attachment: { url: "/api/uploads/document.pdf", name: "report.pdf", kind: "document", storageKey: "document.pdf" },
+    });
+    const withImage = await dm({ image: "/api/uploads/photo.png", expiresAt: EXPIRED });
+    const kept = await dm({
+      text: "still here",
+      expiresAt: LATER,
+      attachment: { url: "/api/uploads/kept.pdf", name: "kept.pdf", kind: "document", storageKey: "kept.pdf" },
+    });
+
+    await Reaction.create([
+      { messageId: withAttachment._id, userId: bob._id, type: "👍" },
+      { messageId: kept._id, userId: bob._id, type: "❤️" },
+    ]);
+    await Star.create([
+      { messageId: withImage._id, userId: alice._id },
+      { messageId: kept._id, userId: alice._id },
+    ]);
+    await PollVote.create({ messageId: withAttachment._id, userId: bob._id, optionIds: [] });
+
+    const sweeper = createMessageExpirySweeper({ now: () => NOW });
+    assert.equal(await sweeper.sweep(), 2);
+
+    const remaining = await Message.find();
+    assert.deepEqual(remaining.map((message) => message._id.toString()), [kept._id.toString()]);
+    assert.deepEqual((await Reaction.find()).map((reaction) => reaction.messageId.toString()), [kept._id.toString()]);
+    assert.deepEqual((await Star.find()).map((star) => star.messageId.toString()), [kept._id.toString()]);
+    assert.equal(await PollVote.countDocuments(), 0);
+
+    assert.equal(await fileExists("document.pdf"), false);
+    assert.equal(await fileExists("photo.png"), false);
+    assert.equal(await fileExists("kept.pdf"), true);
+  });
+
+  it("keeps a file that a forwarded copy still shows", async () => {
+    await storeFile("shared.pdf");
+    const attachment = { url: "/api/uploads/shared.pdf", name: "shared.pdf", kind: "document", storageKey: "shared.pdf" };
+
+    const original = await dm({ attachment, expiresAt: EXPIRED });
+    await Message.create({ senderId: bob._id, receiverId: alice._id, attachment, forwardedFrom: { messageId: original._id } });
+
+    assert.equal(await createMessageExpirySweeper({ now: () => NOW }).sweep(), 1);
+    assert.equal(await fileExists("shared.pdf"), true);
+  });
+
+  it("keeps pinned messages past their expiry", async () => {
+    await dm({ text: "pinned", expiresAt: EXPIRED, pinned: true });
+    assert.equal(await createMessageExpirySweeper({ now: () => NOW }).sweep(), 0);
+    assert.equal(await Message.countDocuments(), 1);
+  });
+});
@@ -0,0 +1,134 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import EmailToken from "../src/models/emailToken.model.js";
+import User from "../src/models/user.model.js";
+import { EMAIL_RESEND_COOLDOWN_MS, sendPasswordResetEmail, sendVerificationEmail } from "../src/lib/emailTokens.js";
+import { getMailer, setMailer } from "../src/lib/mailer.js";
+import { forgotPassword, resetPassword, verifyEmail } from "../src/controllers/auth.controller.js";
+import { clearMemoryMongo, connectMemoryMongo } from "./helpers/memoryMongo.js";
+import { callController, createUsers } from "./helpers/fixtures.js";
+
+// Keeps what would have been sent, so the tests can open the links
+const createCaptureMailer = () => {
+  const sent = [];
+  return {
+    name: "capture",
+    sent,
+    send: async (message) => {
+      sent.push(message);
+    },
+  };
+};
+
+const tokenFrom = (message) => decodeURIComponent(message.text.match(/[?&]token=([^\s&]+)/)[1]);
+
+// Make the user's tokens look as old as the resend cooldown
+const ageTokens = (userId) =>
+  EmailToken.collection.updateMany({ userId }, { $set: { createdAt: new Date(Date.now() - EMAIL_RESEND_COOLDOWN_MS - 1000) } });
+
+describe("emailed links", () => {
+  const originalMailer = getMailer();
+  let mailer;
+  let alice;
+
+  before(connectMemoryMongo);
+  after(() => setMailer(originalMailer));
+
+  beforeEach(async () => {
+    clearMemoryMongo();
+    mailer = createCaptureMailer();
+    setMailer(mailer);
+    [alice] = await createUsers("Alice Mail");
+  });
+
+  it("verifies an email address with a link that works once", async () => {
+    assert.equal(await sendVerificationEmail(alice), true);
+    assert.equal(mailer.sent.length, 1);
+    assert.equal(mailer.sent[0].to, alice.email);
+    const token = tokenFrom(mailer.sent[0]);
+
+    const first = await callController(verifyEmail, { body: { token } });
+    assert.equal(first.statusCode, 200);
+    assert.equal((await User.findById(alice._id)).isEmailVerified, true);
+
+    const second = await callController(verifyEmail, { body: { token } });
+    assert.equal(second.statusCode, 400);
+  });
+
+  it("rejects a link for another purpose, or one that expired", async () => {
+    await sendPasswordResetEmail(alice);
+    const resetToken = tokenFrom(mailer.sent[0]);
+    assert.equal((await callController(verifyEmail, { body: { token: resetToken } })).statusCode, 400);
+
+    await EmailToken.updateMany({ userId: alice._id }, { expiresAt: new Date(Date.now() - 1000) });
+    const expired = await callController(resetPassword, { body: { token: resetToken, password: "Gr4pe-Jam-Tr1cky!" } });
+    assert.equal(expired.statusCode, 400);
+  });
+
+  it("sends no new link within the cooldown, and a new one replaces the old", async () => {
+    assert.equal(await sendVerificationEmail(alice), true);
+    assert.equal(await sendVerificationEmail(alice), false);
+    assert.equal(mailer.sent.length, 1);
+    const oldToken = tokenFrom(mailer.sent[0]);
+
+    await ageTokens(alice._id);
+    assert.equal(await sendVerificationEmail(alice), true);
+    const newToken = tokenFrom(mailer.sent[1]);
+
+    assert.equal((await callController(verifyEmail, { body: { token: oldToken } })).statusCode, 400);
+    assert.equal((await callController(verifyEmail, { body: { token: newToken } })).statusCode, 200);
+  });
+
+  it("resets the password once per link", async () => {
+    await sendPasswordResetEmail(alice);
+    const token = tokenFrom(mailer.sent[0]);
+
+    // A weak password doesn't use the link up
+    const weak = await callController(resetPassword, { body: { token, password: "short" } });
+    assert.equal(weak.statusCode, 400);
+
+    const reset = await callController(resetPassword, { body: { token, password: "Gr4pe-Jam-Tr1cky!" } });
+    assert.equal(reset.statusCode, 200);
+    const user = await User.findById(alice._id);
+    assert.notEqual(user.password, "not-a-real-hash");
+    assert.equal(user.isEmailVerified, true);
+
+    const again = await callController(resetPassword, { body: { token, password: "Pl4id-Kite-Sw1ng!" } });
+    assert.equal(again.statusCode, 400);
+  });
+
+  it("answers a reset request the same whether or not the address has an account, even if mail fails", async () => {
+    let attempted;
+    const attempt = new Promise((resolve) => {
+      attempted = resolve;
+    });
+    setMailer({
+      name: "broken",
+      send: async () => {
+        attempted();
+        throw new Error("SMTP connection refused");
+      },
+    });
+
+    const registered = await callController(forgotPassword, { body: { email: alice.email } });
+    const unknown = await callController(forgotPassword, { body: { email: "nobody@example.com" } });
+    await attempt;
+
+    assert.equal(registered.statusCode, 200);
+    assert.deepEqual(registered.body, unknown.body);
+    assert.equal(unknown.statusCode, 200);
+  });
+
+  it("sends one reset link per cooldown however often it is asked for", async () => {
+    // The mail goes out after the answer
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+    await callController(forgotPassword, { body: { email: alice.email } });
+    await settle();
+    await callController(forgotPassword, { body: { email: alice.email } });
+    await settle();
+
+    assert.equal(mailer.sent.length, 1);
+    assert.equal(mailer.sent[0].subject, "Reset your password");
+  });
+});
@@ -0,0 +1,38 @@
+import User from "../../src/models/user.model.js";
+
+/**
+ * Users to act in a test, one per name
+ * @param {...string} names - Full names; emails are derived from them
+ * @returns {Promise<Array<Object>>} - The user documents, in the order given
+ */
+export const createUsers = (...names) =>
+  User.create(
+    names.map((fullName) => ({
+      fullName,
+      email: `${fullName.toLowerCase().replace(/\s+/g, ".")}@example.com`,
+      password: "not-a-real-hash",
+    }))
+  );
+
+// A request/response pair for calling an Express controller directly; cookies it sets are kept by name
+export const callController = async (controller, { user, params = {}, query = {}, body = {} } = {}) => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    cookies: {},
+    cookie(name, value) {
+      this.cookies[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await controller({ user, params, query, body, cookies: {}, headers: {} }, res);
+  return res;
+};
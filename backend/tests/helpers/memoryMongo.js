@@ -0,0 +1,271 @@
+import mongoose from "mongoose";
+import { Aggregator, Query, update as applyUpdate } from "mingo";
+
+// An in-process stand-in for MongoDB, so tests run without a database server. It implements the
+// part of the driver's Collection API that mongoose calls, with mingo evaluating queries, updates
+// and pipelines, and enforces unique indexes the way the models declare them.
+
+// Copy a stored document so callers can't change it in place; ObjectIds are immutable and shared
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  return value;
+};
+
+const matches = (filter, doc) => new Query(filter || {}).test(doc);
+
+const getPath = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+const isOperatorObject = (value) =>
+  value && Object.getPrototypeOf(value) === Object.prototype && Object.keys(value).some((key) => key.startsWith("$"));
+
+// Top-level equality conditions of a filter, which an upsert copies into the new document
+const equalityFields = (filter) =>
+  Object.fromEntries(Object.entries(filter || {}).filter(([key, value]) => !key.startsWith("$") && !isOperatorObject(value)));
+
+const duplicateKeyError = (collectionName, keys) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${Object.keys(keys).join("_")}`);
+  error.name = "MongoServerError";
+  error.code = 11000;
+  return error;
+};
+
+const toCursor = (docs) => ({
+  toArray: async () => docs,
+  close: async () => {},
+});
+
+class MemoryCollection {
+  constructor(name, db) {
+    this.collectionName = name;
+    this.db = db;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  // Throws when a document would share a unique key with another one
+  assertUnique(candidate, ignore) {
+    for (const { keys, options } of this.uniqueIndexes) {
+      if (options.partialFilterExpression && !matches(options.partialFilterExpression, candidate)) continue;
+      const values = Object.keys(keys).map((path) => getPath(candidate, path));
+      if (options.sparse && values.every((value) => value === undefined)) continue;
+
+      const key = JSON.stringify(values);
+      const clash = this.docs.some(
+        (doc) =>
+          doc !== ignore &&
+          !(options.partialFilterExpression && !matches(options.partialFilterExpression, doc)) &&
+          JSON.stringify(Object.keys(keys).map((path) => getPath(doc, path))) === key
+      );
+      if (clash) throw duplicateKeyError(this.collectionName, keys);
+    }
+  }
+
+  select(filter, { sort, skip, limit, projection } = {}) {
+    let cursor = new Query(filter || {}).find(this.docs, projection && Object.keys(projection).length ? projection : undefined);
+    if (sort && Object.keys(sort).length) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all();
+  }
+
+  // The stored document (not a copy) that a single-document write applies to
+  findTarget(filter, sort) {
+    const [first] = this.select(filter, { sort, limit: 1 });
+    return first ? this.stored(first) : null;
+  }
+
+  stored(match) {
+    return this.docs.find((doc) => doc === match || String(doc._id) === String(match._id));
+  }
+
+  // Apply an update (operators or a pipeline) to one stored document; returns whether it changed. An
+  // update that breaks a unique index is rolled back and throws.
+  modify(doc, update) {
+    const before = clone(doc);
+    if (Array.isArray(update)) {
+      // An aggregation pipeline update computes the new document from the stored one
+      const [next] = new Aggregator(update).run([clone(doc)]);
+      Object.keys(doc).forEach((key) => delete doc[key]);
+      Object.assign(doc, next);
+    } else {
+      const { $setOnInsert, ...modifier } = update;
+      applyUpdate(doc, modifier, undefined, undefined, { cloneMode: "none" });
+    }
+    try {
+      this.assertUnique(doc, doc);
+    } catch (error) {
+      Object.keys(doc).forEach((key) => delete doc[key]);
+      Object.assign(doc, before);
+      throw error;
+    }
+    return JSON.stringify(before) !== JSON.stringify(doc);
+  }
+
+  upsert(filter, update) {
+    const doc = { _id: new mongoose.Types.ObjectId(), ...clone(equalityFields(filter)) };
+    const { $setOnInsert, ...modifier } = update;
+    applyUpdate(doc, { ...modifier, $set: { ...modifier.$set, ...$setOnInsert } }, undefined, undefined, { cloneMode: "none" });
+    this.assertUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    this.assertUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    for (const doc of docs) await this.insertOne(doc);
+    return { acknowledged: true, insertedCount: docs.length, insertedIds: docs.map((doc) => doc._id) };
+  }
+
+  async find(filter, options) {
+    return toCursor(clone(this.select(filter, options)));
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return doc ? clone(doc) : null;
+  }
+
+  async countDocuments(filter) {
+    return this.select(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const values = this.select(filter).flatMap((doc) => getPath(doc, field) ?? []);
+    return values.filter((value, index) => values.findIndex((other) => JSON.stringify(other) === JSON.stringify(value)) === index);
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const doc = this.findTarget(filter, options.sort);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const inserted = this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    const modified = this.modify(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update) {
+    const targets = this.select(filter).map((match) => this.stored(match));
+    const modifiedCount = targets.filter((doc) => this.modify(doc, update)).length;
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    let doc = this.findTarget(filter, options.sort);
+    const before = doc ? clone(doc) : null;
+    if (doc) {
+      this.modify(doc, update);
+    } else if (options.upsert) {
+      doc = this.upsert(filter, update);
+    }
+
+    const result = options.returnDocument === "after" ? doc && clone(doc) : before;
+    const value = result && options.projection && Object.keys(options.projection).length
+      ? new Query({}).find([result], options.projection).all()[0]
+      : result;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const doc = this.findTarget(filter, options.sort);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return options.includeResultMetadata ? { value: doc, ok: 1 } : doc;
+  }
+
+  async deleteOne(filter) {
+    const doc = this.findTarget(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const remaining = this.docs.filter((doc) => !matches(filter, doc));
+    const deletedCount = this.docs.length - remaining.length;
+    this.docs = remaining;
+    return { acknowledged: true, deletedCount };
+  }
+
+  aggregate(pipeline) {
+    // $lookup stages read the other collections of the same database
+    const collectionResolver = (name) => this.db.collection(name).docs;
+    return toCursor(clone(new Aggregator(pipeline, { collectionResolver }).run(this.docs)));
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) this.uniqueIndexes.push({ keys, options });
+    return Object.entries(keys).map(([key, direction]) => `${key}_${direction}`).join("_");
+  }
+
+  async listIndexes() {
+    return toCursor([]);
+  }
+
+  async indexes() {
+    return [];
+  }
+
+  async dropIndex() {}
+}
+
+class MemoryDb {
+  constructor() {
+    this.databaseName = "test";
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(name, this));
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  async listCollections() {
+    return toCursor([...this.collections.keys()].map((name) => ({ name })));
+  }
+}
+
+let memoryDb = null;
+
+/**
+ * Open mongoose's default connection on an empty in-memory database. Call before the models are
+ * used (a test file's `before` hook); the connection is left open for the rest of the process.
+ * @returns {Promise<MemoryDb>}
+ */
+export const connectMemoryMongo = async () => {
+  if (memoryDb) return memoryDb;
+
+  memoryDb = new MemoryDb();
+  const connection = mongoose.connection;
+  connection.db = memoryDb;
+  connection.name = memoryDb.databaseName;
+  connection.onOpen();
+
+  // Unique indexes must be in place before the first write, as with a real server
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+  return memoryDb;
+};
+
+// Empty every collection, keeping their indexes
+export const clearMemoryMongo = () => {
+  memoryDb?.collections.forEach((collection) => {
+    collection.docs = [];
+  });
+};
@@ -0,0 +1,197 @@
+import net from "net";
+
+// An in-process stand-in for a Redis server, so the Redis realtime adapter can be tested without one.
+// It speaks RESP3 (what node-redis asks for) over a real socket and implements the commands the
+// adapter and @socket.io/redis-adapter send: strings with PX expiry, sets, MULTI/EXEC and pub/sub.
+
+const CRLF = "\r\n";
+
+const encode = (value) => {
+  if (value === null || value === undefined) return Buffer.from(`_${CRLF}`);
+  if (typeof value === "number") return Buffer.from(`:${value}${CRLF}`);
+  if (value.status) return Buffer.from(`+${value.status}${CRLF}`);
+  if (value.error) return Buffer.from(`-${value.error}${CRLF}`);
+  if (Array.isArray(value)) return Buffer.concat([Buffer.from(`*${value.length}${CRLF}`), ...value.map(encode)]);
+  if (value instanceof Map) {
+    const entries = [...value].flat();
+    return Buffer.concat([Buffer.from(`%${value.size}${CRLF}`), ...entries.map(encode)]);
+  }
+  const bytes = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${bytes.length}${CRLF}`), bytes, Buffer.from(CRLF)]);
+};
+
+// Pub/sub messages and subscription confirmations are out-of-band pushes in RESP3
+const encodePush = (items) => Buffer.concat([Buffer.from(`>${items.length}${CRLF}`), ...items.map(encode)]);
+
+const OK = { status: "OK" };
+
+// Splits the complete commands (arrays of bulk strings) off the front of the buffer
+const parseCommands = (buffer) => {
+  const commands = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const headerEnd = buffer.indexOf(CRLF, offset);
+    if (headerEnd < 0) break;
+    const count = Number(buffer.subarray(offset + 1, headerEnd));
+    let cursor = headerEnd + 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      const lengthEnd = buffer.indexOf(CRLF, cursor);
+      if (lengthEnd < 0) break;
+      const length = Number(buffer.subarray(cursor + 1, lengthEnd));
+      if (lengthEnd + 2 + length + 2 > buffer.length) break;
+      args.push(buffer.subarray(lengthEnd + 2, lengthEnd + 2 + length));
+      cursor = lengthEnd + 2 + length + 2;
+    }
+    if (args.length < count) break;
+    commands.push(args);
+    offset = cursor;
+  }
+  return { commands, rest: buffer.subarray(offset) };
+};
+
+const globToRegExp = (pattern) =>
+  new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`);
+
+/**
+ * Start a server on a free local port; every call gets its own empty keyspace
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+export const startMemoryRedis = async () => {
+  const strings = new Map(); // {key: {value, expiresAt}}
+  const sets = new Map(); // {key: Set<member>}
+  const connections = new Set();
+
+  const getString = (key) => {
+    const entry = strings.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      strings.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const publish = (channel, message) => {
+    let receivers = 0;
+    connections.forEach((connection) => {
+      if (connection.channels.has(channel)) {
+        connection.write(encodePush(["message", channel, message]));
+        receivers += 1;
+      }
+      connection.patterns.forEach((pattern) => {
+        if (!globToRegExp(pattern).test(channel)) return;
+        connection.write(encodePush(["pmessage", pattern, channel, message]));
+        receivers += 1;
+      });
+    });
+    return receivers;
+  };
+
+  const run = ([name, ...rawArgs]) => {
+    const args = rawArgs.map(String);
+    switch (String(name).toUpperCase()) {
+      case "HELLO":
+        return new Map([["server", "redis"], ["proto", 3]]);
+      case "PING":
+        return { status: "PONG" };
+      case "CLIENT":
+      case "SELECT":
+        return OK;
+      case "SET": {
+        const pxIndex = args.findIndex((arg) => arg.toUpperCase() === "PX");
+        const expiresAt = pxIndex > 0 ? Date.now() + Number(args[pxIndex + 1]) : null;
+        strings.set(args[0], { value: args[1], expiresAt });
+        return OK;
+      }
+      case "GET":
+        return getString(args[0])?.value ?? null;
+      case "EXISTS":
+        return args.filter((key) => getString(key) || sets.has(key)).length;
+      case "DEL":
+        return args.filter((key) => [strings.delete(key), sets.delete(key)].some(Boolean)).length;
+      case "SADD": {
+        const set = sets.get(args[0]) || new Set();
+        sets.set(args[0], set);
+        const added = args.slice(1).filter((member) => !set.has(member));
+        added.forEach((member) => set.add(member));
+        return added.length;
+      }
+      case "SREM": {
+        const set = sets.get(args[0]);
+        const removed = args.slice(1).filter((member) => set?.delete(member)).length;
+        if (set?.size === 0) sets.delete(args[0]);
+        return removed;
+      }
+      case "SMEMBERS":
+        return [...(sets.get(args[0]) || [])];
+      case "PUBLISH":
+        return publish(args[0], rawArgs[1]);
+      case "PUBSUB":
+        return args.slice(1).flatMap((channel) => [
+          channel,
+          [...connections].filter((connection) => connection.channels.has(channel)).length,
+        ]);
+      default:
+        return { error: `ERR unknown command '${name}'` };
+    }
+  };
+
+  const subscriptionCommands = {
+    SUBSCRIBE: ["channels", true],
+    UNSUBSCRIBE: ["channels", false],
+    PSUBSCRIBE: ["patterns", true],
+    PUNSUBSCRIBE: ["patterns", false],
+  };
+
+  const server = net.createServer((connection) => {
+    connections.add(connection);
+    connection.channels = new Set();
+    connection.patterns = new Set();
+    let pending = Buffer.alloc(0);
+    let transaction = null;
+
+    connection.on("data", (chunk) => {
+      const { commands, rest } = parseCommands(Buffer.concat([pending, chunk]));
+      pending = rest;
+
+      commands.forEach((command) => {
+        const name = String(command[0]).toUpperCase();
+        if (name === "MULTI") {
+          transaction = [];
+          connection.write(encode(OK));
+        } else if (name === "EXEC") {
+          connection.write(encode(transaction.map(run)));
+          transaction = null;
+        } else if (transaction) {
+          transaction.push(command);
+          connection.write(encode({ status: "QUEUED" }));
+        } else if (subscriptionCommands[name]) {
+          const [kind, subscribe] = subscriptionCommands[name];
+          command.slice(1).map(String).forEach((target) => {
+            if (subscribe) connection[kind].add(target);
+            else connection[kind].delete(target);
+            const count = connection.channels.size + connection.patterns.size;
+            connection.write(encodePush([name.toLowerCase(), target, count]));
+          });
+        } else if (name === "QUIT") {
+          connection.end(encode(OK));
+        } else {
+          connection.write(encode(run(command)));
+        }
+      });
+    });
+    connection.on("close", () => connections.delete(connection));
+    connection.on("error", () => {});
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    close: () =>
+      new Promise((resolve) => {
+        connections.forEach((connection) => connection.destroy());
+        server.close(resolve);
+      }),
+  };
+};
@@ -0,0 +1,163 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+import { createLinkPreviewFetcher, createLinkPreviewService, isPrivateAddress } from "../src/lib/linkPreview.js";
+import { connectMemoryMongo } from "./helpers/memoryMongo.js";
+
+const PAGE = `<html><head>
+<title>Fallback title</title>
+<meta property="og:title" content="Stub page">
+<meta property="og:description" content="Served by the test">
+</head><body></body></html>`;
+
+// Hostnames the tests resolve, standing in for public DNS
+const HOSTS = {
+  "public.test": "127.0.0.1",
+  "internal.test": "10.1.2.3",
+  "metadata.test": "169.254.169.254",
+};
+
+const stubLookup = (hostname, options, callback) => {
+  const address = HOSTS[hostname];
+  if (!address) return callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: "ENOTFOUND" }));
+  const entry = { address, family: 4 };
+  return options.all ? callback(null, [entry]) : callback(null, address, 4);
+};
+
+describe("isPrivateAddress", () => {
+  it("blocks loopback, private, link-local and unique local addresses", () => {
+    [
+      "127.0.0.1", "10.0.0.1", "172.16.5.4", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0",
+      "::1", "::", "fc00::1", "fe80::1", "::ffff:10.0.0.1", "::ffff:127.0.0.1",
+    ].forEach((address) => assert.equal(isPrivateAddress(address), true, address));
+  });
+
+  it("allows public addresses", () => {
+    ["93.184.216.34", "1.1.1.1", "2606:4700:4700::1111"]
+      .forEach((address) => assert.equal(isPrivateAddress(address), false, address));
+  });
+
+  it("blocks anything that isn't an IP address", () => {
+    assert.equal(isPrivateAddress("localhost"), true);
+  });
+});
+
+describe("createLinkPreviewFetcher", () => {
+  let server;
+  let port;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const redirects = {
+        "/to-metadata-ip": "http://169.254.169.254/latest/meta-data/",
+        "/to-internal-host": `http://internal.test:${port}/page`,
+        "/to-ipv6-loopback": `http://[::1]:${port}/page`,
+        "/to-page": "/page",
+        "/loop": "/loop",
+      };
+      if (redirects[req.url]) {
+        res.writeHead(302, { Location: redirects[req.url] });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(PAGE);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  // The stub server counts as public; every other address goes through the real rules
+  const fetchPreview = createLinkPreviewFetcher({
+    lookup: stubLookup,
+    isBlockedAddress: (address) => address !== "127.0.0.1" && isPrivateAddress(address),
+    timeoutMs: 2000,
+  });
+
+  it("fetches a public page's metadata", async () => {
+    const preview = await fetchPreview(`http://public.test:${port}/page`);
+    assert.equal(preview.title, "Stub page");
+    assert.equal(preview.description, "Served by the test");
+    assert.equal(preview.siteName, "public.test");
+  });
+
+  it("follows a redirect to another public page", async () => {
+    const preview = await fetchPreview(`http://public.test:${port}/to-page`);
+    assert.equal(preview.title, "Stub page");
+  });
+
+  it("refuses a link to a private IP address without requesting it", async () => {
+    const strictFetch = createLinkPreviewFetcher({ lookup: stubLookup, timeoutMs: 2000 });
+    const requestCount = requests.length;
+    await assert.rejects(strictFetch(`http://127.0.0.1:${port}/page`), /private address/);
+    assert.equal(requests.length, requestCount);
+  });
+
+  it("refuses a hostname that resolves to a private address", async () => {
+    await assert.rejects(fetchPreview(`http://internal.test:${port}/page`), /private address/);
+    await assert.rejects(fetchPreview("http://metadata.test/latest/meta-data/"), /private address/);
+  });
+
+  it("refuses a redirect to a private IP address", async () => {
+    await assert.rejects(fetchPreview(`http://public.test:${port}/to-metadata-ip`), /private address \(169\.254\.169\.254\)/);
+    await assert.rejects(fetchPreview(`http://public.test:${port}/to-ipv6-loopback`), /private address \(::1\)/);
+  });
+
+  it("refuses a redirect to a hostname that resolves to a private address", async () => {
+    await assert.rejects(fetchPreview(`http://public.test:${port}/to-internal-host`), /private address \(internal\.test\)/);
+  });
+
+  it("gives up on redirect loops", async () => {
+    await assert.rejects(fetchPreview(`http://public.test:${port}/loop`), /Too many redirects/);
+  });
+
+  it("only fetches http and https links", async () => {
+    await assert.rejects(fetchPreview("file:///etc/passwd"), /Unsupported protocol/);
+  });
+});
+
+describe("createLinkPreviewService", () => {
+  before(connectMemoryMongo);
+
+  const NOW = new Date("2026-03-01T09:00:00Z");
+
+  it("fetches a link once and serves it from the cache afterwards", async () => {
+    const fetched = [];
+    const service = createLinkPreviewService({
+      now: () => NOW,
+      fetchPreview: async (url) => {
+        fetched.push(url);
+        return { title: "Cached page", description: null, image: null, siteName: "example.com" };
+      },
+    });
+
+    const url = "https://example.com/cached";
+    const [first, concurrent] = await Promise.all([service.getPreview(url), service.getPreview(url)]);
+    const cached = await service.getPreview(url);
+
+    assert.deepEqual(fetched, [url]);
+    assert.equal(first.title, "Cached page");
+    assert.deepEqual(concurrent, first);
+    assert.deepEqual(cached, first);
+  });
+
+  it("remembers a failed fetch instead of retrying it for every message", async () => {
+    let attempts = 0;
+    const service = createLinkPreviewService({
+      now: () => NOW,
+      fetchPreview: async () => {
+        attempts += 1;
+        throw new Error("Refusing to fetch from a private address (10.0.0.1)");
+      },
+    });
+
+    assert.equal(await service.getPreview("http://internal.example/"), null);
+    assert.equal(await service.getPreview("http://internal.example/"), null);
+    assert.equal(attempts, 1);
+  });
+});
@@ -0,0 +1,36 @@
+import { before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import Message from "../src/models/message.model.js";
+import { getPins } from "../src/controllers/message.controller.js";
+import { clearMemoryMongo, connectMemoryMongo } from "./helpers/memoryMongo.js";
+import { callController, createUsers } from "./helpers/fixtures.js";
+
+describe("getPins", () => {
+  let alice;
+  let bob;
+
+  before(connectMemoryMongo);
+
+  beforeEach(async () => {
+    clearMemoryMongo();
+    [alice, bob] = await createUsers("Alice Pins", "Bob Pins");
+  });
+
+  it("rejects a malformed conversation id", async () => {
+    const res = await callController(getPins, { user: alice, params: { id: "not-an-id" } });
+    assert.equal(res.statusCode, 400);
+
+    const groupRes = await callController(getPins, { user: alice, params: { id: "x" }, query: { groupId: "x" } });
+    assert.equal(groupRes.statusCode, 400);
+  });
+
+  it("lists the pins of a DM", async () => {
+    const pinned = await Message.create({ senderId: bob._id, receiverId: alice._id, text: "pin me", pinned: true, pinnedAt: new Date() });
+    await Message.create({ senderId: alice._id, receiverId: bob._id, text: "not pinned" });
+
+    const res = await callController(getPins, { user: alice, params: { id: bob._id.toString() } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.pins.map((pin) => pin._id.toString()), [pinned._id.toString()]);
+  });
+});
@@ -0,0 +1,124 @@
+import { before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import Group from "../src/models/group.model.js";
+import PollVote from "../src/models/pollVote.model.js";
+import { closePoll, createPoll, votePoll } from "../src/controllers/poll.controller.js";
+import { getMessages } from "../src/controllers/message.controller.js";
+import { clearMemoryMongo, connectMemoryMongo } from "./helpers/memoryMongo.js";
+import { callController, createUsers } from "./helpers/fixtures.js";
+
+describe("group polls", () => {
+  let alice;
+  let bob;
+  let carol;
+  let group;
+
+  before(connectMemoryMongo);
+
+  beforeEach(async () => {
+    clearMemoryMongo();
+    [alice, bob, carol] = await createUsers("Alice Poll", "Bob Poll", "Carol Outsider");
+    group = await Group.create({ name: "Lunch club", admin: alice._id, members: [alice._id, bob._id] });
+  });
+
+  const create = (user, body) =>
+    callController(createPoll, { user, params: { groupId: group._id.toString() }, body });
+  const vote = (user, messageId, optionIds) =>
+    callController(votePoll, { user, params: { messageId: messageId.toString() }, body: { optionIds } });
+  const loadHistory = (user) =>
+    callController(getMessages, { user, params: { id: group._id.toString() }, query: { groupId: group._id.toString() } });
+
+  it("creates a poll, counts votes and loads it with the group history", async () => {
+    const created = await create(alice, { question: "Where to?", options: ["Pizza", "Sushi"] });
+    assert.equal(created.statusCode, 201);
+
+    const poll = created.body;
+    const [pizza, sushi] = poll.poll.options.map((option) => option._id.toString());
+    assert.ok(pizza && sushi && pizza !== sushi);
+    assert.deepEqual(
+      poll.pollResults.options.map(({ optionId, votes }) => [optionId, votes]),
+      [[pizza, 0], [sushi, 0]]
+    );
+
+    const bobVote = await vote(bob, poll._id, [sushi]);
+    assert.equal(bobVote.statusCode, 200);
+    assert.deepEqual(bobVote.body.results.myVotes, [sushi]);
+    assert.equal(bobVote.body.results.options[1].votes, 1);
+
+    assert.equal((await vote(alice, poll._id, [pizza])).statusCode, 200);
+    // Bob changes his mind: his vote is replaced, not added
+    assert.equal((await vote(bob, poll._id, [pizza])).statusCode, 200);
+
+    const history = await loadHistory(bob);
+    assert.equal(history.statusCode, 200);
+    const [message] = history.body.messages;
+    assert.equal(message._id.toString(), poll._id.toString());
+    assert.equal(message.pollResults.totalVoters, 2);
+    assert.deepEqual(message.pollResults.myVotes, [pizza]);
+    assert.deepEqual(message.pollResults.options.map(({ votes }) => votes), [2, 0]);
+    assert.deepEqual(
+      message.pollResults.options[0].voters.map(({ fullName }) => fullName).sort(),
+      ["Alice Poll", "Bob Poll"]
+    );
+  });
+
+  it("leaves voters out of anonymous polls", async () => {
+    const { body: poll } = await create(alice, { question: "Secret?", options: ["Yes", "No"], anonymous: true });
+    const yes = poll.poll.options[0]._id.toString();
+
+    const { body } = await vote(bob, poll._id, [yes]);
+    assert.equal(body.results.options[0].votes, 1);
+    assert.equal(body.results.options[0].voters, undefined);
+  });
+
+  it("rejects unknown options, and several options in a single-choice poll", async () => {
+    const { body: poll } = await create(alice, { question: "One only", options: ["A", "B"] });
+    const [a, b] = poll.poll.options.map((option) => option._id.toString());
+
+    assert.equal((await vote(bob, poll._id, [group._id.toString()])).statusCode, 400);
+    assert.equal((await vote(bob, poll._id, [a, b])).statusCode, 400);
+    assert.equal((await vote(bob, poll._id, [b])).statusCode, 200);
+  });
+
+  it("keeps people outside the group out of its polls", async () => {
+    assert.equal((await create(carol, { question: "Let me in?", options: ["A", "B"] })).statusCode, 403);
+
+    const { body: poll } = await create(alice, { question: "Members only", options: ["A", "B"] });
+    assert.equal((await vote(carol, poll._id, [poll.poll.options[0]._id.toString()])).statusCode, 403);
+  });
+
+  it("keeps a vote that raced another vote of the same user", async () => {
+    const { body: poll } = await create(alice, { question: "Tea or coffee?", options: ["Tea", "Coffee"] });
+    const [tea, coffee] = poll.poll.options.map((option) => option._id.toString());
+
+    // Bob's other device inserts his vote between this request's lookup and its insert
+    const findOneAndUpdate = PollVote.findOneAndUpdate;
+    PollVote.findOneAndUpdate = async function (...args) {
+      PollVote.findOneAndUpdate = findOneAndUpdate;
+      await PollVote.create({ messageId: poll._id, userId: bob._id, optionIds: [tea] });
+      throw Object.assign(new Error("E11000 duplicate key error collection: pollvotes"), { code: 11000 });
+    };
+
+    try {
+      const res = await vote(bob, poll._id, [coffee]);
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(res.body.results.options.map(({ votes }) => votes), [0, 1]);
+    } finally {
+      PollVote.findOneAndUpdate = findOneAndUpdate;
+    }
+    assert.equal(await PollVote.countDocuments({ messageId: poll._id, userId: bob._id }), 1);
+  });
+
+  it("takes no more votes once closed", async () => {
+    const { body: poll } = await create(bob, { question: "Closing soon", options: ["A", "B"] });
+    const a = poll.poll.options[0]._id.toString();
+
+    // The group admin may close a member's poll
+    const closed = await callController(closePoll, { user: alice, params: { messageId: poll._id.toString() } });
+    assert.equal(closed.statusCode, 200);
+    assert.equal(closed.body.results.closed, true);
+
+    assert.equal((await vote(bob, poll._id, [a])).statusCode, 400);
+  });
+});
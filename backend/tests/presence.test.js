@@ -0,0 +1,112 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import Group from "../src/models/group.model.js";
+import Message from "../src/models/message.model.js";
+import ReadMarker from "../src/models/readMarker.model.js";
+import User from "../src/models/user.model.js";
+import { connectRealtimeAdapter, deliverPendingMessages, io, markReadAndNotify } from "../src/lib/socket.js";
+import { createMemoryRealtimeAdapter } from "../src/lib/realtimeAdapter.js";
+import { updatePresence } from "../src/controllers/auth.controller.js";
+import { clearMemoryMongo, connectMemoryMongo } from "./helpers/memoryMongo.js";
+import { callController, createUsers } from "./helpers/fixtures.js";
+
+describe("deliverPendingMessages", () => {
+  let alice;
+  let bob;
+
+  before(connectMemoryMongo);
+
+  beforeEach(async () => {
+    clearMemoryMongo();
+    [alice, bob] = await createUsers("Alice Presence", "Bob Presence");
+  });
+
+  const sendWhileOffline = () => Message.create({ senderId: alice._id, receiverId: bob._id, text: "are you there?" });
+
+  it("marks the messages that waited for a user as delivered", async () => {
+    const message = await sendWhileOffline();
+
+    await deliverPendingMessages(bob._id.toString());
+    assert.ok((await Message.findById(message._id)).deliveredAt);
+  });
+
+  it("leaves them undelivered while the user is invisible", async () => {
+    const message = await sendWhileOffline();
+    await User.updateOne({ _id: bob._id }, { presenceStatus: "invisible" });
+
+    await deliverPendingMessages(bob._id.toString());
+    assert.equal((await Message.findById(message._id)).deliveredAt, null);
+
+    await User.updateOne({ _id: bob._id }, { presenceStatus: "online" });
+    await deliverPendingMessages(bob._id.toString());
+    assert.ok((await Message.findById(message._id)).deliveredAt);
+  });
+});
+
+describe("read receipts", () => {
+  let alice;
+  let bob;
+  let group;
+  let emitted;
+
+  before(async () => {
+    await connectMemoryMongo();
+    await connectRealtimeAdapter(createMemoryRealtimeAdapter());
+  });
+
+  // Record what would go out over the socket instead of sending it
+  beforeEach(async () => {
+    clearMemoryMongo();
+    [alice, bob] = await createUsers("Alice Reader", "Bob Reader");
+    group = await Group.create({ name: "Readers", admin: alice._id, members: [alice._id, bob._id] });
+    emitted = [];
+    io.to = (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) });
+  });
+
+  after(() => {
+    delete io.to;
+  });
+
+  // Alice is online in another tab, waiting for Bob to read her messages
+  const receiveAndRead = async () => {
+    const realtime = createMemoryRealtimeAdapter();
+    await connectRealtimeAdapter(realtime);
+    await realtime.addConnection(alice._id.toString(), "socket-alice");
+
+    const dm = await Message.create({ senderId: alice._id, receiverId: bob._id, text: "read me" });
+    await Message.create({ senderId: alice._id, groupId: group._id, text: "and this" });
+    await markReadAndNotify(bob._id.toString(), { receiverId: alice._id.toString() });
+    await markReadAndNotify(bob._id.toString(), { groupId: group._id.toString() });
+    return dm;
+  };
+
+  const setStatus = async (presenceStatus) => {
+    const user = await User.findById(bob._id).select("+presenceStatus");
+    return callController(updatePresence, { user, body: { presenceStatus } });
+  };
+
+  it("tells the sender and the group right away", async () => {
+    await receiveAndRead();
+    assert.deepEqual(emitted.map(({ room, event }) => [room, event]), [
+      [`user:${alice._id}`, "messagesRead"],
+      [group._id.toString(), "groupReadMarker"],
+    ]);
+  });
+
+  it("stores an invisible user's reads but holds the receipts until they reappear", async () => {
+    assert.equal((await setStatus("invisible")).statusCode, 200);
+    const dm = await receiveAndRead();
+
+    assert.ok((await Message.findById(dm._id)).readAt);
+    assert.ok(await ReadMarker.exists({ groupId: group._id, userId: bob._id }));
+    assert.deepEqual(emitted, []);
+
+    assert.equal((await setStatus("online")).statusCode, 200);
+    const receipt = emitted.find(({ event }) => event === "messagesRead");
+    assert.equal(receipt.room, `user:${alice._id}`);
+    assert.deepEqual(receipt.payload.messageIds.map(String), [dm._id.toString()]);
+    assert.equal(emitted.find(({ event }) => event === "groupReadMarker").room, group._id.toString());
+  });
+});
+
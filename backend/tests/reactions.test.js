@@ -0,0 +1,41 @@
+import { before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import Group from "../src/models/group.model.js";
+import Message from "../src/models/message.model.js";
+import Reaction from "../src/models/reaction.model.js";
+import { addReaction } from "../src/controllers/reaction.controller.js";
+import { clearMemoryMongo, connectMemoryMongo } from "./helpers/memoryMongo.js";
+import { callController, createUsers } from "./helpers/fixtures.js";
+
+describe("addReaction", () => {
+  let alice;
+  let bob;
+  let carol;
+
+  before(connectMemoryMongo);
+
+  beforeEach(async () => {
+    clearMemoryMongo();
+    [alice, bob, carol] = await createUsers("Alice React", "Bob React", "Carol React");
+  });
+
+  const react = (user, message) =>
+    callController(addReaction, { user, params: { messageId: message._id.toString() }, body: { type: "👍" } });
+
+  it("lets the members of a group react to its messages", async () => {
+    const group = await Group.create({ name: "Climbers", admin: alice._id, members: [alice._id, bob._id] });
+    const message = await Message.create({ senderId: alice._id, groupId: group._id, text: "Saturday?" });
+
+    assert.equal((await react(bob, message)).statusCode, 201);
+    assert.equal((await react(carol, message)).statusCode, 403);
+    assert.deepEqual((await Reaction.find({ messageId: message._id })).map((reaction) => reaction.userId.toString()), [bob._id.toString()]);
+  });
+
+  it("keeps people outside a DM from reacting to it", async () => {
+    const message = await Message.create({ senderId: alice._id, receiverId: bob._id, text: "just us" });
+
+    assert.equal((await react(carol, message)).statusCode, 403);
+    assert.equal((await react(bob, message)).statusCode, 201);
+  });
+});
@@ -0,0 +1,146 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Server } from "socket.io";
+import { createClient } from "redis";
+
+import { createRedisRealtimeAdapter } from "../src/lib/realtimeAdapter.js";
+import { startMemoryRedis } from "./helpers/memoryRedis.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Presence travels over pub/sub, so other instances see a change shortly after it happens
+const waitFor = async (condition, message) => {
+  const deadline = Date.now() + 2000;
+  while (!condition()) {
+    if (Date.now() > deadline) assert.fail(message);
+    await sleep(10);
+  }
+};
+
+describe("createRedisRealtimeAdapter", () => {
+  let redis;
+  let inspector;
+  let keyPrefix;
+  let running = [];
+  let prefixCount = 0;
+
+  before(async () => {
+    redis = await startMemoryRedis();
+    inspector = createClient({ url: redis.url });
+    await inspector.connect();
+  });
+
+  after(async () => {
+    await inspector.close();
+    await redis.close();
+  });
+
+  // Every test gets a cluster of its own on the shared server
+  const useNewPrefix = () => {
+    prefixCount += 1;
+    keyPrefix = `test:${prefixCount}`;
+  };
+
+  // One backend process: its Socket.IO server and realtime adapter, with fast heartbeats by default
+  const startInstance = async ({ heartbeatIntervalMs = 20, instanceTtlMs = 100 } = {}) => {
+    const pubClient = createClient({ url: redis.url });
+    const subClient = pubClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    const io = new Server();
+    const realtime = createRedisRealtimeAdapter({ pubClient, subClient, keyPrefix, heartbeatIntervalMs, instanceTtlMs });
+    const instance = { io, realtime, presenceChanges: 0, closed: false };
+    await realtime.attach(io, { onPresenceChange: () => { instance.presenceChanges += 1; } });
+
+    instance.close = async () => {
+      if (instance.closed) return;
+      instance.closed = true;
+      await realtime.close();
+    };
+    running.push(instance);
+    return instance;
+  };
+
+  afterEach(async () => {
+    await Promise.all(running.map((instance) => instance.close()));
+    running = [];
+  });
+
+  it("shares who is online between instances", async () => {
+    useNewPrefix();
+    const a = await startInstance();
+    const b = await startInstance();
+
+    assert.equal(await a.realtime.addConnection("alice", "socket-a1"), true);
+    await waitFor(() => b.realtime.isOnline("alice"), "instance b never saw alice come online");
+
+    // A second device on another instance doesn't bring her online again
+    assert.equal(await b.realtime.addConnection("alice", "socket-b1"), false);
+    // Once a has heard of that device, closing hers on a leaves her online
+    await sleep(100);
+    assert.equal(await a.realtime.removeConnection("alice", "socket-a1"), false);
+    assert.equal(a.realtime.isOnline("alice"), true);
+
+    // ...and her last device, on b, takes her offline everywhere
+    await sleep(100);
+    assert.equal(await b.realtime.removeConnection("alice", "socket-b1"), true);
+    await waitFor(() => !a.realtime.isOnline("alice"), "instance a still has alice online");
+    assert.deepEqual(b.realtime.getOnlineUserIds(), []);
+  });
+
+  it("tells an instance that starts later who is already online", async () => {
+    useNewPrefix();
+    const a = await startInstance();
+    await a.realtime.addConnection("bob", "socket-a1");
+
+    const late = await startInstance();
+    assert.equal(late.realtime.isOnline("bob"), true);
+    assert.deepEqual(late.realtime.getOnlineUserIds(), ["bob"]);
+  });
+
+  it("takes a closed instance's users offline everywhere at once", async () => {
+    useNewPrefix();
+    const a = await startInstance();
+    const b = await startInstance({ heartbeatIntervalMs: 60 * 60 * 1000, instanceTtlMs: 60 * 60 * 1000 });
+    await a.realtime.addConnection("carol", "socket-a1");
+    await waitFor(() => b.realtime.isOnline("carol"), "instance b never saw carol come online");
+
+    await a.close();
+    await waitFor(() => !b.realtime.isOnline("carol"), "carol stayed online after her instance closed");
+    assert.deepEqual(await inspector.sMembers(`${keyPrefix}:instances`), [b.realtime.instanceId]);
+  });
+
+  it("keeps an instance that heartbeats past its liveness TTL", async () => {
+    useNewPrefix();
+    const a = await startInstance();
+    const b = await startInstance();
+    await a.realtime.addConnection("dave", "socket-a1");
+
+    // Several TTLs long: only the heartbeat keeps a's key alive
+    await sleep(400);
+    assert.equal(await inspector.exists(`${keyPrefix}:alive:${a.realtime.instanceId}`), 1);
+    assert.equal(b.realtime.isOnline("dave"), true);
+    assert.equal(b.presenceChanges, 0);
+  });
+
+  it("sweeps an instance that stopped heartbeating and takes its users offline", async () => {
+    useNewPrefix();
+    // Beats once when it attaches and never again, as if the process had died
+    const crashed = await startInstance({ heartbeatIntervalMs: 60 * 60 * 1000, instanceTtlMs: 300 });
+    const survivor = await startInstance();
+    await crashed.realtime.addConnection("erin", "socket-c1");
+    await survivor.realtime.addConnection("frank", "socket-s1");
+    await waitFor(() => survivor.realtime.isOnline("erin"), "the survivor never saw erin come online");
+
+    await waitFor(() => survivor.presenceChanges > 0, "the survivor never swept the stopped instance");
+    assert.equal(survivor.presenceChanges, 1);
+    assert.equal(survivor.realtime.isOnline("erin"), false);
+    assert.deepEqual(survivor.realtime.getOnlineUserIds(), ["frank"]);
+    assert.deepEqual(await inspector.sMembers(`${keyPrefix}:instances`), [survivor.realtime.instanceId]);
+    assert.equal(await inspector.exists(`${keyPrefix}:users:${crashed.realtime.instanceId}`), 0);
+
+    // An instance starting now doesn't pick the swept users back up
+    const late = await startInstance();
+    assert.deepEqual(late.realtime.getOnlineUserIds(), ["frank"]);
+  });
+});
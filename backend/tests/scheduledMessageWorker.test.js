@@ -0,0 +1,115 @@
+import { before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import Message from "../src/models/message.model.js";
+import ScheduledMessage from "../src/models/scheduledMessage.model.js";
+import { encryptCaesar } from "../src/lib/caesarCipher.js";
+import { createScheduledMessageWorker, deliverScheduledMessage } from "../src/lib/scheduledMessageWorker.js";
+import { clearMemoryMongo, connectMemoryMongo } from "./helpers/memoryMongo.js";
+import { createUsers } from "./helpers/fixtures.js";
+
+const MINUTE_MS = 60 * 1000;
+const START = new Date("2026-03-01T09:00:00Z");
+const at = (minutes) => new Date(START.getTime() + minutes * MINUTE_MS);
+
+describe("scheduled message worker", () => {
+  let sender;
+  let receiver;
+
+  before(connectMemoryMongo);
+
+  beforeEach(async () => {
+    clearMemoryMongo();
+    [sender, receiver] = await createUsers("Ada Sender", "Bob Receiver");
+  });
+
+  const schedule = (sendAt) =>
+    ScheduledMessage.create({
+      senderId: sender._id,
+      receiverId: receiver._id,
+      text: encryptCaesar("See you at six"),
+      sendAt,
+    });
+
+  it("delivers a message again once the worker that claimed it has died", async () => {
+    const scheduled = await schedule(at(-1));
+
+    // The first worker claims the message, then its process dies mid-send
+    let claimedByCrashedWorker;
+    const claimed = new Promise((resolve) => {
+      claimedByCrashedWorker = resolve;
+    });
+    createScheduledMessageWorker({
+      now: () => at(0),
+      deliver: (message) => {
+        claimedByCrashedWorker(message);
+        return new Promise(() => {});
+      },
+    }).tick();
+    await claimed;
+
+    const delivered = [];
+    const deliver = async (message) => {
+      delivered.push(message._id.toString());
+      return { _id: message._id };
+    };
+
+    // A restarted worker leaves a fresh claim alone...
+    assert.equal(await createScheduledMessageWorker({ now: () => at(1), deliver }).tick(), 0);
+    assert.deepEqual(delivered, []);
+
+    // ...and takes over one that has gone stale
+    assert.equal(await createScheduledMessageWorker({ now: () => at(6), deliver }).tick(), 1);
+    assert.deepEqual(delivered, [scheduled._id.toString()]);
+
+    const after = await ScheduledMessage.findById(scheduled._id);
+    assert.equal(after.status, "sent");
+    assert.equal(after.attempts, 2);
+    assert.equal(after.lockedAt, null);
+  });
+
+  it("does not send a message twice when the worker died after storing it", async () => {
+    const scheduled = await schedule(at(-1));
+
+    // The crashed worker got as far as storing the message, but never marked the schedule sent
+    const firstSend = await deliverScheduledMessage(scheduled);
+    await ScheduledMessage.updateOne({ _id: scheduled._id }, { $set: { status: "sending", lockedAt: at(0), attempts: 1 } });
+
+    assert.equal(await createScheduledMessageWorker({ now: () => at(6) }).tick(), 1);
+
+    const stored = await Message.find({ senderId: sender._id });
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0]._id.toString(), firstSend._id.toString());
+
+    const after = await ScheduledMessage.findById(scheduled._id);
+    assert.equal(after.status, "sent");
+    assert.equal(after.messageId.toString(), firstSend._id.toString());
+  });
+
+  it("retries a failed delivery on later ticks and gives up after three attempts", async () => {
+    const scheduled = await schedule(at(-1));
+    const worker = createScheduledMessageWorker({
+      now: () => at(0),
+      deliver: async () => {
+        throw new Error("Receiver unavailable");
+      },
+    });
+
+    for (const status of ["scheduled", "scheduled", "failed"]) {
+      assert.equal(await worker.tick(), 1);
+      const after = await ScheduledMessage.findById(scheduled._id);
+      assert.equal(after.status, status);
+      assert.equal(after.error, "Receiver unavailable");
+    }
+    assert.equal(await worker.tick(), 0);
+  });
+
+  it("leaves messages that are not due yet", async () => {
+    await schedule(at(30));
+    const worker = createScheduledMessageWorker({
+      now: () => at(0),
+      deliver: async () => assert.fail("Delivered before its time"),
+    });
+    assert.equal(await worker.tick(), 0);
+  });
+});
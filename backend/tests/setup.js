@@ -0,0 +1,7 @@
+// Loaded before every test file (see the test script). The app logs freely to stdout, which the test
+// runner also reads its results from; the logs go to stderr instead, and only with TEST_LOGS=1.
+const log = process.env.TEST_LOGS ? (...args) => console.error(...args) : () => {};
+
+console.log = log;
+console.info = log;
+console.warn = log;
@@ -0,0 +1,79 @@
+import { before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import Group from "../src/models/group.model.js";
+import Message from "../src/models/message.model.js";
+import { getMessages, getThread, sendMessage } from "../src/controllers/message.controller.js";
+import { scheduleMessage } from "../src/controllers/scheduledMessage.controller.js";
+import { clearMemoryMongo, connectMemoryMongo } from "./helpers/memoryMongo.js";
+import { callController, createUsers } from "./helpers/fixtures.js";
+
+describe("threads", () => {
+  let alice;
+  let bob;
+  let carol;
+  let group;
+  let parent;
+
+  before(connectMemoryMongo);
+
+  beforeEach(async () => {
+    clearMemoryMongo();
+    [alice, bob, carol] = await createUsers("Alice Thread", "Bob Thread", "Carol Thread");
+    group = await Group.create({ name: "Book club", admin: alice._id, members: [alice._id, bob._id] });
+    parent = await Message.create({ senderId: alice._id, groupId: group._id, text: "Next book?" });
+  });
+
+  const sendToGroup = (user, body) =>
+    callController(sendMessage, { user, params: { id: group._id.toString() }, body: { groupId: group._id.toString(), ...body } });
+  const sendDm = (user, receiver, body) => callController(sendMessage, { user, params: { id: receiver._id.toString() }, body });
+  const openThread = (user) => callController(getThread, { user, params: { messageId: parent._id.toString() } });
+
+  it("lists the replies sent in the parent's conversation", async () => {
+    const reply = await sendToGroup(bob, { text: "Dune", replyTo: parent._id.toString() });
+    assert.equal(reply.statusCode, 201);
+
+    const thread = await openThread(alice);
+    assert.equal(thread.statusCode, 200);
+    assert.deepEqual(thread.body.replies.map((message) => message._id.toString()), [reply.body._id.toString()]);
+  });
+
+  it("refuses to send or schedule a reply to a message of another conversation", async () => {
+    const dm = await sendDm(carol, alice, { text: "sneaking in", replyTo: parent._id.toString() });
+    assert.equal(dm.statusCode, 400);
+
+    const scheduled = await callController(scheduleMessage, {
+      user: carol,
+      body: {
+        text: "later",
+        receiverId: alice._id.toString(),
+        replyTo: parent._id.toString(),
+        sendAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      },
+    });
+    assert.equal(scheduled.statusCode, 400);
+
+    // Nor into someone else's DM
+    const theirDm = await Message.create({ senderId: alice._id, receiverId: bob._id, text: "just us" });
+    const intoDm = await sendDm(carol, alice, { text: "me too", replyTo: theirDm._id.toString() });
+    assert.equal(intoDm.statusCode, 400);
+  });
+
+  it("leaves replies stored in another conversation out of the thread and its reply count", async () => {
+    const reply = await Message.create({ senderId: bob._id, groupId: group._id, text: "Dune", replyTo: parent._id });
+    // Stored before replies were checked: a DM pointing at the group message
+    await Message.create({ senderId: carol._id, receiverId: alice._id, text: "sneaking in", replyTo: parent._id });
+
+    const thread = await openThread(bob);
+    assert.deepEqual(thread.body.replies.map((message) => message._id.toString()), [reply._id.toString()]);
+    assert.equal(thread.body.parent.replyCount, 1);
+
+    const history = await callController(getMessages, {
+      user: bob,
+      params: { id: group._id.toString() },
+      query: { groupId: group._id.toString() },
+    });
+    const listed = history.body.messages.find((message) => message._id.toString() === parent._id.toString());
+    assert.equal(listed.replyCount, 1);
+  });
+});
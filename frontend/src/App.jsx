@@ -17,13 +17,16 @@ import AddFriendPage from "./pages/AddFriendPage";
 import NotificationsPage from "./pages/NotificationsPage";
 import AdminDashboard from "./pages/AdminDashboard";
 import ModelTestPage from "./pages/ModelTestPage";
+import ForgotPasswordPage from "./pages/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/ResetPasswordPage";
+import VerifyEmailPage from "./pages/VerifyEmailPage";
 
 import { useAuthStore } from "./store/useAuthStore";
+import { useChatStore } from "./store/useChatStore";
 import { useThemeStore } from "./store/useThemeStore";
-import { connectSocket } from "./lib/socket"; 
 
 const App = () => {
-  const { authUser, checkAuth, isCheckingAuth, onlineUsers, hasRequiredInterests } = useAuthStore();
+  const { authUser, checkAuth, isCheckingAuth, onlineUsers, hasRequiredInterests, socket } = useAuthStore();
   const { theme } = useThemeStore();
   const navigate = useNavigate();
   const location = useLocation();
@@ -32,11 +35,23 @@ const App = () => {
     checkAuth();
   }, [checkAuth]);
 
+  // ✅ Restore unsent messages for this user and resend them whenever the socket (re)connects
+  // (read through getState so App doesn't re-render on every chat store change)
   useEffect(() => {
-    if (authUser?.id) {
-      connectSocket(authUser.id);
-    }
-  }, [authUser]);
+    useChatStore.getState().loadOutbox();
+  }, [authUser?._id]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleConnect = () => useChatStore.getState().flushOutbox();
+    socket.on("connect", handleConnect);
+    if (socket.connected) handleConnect();
+
+    return () => {
+      socket.off("connect", handleConnect);
+    };
+  }, [socket]);
 
   // ✅ Redirect logic after authentication check
   useEffect(() => {
@@ -85,6 +100,13 @@ const App = () => {
               path="/login" 
               element={!authUser ? <LoginPage /> : <Navigate to="/" replace />} 
             />
+            <Route
+              path="/forgot-password"
+              element={!authUser ? <ForgotPasswordPage /> : <Navigate to="/" replace />}
+            />
+            {/* Opened from emailed links, signed in or not */}
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
+            <Route path="/verify-email" element={<VerifyEmailPage />} />
             
             {/* Interests page - accessible anytime for logged-in users */}
             <Route
@@ -0,0 +1,69 @@
+import { useEffect } from "react";
+import { LogOut, Monitor, Smartphone } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+
+const MOBILE_SYSTEMS = /iOS|Android/;
+
+// The user's signed-in devices, with a sign-out button for each of the others
+const ActiveSessions = () => {
+  const { sessions, isLoadingSessions, getSessions, revokeSession, revokeOtherSessions } = useAuthStore();
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  useEffect(() => {
+    getSessions();
+  }, [getSessions]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-end justify-between gap-4">
+        <div className="flex flex-col gap-1">
+          <h2 className="text-lg font-semibold">Active sessions</h2>
+          <p className="text-sm text-base-content/70">Devices signed in to your account</p>
+        </div>
+        {hasOtherSessions && (
+          <button className="btn btn-outline btn-error btn-sm" onClick={revokeOtherSessions}>
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      <div className="rounded-xl border border-base-300 divide-y divide-base-300">
+        {isLoadingSessions && sessions.length === 0 && (
+          <div className="p-4 flex justify-center">
+            <span className="loading loading-spinner loading-sm" />
+          </div>
+        )}
+        {sessions.map((session) => {
+          const Icon = MOBILE_SYSTEMS.test(session.device) ? Smartphone : Monitor;
+          return (
+            <div key={session._id} className="flex items-center gap-3 p-4">
+              <Icon className="w-6 h-6 flex-shrink-0 text-base-content/60" />
+              <div className="min-w-0 flex-1">
+                <div className="flex items-center gap-2 text-sm font-medium">
+                  <span className="truncate">{session.device}</span>
+                  {session.current && <span className="badge badge-primary badge-sm">This device</span>}
+                </div>
+                <div className="text-xs text-base-content/60 truncate">
+                  {session.ip || "Unknown IP"} · Last active {new Date(session.lastUsedAt).toLocaleString()} · Signed in{" "}
+                  {new Date(session.createdAt).toLocaleDateString()}
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  className="btn btn-ghost btn-sm gap-1 text-error"
+                  onClick={() => revokeSession(session._id)}
+                  title="Sign out this device"
+                >
+                  <LogOut className="w-4 h-4" />
+                  Revoke
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,42 @@
+import { Download, FileArchive, FileAudio, FileText } from "lucide-react";
+import { formatFileSize } from "../lib/attachments";
+
+const KIND_ICONS = {
+  document: FileText,
+  audio: FileAudio,
+  archive: FileArchive,
+};
+
+// Download card for a file sent with a message; audio can also be played in place
+const AttachmentCard = ({ attachment }) => {
+  const Icon = KIND_ICONS[attachment.kind] || FileText;
+
+  return (
+    <div className="mb-2 w-64 max-w-full rounded-lg bg-base-100/90 text-base-content border border-base-300">
+      <div className="flex items-center gap-3 p-2.5">
+        <Icon className="w-8 h-8 flex-shrink-0 text-primary" />
+        <div className="min-w-0 flex-1">
+          <div className="text-sm font-medium truncate" title={attachment.name}>
+            {attachment.name}
+          </div>
+          <div className="text-xs text-base-content/60">{formatFileSize(attachment.size || 0)}</div>
+        </div>
+        <a
+          href={attachment.url}
+          download={attachment.name}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="btn btn-ghost btn-sm btn-circle"
+          title="Download"
+        >
+          <Download className="w-4 h-4" />
+        </a>
+      </div>
+      {attachment.kind === "audio" && (
+        <audio controls preload="none" src={attachment.url} className="w-full px-2 pb-2 h-10" />
+      )}
+    </div>
+  );
+};
+
+export default AttachmentCard;
@@ -1,7 +1,7 @@
 import axios from "axios";
 import { useSentimentModel } from "../../context/SentimentModelContext";
 import { useChatStore } from "../store/useChatStore";
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
 import { analyzeConversationSentiment } from "../lib/sentimentAnalysis";
 import { axiosInstance } from "../lib/axios";
 import toast from "react-hot-toast";
@@ -13,30 +13,72 @@ import TypingIndicator from "./TypingIndicator";
 import ToxicityWarning from "./ToxicityWarning";
 import { useAuthStore } from "../store/useAuthStore";
 import { formatMessageTime } from "../lib/utils";
-import { Info, X, Lock, Eye } from "lucide-react";
+import { Info, X, Lock, Eye, Search, MessageSquare, Timer, Forward, Star } from "lucide-react";
 import UserDetailsPage from "./UserDetailsPage";
+import MessageSearchPanel from "./MessageSearchPanel";
+import ReadReceipt, { SeenByList } from "./ReadReceipt";
+import PendingMessage from "./PendingMessage";
+import ThreadPanel from "./ThreadPanel";
+import EditHistoryPopover from "./EditHistoryPopover";
+import ForwardMessageModal from "./ForwardMessageModal";
+import MessageText from "./MessageText";
+import LinkPreviewCard from "./LinkPreviewCard";
+import AttachmentCard from "./AttachmentCard";
+import VoiceNotePlayer from "./VoiceNotePlayer";
+import PollMessage from "./PollMessage";
+import PinnedMessagesBanner from "./PinnedMessagesBanner";
 
 const ChatContainer = () => {
   const {
     messages,
     getMessages,
     isMessagesLoading,
+    hasMoreMessages,
+    hasNewerMessages,
+    isLoadingOlderMessages,
+    isLoadingNewerMessages,
+    loadOlderMessages,
+    loadNewerMessages,
+    getMessagesAround,
+    pendingJumpMessageId,
+    jumpToMessage,
+    jumpToConversationMessage,
+    clearPendingJump,
     selectedUser,
     subscribeToMessages,
     unsubscribeFromMessages,
+    readMarkers,
+    groupPermissions,
+    applyPermissionDenial,
+    pins,
+    pinLimit,
+    markConversationRead,
+    sendMessage,
+    outbox,
+    deliverOutboxMessage,
+    discardOutboxMessage,
+    setMessageStarred,
   } = useChatStore();
   const [frequentWords, setFrequentWords] = useState([]);
   const { authUser, socket } = useAuthStore();
   const { selectedModel } = useSentimentModel();
   const messageEndRef = useRef(null);
-  // Store pinned message id and associated user id
-  const [pinnedMessageData, setPinnedMessageData] = useState(null);
+  const scrollContainerRef = useRef(null);
+  // Scroll metrics captured right before an older page is prepended
+  const olderPageScrollRef = useRef(null);
+  const lastScrollTopRef = useRef(0);
+  // Set while a newer page is appended so the view doesn't jump to the bottom
+  const newerPageLoadingRef = useRef(false);
   const [highlightedMessageId, setHighlightedMessageId] = useState(null);
   const messageRefs = useRef({});
   const [editMessageData, setEditMessageData] = useState(null);
   const [typingUsers, setTypingUsers] = useState([]); // Array to track multiple typing users
   const [sentimentStats, setSentimentStats] = useState({ positive: 0, negative: 0, neutral: 0 });
   const [showUserDetails, setShowUserDetails] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [threadParentId, setThreadParentId] = useState(null); // Parent message of the open thread panel
+  const [editHistoryMessageId, setEditHistoryMessageId] = useState(null); // Message whose edit history is shown
+  const [forwardingMessage, setForwardingMessage] = useState(null); // Message being forwarded
   const [showMoreOptionsDropdown, setShowMoreOptionsDropdown] = useState(null); // Track which message more options dropdown is open
   const [replyingTo, setReplyingTo] = useState(null); // Track which message we're replying to
   const [showReactionPicker, setShowReactionPicker] = useState(null); // Track which message reaction picker is open
@@ -48,6 +90,12 @@ const ChatContainer = () => {
     setShowMoreOptionsDropdown(null);
   };
 
+  const handleOpenThread = (message) => {
+    setThreadParentId(message._id);
+    setShowSearch(false);
+    setShowMoreOptionsDropdown(null);
+  };
+
   const handleReactMessage = (message) => {
     setShowReactionPicker(showReactionPicker === message._id ? null : message._id);
     setShowMoreOptionsDropdown(null);
@@ -104,22 +152,55 @@ const ChatContainer = () => {
       setShowMoreOptionsDropdown(null);
     } catch (error) {
       console.error("Failed to delete message:", error);
-      toast.error("Failed to delete message");
+      applyPermissionDenial(error.response?.data?.code);
+      toast.error(error.response?.data?.error || "Failed to delete message");
+    }
+  };
+
+  const handleViewEditHistory = (messageId) => {
+    setEditHistoryMessageId(messageId);
+    setShowMoreOptionsDropdown(null);
+  };
+
+  const handleStarMessage = (messageId, starred) => {
+    setMessageStarred(messageId, starred);
+    setShowMoreOptionsDropdown(null);
+  };
+
+  const handleForwardMessage = (message) => {
+    setForwardingMessage(message);
+    setShowMoreOptionsDropdown(null);
+  };
+
+  const handleReportMessage = async (messageId) => {
+    setShowMoreOptionsDropdown(null);
+    try {
+      const res = await axiosInstance.post(`/report/message/${messageId}`);
+      toast.success(res.data.message || "Message reported");
+    } catch (error) {
+      console.error("Failed to report message:", error);
+      toast.error(error.response?.data?.message || "Failed to report message");
     }
   };
 
-  const handlePinMessage = async (messageId) => {
+  const handlePinMessage = async (messageId, pinned) => {
     try {
       // Send pin request to backend
       // The backend will emit socket event 'messagePinned' to all users
       // Don't refetch messages here - let the socket event handle it
-      await axiosInstance.put(`/messages/pin/${messageId}`);
+      await axiosInstance.put(`/messages/pin/${messageId}`, { pinned });
       setShowMoreOptionsDropdown(null);
     } catch (error) {
       console.error("Failed to pin/unpin message:", error);
-      toast.error("Failed to pin/unpin message");
+      applyPermissionDenial(error.response?.data?.code);
+      toast.error(error.response?.data?.error || "Failed to pin/unpin message");
     }
   };
+
+  // Only the sender may edit; deleting someone else's message and pinning in a group follow the
+  // group's moderator/pin settings (the server enforces the same rules)
+  const canDeleteOthers = selectedUser?.isGroup && !!groupPermissions?.canModerate;
+  const canPin = !selectedUser?.isGroup || !!groupPermissions?.canPin;
   // Effect to close dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -195,17 +276,25 @@ useEffect(() => {
 
   if (!socket || !selectedUser) return;
 
-  // Clear typing users when switching chats
+  // Clear typing users and the open thread when switching chats
   setTypingUsers([]);
+  setThreadParentId(null);
 
   if (selectedUser?.groupId) {
     console.log("Emitting join-group with groupId:", selectedUser.groupId);
     socket.emit("join-group", selectedUser.groupId.toString());
+  }
+
+  // Opened from a search hit: load the history around that message instead of the latest page
+  const { pendingJumpMessageId: jumpMessageId } = useChatStore.getState();
+  if (jumpMessageId) {
+    getMessagesAround(jumpMessageId);
+  } else if (selectedUser?.groupId) {
     getMessages(undefined, selectedUser.groupId);
   } else {
     getMessages(selectedUser._id);
   }
-}, [selectedUser, getMessages, socket]);
+}, [selectedUser, getMessages, getMessagesAround, socket]);
 
 useEffect(() => {
   if (!socket || !selectedUser) {
@@ -222,6 +311,20 @@ useEffect(() => {
   };
 }, [socket, selectedUser]);
 
+// Mark the conversation read when it is opened and whenever a new message lands while it is visible
+const latestMessageId = messages[messages.length - 1]?._id;
+useEffect(() => {
+  if (!socket || !selectedUser || !latestMessageId) return;
+
+  const markReadIfVisible = () => {
+    if (document.visibilityState === "visible") markConversationRead();
+  };
+
+  markReadIfVisible();
+  document.addEventListener("visibilitychange", markReadIfVisible);
+  return () => document.removeEventListener("visibilitychange", markReadIfVisible);
+}, [socket, selectedUser, latestMessageId, markConversationRead]);
+
   // ✅ Make sure socket is properly connected
   useEffect(() => {
     if (!socket) {
@@ -231,39 +334,123 @@ useEffect(() => {
 
     console.log("✅ Socket connected:", socket.id);
 
-    socket.on("connect", () => {
+    const handleConnect = () => {
       console.log("🔌 Socket connected:", socket.id);
-    });
-    
-    socket.on("disconnect", () => {
+    };
+    const handleDisconnect = () => {
       console.log("🔌 Socket disconnected");
-    });
+    };
+
+    socket.on("connect", handleConnect);
+    socket.on("disconnect", handleDisconnect);
 
+    // Only remove our own handlers - the outbox listens for "connect" too
     return () => {
-      socket.off("connect");
-      socket.off("disconnect");
+      socket.off("connect", handleConnect);
+      socket.off("disconnect", handleDisconnect);
     };
   }, [socket]);
 
+  // Outbox entries (queued/failed sends) that belong to the open conversation
+  const pendingMessages = outbox.filter((entry) =>
+    selectedUser?.groupId
+      ? entry.target.groupId === selectedUser.groupId
+      : !entry.target.groupId && entry.target.receiverId === selectedUser?._id
+  );
+
+  // Keep a newly queued message in view
   useEffect(() => {
+    const container = scrollContainerRef.current;
+    if (container && pendingMessages.length > 0) {
+      container.scrollTop = container.scrollHeight;
+    }
+  }, [pendingMessages.length]);
+
+  const scrollToMessage = (messageId) => {
+    const el = messageRefs.current[messageId];
+    if (!el) return false;
+    el.scrollIntoView({ behavior: "smooth", block: "center" });
+    setHighlightedMessageId(messageId);
+    setTimeout(() => setHighlightedMessageId(null), 2000);
+    return true;
+  };
+
+  useLayoutEffect(() => {
+    const container = scrollContainerRef.current;
+    const saved = olderPageScrollRef.current;
+
+    if (useChatStore.getState().pendingJumpMessageId || newerPageLoadingRef.current) {
+      newerPageLoadingRef.current = false;
+      return;
+    }
+
+    // Keep the viewport anchored when older messages are prepended
+    if (container && saved) {
+      container.scrollTop = container.scrollHeight - saved.scrollHeight + saved.scrollTop;
+      olderPageScrollRef.current = null;
+      return;
+    }
+
     if (messageEndRef.current && messages) {
       messageEndRef.current.scrollIntoView({ behavior: "smooth" });
     }
   }, [messages]);
 
+  // Scroll to a jump target (e.g. a search hit) once it has been rendered.
+  // Declared after the auto-scroll effect so that effect sees the pending jump and stays put
+  useLayoutEffect(() => {
+    if (!pendingJumpMessageId || isMessagesLoading) return;
+    if (scrollToMessage(pendingJumpMessageId)) {
+      clearPendingJump();
+    }
+  }, [pendingJumpMessageId, messages, isMessagesLoading, clearPendingJump]);
+
+  const handleSearchResultSelect = (result) => {
+    jumpToConversationMessage(result.conversation, result.message._id);
+  };
+
+  const handleMessagesScroll = async (e) => {
+    const container = e.currentTarget;
+    // Only page in history when the user scrolls up, not during the scroll-to-bottom on load
+    const isScrollingUp = container.scrollTop < lastScrollTopRef.current;
+    lastScrollTopRef.current = container.scrollTop;
+
+    // After jumping into older history, page forward as the user scrolls back down
+    const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+    if (!isScrollingUp && distanceFromBottom < 80 && hasNewerMessages && !isLoadingNewerMessages) {
+      newerPageLoadingRef.current = true;
+      const loaded = await loadNewerMessages();
+      if (!loaded) newerPageLoadingRef.current = false;
+      return;
+    }
+
+    if (!isScrollingUp || container.scrollTop > 80 || !hasMoreMessages || isLoadingOlderMessages) return;
+
+    olderPageScrollRef.current = {
+      scrollHeight: container.scrollHeight,
+      scrollTop: container.scrollTop,
+    };
+    const loaded = await loadOlderMessages();
+    if (!loaded) olderPageScrollRef.current = null;
+  };
+
   useEffect(() => {
     if (messages && messages.length > 0) {
-      // Fetch reactions for all messages
-      messages.forEach(message => {
-        fetchMessageReactions(message._id);
+      // Seed reactions from the summaries getMessages already returns;
+      // later changes arrive through the reactionAdded/reactionRemoved socket events
+      setMessageReactions(prev => {
+        const next = { ...prev };
+        messages.forEach(message => {
+          if (!next[message._id] && message.reactionSummary) {
+            next[message._id] = {
+              reactions: message.reactions || [],
+              summary: message.reactionSummary,
+              total: message.totalReactions || 0,
+            };
+          }
+        });
+        return next;
       });
-      
-      const pinned = messages.find((msg) => msg.pinned === true);
-      if (pinned) {
-        setPinnedMessageData({ id: pinned._id, userId: selectedUser._id });
-      } else {
-        setPinnedMessageData(null);
-      }
     }
   }, [messages, selectedUser._id]);
 
@@ -395,6 +582,16 @@ useEffect(() => {
           <MessageSkeleton />
           <MessageInput />
         </div>
+        {showSearch && (
+          <MessageSearchPanel
+            selectedUser={selectedUser}
+            onSelectResult={handleSearchResultSelect}
+            onClose={() => setShowSearch(false)}
+          />
+        )}
+        {threadParentId && (
+          <ThreadPanel parentMessageId={threadParentId} onClose={() => setThreadParentId(null)} />
+        )}
         {showUserDetails && (
           <UserDetailsPage
             user={selectedUser}
@@ -406,6 +603,22 @@ useEffect(() => {
     );
   }
 
+  // Group members (other than the sender) whose read marker is at or past this message
+  const getSeenBy = (message) => {
+    const senderId = message.senderId._id || message.senderId;
+    return readMarkers
+      .filter((marker) => {
+        const memberId = marker.userId?._id || marker.userId;
+        return memberId !== senderId && new Date(marker.lastReadAt) >= new Date(message.createdAt);
+      })
+      .map((marker) => marker.userId);
+  };
+
+  // The "seen by" list is only spelled out under the latest message we sent
+  const lastOwnMessageId = [...messages]
+    .reverse()
+    .find((msg) => (msg.senderId._id || msg.senderId) === authUser._id)?._id;
+
   return (
     <div className="flex flex-1 overflow-hidden">
       <div className="flex flex-col flex-1 overflow-auto">
@@ -415,53 +628,29 @@ useEffect(() => {
             <ChatHeader />
           </div>
           <div className="flex gap-4">
+            <button className="text-black-400 hover:text-blue-400 transition" title="Search messages" onClick={() => { setShowSearch(!showSearch); setThreadParentId(null); }}><Search className="w-5 h-5" /></button>
             <button className="text-black-400 hover:text-blue-400 transition" title="Info" onClick={() => setShowUserDetails(true)}><Info className="w-5 h-5" /></button>
           </div>
         </div>
 
-        {pinnedMessageData?.id && pinnedMessageData?.userId === selectedUser._id && (
-          <div
-            className="bg-base-200 p-3 border-b cursor-pointer text-sm flex justify-between items-center"
-          >
-            <div 
-              className="flex-1 flex items-center gap-2"
-              onClick={() => {
-                const el = messageRefs.current[pinnedMessageData.id];
-                if (el) {
-                  el.scrollIntoView({ behavior: "smooth", block: "center" });
-                  setHighlightedMessageId(pinnedMessageData.id);
-                  setTimeout(() => setHighlightedMessageId(null), 1500);
-                }
-              }}
-            >
-              <span className="text-lg">📌</span>
-              <div className="flex-1">
-                <div className="font-medium text-xs text-gray-600 uppercase tracking-wide">Pinned Message</div>
-                <div className="text-base truncate">
-                  {(() => {
-                    const pinnedMsg = messages.find(msg => msg._id === pinnedMessageData.id);
-                    return pinnedMsg?.text || "Click to view pinned message";
-                  })()}
-                </div>
-              </div>
-            </div>
-            <button
-              className="ml-4 text-xs text-error hover:bg-error/10 px-2 py-1 rounded transition-colors"
-              onClick={async () => {
-                try {
-                  await axios.put(`/api/messages/pin/${pinnedMessageData.id}`);
-                  setPinnedMessageData(null);
-                } catch (err) {
-                  console.error("Failed to unpin message:", err);
-                }
-              }}
-            >
-              Unpin
-            </button>
-          </div>
-        )}
+        <PinnedMessagesBanner
+          pins={pins}
+          pinLimit={pinLimit}
+          canUnpin={canPin}
+          onJump={jumpToMessage}
+          onUnpin={(messageId) => handlePinMessage(messageId, false)}
+        />
 
-        <div className="flex-1 overflow-y-auto px-8 py-6 space-y-2 messenger-scrollbar">
+        <div
+          ref={scrollContainerRef}
+          onScroll={handleMessagesScroll}
+          className="flex-1 overflow-y-auto px-8 py-6 space-y-2 messenger-scrollbar"
+        >
+          {isLoadingOlderMessages && (
+            <div className="flex justify-center py-2">
+              <span className="loading loading-spinner loading-sm opacity-60"></span>
+            </div>
+          )}
           {messages.map((message, index) => {
             const senderId = message.senderId._id || message.senderId;
             // For group chats, get the actual sender's name, otherwise use selectedUser for direct chats
@@ -471,6 +660,25 @@ useEffect(() => {
                 ? message.senderId?.fullName || "Unknown User"
                 : selectedUser.fullName || "Unknown";
             const isOwn = senderId === authUser._id;
+
+            // Conversation notices (e.g. the disappearing timer changed) render as a centred line
+            if (message.messageType === "system") {
+              return (
+                <div
+                  key={message._id}
+                  className="flex justify-center my-3"
+                  ref={(el) => {
+                    if (el) messageRefs.current[message._id] = el;
+                    if (message._id === messages[messages.length - 1]._id) messageEndRef.current = el;
+                  }}
+                >
+                  <span className="px-3 py-1 rounded-full bg-base-200 text-xs text-base-content/70 flex items-center gap-1">
+                    <Timer className="w-3 h-3" />
+                    {message.text} · {formatMessageTime(message.createdAt)}
+                  </span>
+                </div>
+              );
+            }
             
             // Message grouping logic for consecutive messages from same sender
             const prevMessage = index > 0 ? messages[index - 1] : null;
@@ -576,23 +784,57 @@ useEffect(() => {
                       {/* Dropdown menu for received messages */}
                       {showMoreOptionsDropdown === message._id && (
                         <div className="absolute top-8 right-0 bg-base-100 border border-base-300 rounded-lg shadow-lg py-2 z-20 min-w-[140px]">
+                          {canDeleteOthers && !message.isDeleted && (
+                            <button
+                              className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
+                              onClick={() => handleDeleteMessage(message._id)}
+                            >
+                              Delete
+                            </button>
+                          )}
+                          {canPin && (
+                            <button
+                              className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
+                              onClick={() => handlePinMessage(message._id, !message.pinned)}
+                            >
+                              {message.pinned ? 'Unpin' : 'Pin'}
+                            </button>
+                          )}
                           <button
                             className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
-                            onClick={() => handleEditMessage(message)}
-                          >
-                            Edit
-                          </button>
-                          <button
-                            className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
-                            onClick={() => handleDeleteMessage(message._id)}
+                            onClick={() => handleOpenThread(message)}
                           >
-                            Delete
+                            Reply in thread
                           </button>
+                          {!message.isDeleted && (
+                            <button
+                              className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
+                              onClick={() => handleStarMessage(message._id, !message.starred)}
+                            >
+                              {message.starred ? 'Unstar' : 'Star'}
+                            </button>
+                          )}
+                          {!message.isDeleted && message.messageType !== "poll" && (
+                            <button
+                              className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
+                              onClick={() => handleForwardMessage(message)}
+                            >
+                              Forward
+                            </button>
+                          )}
+                          {message.edited && (
+                            <button
+                              className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
+                              onClick={() => handleViewEditHistory(message._id)}
+                            >
+                              View edit history
+                            </button>
+                          )}
                           <button
-                            className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
-                            onClick={() => handlePinMessage(message._id)}
+                            className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm text-error"
+                            onClick={() => handleReportMessage(message._id)}
                           >
-                            {message.pinned ? 'Unpin' : 'Pin'}
+                            Report
                           </button>
                         </div>
                       )}
@@ -669,24 +911,59 @@ useEffect(() => {
                       {/* Dropdown menu */}
                       {showMoreOptionsDropdown === message._id && (
                         <div className="absolute top-8 right-0 bg-base-100 border border-base-300 rounded-lg shadow-lg py-2 z-20 min-w-[140px]">
-                          <button
-                            className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
-                            onClick={() => handleEditMessage(message)}
-                          >
-                            Edit
-                          </button>
+                          {/* Voice notes and polls have no text to edit */}
+                          {!message.isDeleted && message.messageType !== "voice" && message.messageType !== "poll" && (
+                            <button
+                              className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
+                              onClick={() => handleEditMessage(message)}
+                            >
+                              Edit
+                            </button>
+                          )}
                           <button
                             className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
                             onClick={() => handleDeleteMessage(message._id)}
                           >
                             Delete
                           </button>
+                          {canPin && (
+                            <button
+                              className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
+                              onClick={() => handlePinMessage(message._id, !message.pinned)}
+                            >
+                              {message.pinned ? 'Unpin' : 'Pin'}
+                            </button>
+                          )}
                           <button
                             className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
-                            onClick={() => handlePinMessage(message._id)}
+                            onClick={() => handleOpenThread(message)}
                           >
-                            {message.pinned ? 'Unpin' : 'Pin'}
+                            Reply in thread
                           </button>
+                          {!message.isDeleted && (
+                            <button
+                              className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
+                              onClick={() => handleStarMessage(message._id, !message.starred)}
+                            >
+                              {message.starred ? 'Unstar' : 'Star'}
+                            </button>
+                          )}
+                          {!message.isDeleted && message.messageType !== "poll" && (
+                            <button
+                              className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
+                              onClick={() => handleForwardMessage(message)}
+                            >
+                              Forward
+                            </button>
+                          )}
+                          {message.edited && (
+                            <button
+                              className="w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm"
+                              onClick={() => handleViewEditHistory(message._id)}
+                            >
+                              View edit history
+                            </button>
+                          )}
                         </div>
                       )}
                     </button>
@@ -759,6 +1036,13 @@ useEffect(() => {
                       borderTopLeftRadius: isOwn ? 18 : (isFirstInGroup ? 18 : 12)
                     }}
                   >
+                    {message.forwardedFrom?.messageId && (
+                      <div className="flex items-center gap-1 text-xs italic opacity-70 mb-1">
+                        <Forward className="w-3 h-3" />
+                        Forwarded{message.forwardedFrom.senderId?.fullName && ` from ${message.forwardedFrom.senderId.fullName}`}
+                      </div>
+                    )}
+
                     {/* Message content - directly show text/image (backend auto-decrypts) */}
                     {message.image && (
                       <img
@@ -767,6 +1051,9 @@ useEffect(() => {
                         className="max-w-[250px] rounded-lg mb-2"
                       />
                     )}
+                    {message.attachment && (message.messageType === "voice"
+                      ? <VoiceNotePlayer attachment={message.attachment} isOwn={isOwn} />
+                      : <AttachmentCard attachment={message.attachment} />)}
                     
                     {message.isDeleted ? (
                       <p className="italic opacity-60 text-sm">This message was deleted</p>
@@ -775,13 +1062,26 @@ useEffect(() => {
                         {/* Toxicity Warning */}
                         <ToxicityWarning toxicity={message.toxicity} />
                         
-                        {/* Show actual message text */}
-                        <p className="whitespace-pre-wrap break-words text-sm leading-relaxed">
-                          {message.text}
-                        </p>
+                        {/* Show actual message text, with group mentions highlighted */}
+                        {message.messageType === "poll" && message.poll ? (
+                          <PollMessage message={message} isOwn={isOwn} />
+                        ) : (
+                          <MessageText
+                            text={message.text}
+                            mentions={message.mentions}
+                            members={selectedUser.members}
+                            authUserId={authUser._id}
+                          />
+                        )}
                         
                         {message.edited && (
-                          <span className="text-xs opacity-70 ml-1 font-medium">(edited)</span>
+                          <button
+                            className="text-xs opacity-70 ml-1 font-medium hover:underline"
+                            title="View edit history"
+                            onClick={() => handleViewEditHistory(message._id)}
+                          >
+                            (edited)
+                          </button>
                         )}
                         
                         {/* Remove or comment out the encryption indicator - messages are auto-decrypts by backend */}
@@ -796,12 +1096,50 @@ useEffect(() => {
                       </div>
                     )}
                   </div>
+
+                  {message.linkPreview && !message.isDeleted && <LinkPreviewCard preview={message.linkPreview} />}
                   
                   {/* Message metadata */}
                   <div className={`flex items-center gap-2 mt-1.5 text-xs opacity-50 ${isOwn ? "flex-row-reverse" : ""}`}>
+                    {isOwn && !message.isDeleted && (
+                      <ReadReceipt
+                        message={message}
+                        isGroup={selectedUser.isGroup}
+                        seenBy={selectedUser.isGroup ? getSeenBy(message) : []}
+                      />
+                    )}
                     <span className="font-medium">{formatMessageTime(message.createdAt)}</span>
+                    {message.expiresAt && !message.pinned && (
+                      <span title={`Disappears ${new Date(message.expiresAt).toLocaleString()}`}>
+                        <Timer className="w-3 h-3" />
+                      </span>
+                    )}
+                    {message.starred && (
+                      <span title="Starred">
+                        <Star className="w-3 h-3 fill-current" />
+                      </span>
+                    )}
                   </div>
 
+                  {/* Thread summary */}
+                  {message.replyCount > 0 && !message.isDeleted && (
+                    <button
+                      className="flex items-center gap-1 mt-1 text-xs font-medium text-primary hover:underline"
+                      onClick={() => handleOpenThread(message)}
+                    >
+                      <MessageSquare className="w-3 h-3" />
+                      {message.replyCount} {message.replyCount === 1 ? "reply" : "replies"}
+                      {message.lastReplyAt && (
+                        <span className="font-normal opacity-60">· last {formatMessageTime(message.lastReplyAt)}</span>
+                      )}
+                    </button>
+                  )}
+
+                  {/* Seen by list for the latest own message in a group */}
+                  {selectedUser.isGroup && message._id === lastOwnMessageId && (
+                    <SeenByList members={getSeenBy(message)} />
+                  )}
+
                   {/* Message reactions display with overlapping effect */}
                   {messageReactions[message._id]?.summary && Object.keys(messageReactions[message._id].summary).length > 0 && (
                     <div className={`flex items-center mt-1 ${isOwn ? "justify-end" : "justify-start"}`}>
@@ -834,8 +1172,23 @@ useEffect(() => {
               </div>
             );
           })}
+
+          {pendingMessages.map((entry) => (
+            <PendingMessage
+              key={entry.clientMessageId}
+              entry={entry}
+              onRetry={() => deliverOutboxMessage(entry.clientMessageId)}
+              onDiscard={() => discardOutboxMessage(entry.clientMessageId)}
+            />
+          ))}
         </div>
 
+        {isLoadingNewerMessages && (
+          <div className="flex justify-center py-2">
+            <span className="loading loading-spinner loading-sm opacity-60"></span>
+          </div>
+        )}
+
         {/* Messenger-style typing indicator at the bottom */}
         {typingUsers.length > 0 && (
           <div className="px-8 pb-2">
@@ -855,9 +1208,9 @@ useEffect(() => {
             quickReplies={frequentWords.slice(0, 5).map(({ word }) => word)}
             replyingTo={replyingTo}
             onCancelReply={() => setReplyingTo(null)}
-            sendMessage={async (text, image, shouldEncrypt = true) => {
+            sendMessage={async (text, file, shouldEncrypt = true, voiceNote = null) => {
               try {
-                console.log("📤 Sending message:", { hasText: !!text, hasImage: !!image });
+                console.log("📤 Sending message:", { hasText: !!text, attachment: file?.name });
                 
                 // ✅ Get sentiment only if text is provided
                 let sentiment = "neutral";
@@ -877,49 +1230,34 @@ useEffect(() => {
                   console.log("ℹ️ No text, using default sentiment");
                 }
                 
-                const replyToId = replyingTo?._id;
-                
-                if (selectedUser?.groupId) {
-                  const payload = { 
-                    text, 
-                    image,
-                    groupId: selectedUser.groupId, 
-                    sentiment,
-                    replyTo: replyToId,
-                    selectedModel,
-                    encrypt: true
-                  };
-                  const payloadSize = JSON.stringify(payload).length;
-                  console.log("📤 Sending group message");
-                  console.log("   - Payload size:", payloadSize, "bytes");
-                  console.log("   - Has text:", !!text?.trim());
-                  console.log("   - Has image:", !!image);
-                  console.log("   - Image length:", image?.length || 0);
-                  console.log("   - URL:", `/api/messages/send`);
-                  const response = await axiosInstance.post(`/messages/send`, payload);
-                  console.log("✅ Group message sent successfully:", response.data._id);
+                const payload = {
+                  text,
+                  file,
+                  sentiment,
+                  replyTo: replyingTo?._id,
+                  selectedModel,
+                  encrypt: true,
+                  // A voice note carries the length and waveform measured while recording
+                  ...(voiceNote && { messageType: "voice", duration: voiceNote.duration, waveform: voiceNote.waveform }),
+                };
+                console.log("📤 Sending", selectedUser?.groupId ? "group message" : "DM");
+                console.log("   - Has text:", !!text?.trim());
+                console.log("   - Attachment:", file ? `${file.name} (${file.size} bytes)` : "none");
+
+                // Goes through the outbox: if the request fails the message stays queued and is resent on reconnect
+                const savedMessage = await sendMessage(payload);
+                if (savedMessage) {
+                  console.log("✅ Message sent successfully:", savedMessage._id);
                 } else {
-                  const payload = { 
-                    text,
-                    image, 
-                    sentiment,
-                    replyTo: replyToId,
-                    selectedModel,
-                    encrypt: true
-                  };
-                  const payloadSize = JSON.stringify(payload).length;
-                  console.log("📤 Sending DM");
-                  console.log("   - Receiver ID:", selectedUser._id);
-                  console.log("   - Payload size:", payloadSize, "bytes");
-                  console.log("   - Has text:", !!text?.trim());
-                  console.log("   - Has image:", !!image);
-                  console.log("   - Image length:", image?.length || 0);
-                  console.log("   - URL:", `/api/messages/send/${selectedUser._id}`);
-                  const response = await axiosInstance.post(`/messages/send/${selectedUser._id}`, payload);
-                  console.log("✅ DM sent successfully:", response.data._id);
+                  console.log("📮 Message queued in outbox");
                 }
                 
                 setReplyingTo(null);
+
+                // Sent while reading older history: return to the latest messages
+                if (useChatStore.getState().hasNewerMessages) {
+                  getMessages(selectedUser.groupId ? undefined : selectedUser._id, selectedUser.groupId);
+                }
               } catch (err) {
                 console.error("❌ Failed to send message");
                 console.error("   - Status:", err.response?.status);
@@ -960,11 +1298,12 @@ useEffect(() => {
                       // Don't refetch messages here - let the socket event handle it
                       await axiosInstance.put(`/messages/edit/${editMessageData.id}`, {
                         newText: editMessageData.newText,
+                        selectedModel,
                       });
                       setEditMessageData(null);
                     } catch (err) {
                       console.error("Failed to edit message", err);
-                      toast.error("Failed to edit message");
+                      toast.error(err.response?.data?.error || "Failed to edit message");
                     }
                   }}
                 >
@@ -975,6 +1314,22 @@ useEffect(() => {
           </div>
         )}
       </div>
+      {showSearch && (
+        <MessageSearchPanel
+          selectedUser={selectedUser}
+          onSelectResult={handleSearchResultSelect}
+          onClose={() => setShowSearch(false)}
+        />
+      )}
+      {threadParentId && (
+        <ThreadPanel parentMessageId={threadParentId} onClose={() => setThreadParentId(null)} />
+      )}
+      {editHistoryMessageId && (
+        <EditHistoryPopover messageId={editHistoryMessageId} onClose={() => setEditHistoryMessageId(null)} />
+      )}
+      {forwardingMessage && (
+        <ForwardMessageModal message={forwardingMessage} onClose={() => setForwardingMessage(null)} />
+      )}
       {showUserDetails && (
         <UserDetailsPage
           user={selectedUser}
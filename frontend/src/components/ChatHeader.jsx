@@ -1,12 +1,30 @@
-import { X, Users, Lock, Shield } from "lucide-react";
+import { X, Users, Lock, Shield, Timer } from "lucide-react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore";
 import { useEffect, useState } from "react";
+import { axiosInstance } from "../lib/axios";
+import { formatLastSeen } from "../lib/utils";
+import { getPresenceOption } from "../lib/presence";
+
+// Disappearing messages timers (seconds) offered in the header menu
+const MESSAGE_TTL_OPTIONS = [
+  { value: null, label: "Off" },
+  { value: 3600, label: "1 hour" },
+  { value: 86400, label: "24 hours" },
+  { value: 604800, label: "7 days" },
+];
 
 const ChatHeader = () => {
-  const { selectedUser, setSelectedUser } = useChatStore();
-  const { onlineUsers, socket } = useAuthStore();
+  const { selectedUser, setSelectedUser, messageTtl, setMessageTtl, groupPermissions } = useChatStore();
+  const { onlineUsers, presenceStatuses, socket } = useAuthStore();
   const [encryptionSupported, setEncryptionSupported] = useState(false);
+  const [showTtlMenu, setShowTtlMenu] = useState(false);
+  const [lastSeenAt, setLastSeenAt] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const isOnline = onlineUsers.includes(selectedUser._id);
+  // In groups only the admin and moderators may change the timer
+  const canChangeTtl = !selectedUser.isGroup || !!groupPermissions?.canModerate;
+  const ttlLabel = MESSAGE_TTL_OPTIONS.find((option) => option.value === messageTtl)?.label;
 
   // Check if encryption is supported for the selected user
   useEffect(() => {
@@ -34,6 +52,31 @@ const ChatHeader = () => {
     checkEncryptionSupport();
   }, [selectedUser]);
 
+  // When an offline contact was last seen; null when they hide it from non-friends
+  useEffect(() => {
+    setLastSeenAt(null);
+    if (selectedUser.isGroup || isOnline) return;
+
+    let cancelled = false;
+    axiosInstance
+      .get(`/user/user/${selectedUser._id}/presence`)
+      .then((res) => {
+        if (!cancelled) setLastSeenAt(res.data.lastSeenAt);
+      })
+      .catch((error) => console.error("Failed to load last seen:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedUser._id, selectedUser.isGroup, isOnline]);
+
+  // Keep "last seen 5 min ago" current
+  useEffect(() => {
+    if (!lastSeenAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    setNow(Date.now());
+    return () => clearInterval(timer);
+  }, [lastSeenAt]);
+
   // Socket listener for group profile updates
   useEffect(() => {
     if (!socket || !selectedUser) return;
@@ -85,20 +128,60 @@ const ChatHeader = () => {
             </div>
             {!selectedUser.isGroup ? (
               <p className="text-sm text-base-content/70">
-                {onlineUsers.includes(selectedUser._id) ? "Online" : "Offline"}
+                {isOnline
+                  ? getPresenceOption(presenceStatuses[selectedUser._id]).label
+                  : lastSeenAt
+                    ? `Last seen ${formatLastSeen(lastSeenAt, now)}`
+                    : "Offline"}
+                {messageTtl && <span> • Disappearing: {ttlLabel}</span>}
               </p>
             ) : (
               <p className="text-sm text-base-content/70">
                 Group Chat • {selectedUser.members?.length || 0} members
+                {messageTtl && <span> • Disappearing: {ttlLabel}</span>}
               </p>
             )}
           </div>
         </div>
 
-        {/* Close button */}
-        <button onClick={() => setSelectedUser(null)}>
-          <X />
-        </button>
+        <div className="flex items-center gap-2">
+          {/* Disappearing messages timer */}
+          {canChangeTtl && (
+            <div className="relative">
+              <button
+                className={`btn btn-sm btn-ghost ${messageTtl ? "text-primary" : ""}`}
+                title="Disappearing messages"
+                onClick={() => setShowTtlMenu(!showTtlMenu)}
+              >
+                <Timer className="w-5 h-5" />
+              </button>
+              {showTtlMenu && (
+                <div className="absolute top-10 right-0 bg-base-100 border border-base-300 rounded-lg shadow-lg py-2 z-30 min-w-[160px]">
+                  <p className="px-4 pb-1 text-xs text-base-content/60">Disappearing messages</p>
+                  {MESSAGE_TTL_OPTIONS.map((option) => (
+                    <button
+                      key={option.label}
+                      className={`w-full px-4 py-2 text-left hover:bg-base-200 transition-colors text-sm ${
+                        option.value === messageTtl ? "font-semibold text-primary" : ""
+                      }`}
+                      onClick={() => {
+                        setShowTtlMenu(false);
+                        if (option.value !== messageTtl) setMessageTtl(option.value);
+                      }}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Close button */}
+          <button onClick={() => setSelectedUser(null)}>
+            <X />
+          </button>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,159 @@
+import { useState } from "react";
+import { BarChart3, Plus, X } from "lucide-react";
+import toast from "react-hot-toast";
+import { useChatStore } from "../store/useChatStore";
+import { useSentimentModel } from "../../context/SentimentModelContext";
+import { toDateTimeInputValue } from "../lib/utils";
+
+// Matches POLL_LIMITS on the server (backend/src/lib/polls.js)
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+
+// Compose a poll for the open group
+const CreatePollModal = ({ onClose }) => {
+  const { createPoll } = useChatStore();
+  const { selectedModel } = useSentimentModel();
+  const [question, setQuestion] = useState("");
+  const [options, setOptions] = useState(["", ""]);
+  const [allowMultiple, setAllowMultiple] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  const [closesAt, setClosesAt] = useState("");
+  const [isCreating, setIsCreating] = useState(false);
+
+  const filledOptions = options.map((option) => option.trim()).filter(Boolean);
+  const canCreate = question.trim() && filledOptions.length >= MIN_OPTIONS && !isCreating;
+
+  const updateOption = (index, value) => {
+    setOptions(options.map((option, i) => (i === index ? value : option)));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!canCreate) return;
+    if (new Set(filledOptions.map((option) => option.toLowerCase())).size !== filledOptions.length) {
+      toast.error("Options must be different from each other");
+      return;
+    }
+    if (closesAt && new Date(closesAt) <= new Date()) {
+      toast.error("Pick a closing time in the future");
+      return;
+    }
+
+    setIsCreating(true);
+    const poll = await createPoll({
+      question: question.trim(),
+      options: filledOptions,
+      allowMultiple,
+      anonymous,
+      closesAt: closesAt ? new Date(closesAt).toISOString() : null,
+      selectedModel,
+    });
+    setIsCreating(false);
+    if (poll) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50" onClick={onClose}>
+      <form
+        className="bg-base-100 rounded-lg shadow-lg w-96 max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleCreate}
+      >
+        <div className="p-4 border-b border-base-300 flex items-center justify-between">
+          <h3 className="font-semibold flex items-center gap-2">
+            <BarChart3 className="w-4 h-4" />
+            Create poll
+          </h3>
+          <button type="button" onClick={onClose} className="text-base-content/60 hover:text-base-content" title="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3 overflow-y-auto messenger-scrollbar">
+          <input
+            type="text"
+            className="input input-bordered input-sm w-full"
+            placeholder="Ask a question"
+            maxLength={MAX_QUESTION_LENGTH}
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            autoFocus
+          />
+
+          <div className="space-y-2">
+            {options.map((option, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  className="input input-bordered input-sm flex-1"
+                  placeholder={`Option ${index + 1}`}
+                  maxLength={MAX_OPTION_LENGTH}
+                  value={option}
+                  onChange={(e) => updateOption(index, e.target.value)}
+                />
+                {options.length > MIN_OPTIONS && (
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-circle btn-xs"
+                    onClick={() => setOptions(options.filter((_, i) => i !== index))}
+                    title="Remove option"
+                  >
+                    <X size={14} />
+                  </button>
+                )}
+              </div>
+            ))}
+            {options.length < MAX_OPTIONS && (
+              <button type="button" className="btn btn-ghost btn-xs gap-1" onClick={() => setOptions([...options, ""])}>
+                <Plus size={14} />
+                Add option
+              </button>
+            )}
+          </div>
+
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm checkbox-primary"
+              checked={allowMultiple}
+              onChange={(e) => setAllowMultiple(e.target.checked)}
+            />
+            Allow more than one choice
+          </label>
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm checkbox-primary"
+              checked={anonymous}
+              onChange={(e) => setAnonymous(e.target.checked)}
+            />
+            Anonymous votes
+          </label>
+          <label className="block text-sm space-y-1">
+            <span className="text-base-content/70">Closes (optional)</span>
+            <input
+              type="datetime-local"
+              className="input input-bordered input-sm w-full"
+              min={toDateTimeInputValue(new Date())}
+              value={closesAt}
+              onChange={(e) => setClosesAt(e.target.value)}
+            />
+          </label>
+        </div>
+
+        <div className="p-4 border-t border-base-300 flex justify-end gap-2">
+          <button type="button" className="btn btn-ghost btn-sm" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary btn-sm" disabled={!canCreate}>
+            {isCreating ? "Creating..." : "Create poll"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreatePollModal;
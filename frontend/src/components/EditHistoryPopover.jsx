@@ -0,0 +1,78 @@
+import { useEffect, useState } from "react";
+import { History, X } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import { formatMessageTime } from "../lib/utils";
+
+// Every version of an edited message, newest first
+const EditHistoryPopover = ({ messageId, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const res = await axiosInstance.get(`/messages/history/${messageId}`);
+        setRevisions([...res.data.revisions].reverse());
+      } catch (err) {
+        setError(err.response?.data?.error || "Failed to load edit history");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [messageId]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-base-100 rounded-lg shadow-lg w-96 max-h-[70vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-4 border-b border-base-300 flex items-center justify-between">
+          <h3 className="font-semibold flex items-center gap-2">
+            <History className="w-4 h-4" />
+            Edit history
+          </h3>
+          <button onClick={onClose} className="text-base-content/60 hover:text-base-content" title="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-4 space-y-3">
+          {isLoading && (
+            <div className="flex justify-center py-3">
+              <span className="loading loading-spinner loading-sm"></span>
+            </div>
+          )}
+
+          {error && <div className="text-sm text-error">{error}</div>}
+
+          {!isLoading && !error && revisions.length === 0 && (
+            <div className="text-sm text-base-content/60 text-center">No edit history</div>
+          )}
+
+          {revisions.map((revision, index) => (
+            <div key={revision._id} className="border-b border-base-200 pb-2 last:border-b-0">
+              <div className="flex items-center justify-between text-xs text-base-content/60 mb-1">
+                <span>
+                  {index === 0 ? "Current" : index === revisions.length - 1 ? "Original" : "Edited"}
+                  {" · "}
+                  {revision.editedBy?.fullName || "Unknown User"}
+                </span>
+                <span>
+                  {new Date(revision.editedAt).toLocaleDateString()} {formatMessageTime(revision.editedAt)}
+                </span>
+              </div>
+              <p className="text-sm break-words whitespace-pre-wrap">
+                {revision.text || <span className="italic opacity-60">No text</span>}
+              </p>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditHistoryPopover;
@@ -0,0 +1,162 @@
+import { useEffect, useState } from "react";
+import { Forward, Search, Users, X } from "lucide-react";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+import { useAuthStore } from "../store/useAuthStore";
+import { useSentimentModel } from "../../context/SentimentModelContext";
+
+// Matches MAX_FORWARD_TARGETS on the server
+const MAX_FORWARD_TARGETS = 10;
+
+// Pick friends and groups to send a copy of a message to
+const ForwardMessageModal = ({ message, onClose }) => {
+  const { authUser, friends } = useAuthStore();
+  const { selectedModel } = useSentimentModel();
+  const [groups, setGroups] = useState([]);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [selectedUserIds, setSelectedUserIds] = useState([]);
+  const [selectedGroupIds, setSelectedGroupIds] = useState([]);
+  const [isForwarding, setIsForwarding] = useState(false);
+
+  useEffect(() => {
+    const fetchGroups = async () => {
+      try {
+        const res = await axiosInstance.get("/group");
+        setGroups(res.data.filter((group) => group.members.some((member) => member._id === authUser._id)));
+      } catch (error) {
+        console.error("Failed to fetch groups", error);
+      }
+    };
+
+    fetchGroups();
+  }, [authUser._id]);
+
+  const selectedCount = selectedUserIds.length + selectedGroupIds.length;
+  const query = searchTerm.trim().toLowerCase();
+  const matchingFriends = (friends || []).filter((friend) => friend.fullName.toLowerCase().includes(query));
+  const matchingGroups = groups.filter((group) => group.name.toLowerCase().includes(query));
+
+  const toggle = (ids, setIds, id) => {
+    if (ids.includes(id)) {
+      setIds(ids.filter((selectedId) => selectedId !== id));
+    } else if (selectedCount < MAX_FORWARD_TARGETS) {
+      setIds([...ids, id]);
+    } else {
+      toast.error(`You can forward to at most ${MAX_FORWARD_TARGETS} chats at once`);
+    }
+  };
+
+  const handleForward = async () => {
+    setIsForwarding(true);
+    try {
+      const res = await axiosInstance.post(`/messages/forward/${message._id}`, {
+        receiverIds: selectedUserIds,
+        groupIds: selectedGroupIds,
+        selectedModel,
+      });
+      const { messages, failed } = res.data;
+      if (failed.length > 0) {
+        toast.error(`Forwarded to ${messages.length} of ${messages.length + failed.length} chats`);
+      } else {
+        toast.success(messages.length === 1 ? "Message forwarded" : `Forwarded to ${messages.length} chats`);
+      }
+      onClose();
+    } catch (error) {
+      console.error("Failed to forward message:", error);
+      toast.error(error.response?.data?.error || "Failed to forward message");
+    } finally {
+      setIsForwarding(false);
+    }
+  };
+
+  const renderOption = ({ id, name, picture, isGroup, checked, onToggle }) => (
+    <label key={id} className="flex items-center gap-3 px-4 py-2 hover:bg-base-200 cursor-pointer">
+      <input type="checkbox" className="checkbox checkbox-sm checkbox-primary" checked={checked} onChange={onToggle} />
+      <img src={picture || "/avatar.png"} alt={name} className="size-8 rounded-full object-cover" />
+      <span className="text-sm truncate flex-1">{name}</span>
+      {isGroup && <Users className="w-4 h-4 text-base-content/50" />}
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-base-100 rounded-lg shadow-lg w-96 max-h-[70vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-4 border-b border-base-300 flex items-center justify-between">
+          <h3 className="font-semibold flex items-center gap-2">
+            <Forward className="w-4 h-4" />
+            Forward message
+          </h3>
+          <button onClick={onClose} className="text-base-content/60 hover:text-base-content" title="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="px-4 py-3 border-b border-base-300 space-y-2">
+          <p className="text-sm text-base-content/70 truncate">
+            {message.text || (message.image ? "📷 Photo" : message.messageType === "voice" ? "🎤 Voice message" : message.attachment ? `📎 ${message.attachment.name}` : "Message")}
+          </p>
+          <label className="input input-bordered input-sm flex items-center gap-2">
+            <Search className="w-4 h-4 opacity-60" />
+            <input
+              type="text"
+              className="grow"
+              placeholder="Search friends and groups"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+          </label>
+        </div>
+
+        <div className="overflow-y-auto messenger-scrollbar flex-1">
+          {matchingGroups.length > 0 && (
+            <div className="px-4 pt-3 pb-1 text-xs font-semibold uppercase text-base-content/60">Groups</div>
+          )}
+          {matchingGroups.map((group) =>
+            renderOption({
+              id: group._id,
+              name: group.name,
+              picture: group.profilePic,
+              isGroup: true,
+              checked: selectedGroupIds.includes(group._id),
+              onToggle: () => toggle(selectedGroupIds, setSelectedGroupIds, group._id),
+            })
+          )}
+
+          {matchingFriends.length > 0 && (
+            <div className="px-4 pt-3 pb-1 text-xs font-semibold uppercase text-base-content/60">Friends</div>
+          )}
+          {matchingFriends.map((friend) =>
+            renderOption({
+              id: friend._id,
+              name: friend.fullName,
+              picture: friend.profilePic,
+              isGroup: false,
+              checked: selectedUserIds.includes(friend._id),
+              onToggle: () => toggle(selectedUserIds, setSelectedUserIds, friend._id),
+            })
+          )}
+
+          {matchingGroups.length === 0 && matchingFriends.length === 0 && (
+            <p className="p-4 text-sm text-base-content/60 text-center">No chats found</p>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-base-300 flex items-center justify-between">
+          <span className="text-xs text-base-content/60">{selectedCount} selected</span>
+          <div className="flex gap-2">
+            <button className="btn btn-ghost btn-sm" onClick={onClose}>Cancel</button>
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={handleForward}
+              disabled={selectedCount === 0 || isForwarding}
+            >
+              {isForwarding ? <span className="loading loading-spinner loading-xs"></span> : "Forward"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForwardMessageModal;
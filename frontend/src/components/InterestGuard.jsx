@@ -9,7 +9,7 @@ const InterestGuard = ({ children }) => {
 
   useEffect(() => {
     // Allow access to auth pages and interests page itself
-    const allowedPaths = ['/login', '/signup', '/interests'];
+    const allowedPaths = ['/login', '/signup', '/interests', '/verify-email', '/reset-password'];
     const isAllowedPath = allowedPaths.some(path => location.pathname.startsWith(path));
     
     // If user is logged in but doesn't have required interests
@@ -0,0 +1,44 @@
+import { useState } from "react";
+import { ExternalLink } from "lucide-react";
+import { sanitizeUrl } from "../lib/markdown";
+
+// Open Graph card for the first link of a message, shown under its bubble
+const LinkPreviewCard = ({ preview }) => {
+  const [imageFailed, setImageFailed] = useState(false);
+  const href = sanitizeUrl(preview?.url);
+  if (!href) return null;
+
+  const image = !imageFailed && sanitizeUrl(preview.image);
+
+  return (
+    <a
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer nofollow"
+      className="mt-1 block w-72 max-w-full rounded-xl overflow-hidden border border-base-300 bg-base-100 hover:bg-base-200 transition-colors text-base-content"
+    >
+      {image && (
+        <img
+          src={image}
+          alt=""
+          loading="lazy"
+          referrerPolicy="no-referrer"
+          className="w-full max-h-40 object-cover"
+          onError={() => setImageFailed(true)}
+        />
+      )}
+      <div className="p-2.5 space-y-0.5">
+        {preview.siteName && (
+          <div className="flex items-center gap-1 text-xs text-base-content/60 truncate">
+            <ExternalLink className="w-3 h-3 flex-shrink-0" />
+            {preview.siteName}
+          </div>
+        )}
+        {preview.title && <div className="text-sm font-semibold line-clamp-2">{preview.title}</div>}
+        {preview.description && <div className="text-xs text-base-content/70 line-clamp-3">{preview.description}</div>}
+      </div>
+    </a>
+  );
+};
+
+export default LinkPreviewCard;
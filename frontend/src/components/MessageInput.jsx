@@ -1,20 +1,119 @@
-import { useRef, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useChatStore } from "../store/useChatStore";
 import { useAuthStore } from "../store/useAuthStore";
-import { Image, Send, X } from "lucide-react";
+import { useSentimentModel } from "../../context/SentimentModelContext";
+import { BarChart3, Bold, CalendarClock, Clock, Code, Italic, Link, List, Paperclip, Send, SquareCode, Type, X } from "lucide-react";
 import toast from "react-hot-toast";
+import ScheduledMessagesList from "./ScheduledMessagesList";
+import VoiceRecorder from "./VoiceRecorder";
+import CreatePollModal from "./CreatePollModal";
+import { toDateTimeInputValue } from "../lib/utils";
+import { applyFormat } from "../lib/markdown";
+import { ATTACHMENT_ACCEPT, checkAttachment, formatFileSize, getAttachmentKind, readAsDataUrl } from "../lib/attachments";
+
+// The input grows with its content up to this height, then scrolls
+const MAX_INPUT_HEIGHT = 160;
+
+// Formatting toolbar, in display order, with its keyboard shortcut
+const FORMAT_ACTIONS = [
+  { format: "bold", icon: Bold, label: "Bold", shortcut: "Ctrl+B" },
+  { format: "italic", icon: Italic, label: "Italic", shortcut: "Ctrl+I" },
+  { format: "code", icon: Code, label: "Code", shortcut: "Ctrl+E" },
+  { format: "codeBlock", icon: SquareCode, label: "Code block", shortcut: "Ctrl+Alt+C" },
+  { format: "link", icon: Link, label: "Link", shortcut: "Ctrl+K" },
+  { format: "list", icon: List, label: "List", shortcut: "Ctrl+Shift+8" },
+];
+
+// The formatting action for a key press, if it is one of the shortcuts above (Cmd works for Ctrl)
+const shortcutFormat = (e) => {
+  if (!(e.ctrlKey || e.metaKey)) return null;
+  if (e.altKey) return e.code === "KeyC" ? "codeBlock" : null;
+  if (e.shiftKey) return e.code === "Digit8" ? "list" : null;
+  return { b: "bold", i: "italic", e: "code", k: "link" }[e.key.toLowerCase()] || null;
+};
 
 const MessageInput = ({ selectedUser, authUser, quickReplies = [], replyingTo, onCancelReply, sendMessage: customSendMessage }) => {
   const [text, setText] = useState("");
-  const [imagePreview, setImagePreview] = useState(null);
+  const [attachment, setAttachment] = useState(null); // File to send with the message
+  const [imagePreview, setImagePreview] = useState(null); // Object URL when the attachment is an image
   const [filteredSuggestions, setFilteredSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [activeSuggestionIndex, setActiveSuggestionIndex] = useState(-1);
   const [suggestionsEnabled, setSuggestionsEnabled] = useState(false); // Toggle for suggestions
   const fileInputRef = useRef(null);
+  const textInputRef = useRef(null);
   const typingTimeoutRef = useRef(null);
-  const { sendMessage: storeSendMessage } = useChatStore();
+  const [mentionQuery, setMentionQuery] = useState(null); // { start, end, query } of an "@name" being typed
+  const [activeMentionIndex, setActiveMentionIndex] = useState(0);
+  const [showFormatting, setShowFormatting] = useState(false);
+  const [showSchedulePicker, setShowSchedulePicker] = useState(false);
+  const [scheduleAt, setScheduleAt] = useState("");
+  const [showScheduledList, setShowScheduledList] = useState(false);
+  const [showPollModal, setShowPollModal] = useState(false);
+  const {
+    scheduledMessages,
+    getScheduledMessages,
+    scheduleMessage,
+    applyScheduledMessageUpdate,
+  } = useChatStore();
   const { socket } = useAuthStore();
+  const { selectedModel } = useSentimentModel();
+
+  // This conversation's scheduled messages (the loading placeholder input has no conversation)
+  const conversationScheduled = selectedUser
+    ? scheduledMessages.filter((entry) =>
+        selectedUser.isGroup ? entry.groupId === selectedUser.groupId : entry.receiverId === selectedUser._id
+      )
+    : [];
+
+  // Group members matching the "@name" being typed (never the user themselves)
+  const mentionCandidates = mentionQuery && selectedUser?.isGroup
+    ? (selectedUser.members || [])
+        .filter((member) => {
+          const name = member.fullName?.toLowerCase() || "";
+          return member._id !== authUser._id
+            && (name.startsWith(mentionQuery.query) || name.includes(` ${mentionQuery.query}`));
+        })
+        .slice(0, 5)
+    : [];
+
+  useEffect(() => {
+    getScheduledMessages();
+  }, [getScheduledMessages]);
+
+  // Thumbnail for an attached image, released when the attachment changes
+  useEffect(() => {
+    if (!attachment || getAttachmentKind(attachment) !== "image") {
+      setImagePreview(null);
+      return;
+    }
+    const url = URL.createObjectURL(attachment);
+    setImagePreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [attachment]);
+
+  // Grow the input with its content, up to a few lines
+  useEffect(() => {
+    const input = textInputRef.current;
+    if (!input) return;
+    input.style.height = "auto";
+    input.style.height = `${Math.min(input.scrollHeight, MAX_INPUT_HEIGHT)}px`;
+  }, [text]);
+
+  // The server worker reports each scheduled message it sends (or gives up on)
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleScheduledUpdate = (entry) => {
+      applyScheduledMessageUpdate(entry);
+      if (entry.status === "failed") {
+        toast.error(entry.error || "A scheduled message couldn't be sent");
+      }
+    };
+
+    socket.on("scheduledMessageUpdated", handleScheduledUpdate);
+    return () => socket.off("scheduledMessageUpdated", handleScheduledUpdate);
+  }, [socket, applyScheduledMessageUpdate]);
 
   const emojiMap = {
     happy: "😊",
@@ -31,45 +130,35 @@ const MessageInput = ({ selectedUser, authUser, quickReplies = [], replyingTo, o
     cry: "😭"
   };
 
-  const handleImageChange = (e) => {
+  const handleFileChange = (e) => {
     const file = e.target.files[0];
-    if (!file.type.startsWith("image/")) {
-      toast.error("Please select an image file");
-      return;
-    }
+    if (!file) return;
 
-    // Check file size (max 5MB)
-    const maxSize = 5 * 1024 * 1024; // 5MB
-    if (file.size > maxSize) {
-      toast.error("Image size must be less than 5MB");
+    const problem = checkAttachment(file);
+    if (problem) {
+      toast.error(problem);
+      e.target.value = "";
       return;
     }
-
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      setImagePreview(reader.result);
-      console.log("📸 Image preview set, size:", reader.result.length, "bytes");
-    };
-    reader.readAsDataURL(file);
+    setAttachment(file);
   };
 
-  const removeImage = () => {
-    setImagePreview(null);
+  const removeAttachment = () => {
+    setAttachment(null);
     if (fileInputRef.current) fileInputRef.current.value = "";
   };
 
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (!text.trim() && !imagePreview) return;
+    if (!text.trim() && !attachment) return;
 
     try {
       // Always encrypt - remove the toggle check
-      await customSendMessage(text.trim(), imagePreview, true); // Always pass true for encryption
+      await customSendMessage(text.trim(), attachment, true); // Always pass true for encryption
       
       // Clear form
       setText("");
-      setImagePreview(null);
-      if (fileInputRef.current) fileInputRef.current.value = "";
+      removeAttachment();
       
       // Clear reply state if onCancelReply is available
       if (onCancelReply) {
@@ -90,6 +179,86 @@ const MessageInput = ({ selectedUser, authUser, quickReplies = [], replyingTo, o
     }
   };
 
+  // A finished recording is sent straight away, as a message of its own
+  const handleSendVoiceNote = async ({ file, duration, waveform }) => {
+    try {
+      await customSendMessage("", file, true, { duration, waveform });
+      if (onCancelReply) onCancelReply();
+    } catch (error) {
+      console.error("Failed to send voice note:", error);
+      toast.error("Failed to send voice message");
+    }
+  };
+
+  const openSchedulePicker = () => {
+    // Default to an hour from now
+    setScheduleAt(toDateTimeInputValue(Date.now() + 60 * 60 * 1000));
+    setShowSchedulePicker(true);
+    setShowScheduledList(false);
+  };
+
+  const handleScheduleMessage = async () => {
+    if (!text.trim() && !attachment) return;
+    if (!scheduleAt || new Date(scheduleAt) <= new Date()) {
+      toast.error("Pick a time in the future");
+      return;
+    }
+    // Scheduled messages keep their image in the request body; other files are sent right away
+    if (attachment && getAttachmentKind(attachment) !== "image") {
+      toast.error("Only images can be scheduled, send files right away");
+      return;
+    }
+
+    const image = attachment ? await readAsDataUrl(attachment) : null;
+    const saved = await scheduleMessage(
+      { text: text.trim(), image, replyTo: replyingTo?._id, selectedModel },
+      scheduleAt
+    );
+    if (!saved) return;
+
+    setText("");
+    removeAttachment();
+    setShowSchedulePicker(false);
+    if (onCancelReply) onCancelReply();
+  };
+
+  // The "@query" just before the caret, if the user is typing a mention in a group
+  const findMentionQuery = (value, caret) => {
+    if (!selectedUser?.isGroup) return null;
+    const beforeCaret = value.slice(0, caret);
+    const at = beforeCaret.lastIndexOf("@");
+    if (at === -1 || (at > 0 && !/\s/.test(beforeCaret[at - 1]))) return null;
+
+    const query = beforeCaret.slice(at + 1);
+    if (query.length > 30) return null;
+    return { start: at, end: caret, query: query.toLowerCase() };
+  };
+
+  // Put focus and the selection back in the input once React has rendered a new value
+  const restoreSelection = (selectionStart, selectionEnd) => {
+    requestAnimationFrame(() => {
+      textInputRef.current?.focus();
+      textInputRef.current?.setSelectionRange(selectionStart, selectionEnd);
+    });
+  };
+
+  const insertMention = (member) => {
+    const mention = `@${member.fullName} `;
+    const newText = text.slice(0, mentionQuery.start) + mention + text.slice(mentionQuery.end);
+    const caret = mentionQuery.start + mention.length;
+    setText(newText);
+    setMentionQuery(null);
+    restoreSelection(caret, caret);
+  };
+
+  // Toolbar button or shortcut: markdown syntax around the selection
+  const handleFormat = (format) => {
+    const input = textInputRef.current;
+    const result = applyFormat(text, input?.selectionStart ?? text.length, input?.selectionEnd ?? text.length, format);
+    setText(result.text);
+    restoreSelection(result.selectionStart, result.selectionEnd);
+  };
+
   const handleChange = (e) => {
     const input = e.target.value;
     setText(input);
@@ -116,6 +285,15 @@ const MessageInput = ({ selectedUser, authUser, quickReplies = [], replyingTo, o
       console.warn("Socket not connected for typing indicators");
     }
 
+    // A mention being typed takes over the suggestion dropdown
+    const nextMentionQuery = findMentionQuery(input, e.target.selectionStart ?? input.length);
+    setMentionQuery(nextMentionQuery);
+    setActiveMentionIndex(0);
+    if (nextMentionQuery) {
+      setShowSuggestions(false);
+      return;
+    }
+
     // Only show suggestions if enabled and user has typed at least 2 characters
     const lastWord = input.split(/\s+/).pop().toLowerCase();
     if (!suggestionsEnabled || lastWord.length < 2) {
@@ -159,28 +337,57 @@ const MessageInput = ({ selectedUser, authUser, quickReplies = [], replyingTo, o
   };
 
   const handleKeyDown = (e) => {
-    if (!showSuggestions) return;
+    if (mentionCandidates.length > 0) {
+      if (e.key === "ArrowDown") {
+        e.preventDefault();
+        setActiveMentionIndex((prev) => (prev + 1) % mentionCandidates.length);
+      } else if (e.key === "ArrowUp") {
+        e.preventDefault();
+        setActiveMentionIndex((prev) => (prev <= 0 ? mentionCandidates.length - 1 : prev - 1));
+      } else if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        insertMention(mentionCandidates[Math.min(activeMentionIndex, mentionCandidates.length - 1)]);
+      } else if (e.key === "Escape") {
+        setMentionQuery(null);
+      }
+      return;
+    }
 
-    if (e.key === "ArrowDown") {
+    const format = shortcutFormat(e);
+    if (format) {
       e.preventDefault();
-      setActiveSuggestionIndex((prev) =>
-        prev === filteredSuggestions.length - 1 ? 0 : prev + 1
-      );
-    } else if (e.key === "ArrowUp") {
-      e.preventDefault();
-      setActiveSuggestionIndex((prev) =>
-        prev <= 0 ? filteredSuggestions.length - 1 : prev - 1
-      );
-    } else if (e.key === "Enter") {
-      if (activeSuggestionIndex >= 0 && activeSuggestionIndex < filteredSuggestions.length) {
+      handleFormat(format);
+      return;
+    }
+
+    if (showSuggestions) {
+      if (e.key === "ArrowDown") {
+        e.preventDefault();
+        setActiveSuggestionIndex((prev) =>
+          prev === filteredSuggestions.length - 1 ? 0 : prev + 1
+        );
+      } else if (e.key === "ArrowUp") {
         e.preventDefault();
-        const suggestion = filteredSuggestions[activeSuggestionIndex];
-        const suggestionWord = typeof suggestion === "string" ? suggestion : suggestion.word;
-        insertSuggestion(suggestionWord);
+        setActiveSuggestionIndex((prev) =>
+          prev <= 0 ? filteredSuggestions.length - 1 : prev - 1
+        );
+      } else if (e.key === "Enter") {
+        if (activeSuggestionIndex >= 0 && activeSuggestionIndex < filteredSuggestions.length) {
+          e.preventDefault();
+          const suggestion = filteredSuggestions[activeSuggestionIndex];
+          const suggestionWord = typeof suggestion === "string" ? suggestion : suggestion.word;
+          insertSuggestion(suggestionWord);
+        }
+      } else if (e.key === "Escape") {
+        setShowSuggestions(false);
+        setActiveSuggestionIndex(-1);
       }
-    } else if (e.key === "Escape") {
-      setShowSuggestions(false);
-      setActiveSuggestionIndex(-1);
+    }
+
+    // Enter sends (unless a suggestion took it); Shift+Enter starts a new line
+    if (e.key === "Enter" && !e.shiftKey && !e.defaultPrevented && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      e.currentTarget.form?.requestSubmit();
     }
   };
 
@@ -226,16 +433,24 @@ const MessageInput = ({ selectedUser, authUser, quickReplies = [], replyingTo, o
         </div>
       )}
 
-      {imagePreview && (
+      {attachment && (
         <div className="mb-3 flex items-center gap-2">
           <div className="relative">
-            <img
-              src={imagePreview}
-              alt="Preview"
-              className="w-20 h-20 object-cover rounded-lg border border-zinc-700"
-            />
+            {imagePreview ? (
+              <img
+                src={imagePreview}
+                alt="Preview"
+                className="w-20 h-20 object-cover rounded-lg border border-zinc-700"
+              />
+            ) : (
+              <div className="flex items-center gap-2 max-w-xs px-3 py-2 rounded-lg border border-base-300 bg-base-200">
+                <Paperclip className="w-4 h-4 flex-shrink-0" />
+                <span className="text-sm truncate">{attachment.name}</span>
+                <span className="text-xs text-base-content/60 whitespace-nowrap">{formatFileSize(attachment.size)}</span>
+              </div>
+            )}
             <button
-              onClick={removeImage}
+              onClick={removeAttachment}
               className="absolute -top-1.5 -right-1.5 w-5 h-5 rounded-full bg-base-300
               flex items-center justify-center"
               type="button"
@@ -247,7 +462,90 @@ const MessageInput = ({ selectedUser, authUser, quickReplies = [], replyingTo, o
       )}
 
       <form onSubmit={handleSendMessage} className="relative">
-        <div className="flex items-center gap-2 w-full">
+        {showSchedulePicker && (
+          <div className="absolute bottom-full mb-2 right-0 w-72 bg-base-100 border border-base-300 rounded-lg shadow-lg z-50 p-3 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-semibold flex items-center gap-2">
+                <Clock className="w-4 h-4" />
+                Send later
+              </span>
+              <button
+                type="button"
+                className="text-base-content/60 hover:text-base-content"
+                onClick={() => setShowSchedulePicker(false)}
+                title="Close"
+              >
+                <X size={16} />
+              </button>
+            </div>
+            <input
+              type="datetime-local"
+              className="input input-bordered input-sm w-full"
+              min={toDateTimeInputValue(new Date())}
+              value={scheduleAt}
+              onChange={(e) => setScheduleAt(e.target.value)}
+              onKeyDown={(e) => {
+                // Enter here schedules rather than submitting the form (which would send now)
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  handleScheduleMessage();
+                }
+              }}
+            />
+            <button
+              type="button"
+              className="btn btn-primary btn-sm w-full"
+              onClick={handleScheduleMessage}
+              disabled={!text.trim() && !attachment}
+            >
+              Schedule
+            </button>
+          </div>
+        )}
+
+        {showScheduledList && (
+          <ScheduledMessagesList entries={conversationScheduled} onClose={() => setShowScheduledList(false)} />
+        )}
+
+        {showFormatting && (
+          <div className="flex items-center gap-1 mb-1">
+            {FORMAT_ACTIONS.map(({ format, icon: Icon, label, shortcut }) => (
+              <button
+                key={format}
+                type="button"
+                className="btn btn-ghost btn-xs"
+                title={`${label} (${shortcut})`}
+                onMouseDown={(e) => e.preventDefault()} // keep the input's selection
+                onClick={() => handleFormat(format)}
+              >
+                <Icon size={14} />
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="flex items-end gap-2 w-full">
+          {mentionCandidates.length > 0 && (
+            <div className="absolute bottom-full mb-2 left-0 w-64 bg-base-100 border border-base-300 rounded-lg shadow-lg z-50 py-1">
+              <div className="px-3 py-1 text-xs text-base-content/70 font-medium">Mention a member</div>
+              {mentionCandidates.map((member, index) => (
+                <button
+                  key={member._id}
+                  type="button"
+                  className={`w-full flex items-center gap-2 px-3 py-1.5 text-sm text-left transition-colors ${
+                    index === activeMentionIndex ? "bg-primary text-primary-content" : "hover:bg-base-200"
+                  }`}
+                  onMouseDown={(e) => e.preventDefault()} // keep focus in the input so onBlur doesn't close this first
+                  onClick={() => insertMention(member)}
+                  onMouseEnter={() => setActiveMentionIndex(index)}
+                >
+                  <img src={member.profilePic || "/avatar.png"} alt={member.fullName} className="size-6 rounded-full object-cover" />
+                  <span className="truncate">{member.fullName}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
           {showSuggestions && suggestionsEnabled && (
             <div className="absolute -top-24 left-0 w-full max-w-xs bg-base-100 border border-base-300 rounded-lg shadow-lg z-50 p-2">
               <div className="flex items-center justify-between mb-2">
@@ -283,39 +581,85 @@ const MessageInput = ({ selectedUser, authUser, quickReplies = [], replyingTo, o
             </div>
           )}
 
-          <input
-            type="text"
-            className="w-full input input-bordered rounded-lg input-sm"
+          <textarea
+            rows={1}
+            className="w-full textarea textarea-bordered rounded-lg textarea-sm resize-none leading-snug"
             placeholder="Type a message..."
             value={text}
             onChange={handleChange}
             onKeyDown={handleKeyDown}
+            onBlur={() => setMentionQuery(null)}
+            ref={textInputRef}
           />
           <input
             type="file"
-            accept="image/*"
+            accept={ATTACHMENT_ACCEPT}
             className="hidden"
             ref={fileInputRef}
-            onChange={handleImageChange}
+            onChange={handleFileChange}
           />
 
+          <button
+            type="button"
+            className={`btn btn-circle btn-sm ${showFormatting ? "text-primary" : "text-zinc-400"}`}
+            onClick={() => setShowFormatting(!showFormatting)}
+            title="Formatting"
+          >
+            <Type size={18} />
+          </button>
           <button
             type="button"
             className={`hidden sm:flex btn btn-circle btn-sm
-                     ${imagePreview ? "text-emerald-500" : "text-zinc-400"}`}
+                     ${attachment ? "text-emerald-500" : "text-zinc-400"}`}
             onClick={() => fileInputRef.current?.click()}
+            title="Attach a file"
           >
-            <Image size={18} />
+            <Paperclip size={18} />
+          </button>
+          <VoiceRecorder onSend={handleSendVoiceNote} disabled={!selectedUser} />
+          {selectedUser?.isGroup && (
+            <button
+              type="button"
+              className="hidden sm:flex btn btn-circle btn-sm text-zinc-400"
+              onClick={() => setShowPollModal(true)}
+              title="Create a poll"
+            >
+              <BarChart3 size={18} />
+            </button>
+          )}
+          {conversationScheduled.length > 0 && (
+            <button
+              type="button"
+              className="btn btn-ghost btn-sm gap-1 px-2"
+              onClick={() => {
+                setShowScheduledList(!showScheduledList);
+                setShowSchedulePicker(false);
+              }}
+              title="Scheduled messages"
+            >
+              <CalendarClock size={16} />
+              <span className="text-xs">{conversationScheduled.length}</span>
+            </button>
+          )}
+          <button
+            type="button"
+            className={`btn btn-circle btn-sm ${showSchedulePicker ? "text-primary" : "text-zinc-400"}`}
+            onClick={() => (showSchedulePicker ? setShowSchedulePicker(false) : openSchedulePicker())}
+            title="Send later"
+          >
+            <Clock size={18} />
           </button>
           <button
             type="submit"
-            className={`btn btn-circle btn-sm ${!text.trim() && !imagePreview ? "bg-base-200 text-zinc-400" : "bg-primary text-white"}`}
-            disabled={!text.trim() && !imagePreview}
+            className={`btn btn-circle btn-sm ${!text.trim() && !attachment ? "bg-base-200 text-zinc-400" : "bg-primary text-white"}`}
+            disabled={!text.trim() && !attachment}
           >
             <Send size={18} />
           </button>
         </div>
       </form>
+
+      {showPollModal && <CreatePollModal onClose={() => setShowPollModal(false)} />}
     </div>
   );
 };
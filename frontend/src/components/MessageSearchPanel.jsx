@@ -0,0 +1,234 @@
+import { useCallback, useEffect, useState } from "react";
+import { Search, X, Image as ImageIcon, Users } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import { formatMessageTime } from "../lib/utils";
+import { useAuthStore } from "../store/useAuthStore";
+
+const SENTIMENT_OPTIONS = ["positive", "neutral", "negative"];
+
+// Render a search snippet with the matched part highlighted
+const Snippet = ({ snippet }) => {
+  if (!snippet) return <span className="italic opacity-60">Photo</span>;
+  if (snippet.matchStart < 0) return <span>{snippet.text}</span>;
+
+  const { text, matchStart, matchLength } = snippet;
+  return (
+    <span>
+      {text.slice(0, matchStart)}
+      <mark className="bg-warning/60 text-base-content rounded px-0.5">
+        {text.slice(matchStart, matchStart + matchLength)}
+      </mark>
+      {text.slice(matchStart + matchLength)}
+    </span>
+  );
+};
+
+const MessageSearchPanel = ({ selectedUser, onSelectResult, onClose }) => {
+  const { authUser } = useAuthStore();
+  const [query, setQuery] = useState("");
+  const [scope, setScope] = useState("conversation"); // "conversation" | "all"
+  const [senderId, setSenderId] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [hasImage, setHasImage] = useState(false);
+  const [sentiment, setSentiment] = useState("");
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runSearch = useCallback(async (cursor = null) => {
+    const params = { q: query.trim(), context: 1 };
+    if (scope === "conversation") {
+      if (selectedUser.isGroup) params.groupId = selectedUser.groupId;
+      else params.userId = selectedUser._id;
+    }
+    if (senderId) params.senderId = senderId;
+    if (from) params.from = new Date(from).toISOString();
+    if (to) params.to = new Date(`${to}T23:59:59`).toISOString();
+    if (hasImage) params.hasImage = true;
+    if (sentiment) params.sentiment = sentiment;
+    if (cursor) params.before = cursor;
+
+    setIsSearching(true);
+    setError(null);
+    try {
+      const res = await axiosInstance.get("/messages/search", { params });
+      setResults((prev) => (cursor ? [...prev, ...res.data.results] : res.data.results));
+      setNextCursor(res.data.pagination.nextCursor);
+    } catch (err) {
+      setError(err.response?.data?.error || "Search failed");
+      if (!cursor) setResults([]);
+    } finally {
+      setIsSearching(false);
+    }
+  }, [query, scope, senderId, from, to, hasImage, sentiment, selectedUser]);
+
+  // Debounced search as the query or filters change
+  useEffect(() => {
+    const hasFilter = senderId || from || to || hasImage || sentiment;
+    if (query.trim().length < 2 && !hasFilter) {
+      setResults([]);
+      setNextCursor(null);
+      return;
+    }
+
+    const timer = setTimeout(() => runSearch(), 300);
+    return () => clearTimeout(timer);
+  }, [runSearch, query, senderId, from, to, hasImage, sentiment]);
+
+  // Sender choices: group members, or the two people in a DM
+  const senderOptions = selectedUser.isGroup
+    ? selectedUser.members || []
+    : [authUser, selectedUser];
+
+  const conversationLabel = (result) => {
+    if (result.conversation.type === "group") return result.conversation.name;
+    return result.conversation.user?.fullName || "Unknown User";
+  };
+
+  return (
+    <aside className="w-80 lg:w-96 border-l border-base-300 bg-base-100 flex flex-col h-full">
+      <div className="p-4 border-b border-base-300 flex items-center justify-between">
+        <h3 className="font-semibold flex items-center gap-2">
+          <Search className="w-4 h-4" />
+          Search messages
+        </h3>
+        <button onClick={onClose} className="text-base-content/60 hover:text-base-content" title="Close search">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-3 border-b border-base-300">
+        <input
+          type="text"
+          autoFocus
+          className="input input-bordered input-sm w-full"
+          placeholder="Search..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+
+        <div className="flex gap-2">
+          <button
+            className={`btn btn-xs ${scope === "conversation" ? "btn-primary" : "btn-ghost"}`}
+            onClick={() => setScope("conversation")}
+          >
+            This chat
+          </button>
+          <button
+            className={`btn btn-xs ${scope === "all" ? "btn-primary" : "btn-ghost"}`}
+            onClick={() => setScope("all")}
+          >
+            All chats
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <select
+            className="select select-bordered select-xs w-full"
+            value={senderId}
+            onChange={(e) => setSenderId(e.target.value)}
+          >
+            <option value="">Any sender</option>
+            {senderOptions.filter(Boolean).map((member) => (
+              <option key={member._id} value={member._id}>
+                {member._id === authUser._id ? "You" : member.fullName}
+              </option>
+            ))}
+          </select>
+          <select
+            className="select select-bordered select-xs w-full"
+            value={sentiment}
+            onChange={(e) => setSentiment(e.target.value)}
+          >
+            <option value="">Any sentiment</option>
+            {SENTIMENT_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                {option.charAt(0).toUpperCase() + option.slice(1)}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            className="input input-bordered input-xs w-full"
+            title="From"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+          />
+          <input
+            type="date"
+            className="input input-bordered input-xs w-full"
+            title="To"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+          />
+        </div>
+
+        <label className="flex items-center gap-2 text-xs cursor-pointer">
+          <input
+            type="checkbox"
+            className="checkbox checkbox-xs"
+            checked={hasImage}
+            onChange={(e) => setHasImage(e.target.checked)}
+          />
+          Only messages with images
+        </label>
+      </div>
+
+      <div className="flex-1 overflow-y-auto messenger-scrollbar">
+        {error && <div className="p-4 text-sm text-error">{error}</div>}
+
+        {!error && results.length === 0 && !isSearching && (
+          <div className="p-4 text-sm text-base-content/60 text-center">
+            {query.trim().length < 2 ? "Type at least 2 characters to search" : "No messages found"}
+          </div>
+        )}
+
+        {results.map((result) => (
+          <button
+            key={result.message._id}
+            className="w-full text-left p-3 border-b border-base-200 hover:bg-base-200 transition-colors"
+            onClick={() => onSelectResult(result)}
+          >
+            <div className="flex items-center justify-between text-xs text-base-content/60 mb-1">
+              <span className="flex items-center gap-1 truncate">
+                {result.conversation.type === "group" && <Users className="w-3 h-3" />}
+                {scope === "all" && <span className="font-medium">{conversationLabel(result)} · </span>}
+                {result.message.senderId?._id === authUser._id ? "You" : result.message.senderId?.fullName}
+              </span>
+              <span className="whitespace-nowrap">
+                {new Date(result.message.createdAt).toLocaleDateString()} {formatMessageTime(result.message.createdAt)}
+              </span>
+            </div>
+
+            {result.context.before.map((msg) => (
+              <p key={msg._id} className="text-xs text-base-content/40 truncate">{msg.text}</p>
+            ))}
+            <p className="text-sm break-words flex items-start gap-1">
+              {result.message.image && <ImageIcon className="w-3 h-3 mt-1 flex-shrink-0" />}
+              <Snippet snippet={result.snippet} />
+            </p>
+            {result.context.after.map((msg) => (
+              <p key={msg._id} className="text-xs text-base-content/40 truncate">{msg.text}</p>
+            ))}
+          </button>
+        ))}
+
+        {isSearching && (
+          <div className="flex justify-center py-3">
+            <span className="loading loading-spinner loading-sm"></span>
+          </div>
+        )}
+
+        {nextCursor && !isSearching && (
+          <button className="btn btn-ghost btn-sm w-full" onClick={() => runSearch(nextCursor)}>
+            Load more
+          </button>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default MessageSearchPanel;
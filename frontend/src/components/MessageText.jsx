@@ -0,0 +1,81 @@
+import { Fragment } from "react";
+import { splitMentions } from "../lib/utils";
+import { parseMarkdown } from "../lib/markdown";
+
+// Message text rendered from its markdown subset, with the group members it mentions
+// highlighted; mentions of the viewer stand out most
+const MessageText = ({ text, mentions, members, authUserId }) => {
+  const mentionIds = new Set((mentions || []).map(String));
+  const mentioned = mentionIds.size > 0 ? (members || []).filter((member) => mentionIds.has(member._id)) : [];
+
+  const renderText = (value) =>
+    splitMentions(value, mentioned).map((part, index) =>
+      part.member ? (
+        <span
+          key={index}
+          className={`font-semibold rounded px-0.5 ${
+            part.member._id === authUserId ? "bg-warning/50 text-base-content" : "bg-base-content/10"
+          }`}
+        >
+          {part.text}
+        </span>
+      ) : (
+        <Fragment key={index}>{part.text}</Fragment>
+      )
+    );
+
+  const renderInline = (nodes) =>
+    nodes.map((node, index) => {
+      switch (node.type) {
+        case "code":
+          return (
+            <code key={index} className="px-1 py-0.5 rounded bg-base-content/10 font-mono text-[0.85em]">
+              {node.text}
+            </code>
+          );
+        case "strong":
+          return <strong key={index}>{renderInline(node.children)}</strong>;
+        case "em":
+          return <em key={index}>{renderInline(node.children)}</em>;
+        case "link":
+          return (
+            <a key={index} href={node.href} target="_blank" rel="noopener noreferrer nofollow" className="underline break-all">
+              {renderInline(node.children)}
+            </a>
+          );
+        default:
+          return <Fragment key={index}>{renderText(node.text)}</Fragment>;
+      }
+    });
+
+  return (
+    <div className="break-words text-sm leading-relaxed space-y-1">
+      {parseMarkdown(text).map((block, index) => {
+        if (block.type === "codeBlock") {
+          return (
+            <pre key={index} className="p-2 rounded bg-base-content/10 font-mono text-xs overflow-x-auto whitespace-pre">
+              <code>{block.text}</code>
+            </pre>
+          );
+        }
+        if (block.type === "list") {
+          const List = block.ordered ? "ol" : "ul";
+          return (
+            <List key={index} start={block.start} className={`pl-5 ${block.ordered ? "list-decimal" : "list-disc"}`}>
+              {block.items.map((item, itemIndex) => (
+                <li key={itemIndex}>{renderInline(item)}</li>
+              ))}
+            </List>
+          );
+        }
+        return (
+          <p key={index} className="whitespace-pre-wrap">
+            {renderInline(block.children)}
+          </p>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MessageText;
@@ -0,0 +1,82 @@
+import { useEffect, useState } from "react";
+import { Clock, AlertCircle, Mic, Paperclip, RotateCw, Trash2 } from "lucide-react";
+import { formatMessageTime } from "../lib/utils";
+import { formatFileSize, getAttachmentKind } from "../lib/attachments";
+import { formatDuration } from "../lib/voiceNotes";
+
+// Own-side bubble for a message still in the outbox (sending, or failed and waiting for a retry)
+const PendingMessage = ({ entry, onRetry, onDiscard }) => {
+  const isFailed = entry.status === "failed";
+  const { file } = entry.payload;
+  // After a reload the file is only its name and size (see saveOutbox)
+  const hasFile = file instanceof Blob;
+  const [imageUrl, setImageUrl] = useState(null);
+
+  useEffect(() => {
+    if (!hasFile || getAttachmentKind(file) !== "image") return;
+    const url = URL.createObjectURL(file);
+    setImageUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file, hasFile]);
+
+  return (
+    <div className="flex items-start gap-2 justify-end">
+      <div className="max-w-[70%] flex flex-col items-end">
+        <div
+          className={`relative px-4 py-3 rounded-2xl shadow-sm bg-primary text-primary-content ${
+            isFailed ? "opacity-60 ring-2 ring-error/60" : "opacity-70"
+          }`}
+          style={{ borderBottomRightRadius: 6 }}
+        >
+          {imageUrl ? (
+            <img src={imageUrl} alt="Attachment" className="max-w-[250px] rounded-lg mb-2" />
+          ) : entry.payload.messageType === "voice" ? (
+            <div className="flex items-center gap-2 text-sm">
+              <Mic className="w-4 h-4 flex-shrink-0" />
+              <span>Voice message</span>
+              <span className="text-xs opacity-70">{formatDuration(entry.payload.duration)}</span>
+            </div>
+          ) : (
+            file && (
+              <div className="flex items-center gap-2 mb-2 text-sm">
+                <Paperclip className="w-4 h-4 flex-shrink-0" />
+                <span className="truncate">{file.name}</span>
+                <span className="text-xs opacity-70 whitespace-nowrap">{formatFileSize(file.size)}</span>
+              </div>
+            )
+          )}
+          {entry.payload.text && (
+            <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">{entry.payload.text}</p>
+          )}
+        </div>
+
+        <div className="flex items-center gap-2 mt-1.5 text-xs">
+          {isFailed ? (
+            <>
+              <span className="flex items-center gap-1 text-error" title={entry.error || "Failed to send"}>
+                <AlertCircle className="w-3.5 h-3.5" />
+                {entry.retryable ? "Not sent · will retry when reconnected" : entry.error || "Failed to send"}
+              </span>
+              {(!file || hasFile) && (
+                <button onClick={onRetry} className="flex items-center gap-1 link link-hover" title="Retry now">
+                  <RotateCw className="w-3 h-3" />
+                  Retry
+                </button>
+              )}
+              <button onClick={onDiscard} className="flex items-center gap-1 link link-hover opacity-70" title="Discard">
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </>
+          ) : (
+            <span className="flex items-center gap-1 opacity-50">
+              <Clock className="w-3.5 h-3.5" />
+              Sending… {formatMessageTime(entry.createdAt)}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PendingMessage;
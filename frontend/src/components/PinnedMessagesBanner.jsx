@@ -0,0 +1,100 @@
+import { useEffect, useState } from "react";
+import { ChevronDown, List, Pin, X } from "lucide-react";
+import { formatMessageTime } from "../lib/utils";
+
+const pinPreview = (pin) => {
+  if (pin.text) return pin.text;
+  if (pin.image) return "📷 Photo";
+  if (pin.messageType === "voice") return "🎤 Voice message";
+  if (pin.poll) return `📊 ${pin.poll.question}`;
+  return pin.attachment ? `📎 ${pin.attachment.name}` : "Pinned message";
+};
+
+// Banner over the chat showing one pin at a time; clicking jumps to it and moves on to the next,
+// and the list button opens every pin with who pinned it
+const PinnedMessagesBanner = ({ pins, pinLimit, canUnpin, onJump, onUnpin }) => {
+  const [index, setIndex] = useState(0);
+  const [showList, setShowList] = useState(false);
+
+  // Pins change live (pinned, unpinned, deleted): keep the index in range
+  useEffect(() => {
+    if (index >= pins.length) setIndex(0);
+  }, [pins.length, index]);
+
+  if (pins.length === 0) return null;
+
+  const current = pins[Math.min(index, pins.length - 1)];
+
+  const handleJump = () => {
+    onJump(current._id);
+    setIndex((index + 1) % pins.length);
+  };
+
+  return (
+    <div className="relative bg-base-200 border-b text-sm">
+      <div className="flex items-center gap-2 p-3">
+        <Pin className="w-4 h-4 text-primary flex-shrink-0" />
+        <button className="flex-1 min-w-0 text-left" onClick={handleJump} title="Go to pinned message">
+          <div className="font-medium text-xs text-gray-600 uppercase tracking-wide">
+            Pinned Message{pins.length > 1 && ` ${Math.min(index, pins.length - 1) + 1} of ${pins.length}`}
+          </div>
+          <div className="text-base truncate">{pinPreview(current)}</div>
+        </button>
+        {pins.length > 1 && (
+          <button
+            className="btn btn-ghost btn-xs"
+            onClick={() => setIndex((index + 1) % pins.length)}
+            title="Next pin"
+          >
+            <ChevronDown className="w-4 h-4" />
+          </button>
+        )}
+        <button className="btn btn-ghost btn-xs" onClick={() => setShowList(!showList)} title="All pinned messages">
+          <List className="w-4 h-4" />
+        </button>
+      </div>
+
+      {showList && (
+        <div className="absolute top-full left-0 right-0 bg-base-100 border border-base-300 shadow-lg z-30 max-h-80 overflow-y-auto messenger-scrollbar">
+          <div className="px-4 py-2 border-b border-base-300 flex items-center justify-between">
+            <span className="font-semibold">
+              Pinned messages
+              {pinLimit && <span className="ml-2 text-xs font-normal text-base-content/60">{pins.length}/{pinLimit}</span>}
+            </span>
+            <button onClick={() => setShowList(false)} className="text-base-content/60 hover:text-base-content" title="Close">
+              <X size={16} />
+            </button>
+          </div>
+          {pins.map((pin) => (
+            <div key={pin._id} className="px-4 py-2 border-b border-base-200 flex items-start gap-2 hover:bg-base-200">
+              <button
+                className="flex-1 min-w-0 text-left"
+                onClick={() => {
+                  onJump(pin._id);
+                  setShowList(false);
+                }}
+              >
+                <div className="text-xs text-base-content/60">{pin.senderId?.fullName}</div>
+                <div className="truncate">{pinPreview(pin)}</div>
+                <div className="text-xs text-base-content/50 mt-0.5">
+                  Pinned by {pin.pinnedBy?.fullName || "someone"}
+                  {pin.pinnedAt && ` · ${new Date(pin.pinnedAt).toLocaleDateString()} ${formatMessageTime(pin.pinnedAt)}`}
+                </div>
+              </button>
+              {canUnpin && (
+                <button
+                  className="text-xs text-error hover:bg-error/10 px-2 py-1 rounded transition-colors"
+                  onClick={() => onUnpin(pin._id)}
+                >
+                  Unpin
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PinnedMessagesBanner;
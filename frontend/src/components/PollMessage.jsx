@@ -0,0 +1,127 @@
+import { useEffect, useState } from "react";
+import { BarChart3, Check, Lock } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+
+// Longest wait handed to setTimeout at once (it overflows past ~24.8 days)
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY_RESULTS = { options: [], totalVoters: 0, closed: false, myVotes: [] };
+
+// A group poll inside its message bubble: tap an option to vote (again to take it back),
+// with the live tally, who voted (unless anonymous) and when it closes
+const PollMessage = ({ message, isOwn }) => {
+  const { votePoll, closePoll, groupPermissions } = useChatStore();
+  const { authUser } = useAuthStore();
+  const [isVoting, setIsVoting] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const { poll } = message;
+  const results = message.pollResults || EMPTY_RESULTS;
+  const myVotes = results.myVotes || [];
+  const closesAt = poll.closesAt ? new Date(poll.closesAt).getTime() : null;
+  const isClosed = results.closed || !!poll.closedAt || (closesAt !== null && closesAt <= now);
+  const senderId = message.senderId?._id || message.senderId;
+  const canClose = !isClosed && (senderId === authUser._id || groupPermissions?.canModerate);
+
+  // Lock the poll on screen when its closing time passes
+  useEffect(() => {
+    if (closesAt === null || closesAt <= now) return;
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(closesAt - now, MAX_TIMER_MS));
+    return () => clearTimeout(timer);
+  }, [closesAt, now]);
+
+  const vote = async (optionId) => {
+    if (isClosed || isVoting) return;
+    let choice;
+    if (poll.allowMultiple) {
+      choice = myVotes.includes(optionId) ? myVotes.filter((id) => id !== optionId) : [...myVotes, optionId];
+    } else {
+      choice = myVotes.includes(optionId) ? [] : [optionId];
+    }
+
+    setIsVoting(true);
+    await votePoll(message._id, choice);
+    setIsVoting(false);
+  };
+
+  const barColor = isOwn ? "bg-primary-content/25" : "bg-primary/20";
+  const borderColor = isOwn ? "border-primary-content/40" : "border-base-content/20";
+
+  return (
+    <div className="w-72 max-w-full space-y-2">
+      <div className="flex items-center gap-1.5 text-xs opacity-70">
+        <BarChart3 className="w-3.5 h-3.5" />
+        <span>
+          {poll.anonymous ? "Anonymous poll" : "Poll"} · {poll.allowMultiple ? "Choose one or more" : "Choose one"}
+        </span>
+      </div>
+      <p className="font-semibold text-sm break-words">{poll.question}</p>
+
+      <div className="space-y-1.5">
+        {poll.options.map((option) => {
+          const tally = results.options.find((entry) => entry.optionId === option._id) || { votes: 0 };
+          const percent = results.totalVoters ? Math.round((tally.votes / results.totalVoters) * 100) : 0;
+          const isChosen = myVotes.includes(option._id);
+
+          return (
+            <button
+              key={option._id}
+              type="button"
+              className={`relative w-full overflow-hidden rounded-lg border ${borderColor} px-3 py-2 text-left text-sm
+                ${isClosed ? "cursor-default" : "hover:opacity-90"} disabled:opacity-100`}
+              onClick={() => vote(option._id)}
+              disabled={isClosed || isVoting}
+              title={tally.voters?.length ? tally.voters.map((voter) => voter.fullName).join(", ") : undefined}
+            >
+              <span className={`absolute inset-y-0 left-0 ${barColor} transition-all`} style={{ width: `${percent}%` }} />
+              <span className="relative flex items-center gap-2">
+                <span
+                  className={`flex-shrink-0 w-4 h-4 border flex items-center justify-center ${borderColor}
+                    ${poll.allowMultiple ? "rounded" : "rounded-full"}`}
+                >
+                  {isChosen && <Check className="w-3 h-3" />}
+                </span>
+                <span className="flex-1 break-words">{option.text}</span>
+                {tally.voters?.length > 0 && (
+                  <span className="flex -space-x-1.5">
+                    {tally.voters.slice(0, 3).map((voter) => (
+                      <img
+                        key={voter._id}
+                        src={voter.profilePic || "/avatar.png"}
+                        alt={voter.fullName}
+                        className="size-4 rounded-full object-cover ring-1 ring-base-100"
+                      />
+                    ))}
+                  </span>
+                )}
+                <span className="text-xs tabular-nums opacity-80">{percent}%</span>
+              </span>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center gap-2 text-xs opacity-70">
+        <span>
+          {results.totalVoters} {results.totalVoters === 1 ? "vote" : "votes"}
+        </span>
+        <span>·</span>
+        {isClosed ? (
+          <span className="flex items-center gap-1">
+            <Lock className="w-3 h-3" />
+            Closed
+          </span>
+        ) : (
+          <span>{closesAt ? `Closes ${new Date(closesAt).toLocaleString()}` : "Open"}</span>
+        )}
+        {canClose && (
+          <button type="button" className="ml-auto link link-hover" onClick={() => closePoll(message._id)}>
+            Close poll
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PollMessage;
@@ -0,0 +1,46 @@
+import { useAuthStore } from "../store/useAuthStore";
+import { PRESENCE_OPTIONS } from "../lib/presence";
+
+// The user's presence status, and whether people who aren't their friends see when they were last online
+const PresenceSettings = () => {
+  const { authUser, updatePresence } = useAuthStore();
+  const currentStatus = authUser.presenceStatus || "online";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-col gap-1">
+        <h2 className="text-lg font-semibold">Status</h2>
+        <p className="text-sm text-base-content/70">How you appear to other people</p>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {PRESENCE_OPTIONS.map((option) => (
+          <button
+            key={option.value}
+            className={`flex flex-col items-start gap-1 p-3 rounded-lg border text-left transition-colors
+              ${currentStatus === option.value ? "border-primary bg-base-200" : "border-base-300 hover:bg-base-200/50"}`}
+            onClick={() => updatePresence({ presenceStatus: option.value })}
+          >
+            <span className="flex items-center gap-2 text-sm font-medium">
+              <span className={`size-2.5 rounded-full ${option.dotClass}`} />
+              {option.label}
+            </span>
+            <span className="text-xs text-base-content/60">{option.description}</span>
+          </button>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-3 text-sm cursor-pointer">
+        <input
+          type="checkbox"
+          className="toggle toggle-primary toggle-sm"
+          checked={authUser.lastSeenVisibility === "friends"}
+          onChange={(e) => updatePresence({ lastSeenVisibility: e.target.checked ? "friends" : "everyone" })}
+        />
+        Only friends can see when I was last online
+      </label>
+    </div>
+  );
+};
+
+export default PresenceSettings;
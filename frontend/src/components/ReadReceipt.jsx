@@ -0,0 +1,72 @@
+import { Check, CheckCheck } from "lucide-react";
+import { formatMessageTime } from "../lib/utils";
+
+// Tick indicator shown on the user's own message bubbles
+// DMs: ✓ sent, ✓✓ delivered, blue ✓✓ read. Groups: blue ✓✓ once any member has seen it.
+const ReadReceipt = ({ message, isGroup, seenBy = [] }) => {
+  if (isGroup) {
+    if (seenBy.length === 0) {
+      return (
+        <span title="Sent">
+          <Check className="w-3.5 h-3.5" />
+        </span>
+      );
+    }
+
+    const names = seenBy.map((member) => member.fullName || "Unknown User").join(", ");
+    return (
+      <span title={`Seen by ${names}`}>
+        <CheckCheck className="w-3.5 h-3.5 text-info" />
+      </span>
+    );
+  }
+
+  if (message.readAt) {
+    return (
+      <span title={`Seen ${formatMessageTime(message.readAt)}`}>
+        <CheckCheck className="w-3.5 h-3.5 text-info" />
+      </span>
+    );
+  }
+
+  if (message.deliveredAt) {
+    return (
+      <span title="Delivered">
+        <CheckCheck className="w-3.5 h-3.5" />
+      </span>
+    );
+  }
+
+  return (
+    <span title="Sent">
+      <Check className="w-3.5 h-3.5" />
+    </span>
+  );
+};
+
+// "Seen by" avatars and names, shown under the latest own message in a group
+export const SeenByList = ({ members }) => {
+  if (members.length === 0) return null;
+
+  const names = members.map((member) => member.fullName || "Unknown User");
+  return (
+    <div className="flex items-center gap-1 mt-1 text-xs opacity-60" title={names.join(", ")}>
+      <div className="flex -space-x-1.5">
+        {members.slice(0, 3).map((member) => (
+          <img
+            key={member._id}
+            src={member.profilePic || "/avatar.png"}
+            alt={member.fullName}
+            className="w-4 h-4 rounded-full border border-base-100 object-cover"
+          />
+        ))}
+      </div>
+      <span>
+        Seen by {names.slice(0, 3).join(", ")}
+        {names.length > 3 && ` +${names.length - 3}`}
+      </span>
+    </div>
+  );
+};
+
+export default ReadReceipt;
@@ -0,0 +1,122 @@
+import { useEffect, useState } from "react";
+import { MessageSquare, History, RefreshCw } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import { formatMessageTime } from "../lib/utils";
+
+const formatDateTime = (date) => `${new Date(date).toLocaleDateString()} ${formatMessageTime(date)}`;
+
+// Admin view of reported messages, including every revision made before or after the report
+const ReportedMessagesCard = () => {
+  const [reportedMessages, setReportedMessages] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [expandedMessageId, setExpandedMessageId] = useState(null);
+
+  const fetchReportedMessages = async () => {
+    setIsLoading(true);
+    setError("");
+    try {
+      const res = await axiosInstance.get("/admin/reported-messages");
+      setReportedMessages(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to fetch reported messages");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchReportedMessages();
+  }, []);
+
+  return (
+    <div className="card bg-base-200 shadow-sm xl:col-span-2">
+      <div className="card-body">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="card-title text-xl flex items-center gap-2">
+            <MessageSquare className="w-5 h-5 text-warning" />
+            Reported Messages
+          </h2>
+          <div className="flex items-center gap-2">
+            <div className="badge badge-warning">{reportedMessages.length} messages</div>
+            <button className="btn btn-ghost btn-xs" onClick={fetchReportedMessages} title="Refresh">
+              <RefreshCw className="w-3 h-3" />
+            </button>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <span className="loading loading-spinner loading-md"></span>
+          </div>
+        ) : error ? (
+          <div className="text-error text-sm">{error}</div>
+        ) : reportedMessages.length === 0 ? (
+          <div className="text-center py-8 text-base-content/60">
+            <MessageSquare className="w-12 h-12 mx-auto mb-2 opacity-50" />
+            <p>No reported messages</p>
+          </div>
+        ) : (
+          <div className="space-y-3 max-h-[32rem] overflow-y-auto">
+            {reportedMessages.map((item) => (
+              <div key={item.messageId} className="bg-base-100 rounded-lg p-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="text-sm font-semibold">
+                      {item.sender?.fullName || "Unknown User"}
+                      <span className="font-normal opacity-60"> · {formatDateTime(item.createdAt)}</span>
+                    </div>
+                    <p className="text-sm break-words whitespace-pre-wrap mt-1">
+                      {item.isDeleted ? <span className="italic opacity-60">Deleted by sender</span> : item.text}
+                    </p>
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      <span className="badge badge-warning badge-sm">{item.reportCount} reports</span>
+                      {item.toxicity?.isToxic && (
+                        <span className="badge badge-error badge-sm">Toxic · {item.toxicity.severity}</span>
+                      )}
+                      <span className="badge badge-outline badge-sm">{item.sentiment}</span>
+                      {item.revisions.length > 0 && (
+                        <span className="badge badge-info badge-sm">{item.revisions.length - 1} edits</span>
+                      )}
+                    </div>
+                  </div>
+                  {item.revisions.length > 0 && (
+                    <button
+                      className="btn btn-ghost btn-xs flex-shrink-0"
+                      onClick={() => setExpandedMessageId(expandedMessageId === item.messageId ? null : item.messageId)}
+                    >
+                      <History className="w-3 h-3 mr-1" />
+                      {expandedMessageId === item.messageId ? "Hide revisions" : "Revisions"}
+                    </button>
+                  )}
+                </div>
+
+                <div className="text-xs opacity-70 mt-2">
+                  Reported by {item.reports.map((report) => report.reportedBy?.fullName || "Unknown").join(", ")}
+                </div>
+
+                {expandedMessageId === item.messageId && (
+                  <ol className="mt-3 border-l-2 border-base-300 pl-3 space-y-2">
+                    {item.revisions.map((revision, index) => (
+                      <li key={revision._id} className="text-sm">
+                        <div className="text-xs opacity-60">
+                          {index === 0 ? "Original" : `Revision ${index}`} · {revision.editedBy?.fullName || "Unknown"} ·{" "}
+                          {formatDateTime(revision.editedAt)}
+                          {revision.toxicity?.isToxic && <span className="text-error"> · toxic ({revision.toxicity.severity})</span>}
+                          {revision.sentiment && <span> · {revision.sentiment}</span>}
+                        </div>
+                        <p className="break-words whitespace-pre-wrap">{revision.text}</p>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReportedMessagesCard;
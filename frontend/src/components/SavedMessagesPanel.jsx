@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useState } from "react";
+import { Image as ImageIcon, Star, Users, X } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import { formatMessageTime } from "../lib/utils";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+
+const conversationLabel = (conversation) =>
+  conversation.type === "group" ? conversation.name : conversation.user?.fullName || "Unknown User";
+
+// The signed-in user's starred messages from every conversation; picking one opens it in context
+const SavedMessagesPanel = ({ onClose }) => {
+  const { authUser } = useAuthStore();
+  const { jumpToConversationMessage, setMessageStarred } = useChatStore();
+  const [items, setItems] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadItems = useCallback(async (cursor = null) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const res = await axiosInstance.get("/stars", { params: cursor ? { before: cursor } : {} });
+      setItems((prev) => (cursor ? [...prev, ...res.data.items] : res.data.items));
+      setNextCursor(res.data.pagination.nextCursor);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load saved messages");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  const handleOpen = (item) => {
+    jumpToConversationMessage(item.conversation, item.message._id);
+    onClose();
+  };
+
+  const handleUnstar = async (item) => {
+    if (await setMessageStarred(item.message._id, false)) {
+      setItems((prev) => prev.filter((entry) => entry._id !== item._id));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-base-100 rounded-lg shadow-lg w-96 max-h-[70vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-4 border-b border-base-300 flex items-center justify-between">
+          <h3 className="font-semibold flex items-center gap-2">
+            <Star className="w-4 h-4" />
+            Saved messages
+          </h3>
+          <button onClick={onClose} className="text-base-content/60 hover:text-base-content" title="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto messenger-scrollbar flex-1">
+          {error && <div className="p-4 text-sm text-error">{error}</div>}
+
+          {!error && items.length === 0 && !isLoading && (
+            <div className="p-4 text-sm text-base-content/60 text-center">
+              Star a message to keep it here
+            </div>
+          )}
+
+          {items.map((item) => (
+            <div key={item._id} className="p-3 border-b border-base-200 hover:bg-base-200 flex items-start gap-2">
+              <button className="flex-1 min-w-0 text-left" onClick={() => handleOpen(item)} title="Go to message">
+                <div className="flex items-center justify-between gap-2 text-xs text-base-content/60 mb-1">
+                  <span className="flex items-center gap-1 truncate">
+                    {item.conversation.type === "group" && <Users className="w-3 h-3" />}
+                    <span className="font-medium">{conversationLabel(item.conversation)} · </span>
+                    {item.message.senderId?._id === authUser._id ? "You" : item.message.senderId?.fullName}
+                  </span>
+                  <span className="whitespace-nowrap">
+                    {new Date(item.message.createdAt).toLocaleDateString()} {formatMessageTime(item.message.createdAt)}
+                  </span>
+                </div>
+                <p className="text-sm break-words flex items-start gap-1 line-clamp-3">
+                  {item.message.image && <ImageIcon className="w-3 h-3 mt-1 flex-shrink-0" />}
+                  {item.message.text || (
+                    <span className="italic opacity-60">{item.message.messageType === "voice"
+                        ? "Voice message"
+                        : item.message.poll ? `Poll: ${item.message.poll.question}` : item.message.attachment?.name || "Photo"}</span>
+                  )}
+                </p>
+              </button>
+              <button
+                className="btn btn-ghost btn-xs text-warning"
+                onClick={() => handleUnstar(item)}
+                title="Unstar"
+              >
+                <Star className="w-3 h-3 fill-current" />
+              </button>
+            </div>
+          ))}
+
+          {isLoading && (
+            <div className="flex justify-center py-3">
+              <span className="loading loading-spinner loading-sm"></span>
+            </div>
+          )}
+
+          {nextCursor && !isLoading && (
+            <button className="btn btn-ghost btn-sm w-full" onClick={() => loadItems(nextCursor)}>
+              Load more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SavedMessagesPanel;
@@ -0,0 +1,103 @@
+import { useState } from "react";
+import { AlertCircle, CalendarClock, Image as ImageIcon, Pencil, Trash2, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { toDateTimeInputValue } from "../lib/utils";
+
+// One scheduled message: read-only row, or inline editor for its text and send time
+const ScheduledMessageRow = ({ entry }) => {
+  const { updateScheduledMessage, cancelScheduledMessage } = useChatStore();
+  const [isEditing, setIsEditing] = useState(false);
+  const [text, setText] = useState(entry.text || "");
+  const [sendAt, setSendAt] = useState(toDateTimeInputValue(entry.sendAt));
+  const isSending = entry.status === "sending";
+
+  const startEditing = () => {
+    setText(entry.text || "");
+    setSendAt(toDateTimeInputValue(entry.sendAt));
+    setIsEditing(true);
+  };
+
+  const handleSave = async () => {
+    const saved = await updateScheduledMessage(entry._id, { text, sendAt });
+    if (saved) setIsEditing(false);
+  };
+
+  if (isEditing) {
+    return (
+      <div className="p-3 border-b border-base-200 space-y-2">
+        <textarea
+          className="textarea textarea-bordered textarea-sm w-full"
+          rows={2}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <input
+          type="datetime-local"
+          className="input input-bordered input-xs w-full"
+          min={toDateTimeInputValue(new Date())}
+          value={sendAt}
+          onChange={(e) => setSendAt(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && e.preventDefault()}
+        />
+        <div className="flex justify-end gap-2">
+          <button type="button" className="btn btn-ghost btn-xs" onClick={() => setIsEditing(false)}>Cancel</button>
+          <button type="button" className="btn btn-primary btn-xs" onClick={handleSave} disabled={!sendAt}>Save</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-3 border-b border-base-200 flex items-start gap-2">
+      <div className="flex-1 min-w-0">
+        <p className="text-sm break-words flex items-start gap-1">
+          {entry.image && <ImageIcon className="w-3 h-3 mt-1 flex-shrink-0" />}
+          {entry.text || <span className="italic opacity-60">Photo</span>}
+        </p>
+        <p className="text-xs text-base-content/60 mt-1">
+          {isSending ? "Sending…" : new Date(entry.sendAt).toLocaleString()}
+        </p>
+        {entry.status === "failed" && (
+          <p className="text-xs text-error flex items-center gap-1 mt-1" title={entry.error}>
+            <AlertCircle className="w-3 h-3" />
+            Not sent · edit to reschedule
+          </p>
+        )}
+      </div>
+      {!isSending && (
+        <>
+          <button type="button" className="btn btn-ghost btn-xs" onClick={startEditing} title="Edit">
+            <Pencil className="w-3 h-3" />
+          </button>
+          <button type="button" className="btn btn-ghost btn-xs text-error" onClick={() => cancelScheduledMessage(entry._id)} title="Cancel">
+            <Trash2 className="w-3 h-3" />
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Popover above the message input listing this conversation's scheduled messages
+const ScheduledMessagesList = ({ entries, onClose }) => (
+  <div className="absolute bottom-full mb-2 right-0 w-80 max-h-80 bg-base-100 border border-base-300 rounded-lg shadow-lg z-50 flex flex-col">
+    <div className="px-3 py-2 border-b border-base-300 flex items-center justify-between">
+      <h4 className="text-sm font-semibold flex items-center gap-2">
+        <CalendarClock className="w-4 h-4" />
+        Scheduled messages
+      </h4>
+      <button type="button" onClick={onClose} className="text-base-content/60 hover:text-base-content" title="Close">
+        <X size={16} />
+      </button>
+    </div>
+    <div className="overflow-y-auto messenger-scrollbar">
+      {entries.length === 0 ? (
+        <p className="p-3 text-sm text-base-content/60 text-center">Nothing scheduled</p>
+      ) : (
+        entries.map((entry) => <ScheduledMessageRow key={entry._id} entry={entry} />)
+      )}
+    </div>
+  </div>
+);
+
+export default ScheduledMessagesList;
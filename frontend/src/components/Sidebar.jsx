@@ -2,20 +2,33 @@ import React, { useEffect, useState } from "react";
 import { useChatStore } from "../store/useChatStore";
 import { useAuthStore } from "../store/useAuthStore";
 import SidebarSkeleton from "./skeletons/SidebarSkeleton";
-import { Users, UserPlus } from "lucide-react";
+import SavedMessagesPanel from "./SavedMessagesPanel";
+import { Users, UserPlus, Star } from "lucide-react";
 import { axiosInstance } from "../lib/axios";
+import { getPresenceOption } from "../lib/presence";
+
+// Unread counter shown on a conversation's avatar
+const UnreadBadge = ({ count }) => {
+  if (!count) return null;
+  return (
+    <span className="absolute -top-1 -right-1 badge badge-primary badge-sm font-semibold">
+      {count > 99 ? "99+" : count}
+    </span>
+  );
+};
 
 const Sidebar = () => {
   const { selectedUser, setSelectedUser, isUsersLoading } = useChatStore();
 
-  const { onlineUsers, authUser, friends, setFriends, socket } = useAuthStore();
+  const { onlineUsers, presenceStatuses, authUser, friends, setFriends, socket } = useAuthStore();
   const isAdmin = authUser?.email === "bey@email.com";
   const [showOnlineOnly, setShowOnlineOnly] = useState(false);
   const [groups, setGroups] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
   const [activeTab, setActiveTab] = useState("friends");
-  const [userLastMessageTime, setUserLastMessageTime] = useState({});
-  const [, forceUpdate] = useState(0); // Force re-render trigger
+  const [showSavedMessages, setShowSavedMessages] = useState(false);
+  // { [userId | groupId]: { lastMessage, lastMessageAt, unreadCount } }
+  const [conversationSummaries, setConversationSummaries] = useState({});
 
   useEffect(() => {
     const fetchFriends = async () => {
@@ -48,60 +61,46 @@ const Sidebar = () => {
     fetchGroups();
   }, [authUser?.friends, selectedUser]);
 
-  // Fetch recent messages for each group
+  // Last message, timestamp and unread count for every DM and group in one request
   useEffect(() => {
-    if (groups.length === 0) return;
+    if (!authUser?._id) return;
 
-    const fetchAllGroupRecentMessages = async () => {
+    const fetchConversationSummaries = async () => {
       try {
-        await Promise.all(
-          groups.map(group => getGroupRecentMessage(group._id))
-        );
+        const res = await axiosInstance.get("/messages/conversations");
+        const summaries = {};
+        res.data.conversations.forEach((conversation) => {
+          const key = conversation.type === "group" ? conversation.groupId : conversation.userId;
+          summaries[key] = {
+            lastMessage: conversation.lastMessage,
+            lastMessageAt: new Date(conversation.lastMessageAt).getTime(),
+            unreadCount: conversation.unreadCount,
+          };
+        });
+        setConversationSummaries(summaries);
       } catch (error) {
-        console.error("Failed to fetch group recent messages", error);
+        console.error("Failed to fetch conversation summaries", error);
       }
     };
 
-    fetchAllGroupRecentMessages();
-  }, [groups]);
+    fetchConversationSummaries();
+  }, [authUser?._id]);
 
-  // Track last message time for each user - Optimized to avoid redundant calls
+  // Join every group room so group messages reach the sidebar badges, not just the open chat
   useEffect(() => {
-    if (friends.length === 0) return;
+    if (!socket || groups.length === 0) return;
+    groups.forEach((group) => socket.emit("join-group", group._id.toString()));
+  }, [socket, groups]);
 
-    const fetchAllUserMessages = async () => {
-      try {
-        const timestamps = {};
-        // Fetch all friend messages in parallel for better performance
-        const messagePromises = friends.map(friend =>
-          axiosInstance.get(`/messages/${friend._id}`)
-            .then(res => {
-              if (res.data && res.data.length > 0) {
-                const lastMsg = res.data[res.data.length - 1];
-                timestamps[friend._id] = new Date(lastMsg.createdAt).getTime();
-              }
-              return timestamps;
-            })
-            .catch(error => {
-              console.error(`Failed to fetch messages for ${friend._id}`, error);
-              return null;
-            })
-        );
-
-        await Promise.all(messagePromises);
-        setUserLastMessageTime(timestamps);
-      } catch (error) {
-        console.error("Failed to fetch message timestamps", error);
-      }
-    };
-
-    // Small delay to ensure friends list is fully populated
-    const timer = setTimeout(() => {
-      fetchAllUserMessages();
-    }, 100);
+  // Opening a conversation reads it (ChatContainer emits markMessagesRead), so clear its badge
+  useEffect(() => {
+    const key = selectedUser?.groupId || selectedUser?._id;
+    if (!key) return;
 
-    return () => clearTimeout(timer);
-  }, [friends]);
+    setConversationSummaries(prev =>
+      prev[key]?.unreadCount ? { ...prev, [key]: { ...prev[key], unreadCount: 0 } } : prev
+    );
+  }, [selectedUser?._id, selectedUser?.groupId]);
 
   // Socket listener for new messages to update sidebar order - GLOBAL LISTENER
   useEffect(() => {
@@ -128,31 +127,42 @@ const Sidebar = () => {
 
       console.log("📊 [SIDEBAR] Processing - senderId:", senderId, "receiverId:", receiverId, "groupId:", groupId, "currentUserId:", currentUserId, "timestamp:", timestamp);
 
-      let updated = false;
-
-      // Update for received messages from other users
-      if (senderId && senderId !== currentUserId && senderId !== "undefined") {
-        console.log("✅ [SIDEBAR] Updating timestamp for sender (received message):", senderId);
-        setUserLastMessageTime(prev => ({
-          ...prev,
-          [senderId]: timestamp
-        }));
-        updated = true;
-      } 
-      // Update for sent messages
-      else if (senderId === currentUserId && receiverId && receiverId !== "undefined") {
-        console.log("✅ [SIDEBAR] Updating timestamp for receiver (sent message):", receiverId);
-        setUserLastMessageTime(prev => ({
-          ...prev,
-          [receiverId]: timestamp
-        }));
-        updated = true;
+      // The conversation this message belongs to: the group, or the other person in the DM
+      const conversationKey = groupId || (senderId === currentUserId ? receiverId : senderId);
+      if (!conversationKey || conversationKey === "undefined") {
+        console.log("⚠️ [SIDEBAR] Could not resolve conversation for message");
+        return;
       }
 
-      // Force re-render if state was updated
-      if (updated) {
-        forceUpdate(prev => prev + 1);
-      }
+      const openConversation = useChatStore.getState().selectedUser;
+      const isOpen = (openConversation?.groupId || openConversation?._id) === conversationKey;
+      const countsAsUnread = senderId !== currentUserId && !isOpen;
+
+      console.log("✅ [SIDEBAR] Updating summary for conversation:", conversationKey, "unread:", countsAsUnread);
+      setConversationSummaries(prev => {
+        const previous = prev[conversationKey];
+        // sidebarUpdate can repeat a message newMessage already delivered
+        if (previous?.lastMessage?._id === newMessage._id) return prev;
+
+        return {
+          ...prev,
+          [conversationKey]: {
+            lastMessage: {
+              _id: newMessage._id,
+              senderId,
+              text: newMessage.isDeleted ? null : newMessage.text,
+              hasImage: !!newMessage.image,
+              attachmentName: newMessage.isDeleted ? null : newMessage.attachment?.name || null,
+              pollQuestion: newMessage.isDeleted ? null : newMessage.poll?.question || null,
+              messageType: newMessage.messageType,
+              isDeleted: !!newMessage.isDeleted,
+              createdAt: newMessage.createdAt,
+            },
+            lastMessageAt: timestamp,
+            unreadCount: (previous?.unreadCount || 0) + (countsAsUnread ? 1 : 0),
+          },
+        };
+      });
     };
 
     // Also listen for sidebarUpdate event
@@ -211,8 +221,8 @@ const Sidebar = () => {
     )
     .sort((a, b) => {
       // Sort by most recent message first
-      const timeA = userLastMessageTime[a._id] || 0;
-      const timeB = userLastMessageTime[b._id] || 0;
+      const timeA = conversationSummaries[a._id]?.lastMessageAt || 0;
+      const timeB = conversationSummaries[b._id]?.lastMessageAt || 0;
       
       // If both have messages, sort by most recent
       if (timeA !== 0 || timeB !== 0) {
@@ -223,6 +233,26 @@ const Sidebar = () => {
       return a.fullName.localeCompare(b.fullName);
     });
 
+  // One-line preview of a conversation's last message
+  const getPreviewText = (summary, members) => {
+    const lastMessage = summary?.lastMessage;
+    if (!lastMessage) return null;
+
+    let body = lastMessage.text;
+    if (lastMessage.isDeleted) body = "Message deleted";
+    else if (!body && lastMessage.hasImage) body = "📷 Photo";
+    else if (!body && lastMessage.messageType === "voice") body = "🎤 Voice message";
+    else if (!body && lastMessage.pollQuestion) body = `📊 ${lastMessage.pollQuestion}`;
+    else if (!body && lastMessage.attachmentName) body = `📎 ${lastMessage.attachmentName}`;
+
+    if (lastMessage.senderId === authUser._id) return `You: ${body}`;
+    if (members) {
+      const sender = members.find((member) => member._id === lastMessage.senderId);
+      if (sender) return `${sender.fullName}: ${body}`;
+    }
+    return body;
+  };
+
   const openGroupChat = (group) => {
     console.log("Selected group from sidebar:", group);
     setSelectedUser({
@@ -232,6 +262,10 @@ const Sidebar = () => {
       isGroup: true,
       profilePic: group.profilePic || "/group-avatar.png", // Use actual group profilePic
       members: group.members,
+      admin: group.admin,
+      moderators: group.moderators || [],
+      pinPermission: group.pinPermission || "everyone",
+      pinLimit: group.pinLimit || 5,
     });
   };
 
@@ -243,6 +277,13 @@ const Sidebar = () => {
         <div className="flex items-center gap-3 mb-5">
           <Users className="size-7" />
           <span className="font-semibold text-lg hidden lg:block">Chats</span>
+          <button
+            className="btn btn-ghost btn-sm btn-circle ml-auto"
+            title="Saved messages"
+            onClick={() => setShowSavedMessages(true)}
+          >
+            <Star className="size-5" />
+          </button>
         </div>
 
         <div className="mt-2">
@@ -322,10 +363,11 @@ const Sidebar = () => {
                   />
                   {onlineUsers.includes(user._id) && (
                     <span
-                      className="absolute bottom-0 right-0 size-3 bg-green-500 
-                      rounded-full ring-2 ring-white"
+                      className={`absolute bottom-0 right-0 size-3 ${getPresenceOption(presenceStatuses[user._id]).dotClass}
+                      rounded-full ring-2 ring-white`}
                     />
                   )}
+                  <UnreadBadge count={conversationSummaries[user._id]?.unreadCount} />
                 </div>
 
                 {/* User info - only visible on larger screens */}
@@ -334,8 +376,9 @@ const Sidebar = () => {
                     {user.fullName}
                     {user.email === "bey@email.com" && " (Admin)"}
                   </div>
-                  <div className="text-xs">
-                    {onlineUsers.includes(user._id) ? "Online" : "Offline"}
+                  <div className={`text-xs truncate ${conversationSummaries[user._id]?.unreadCount ? "font-semibold" : ""}`}>
+                    {getPreviewText(conversationSummaries[user._id]) ||
+                      (onlineUsers.includes(user._id) ? getPresenceOption(presenceStatuses[user._id]).label : "Offline")}
                   </div>
                 </div>
               </button>
@@ -369,10 +412,14 @@ const Sidebar = () => {
                     <div className="absolute bottom-1 right-1 rounded-full p-1 shadow-md">
                       <Users className="size-4" />
                     </div>
+                    <UnreadBadge count={conversationSummaries[group._id]?.unreadCount} />
                   </div>
                   <div className="hidden lg:block text-left min-w-0">
                     <div className="truncate font-semibold text-gray-800">{group.name}</div>
-                    <div className="text-xs text-gray-500">{group.members?.length || 0} members</div>
+                    <div className={`text-xs text-gray-500 truncate ${conversationSummaries[group._id]?.unreadCount ? "font-semibold" : ""}`}>
+                      {getPreviewText(conversationSummaries[group._id], group.members) ||
+                        `${group.members?.length || 0} members`}
+                    </div>
                   </div>
                 </button>
               ))}
@@ -387,6 +434,7 @@ const Sidebar = () => {
           </>
         )}
       </div>
+      {showSavedMessages && <SavedMessagesPanel onClose={() => setShowSavedMessages(false)} />}
     </aside>
   );
 };
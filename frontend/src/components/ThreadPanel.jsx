@@ -0,0 +1,198 @@
+import { useEffect, useRef, useState } from "react";
+import { MessageSquare, X, Send } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import { formatMessageTime } from "../lib/utils";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { useSentimentModel } from "../../context/SentimentModelContext";
+import MessageText from "./MessageText";
+import AttachmentCard from "./AttachmentCard";
+import VoiceNotePlayer from "./VoiceNotePlayer";
+
+const replyParentId = (message) => message.replyTo?._id || message.replyTo;
+
+// One message in the thread panel
+const ThreadMessage = ({ message, isOwn, isParent }) => (
+  <div className={`flex gap-2 ${isParent ? "pb-3 border-b border-base-300" : ""}`}>
+    <img
+      src={message.senderId?.profilePic || "/avatar.png"}
+      alt={message.senderId?.fullName}
+      className="w-8 h-8 rounded-full object-cover flex-shrink-0"
+    />
+    <div className="min-w-0 flex-1">
+      <div className="flex items-baseline gap-2 text-xs">
+        <span className="font-semibold">{isOwn ? "You" : message.senderId?.fullName || "Unknown User"}</span>
+        <span className="opacity-50">{formatMessageTime(message.createdAt)}</span>
+        {message.edited && <span className="opacity-50">(edited)</span>}
+      </div>
+      {message.isDeleted ? (
+        <p className="text-sm italic opacity-60">This message was deleted</p>
+      ) : (
+        <>
+          {message.image && (
+            <img src={message.image} alt="Attachment" className="max-w-[200px] rounded-lg mt-1" />
+          )}
+          {message.attachment && (message.messageType === "voice"
+            ? <VoiceNotePlayer attachment={message.attachment} />
+            : <AttachmentCard attachment={message.attachment} />)}
+          {message.text && <MessageText text={message.text} />}
+        </>
+      )}
+    </div>
+  </div>
+);
+
+const ThreadPanel = ({ parentMessageId, onClose }) => {
+  const { authUser, socket } = useAuthStore();
+  const { selectedModel } = useSentimentModel();
+  const [parent, setParent] = useState(null);
+  const [replies, setReplies] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [text, setText] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const repliesEndRef = useRef(null);
+
+  useEffect(() => {
+    const fetchThread = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const res = await axiosInstance.get(`/messages/thread/${parentMessageId}`);
+        setParent(res.data.parent);
+        setReplies(res.data.replies);
+      } catch (err) {
+        setError(err.response?.data?.error || "Failed to load thread");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchThread();
+  }, [parentMessageId]);
+
+  // Live updates over the same socket events the main chat uses
+  useEffect(() => {
+    if (!socket) return;
+
+    const addReply = (message) => {
+      setReplies((prev) => (prev.some((reply) => reply._id === message._id) ? prev : [...prev, message]));
+    };
+
+    const handleNewMessage = (message) => {
+      if (replyParentId(message) === parentMessageId) addReply(message);
+    };
+
+    const handleMessageEdited = (message) => {
+      if (message._id === parentMessageId) setParent((prev) => ({ ...prev, ...message }));
+      setReplies((prev) => prev.map((reply) => (reply._id === message._id ? message : reply)));
+    };
+
+    const handleMessageDeleted = (message) => {
+      if (message._id === parentMessageId) setParent((prev) => ({ ...prev, isDeleted: true, text: null }));
+      setReplies((prev) => prev.filter((reply) => reply._id !== message._id));
+    };
+
+    // A disappearing parent closes the thread; an expired reply just drops out
+    const handleMessageExpired = ({ messageId }) => {
+      if (messageId === parentMessageId) onClose();
+      setReplies((prev) => prev.filter((reply) => reply._id !== messageId));
+    };
+
+    socket.on("newMessage", handleNewMessage);
+    socket.on("messageEdited", handleMessageEdited);
+    socket.on("messageDeleted", handleMessageDeleted);
+    socket.on("messageExpired", handleMessageExpired);
+
+    return () => {
+      socket.off("newMessage", handleNewMessage);
+      socket.off("messageEdited", handleMessageEdited);
+      socket.off("messageDeleted", handleMessageDeleted);
+      socket.off("messageExpired", handleMessageExpired);
+    };
+  }, [socket, parentMessageId, onClose]);
+
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [replies.length]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!text.trim() || isSending) return;
+
+    setIsSending(true);
+    try {
+      // Same outbox-backed send as the main input, pointed at the thread parent
+      const savedMessage = await useChatStore.getState().sendMessage({
+        text: text.trim(),
+        replyTo: parentMessageId,
+        selectedModel,
+        encrypt: true,
+      });
+      if (savedMessage) {
+        setReplies((prev) => (prev.some((reply) => reply._id === savedMessage._id) ? prev : [...prev, savedMessage]));
+      }
+      setText("");
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const isOwn = (message) => (message.senderId?._id || message.senderId) === authUser._id;
+
+  return (
+    <aside className="w-80 lg:w-96 border-l border-base-300 bg-base-100 flex flex-col h-full">
+      <div className="p-4 border-b border-base-300 flex items-center justify-between">
+        <h3 className="font-semibold flex items-center gap-2">
+          <MessageSquare className="w-4 h-4" />
+          Thread
+        </h3>
+        <button onClick={onClose} className="text-base-content/60 hover:text-base-content" title="Close thread">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto messenger-scrollbar p-4 space-y-3">
+        {isLoading && (
+          <div className="flex justify-center py-3">
+            <span className="loading loading-spinner loading-sm"></span>
+          </div>
+        )}
+
+        {error && <div className="text-sm text-error">{error}</div>}
+
+        {!isLoading && parent && (
+          <>
+            <ThreadMessage message={parent} isOwn={isOwn(parent)} isParent />
+            <div className="text-xs text-base-content/60">
+              {replies.length === 0
+                ? "No replies yet"
+                : `${replies.length} ${replies.length === 1 ? "reply" : "replies"}`}
+            </div>
+            {replies.map((reply) => (
+              <ThreadMessage key={reply._id} message={reply} isOwn={isOwn(reply)} />
+            ))}
+            <div ref={repliesEndRef} />
+          </>
+        )}
+      </div>
+
+      {!isLoading && parent && !parent.isDeleted && (
+        <form onSubmit={handleSend} className="p-3 border-t border-base-300 flex gap-2">
+          <input
+            type="text"
+            className="input input-bordered input-sm flex-1"
+            placeholder="Reply in thread..."
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <button type="submit" className="btn btn-sm btn-primary" disabled={!text.trim() || isSending}>
+            <Send className="w-4 h-4" />
+          </button>
+        </form>
+      )}
+    </aside>
+  );
+};
+
+export default ThreadPanel;
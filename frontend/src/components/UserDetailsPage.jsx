@@ -206,7 +206,7 @@ const UserDetailsPage = ({ user, onClose, onGroupCreated, sentimentStats = {} })
   const [showUnfriendDialog, setShowUnfriendDialog] = useState(false);
   const [currentUser, setCurrentUser] = useState(user);
   const { authUser } = useAuthStore();
-  const { updateGroupProfile, refreshGroupData, setSelectedUser } = useChatStore();
+  const { updateGroupProfile, updateGroupPermissions, refreshGroupData, setSelectedUser } = useChatStore();
 
   // Update currentUser when user changes
   useEffect(() => {
@@ -263,6 +263,31 @@ const UserDetailsPage = ({ user, onClose, onGroupCreated, sentimentStats = {} })
 
   const sentimentMessage = getSentimentMessage();
 
+  // Group roles: the admin picks moderators and who may pin messages
+  const isGroupAdmin = currentUser.isGroup && (currentUser.admin?._id || currentUser.admin) === authUser?._id;
+  const moderatorIds = (currentUser.moderators || []).map((m) => m._id || m);
+
+  const handlePermissionsChange = async (data) => {
+    try {
+      const updatedGroup = await updateGroupPermissions(currentUser.groupId || currentUser._id, data);
+      setCurrentUser({
+        ...currentUser,
+        moderators: updatedGroup.moderators,
+        pinPermission: updatedGroup.pinPermission,
+        pinLimit: updatedGroup.pinLimit,
+      });
+    } catch (error) {
+      console.error("Error updating group permissions:", error);
+    }
+  };
+
+  const toggleModerator = (memberId) => {
+    const moderators = moderatorIds.includes(memberId)
+      ? moderatorIds.filter((id) => id !== memberId)
+      : [...moderatorIds, memberId];
+    handlePermissionsChange({ moderators });
+  };
+
   const handleRefreshGroup = async (groupId) => {
     try {
       const updatedGroup = await refreshGroupData(groupId);
@@ -506,9 +531,50 @@ const UserDetailsPage = ({ user, onClose, onGroupCreated, sentimentStats = {} })
                               {member.email}
                             </div>
                           </div>
+                          {(currentUser.admin?._id || currentUser.admin) === member._id ? (
+                            <span className="badge badge-primary badge-sm">Admin</span>
+                          ) : isGroupAdmin ? (
+                            <button
+                              className={`btn btn-xs ${moderatorIds.includes(member._id) ? "btn-secondary" : "btn-ghost"}`}
+                              onClick={() => toggleModerator(member._id)}
+                              title={moderatorIds.includes(member._id) ? "Remove moderator" : "Make moderator"}
+                            >
+                              {moderatorIds.includes(member._id) ? "Moderator" : "Make moderator"}
+                            </button>
+                          ) : moderatorIds.includes(member._id) && (
+                            <span className="badge badge-secondary badge-sm">Moderator</span>
+                          )}
                         </div>
                       ))}
                     </div>
+                    {isGroupAdmin && (
+                      <label className="flex items-center justify-between gap-3 mt-4 text-sm">
+                        <span className="font-semibold">Who can pin messages</span>
+                        <select
+                          className="select select-bordered select-sm"
+                          value={currentUser.pinPermission || "everyone"}
+                          onChange={(e) => handlePermissionsChange({ pinPermission: e.target.value })}
+                        >
+                          <option value="everyone">Everyone</option>
+                          <option value="moderators">Admin and moderators</option>
+                          <option value="admin">Admin only</option>
+                        </select>
+                      </label>
+                    )}
+                    {isGroupAdmin && (
+                      <label className="flex items-center justify-between gap-3 mt-3 text-sm">
+                        <span className="font-semibold">Pinned messages limit</span>
+                        <select
+                          className="select select-bordered select-sm"
+                          value={currentUser.pinLimit || 5}
+                          onChange={(e) => handlePermissionsChange({ pinLimit: Number(e.target.value) })}
+                        >
+                          {[1, 3, 5, 10, 25].map((limit) => (
+                            <option key={limit} value={limit}>{limit}</option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
                   </div>
                 )}
 
@@ -0,0 +1,82 @@
+import { useEffect, useRef, useState } from "react";
+import { Pause, Play } from "lucide-react";
+import { WAVEFORM_BARS, formatDuration } from "../lib/voiceNotes";
+
+// Flat bars for voice notes sent without a waveform
+const FLAT_WAVEFORM = Array(WAVEFORM_BARS).fill(0.3);
+
+// Inline player for a voice note: play/pause, the waveform filling as it plays (click to seek), and the time
+const VoiceNotePlayer = ({ attachment, isOwn }) => {
+  const audioRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const duration = attachment.duration || 0;
+  const bars = attachment.waveform?.length ? attachment.waveform : FLAT_WAVEFORM;
+  const progress = duration ? Math.min(currentTime / duration, 1) : 0;
+
+  // Stop when the message scrolls out of the list
+  useEffect(() => {
+    const audio = audioRef.current;
+    return () => audio?.pause();
+  }, []);
+
+  const togglePlayback = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.paused) {
+      audio.play().catch((error) => console.warn("⚠️ Could not play voice note:", error.message));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const seek = (e) => {
+    const audio = audioRef.current;
+    if (!audio || !duration) return;
+    const { left, width } = e.currentTarget.getBoundingClientRect();
+    audio.currentTime = ((e.clientX - left) / width) * duration;
+    setCurrentTime(audio.currentTime);
+  };
+
+  const playedColor = isOwn ? "bg-primary-content" : "bg-primary";
+  const unplayedColor = isOwn ? "bg-primary-content/40" : "bg-base-content/30";
+
+  return (
+    <div className="flex items-center gap-2 mb-1 w-64 max-w-full">
+      <audio
+        ref={audioRef}
+        src={attachment.url}
+        preload="metadata"
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+        onEnded={() => {
+          setIsPlaying(false);
+          setCurrentTime(0);
+        }}
+      />
+      <button
+        type="button"
+        className={`btn btn-circle btn-sm flex-shrink-0 ${isOwn ? "bg-primary-content text-primary" : "btn-primary"}`}
+        onClick={togglePlayback}
+        title={isPlaying ? "Pause" : "Play voice message"}
+      >
+        {isPlaying ? <Pause size={16} /> : <Play size={16} />}
+      </button>
+      <div className="flex-1 flex items-center gap-px h-8 cursor-pointer" onClick={seek} title="Seek">
+        {bars.map((height, index) => (
+          <span
+            key={index}
+            className={`flex-1 rounded-full ${index / bars.length < progress ? playedColor : unplayedColor}`}
+            style={{ height: `${Math.max(height, 0.08) * 100}%` }}
+          />
+        ))}
+      </div>
+      <span className="text-xs tabular-nums opacity-80 w-9 text-right">
+        {formatDuration(isPlaying || currentTime ? currentTime : duration)}
+      </span>
+    </div>
+  );
+};
+
+export default VoiceNotePlayer;
@@ -0,0 +1,143 @@
+import { useEffect, useRef, useState } from "react";
+import { Mic, Send, Trash2 } from "lucide-react";
+import toast from "react-hot-toast";
+import {
+  MAX_VOICE_NOTE_SECONDS,
+  analyzeRecording,
+  canRecordVoice,
+  formatDuration,
+  pickRecordingType,
+} from "../lib/voiceNotes";
+
+// Recordings shorter than this are treated as an accidental tap
+const MIN_VOICE_NOTE_SECONDS = 1;
+
+// Mic button for the message input; while recording, a bar over the input with the timer,
+// cancel and send. `onSend` receives { file, duration, waveform }.
+const VoiceRecorder = ({ onSend, disabled }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const recorderRef = useRef(null);
+  const chunksRef = useRef([]);
+  const startedAtRef = useRef(0);
+  const sendOnStopRef = useRef(false);
+  const limitTimerRef = useRef(null);
+
+  // Stop the clock and release the microphone
+  const finishRecording = () => {
+    clearTimeout(limitTimerRef.current);
+    const recorder = recorderRef.current;
+    recorder?.stream.getTracks().forEach((track) => track.stop());
+    recorderRef.current = null;
+    setIsRecording(false);
+    setElapsed(0);
+  };
+
+  // Tick the timer
+  useEffect(() => {
+    if (!isRecording) return;
+    const timer = setInterval(() => setElapsed((Date.now() - startedAtRef.current) / 1000), 250);
+    return () => clearInterval(timer);
+  }, [isRecording]);
+
+  // Leaving the conversation mid-recording discards it
+  useEffect(() => () => {
+    clearTimeout(limitTimerRef.current);
+    sendOnStopRef.current = false;
+    if (recorderRef.current?.state === "recording") recorderRef.current.stop();
+    recorderRef.current?.stream.getTracks().forEach((track) => track.stop());
+  }, []);
+
+  const startRecording = async () => {
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      toast.error(error.name === "NotAllowedError" ? "Microphone access was blocked" : "No microphone available");
+      return;
+    }
+
+    const type = pickRecordingType();
+    const recorder = new MediaRecorder(stream, type ? { mimeType: type.mimeType } : undefined);
+    const extension = type?.extension || "webm";
+    chunksRef.current = [];
+    sendOnStopRef.current = false;
+
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunksRef.current.push(e.data);
+    };
+    recorder.onstop = async () => {
+      if (!sendOnStopRef.current) return;
+
+      const recordedSeconds = (Date.now() - startedAtRef.current) / 1000;
+      if (recordedSeconds < MIN_VOICE_NOTE_SECONDS) {
+        toast("Hold the recording a little longer to send it", { icon: "🎤" });
+        return;
+      }
+
+      const blob = new Blob(chunksRef.current, { type: recorder.mimeType || type?.mimeType || "audio/webm" });
+      const { duration, waveform } = await analyzeRecording(blob, recordedSeconds);
+      const file = new File([blob], `voice-note-${Date.now()}.${extension}`, { type: blob.type });
+      onSend({ file, duration: Math.min(duration, MAX_VOICE_NOTE_SECONDS), waveform });
+    };
+
+    recorderRef.current = recorder;
+    startedAtRef.current = Date.now();
+    recorder.start();
+    setIsRecording(true);
+    // At the length limit, what was recorded is sent
+    limitTimerRef.current = setTimeout(() => stopRecording(true), MAX_VOICE_NOTE_SECONDS * 1000);
+  };
+
+  const stopRecording = (send) => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    sendOnStopRef.current = send;
+    if (recorder.state === "recording") recorder.stop();
+    finishRecording();
+  };
+
+  if (!canRecordVoice()) return null;
+
+  return (
+    <>
+      <button
+        type="button"
+        className="btn btn-circle btn-sm text-zinc-400"
+        onClick={startRecording}
+        disabled={disabled || isRecording}
+        title="Record a voice message"
+      >
+        <Mic size={18} />
+      </button>
+
+      {isRecording && (
+        <div className="absolute inset-0 z-40 flex items-center gap-3 px-3 rounded-lg bg-base-100 border border-base-300">
+          <span className="w-2.5 h-2.5 rounded-full bg-error animate-pulse" />
+          <span className="text-sm font-mono tabular-nums">{formatDuration(elapsed)}</span>
+          <span className="flex-1 text-xs text-base-content/60 truncate">
+            Recording… up to {formatDuration(MAX_VOICE_NOTE_SECONDS)}
+          </span>
+          <button
+            type="button"
+            className="btn btn-ghost btn-circle btn-sm text-error"
+            onClick={() => stopRecording(false)}
+            title="Discard recording"
+          >
+            <Trash2 size={18} />
+          </button>
+          <button
+            type="button"
+            className="btn btn-circle btn-sm bg-primary text-white"
+            onClick={() => stopRecording(true)}
+            title="Send voice message"
+          >
+            <Send size={18} />
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default VoiceRecorder;
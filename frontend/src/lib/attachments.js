@@ -0,0 +1,67 @@
+// Mirrors the server's accepted types and size limits (backend/src/lib/attachments.js) so a file
+// that would be refused isn't uploaded first. The server still checks the content itself.
+
+const MB = 1024 * 1024;
+
+export const ATTACHMENT_LIMITS = {
+  image: 10 * MB,
+  document: 25 * MB,
+  audio: 20 * MB,
+  archive: 50 * MB,
+};
+
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+const EXTENSION_KINDS = {
+  pdf: "document",
+  doc: "document",
+  docx: "document",
+  xls: "document",
+  xlsx: "document",
+  ppt: "document",
+  pptx: "document",
+  txt: "document",
+  csv: "document",
+  mp3: "audio",
+  ogg: "audio",
+  wav: "audio",
+  flac: "audio",
+  webm: "audio",
+  m4a: "audio",
+  zip: "archive",
+};
+
+// For the file picker's accept attribute
+export const ATTACHMENT_ACCEPT = [...IMAGE_TYPES, ...Object.keys(EXTENSION_KINDS).map((extension) => `.${extension}`)].join(",");
+
+// "image", "document", "audio", "archive", or null when the file can't be sent
+export const getAttachmentKind = (file) => {
+  if (IMAGE_TYPES.includes(file.type)) return "image";
+  const extension = file.name.split(".").pop().toLowerCase();
+  return EXTENSION_KINDS[extension] || null;
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < MB) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / MB).toFixed(1)} MB`;
+};
+
+// Why a file can't be attached, or null when it can
+export const checkAttachment = (file) => {
+  const kind = getAttachmentKind(file);
+  if (!kind) return "This file type isn't supported";
+  if (file.size > ATTACHMENT_LIMITS[kind]) {
+    return `${kind === "image" ? "Images" : "Files like this"} can be at most ${formatFileSize(ATTACHMENT_LIMITS[kind])}`;
+  }
+  return null;
+};
+
+// Read a file as a base64 data URL (scheduled messages still send images this way)
+export const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
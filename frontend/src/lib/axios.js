@@ -4,3 +4,38 @@ export const axiosInstance = axios.create({
   baseURL: import.meta.env.MODE === "development" ? "http://localhost:5001/api" : "/api",
   withCredentials: true,
 });
+
+// Auth calls whose 401 means wrong credentials or no session, never an access token to refresh
+const NO_REFRESH_URLS = ["/auth/login", "/auth/signup", "/auth/refresh", "/auth/logout"];
+
+// One refresh at a time: requests failing together all wait on the same one
+let refreshRequest = null;
+let handleSessionEnded = () => {};
+
+// Called when the session can't be refreshed (signed out elsewhere, revoked, or expired)
+export const setSessionEndedHandler = (handler) => {
+  handleSessionEnded = handler;
+};
+
+// Access tokens are short-lived: on a 401, swap the refresh cookie for a new one and retry once
+axiosInstance.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config._retriedAfterRefresh || NO_REFRESH_URLS.includes(config.url)) {
+      throw error;
+    }
+
+    refreshRequest ||= axiosInstance.post("/auth/refresh").finally(() => {
+      refreshRequest = null;
+    });
+    try {
+      await refreshRequest;
+    } catch {
+      handleSessionEnded();
+      throw error;
+    }
+
+    return axiosInstance({ ...config, _retriedAfterRefresh: true });
+  }
+);
@@ -0,0 +1,171 @@
+// Limited markdown for messages: **bold**, *italic* / _italic_, `code`, ``` code blocks,
+// [links](url) and - / 1. lists. The source is parsed into a small tree that MessageText
+// renders as React elements (never as HTML), so message text can't inject markup.
+
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+// Alternatives, in priority order: code, link, bold, italic (*), italic (_), bare URL
+const INLINE_PATTERN = new RegExp(
+  [
+    "`([^`\\n]+)`",
+    "\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)",
+    "\\*\\*(?=\\S)(.+?)(?<=\\S)\\*\\*",
+    "(?<![\\w*])\\*(?=[^\\s*])(.+?)(?<=[^\\s*])\\*(?![\\w*])",
+    "(?<!\\w)_(?=\\S)(.+?)(?<=\\S)_(?!\\w)",
+    "(https?:\\/\\/[^\\s<]*[^\\s<.,:;\"')\\]!?])",
+  ].join("|"),
+  "g"
+);
+
+const LIST_ITEM = /^\s*(?:([-*])|(\d+)[.)])\s+(.*)$/;
+const CODE_FENCE = /^\s*```/;
+
+// An href for a link target, or null unless it is an absolute http(s) or mailto URL
+export const sanitizeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// Inline nodes: text, code, strong, em and link
+export const parseInline = (text) => {
+  const nodes = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [whole, code, linkText, linkUrl, bold, starItalic, underscoreItalic, url] = match;
+    if (match.index > lastIndex) nodes.push({ type: "text", text: text.slice(lastIndex, match.index) });
+
+    if (code !== undefined) {
+      nodes.push({ type: "code", text: code });
+    } else if (linkText !== undefined) {
+      const href = sanitizeUrl(linkUrl);
+      // Unsafe targets (javascript:, relative paths…) keep their label as plain text
+      if (href) nodes.push({ type: "link", href, children: parseInline(linkText) });
+      else nodes.push(...parseInline(linkText));
+    } else if (bold !== undefined) {
+      nodes.push({ type: "strong", children: parseInline(bold) });
+    } else if (starItalic !== undefined || underscoreItalic !== undefined) {
+      nodes.push({ type: "em", children: parseInline(starItalic ?? underscoreItalic) });
+    } else {
+      const href = sanitizeUrl(url);
+      nodes.push(href ? { type: "link", href, children: [{ type: "text", text: url }] } : { type: "text", text: whole });
+    }
+    lastIndex = match.index + whole.length;
+  }
+
+  if (lastIndex < text.length) nodes.push({ type: "text", text: text.slice(lastIndex) });
+  return nodes;
+};
+
+/**
+ * Parse message text into blocks: paragraph, codeBlock and list
+ * @param {string} source - Message text as written
+ * @returns {Array} - Block nodes; paragraphs and list items hold inline nodes
+ */
+export const parseMarkdown = (source) => {
+  if (!source) return [];
+
+  const blocks = [];
+  const lines = source.split("\n");
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length === 0) return;
+    blocks.push({ type: "paragraph", children: parseInline(paragraph.join("\n")) });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block: literal up to the closing fence (or the end of the message)
+    if (CODE_FENCE.test(line)) {
+      flushParagraph();
+      let end = i + 1;
+      while (end < lines.length && !CODE_FENCE.test(lines[end])) end++;
+      blocks.push({ type: "codeBlock", text: lines.slice(i + 1, end).join("\n") });
+      i = end;
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      flushParagraph();
+      const ordered = !item[1];
+      const previous = blocks[blocks.length - 1];
+      const continuesList = previous?.type === "list" && previous.ordered === ordered && LIST_ITEM.test(lines[i - 1] || "");
+      if (continuesList) {
+        previous.items.push(parseInline(item[3]));
+      } else {
+        blocks.push({ type: "list", ordered, start: ordered ? Number(item[2]) : undefined, items: [parseInline(item[3])] });
+      }
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+/**
+ * Apply a formatting toolbar action to the selected text of the message input
+ * @param {string} text - Current input value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} format - "bold" | "italic" | "code" | "codeBlock" | "link" | "list"
+ * @returns {{ text: string, selectionStart: number, selectionEnd: number }} - New value and what to select
+ */
+export const applyFormat = (text, start, end, format) => {
+  const before = text.slice(0, start);
+  const selected = text.slice(start, end);
+  const after = text.slice(end);
+
+  // Surround the selection (or a placeholder) and keep the inner text selected
+  const wrap = (open, close, placeholder) => {
+    const inner = selected || placeholder;
+    return {
+      text: before + open + inner + close + after,
+      selectionStart: start + open.length,
+      selectionEnd: start + open.length + inner.length,
+    };
+  };
+
+  switch (format) {
+    case "bold":
+      return wrap("**", "**", "bold text");
+    case "italic":
+      return wrap("*", "*", "italic text");
+    case "code":
+      return wrap("`", "`", "code");
+    case "codeBlock":
+      return wrap(`${before && !before.endsWith("\n") ? "\n" : ""}\`\`\`\n`, "\n```\n", "code");
+    case "link": {
+      // The label is kept and the URL placeholder selected, ready to be typed over
+      const label = `[${selected || "link text"}](`;
+      const url = "https://";
+      return {
+        text: `${before}${label}${url})${after}`,
+        selectionStart: start + label.length,
+        selectionEnd: start + label.length + url.length,
+      };
+    }
+    case "list": {
+      // Every line the selection touches becomes a list item
+      const lineStart = before.lastIndexOf("\n") + 1;
+      const listed = text.slice(lineStart, end).split("\n").map((line) => `- ${line}`).join("\n");
+      return {
+        text: text.slice(0, lineStart) + listed + after,
+        selectionStart: lineStart + listed.length,
+        selectionEnd: lineStart + listed.length,
+      };
+    }
+    default:
+      return { text, selectionStart: start, selectionEnd: end };
+  }
+};
@@ -0,0 +1,47 @@
+// Persistence for messages that have not reached the server yet (see useChatStore outbox actions)
+const STORAGE_PREFIX = "chat-outbox:";
+
+export function createClientMessageId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+export function loadOutbox(userId) {
+  if (!userId) return [];
+  try {
+    const stored = localStorage.getItem(STORAGE_PREFIX + userId);
+    if (!stored) return [];
+
+    // Attached files were kept in memory only: those messages can't be resent, just discarded
+    return JSON.parse(stored).map((entry) =>
+      entry.payload.file
+        ? { ...entry, status: "failed", retryable: false, error: "The attachment was lost when the page reloaded" }
+        : entry
+    );
+  } catch (error) {
+    console.warn("⚠️ Could not read outbox from storage:", error.message);
+    return [];
+  }
+}
+
+export function saveOutbox(userId, entries) {
+  if (!userId) return;
+  try {
+    if (entries.length === 0) {
+      localStorage.removeItem(STORAGE_PREFIX + userId);
+    } else {
+      // A File can't be stored; its name and size are kept so the entry still shows what it was
+      const storable = entries.map((entry) =>
+        entry.payload.file instanceof Blob
+          ? { ...entry, payload: { ...entry.payload, file: { name: entry.payload.file.name, size: entry.payload.file.size } } }
+          : entry
+      );
+      localStorage.setItem(STORAGE_PREFIX + userId, JSON.stringify(storable));
+    }
+  } catch (error) {
+    // Usually the storage quota (large images); the entries stay queued in memory
+    console.warn("⚠️ Could not persist outbox:", error.message);
+  }
+}
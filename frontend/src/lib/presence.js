@@ -0,0 +1,10 @@
+// Statuses a user can pick (PRESENCE_STATUSES on the server), with their dot colour
+export const PRESENCE_OPTIONS = [
+  { value: "online", label: "Online", description: "Show when you're online", dotClass: "bg-green-500" },
+  { value: "away", label: "Away", description: "Online, but not at your desk", dotClass: "bg-yellow-500" },
+  { value: "busy", label: "Busy", description: "Online, but rather not be disturbed", dotClass: "bg-red-500" },
+  { value: "invisible", label: "Invisible", description: "Appear offline to everyone", dotClass: "bg-base-content/30" },
+];
+
+export const getPresenceOption = (status) =>
+  PRESENCE_OPTIONS.find((option) => option.value === status) || PRESENCE_OPTIONS[0];
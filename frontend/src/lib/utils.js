@@ -5,3 +5,42 @@ export function formatMessageTime(date) {
     hour12: false,
   });
 }
+
+// Local "YYYY-MM-DDTHH:mm" string for <input type="datetime-local">
+export function toDateTimeInputValue(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Split text into plain parts and "@Full Name" mentions of the given members.
+// Mention parts carry the matching member; longer names win ("@Anna Smith" over "@Anna").
+export function splitMentions(text, members) {
+  const named = (members || []).filter((member) => member?.fullName);
+  if (!text || named.length === 0) return [{ text }];
+
+  const byName = new Map(named.map((member) => [member.fullName.toLowerCase(), member]));
+  const names = [...byName.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])@(${names.join("|")})(?![\\p{L}\\p{N}_])`, "giu");
+
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) parts.push({ text: text.slice(lastIndex, match.index) });
+    parts.push({ text: match[0], member: byName.get(match[1].toLowerCase()) });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) parts.push({ text: text.slice(lastIndex) });
+  return parts;
+}
+
+// How long ago a user was last online: "just now", "5 min ago", "3 h ago", or the date for older times
+export function formatLastSeen(date, now = Date.now()) {
+  const minutes = Math.floor((now - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return `on ${new Date(date).toLocaleDateString()} at ${formatMessageTime(date)}`;
+}
@@ -0,0 +1,68 @@
+// Recording and measuring voice notes in the browser. The server takes the duration and waveform
+// measured here (backend/src/lib/attachments.js inspectVoiceNote) and keeps them on the attachment.
+
+// Longest recording, matching the server's limit
+export const MAX_VOICE_NOTE_SECONDS = 5 * 60;
+
+// Bars drawn in the player's waveform
+export const WAVEFORM_BARS = 48;
+
+// Recording formats the server accepts, in order of preference; Safari only records MP4
+const RECORDING_TYPES = [
+  { mimeType: "audio/webm;codecs=opus", extension: "webm" },
+  { mimeType: "audio/webm", extension: "webm" },
+  { mimeType: "audio/ogg;codecs=opus", extension: "ogg" },
+  { mimeType: "audio/mp4", extension: "m4a" },
+];
+
+export const canRecordVoice = () =>
+  typeof window !== "undefined" && !!window.MediaRecorder && !!navigator.mediaDevices?.getUserMedia;
+
+// The first format this browser can record, or null to let it pick (and name the file .webm)
+export const pickRecordingType = () =>
+  RECORDING_TYPES.find(({ mimeType }) => window.MediaRecorder.isTypeSupported?.(mimeType)) || null;
+
+// "m:ss"
+export const formatDuration = (seconds) => {
+  const whole = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Decode a recording to find its exact length and the peak level of each waveform bar
+ * @param {Blob} blob - The recorded audio
+ * @param {number} fallbackDuration - Seconds timed while recording, used if the audio can't be decoded
+ * @returns {Promise<{ duration: number, waveform: number[] }>} - Bars are 0–1, scaled to the loudest
+ */
+export const analyzeRecording = async (blob, fallbackDuration) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return { duration: fallbackDuration, waveform: [] };
+
+  const context = new AudioContextClass();
+  try {
+    const audio = await context.decodeAudioData(await blob.arrayBuffer());
+    const samples = audio.getChannelData(0);
+    const samplesPerBar = Math.max(1, Math.floor(samples.length / WAVEFORM_BARS));
+
+    const peaks = [];
+    for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+      let peak = 0;
+      const end = Math.min(samples.length, (bar + 1) * samplesPerBar);
+      for (let i = bar * samplesPerBar; i < end; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+      peaks.push(peak);
+    }
+
+    const loudest = Math.max(...peaks) || 1;
+    return {
+      duration: audio.duration || fallbackDuration,
+      waveform: peaks.map((peak) => Math.round((peak / loudest) * 100) / 100),
+    };
+  } catch (error) {
+    console.warn("⚠️ Could not decode the recording for its waveform:", error.message);
+    return { duration: fallbackDuration, waveform: [] };
+  } finally {
+    context.close();
+  }
+};
@@ -4,6 +4,7 @@ import { useChatStore } from "../store/useChatStore";
 import { useSentimentModel } from "../../context/SentimentModelContext";
 import Footer from "../components/footer";
 import DeleteConfirmDialog from "../components/DeleteConfirmDialog";
+import ReportedMessagesCard from "../components/ReportedMessagesCard";
 import { 
   Chart as ChartJS, 
   CategoryScale, 
@@ -1336,6 +1337,9 @@ const AdminDashboard = () => {
                 )}
               </div>
             </div>
+
+            {/* Reported messages with their edit history */}
+            <ReportedMessagesCard />
           </div>
         )}
 
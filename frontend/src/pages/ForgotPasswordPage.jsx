@@ -0,0 +1,94 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { KeyRound, Loader2, Mail } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import AuthImagePattern from "../components/AuthImagePattern";
+
+// Ask for a password reset link by email
+const ForgotPasswordPage = () => {
+  const { forgotPassword } = useAuthStore();
+  const [email, setEmail] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setIsSending(true);
+    const sent = await forgotPassword(email.trim());
+    setIsSending(false);
+    if (sent) setIsSent(true);
+  };
+
+  return (
+    <div className="h-screen grid lg:grid-cols-2">
+      <div className="flex flex-col justify-center items-center p-6 sm:p-12">
+        <div className="w-full max-w-md space-y-8">
+          <div className="text-center mb-8">
+            <div className="flex flex-col items-center gap-2">
+              <div className="w-12 h-12 rounded-xl bg-primary/10 flex items-center justify-center">
+                <KeyRound className="w-6 h-6 text-primary" />
+              </div>
+              <h1 className="text-2xl font-bold mt-2">Forgot your password?</h1>
+              <p className="text-base-content/60">We&apos;ll email you a link to choose a new one</p>
+            </div>
+          </div>
+
+          {isSent ? (
+            <div className="alert">
+              <Mail className="w-5 h-5" />
+              <span>
+                If an account uses <strong>{email.trim()}</strong>, a reset link is on its way. It works for 1 hour.
+              </span>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div className="form-control">
+                <label className="label">
+                  <span className="label-text font-medium">Email</span>
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-base-content/40" />
+                  </div>
+                  <input
+                    type="email"
+                    className="input input-bordered w-full pl-10"
+                    placeholder="you@example.com"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    autoFocus
+                  />
+                </div>
+              </div>
+
+              <button type="submit" className="btn btn-primary w-full" disabled={isSending || !email.trim()}>
+                {isSending ? (
+                  <>
+                    <Loader2 className="h-5 w-5 animate-spin" />
+                    Sending...
+                  </>
+                ) : (
+                  "Send reset link"
+                )}
+              </button>
+            </form>
+          )}
+
+          <div className="text-center">
+            <Link to="/login" className="link link-primary">
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+
+      <AuthImagePattern
+        title={"Locked out?"}
+        subtitle={"It happens. Reset your password and get back to your conversations."}
+      />
+    </div>
+  );
+};
+export default ForgotPasswordPage;
@@ -1,13 +1,19 @@
 import { useState, useEffect } from "react";
-import { UserPlus, Check, X, Loader2, Users, Send, Star, Bell } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import { UserPlus, Check, X, Loader2, Users, Send, Star, Bell, AtSign } from "lucide-react";
 import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
 import { useThemeStore } from "../store/useThemeStore";
 import { axiosInstance } from "../lib/axios";
+import { formatMessageTime } from "../lib/utils";
 import toast from "react-hot-toast";
 
 const NotificationsPage = () => {
-  const { authUser, setFriends, friendRequests, setFriendRequests, socket } = useAuthStore();
+  const { authUser, setFriends, friendRequests, setFriendRequests, mentions, setMentions, socket } = useAuthStore();
+  const { jumpToConversationMessage } = useChatStore();
   const { theme } = useThemeStore();
+  const navigate = useNavigate();
+  const [loadingMentions, setLoadingMentions] = useState(false);
   const [recommendedFriends, setRecommendedFriends] = useState([]);
   const [loadingRequests, setLoadingRequests] = useState(false);
   const [loadingRecommended, setLoadingRecommended] = useState(false);
@@ -55,9 +61,22 @@ const NotificationsPage = () => {
       }
     };
 
+    const fetchMentions = async () => {
+      setLoadingMentions(true);
+      try {
+        const res = await axiosInstance.get("/messages/mentions");
+        setMentions(res.data.items);
+      } catch (error) {
+        console.error("Error loading mentions:", error);
+      } finally {
+        setLoadingMentions(false);
+      }
+    };
+
     fetchFriendRequests();
     fetchRecommendedFriends();
-  }, [setFriendRequests]);
+    fetchMentions();
+  }, [setFriendRequests, setMentions]);
 
   // Sync local state when friend requests change via socket
   useEffect(() => {
@@ -96,6 +115,12 @@ const NotificationsPage = () => {
     };
   }, [socket]);
 
+  // Open the group at the message that mentioned the user
+  const handleOpenMention = (mention) => {
+    jumpToConversationMessage(mention.conversation, mention.message._id);
+    navigate("/");
+  };
+
   const handleAccept = async (requestId) => {
     try {
       await axiosInstance.post(`/user/friend-requests/${requestId}/accept`);
@@ -178,6 +203,59 @@ const NotificationsPage = () => {
           <p className="text-base-content/70">Manage your friend requests and discover new connections</p>
         </div>
 
+        {/* Mentions Card */}
+        <div className="card bg-base-200 shadow-xl mb-8">
+          <div className="card-body p-8">
+            <div className="flex items-center gap-4 mb-4">
+              <div className="p-3 rounded-xl">
+                <AtSign className="w-8 h-8 text-base-content/70" />
+              </div>
+              <div>
+                <h2 className="card-title text-xl text-base-content">Mentions</h2>
+                <p className="text-base text-base-content/60">Group messages that mention you</p>
+              </div>
+            </div>
+
+            {loadingMentions && mentions.length === 0 ? (
+              <div className="flex justify-center py-6">
+                <Loader2 className="animate-spin w-8 h-8 text-base-content/70" />
+              </div>
+            ) : mentions.length === 0 ? (
+              <p className="text-center py-6 text-base-content/60">No mentions yet</p>
+            ) : (
+              <div className="space-y-3 max-h-[320px] overflow-y-auto pr-2">
+                {mentions.map((mention) => (
+                  <button
+                    key={mention.message._id}
+                    onClick={() => handleOpenMention(mention)}
+                    className="w-full text-left flex items-center gap-3 p-3 bg-base-100 rounded-lg border border-base-300 hover:shadow-md transition-all duration-200"
+                  >
+                    <div className="avatar">
+                      <div className="w-10 h-10 rounded-full">
+                        <img
+                          src={mention.message.senderId?.profilePic || '/avatar.png'}
+                          alt={mention.message.senderId?.fullName}
+                          className="w-full h-full object-cover"
+                        />
+                      </div>
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-base-content truncate">
+                        <span className="font-semibold">{mention.message.senderId?.fullName || "Someone"}</span>
+                        <span className="text-base-content/60"> in {mention.conversation.name}</span>
+                      </p>
+                      <p className="text-sm text-base-content/70 truncate">{mention.message.text}</p>
+                    </div>
+                    <span className="text-xs text-base-content/50 whitespace-nowrap">
+                      {new Date(mention.message.createdAt).toLocaleDateString()} {formatMessageTime(mention.message.createdAt)}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
         {/* Cards Grid */}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           
@@ -8,7 +8,7 @@ import { toast } from "react-hot-toast";
 import { axiosInstance } from "../lib/axios";
 
 const ProfilePage = () => {
-  const { authUser, isUpdatingProfile, updateProfile } = useAuthStore();
+  const { authUser, isUpdatingProfile, updateProfile, resendVerification } = useAuthStore();
   const { setSelectedUser } = useChatStore();
   const navigate = useNavigate();
   const [selectedImg, setSelectedImg] = useState(null);
@@ -191,6 +191,21 @@ const ProfilePage = () => {
                         )}
                       </span>
                     </div>
+                    <div className="flex items-center justify-between py-2 border-b border-base-content/20">
+                      <span className="text-base-content/80 font-medium text-sm">Email</span>
+                      {authUser.isEmailVerified ? (
+                        <span className="bg-success/20 text-success px-2 py-1 rounded-full text-xs font-semibold">
+                          Verified
+                        </span>
+                      ) : (
+                        <span className="flex items-center gap-2 text-xs">
+                          <span className="bg-warning/20 text-warning px-2 py-1 rounded-full font-semibold">Not verified</span>
+                          <button className="link link-primary" onClick={resendVerification}>
+                            Resend link
+                          </button>
+                        </span>
+                      )}
+                    </div>
                     <div className="flex items-center justify-between py-2 border-b border-base-content/20">
                       <span className="text-base-content/80 font-medium text-sm">Account Status</span>
                       <span className="bg-success/20 text-success px-2 py-1 rounded-full text-xs font-semibold">
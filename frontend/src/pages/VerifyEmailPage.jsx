@@ -0,0 +1,57 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { CheckCircle2, Loader2, MailCheck, XCircle } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+
+// Landing page of the link emailed at signup: confirms the address as soon as it opens
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { authUser, verifyEmail } = useAuthStore();
+  const [status, setStatus] = useState(token ? "verifying" : "failed");
+  // The token works once: don't send it again when the effect re-runs
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+    verifyEmail(token).then((verified) => setStatus(verified ? "verified" : "failed"));
+  }, [token, verifyEmail]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-6 pt-20">
+      <div className="w-full max-w-md text-center space-y-4">
+        <div className="w-12 h-12 mx-auto rounded-xl bg-primary/10 flex items-center justify-center">
+          {status === "verifying" && <Loader2 className="w-6 h-6 text-primary animate-spin" />}
+          {status === "verified" && <CheckCircle2 className="w-6 h-6 text-success" />}
+          {status === "failed" && <XCircle className="w-6 h-6 text-error" />}
+        </div>
+
+        {status === "verifying" && <h1 className="text-2xl font-bold">Confirming your email...</h1>}
+        {status === "verified" && (
+          <>
+            <h1 className="text-2xl font-bold">Email confirmed</h1>
+            <p className="text-base-content/60">Thanks, your email address is verified.</p>
+          </>
+        )}
+        {status === "failed" && (
+          <>
+            <h1 className="text-2xl font-bold">This link doesn&apos;t work</h1>
+            <p className="text-base-content/60">
+              It may have expired or been used already.
+              {authUser ? " You can ask for a new one from your profile." : " Sign in to ask for a new one."}
+            </p>
+          </>
+        )}
+
+        {status !== "verifying" && (
+          <Link to={authUser ? "/" : "/login"} className="btn btn-primary gap-2">
+            <MailCheck className="w-4 h-4" />
+            {authUser ? "Go to chats" : "Sign in"}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+export default VerifyEmailPage;
@@ -1,7 +1,8 @@
 import { create } from "zustand";
-import { axiosInstance } from "../lib/axios.js";
+import { axiosInstance, setSessionEndedHandler } from "../lib/axios.js";
 import toast from "react-hot-toast";
 import { io } from "socket.io-client";
+import { useChatStore } from "./useChatStore.js";
 
 
 // Dynamically set socket URL based on environment
@@ -10,6 +11,11 @@ const BASE_URL =
     ? "http://localhost:5001"
     : "/";
 
+// Access tokens last 15 minutes (ACCESS_TOKEN_TTL_MS on the server). Refreshing ahead of that keeps the
+// cookie valid for requests made outside axiosInstance, which can't refresh on a 401 themselves.
+const TOKEN_REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+let tokenRefreshTimer = null;
+
 // Zustand store for Auth and Socket state
 export const useAuthStore = create((set, get) => ({
   // --- STATE VARIABLES ---
@@ -19,8 +25,12 @@ export const useAuthStore = create((set, get) => ({
   isUpdatingProfile: false,
   isCheckingAuth: true,
   onlineUsers: [],
+  presenceStatuses: {}, // Online users who chose away/busy: { userId: status }
   friends: [],
   friendRequests: [],
+  mentions: [], // Group messages mentioning the user, newest first: { message, conversation }
+  sessions: [], // Signed-in devices: [{ _id, device, ip, createdAt, lastUsedAt, current }]
+  isLoadingSessions: false,
   socket: null,
 
   // --- Helper to check if user has required interests ---
@@ -77,6 +87,17 @@ export const useAuthStore = create((set, get) => ({
     }));
   },
 
+  setMentions: (mentions) => {
+    set({ mentions });
+  },
+
+  // Add a mention that just arrived (an edit can mention someone again: keep one entry)
+  addMention: (mention) => {
+    set((state) => ({
+      mentions: [mention, ...state.mentions.filter((entry) => entry.message._id !== mention.message._id)]
+    }));
+  },
+
   // --- AUTH METHODS ---
 
   // Check user authentication status
@@ -93,6 +114,7 @@ export const useAuthStore = create((set, get) => ({
         console.error("Failed to ensure encryption keys:", keyError);
       }
       
+      get().startTokenRefresh();
       get().connectSocket();
     } catch (error) {
       console.log("Error in checkAuth:", error);
@@ -109,6 +131,7 @@ export const useAuthStore = create((set, get) => ({
       const res = await axiosInstance.post("/auth/signup", data);
       set({ authUser: res.data });
       toast.success("Account created successfully");
+      get().startTokenRefresh();
       get().connectSocket();
     } catch (error) {
       toast.error(error.response?.data?.message || "Signup failed");
@@ -133,6 +156,7 @@ export const useAuthStore = create((set, get) => ({
       }
       
       toast.success("Logged in successfully");
+      get().startTokenRefresh();
       get().connectSocket();
     } catch (error) {
       toast.error(error.response?.data?.message || "Login failed");
@@ -143,13 +167,134 @@ export const useAuthStore = create((set, get) => ({
 
   // Logout user
   logout: async () => {
+    // Disconnect first: the server drops the session's sockets as it signs it out, and this tab
+    // shouldn't take that for a session ended elsewhere
+    get().disconnectSocket();
     try {
       await axiosInstance.post("/auth/logout");
-      set({ authUser: null });
+      set({ authUser: null, sessions: [] });
+      get().stopTokenRefresh();
       toast.success("Logged out successfully");
-      get().disconnectSocket();
     } catch (error) {
       toast.error(error.response?.data?.message || "Logout failed");
+      get().connectSocket();
+    }
+  },
+
+  // --- EMAIL VERIFICATION AND PASSWORD RESET ---
+
+  // Confirm the address with the token from the emailed link
+  verifyEmail: async (token) => {
+    try {
+      await axiosInstance.post("/auth/verify-email", { token });
+      set((state) => ({ authUser: state.authUser && { ...state.authUser, isEmailVerified: true } }));
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to verify email");
+      return false;
+    }
+  },
+
+  resendVerification: async () => {
+    try {
+      await axiosInstance.post("/auth/resend-verification");
+      toast.success("Verification email sent");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to send verification email");
+    }
+  },
+
+  forgotPassword: async (email) => {
+    try {
+      await axiosInstance.post("/auth/forgot-password", { email });
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to send reset link");
+      return false;
+    }
+  },
+
+  // Returns the password rule failures when the server rejects the new password
+  resetPassword: async (token, password) => {
+    // A reset signs out every device, this one included
+    if (get().authUser) {
+      get().stopTokenRefresh();
+      get().disconnectSocket();
+    }
+    try {
+      await axiosInstance.post("/auth/reset-password", { token, password });
+      set({ authUser: null, sessions: [] });
+      toast.success("Password updated, please log in");
+      return { success: true, errors: [] };
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to reset password");
+      if (get().authUser) {
+        get().startTokenRefresh();
+        get().connectSocket();
+      }
+      return { success: false, errors: error.response?.data?.errors || [] };
+    }
+  },
+
+  // --- SESSION METHODS ---
+
+  startTokenRefresh: () => {
+    clearInterval(tokenRefreshTimer);
+    tokenRefreshTimer = setInterval(async () => {
+      try {
+        await axiosInstance.post("/auth/refresh");
+      } catch (error) {
+        if (error.response?.status === 401) endExpiredSession();
+      }
+    }, TOKEN_REFRESH_INTERVAL_MS);
+  },
+
+  stopTokenRefresh: () => {
+    clearInterval(tokenRefreshTimer);
+    tokenRefreshTimer = null;
+  },
+
+  getSessions: async () => {
+    set({ isLoadingSessions: true });
+    try {
+      const res = await axiosInstance.get("/auth/sessions");
+      set({ sessions: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load sessions");
+    } finally {
+      set({ isLoadingSessions: false });
+    }
+  },
+
+  // Sign out another device
+  revokeSession: async (sessionId) => {
+    try {
+      await axiosInstance.delete(`/auth/sessions/${sessionId}`);
+      set((state) => ({ sessions: state.sessions.filter((session) => session._id !== sessionId) }));
+      toast.success("Device signed out");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to sign out device");
+    }
+  },
+
+  // Sign out every device but this one
+  revokeOtherSessions: async () => {
+    try {
+      await axiosInstance.delete("/auth/sessions");
+      set((state) => ({ sessions: state.sessions.filter((session) => session.current) }));
+      toast.success("Signed out of all other devices");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to sign out other devices");
+    }
+  },
+
+  // Presence status (online/away/busy/invisible) and who may see the last-seen time
+  updatePresence: async (data) => {
+    try {
+      const res = await axiosInstance.put("/auth/presence", data);
+      set((state) => ({ authUser: { ...state.authUser, ...res.data } }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to update status");
     }
   },
 
@@ -187,8 +332,9 @@ export const useAuthStore = create((set, get) => ({
     const { authUser, socket } = get();
     if (!authUser || socket?.connected) return;
 
+    // The server reads the user from the access token cookie sent with the handshake
     const newSocket = io(BASE_URL, {
-      auth: { userId: authUser._id },
+      withCredentials: true,
     });
 
     console.log("Connecting socket for userId:", authUser?._id);
@@ -199,9 +345,36 @@ export const useAuthStore = create((set, get) => ({
 
     set({ socket: newSocket });
 
-    // Handle online users list
-    newSocket.on("getOnlineUsers", (userIds) => {
-      set({ onlineUsers: userIds });
+    // A handshake refused for its token gets one refresh and a reconnect (the access token may just
+    // have expired); transport errors are retried by socket.io itself
+    let retriedAfterRefresh = false;
+    newSocket.on("connect", () => {
+      retriedAfterRefresh = false;
+    });
+    newSocket.on("connect_error", async (error) => {
+      if (!error.data?.code) return;
+      if (retriedAfterRefresh) {
+        console.warn("Socket rejected after refreshing the session:", error.data.code);
+        return;
+      }
+
+      retriedAfterRefresh = true;
+      try {
+        await axiosInstance.post("/auth/refresh");
+        newSocket.connect();
+      } catch (refreshError) {
+        if (refreshError.response?.status === 401) endExpiredSession();
+      }
+    });
+
+    // The server only drops a socket when its session is signed out (logout elsewhere, or revoked)
+    newSocket.on("disconnect", (reason) => {
+      if (reason === "io server disconnect") endExpiredSession();
+    });
+
+    // Handle online users list (invisible users are left out by the server)
+    newSocket.on("getOnlineUsers", (userIds, statuses = {}) => {
+      set({ onlineUsers: userIds, presenceStatuses: statuses });
     });
 
     // --- FRIEND REQUEST SOCKET LISTENERS ---
@@ -255,6 +428,16 @@ export const useAuthStore = create((set, get) => ({
       get().removeFriend(data.userId);
       toast.error(`A friend has removed you from their friend list.`);
     });
+
+    // --- MENTION SOCKET LISTENER ---
+
+    // Someone mentioned you in a group (sent whether or not that group is open)
+    newSocket.on("mentioned", (mention) => {
+      get().addMention(mention);
+      if (useChatStore.getState().selectedUser?.groupId !== mention.conversation.groupId) {
+        toast(`${mention.message.senderId?.fullName || "Someone"} mentioned you in ${mention.conversation.name}`, { icon: "💬" });
+      }
+    });
   },
 
   // Remove a friend from the list
@@ -276,8 +459,11 @@ export const useAuthStore = create((set, get) => ({
 
   disconnectSocket: () => {
     const { socket } = get();
-    if (socket?.connected) {
+    if (socket) {
       // Remove all event listeners before disconnecting
+      socket.off("connect");
+      socket.off("connect_error");
+      socket.off("disconnect");
       socket.off("getOnlineUsers");
       socket.off("friendRequestReceived");
       socket.off("friendRequestAccepted");
@@ -286,9 +472,23 @@ export const useAuthStore = create((set, get) => ({
       socket.off("friendRequestUpdated");
       socket.off("friendRequestSent");
       socket.off("friendRemoved");
+      socket.off("mentioned");
       
       socket.disconnect();
     }
     set({ socket: null });
   },
-}));
\ No newline at end of file
+}));
+
+// The session could not be refreshed (revoked from another device, or expired): back to the login page
+const endExpiredSession = () => {
+  const { authUser, disconnectSocket, stopTokenRefresh } = useAuthStore.getState();
+  if (!authUser) return;
+
+  stopTokenRefresh();
+  disconnectSocket();
+  useAuthStore.setState({ authUser: null, sessions: [] });
+  toast.error("Your session has ended, please log in again");
+};
+
+setSessionEndedHandler(endExpiredSession);
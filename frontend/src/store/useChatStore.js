@@ -2,13 +2,78 @@ import { create } from "zustand";
 import toast from "react-hot-toast";
 import { axiosInstance } from "../lib/axios";
 import { useAuthStore } from "./useAuthStore";
+import { createClientMessageId, loadOutbox, saveOutbox } from "../lib/outbox";
+
+// Apply an edited/deleted/pinned copy of a message from the server, keeping the thread
+// counts getMessages computed (the socket payloads don't carry them)
+const mergeMessageUpdate = (existing, updated) => ({
+  ...updated,
+  replyCount: existing.replyCount,
+  lastReplyAt: existing.lastReplyAt,
+  starred: existing.starred, // stars are per user, so updates from others never carry them
+});
+
+// Request body for an outbox send: JSON, or multipart when a file is attached (the other fields go
+// along as form fields)
+const toSendBody = ({ file, ...fields }) => {
+  if (!file) return fields;
+
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    // Form fields are strings: arrays (a voice note's waveform) travel as JSON
+    form.append(key, Array.isArray(value) ? JSON.stringify(value) : value);
+  });
+  form.append("attachment", file, file.name);
+  return form;
+};
+
+// New poll results on a message; the broadcast tally has no myVotes, so the viewer's own are kept
+const withPollResults = (message, results) => ({
+  ...message,
+  pollResults: { ...results, myVotes: results.myVotes || message.pollResults?.myVotes || [] },
+});
+
+// Whether a message belongs to the open conversation (DM pair or group)
+const belongsToConversation = (message, selectedUser) => {
+  if (!selectedUser) return false;
+  if (selectedUser.isGroup) return message.groupId === selectedUser.groupId;
+  if (message.groupId) return false;
+  const senderId = message.senderId?._id || message.senderId;
+  const receiverId = message.receiverId?._id || message.receiverId;
+  return senderId === selectedUser._id || receiverId === selectedUser._id;
+};
+
+const sortByPinnedAt = (pins) =>
+  [...pins].sort((a, b) => new Date(b.pinnedAt) - new Date(a.pinnedAt));
+
+// Scheduled messages that still matter to the sender; sent and cancelled ones drop out of the list
+const ACTIVE_SCHEDULE_STATUSES = ["scheduled", "sending", "failed"];
+
+const sortBySendAt = (entries) =>
+  [...entries].sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
 
 export const useChatStore = create((set, get) => {
   let messageHandler = null; // Store the message handler reference
   let messageDeletedHandler = null; // Store the message deleted handler reference
   let messageEditedHandler = null; // Store the message edited handler reference
   let messagePinnedHandler = null; // Store the message pinned handler reference
+  let messagesDeliveredHandler = null; // Store the delivery receipt handler reference
+  let messagesReadHandler = null; // Store the read receipt handler reference
+  let groupReadMarkerHandler = null; // Store the group read marker handler reference
+  let groupPermissionsHandler = null; // Store the group permissions handler reference
+  let messageExpiredHandler = null; // Store the disappearing message handler reference
+  let messageTtlHandler = null; // Store the disappearing timer handler reference
+  let messageLinkPreviewHandler = null; // Store the link preview handler reference
+  let pollUpdatedHandler = null; // Store the poll tally handler reference
   let currentSocket = null; // Track current socket
+  const inFlightMessageIds = new Set(); // Outbox entries currently being posted
+
+  // Update the outbox and mirror it to storage for the signed-in user
+  const updateOutbox = (updater) => {
+    set((state) => ({ outbox: updater(state.outbox) }));
+    saveOutbox(useAuthStore.getState().authUser?._id, get().outbox);
+  };
 
   return {
     messages: [],
@@ -16,6 +81,18 @@ export const useChatStore = create((set, get) => {
     selectedUser: null,
     isUsersLoading: false,
     isMessagesLoading: false,
+    hasMoreMessages: false,
+    hasNewerMessages: false,
+    isLoadingOlderMessages: false,
+    isLoadingNewerMessages: false,
+    pendingJumpMessageId: null, // Message to scroll to and highlight once it is rendered
+    readMarkers: [], // Group members' read positions: [{ userId, lastReadMessageId, lastReadAt }]
+    groupPermissions: null, // The viewer's rights in the open group: { role, canModerate, canPin, pinPermission }
+    messageTtl: null, // Disappearing messages timer of the open conversation, in seconds (null = off)
+    pins: [], // Pinned messages of the open conversation, newest pin first
+    pinLimit: null, // How many messages the open conversation may have pinned at once
+    outbox: [], // Messages not yet stored by the server: [{ clientMessageId, target, payload, status, retryable, error }]
+    scheduledMessages: [], // The user's "send later" messages: [{ _id, receiverId, groupId, text, image, sendAt, status, error }]
 
     getUsers: async () => {
       set({ isUsersLoading: true });
@@ -30,13 +107,21 @@ export const useChatStore = create((set, get) => {
     },
 
     getMessages: async (userId, groupId) => {
-      set({ isMessagesLoading: true });
+      set({ isMessagesLoading: true, hasMoreMessages: false, hasNewerMessages: false, readMarkers: [], groupPermissions: null, messageTtl: null, pins: [] });
+      get().getPins();
       try {
         const url = groupId
           ? `/messages/${userId}?groupId=${groupId}`
           : `/messages/${userId}`;
         const res = await axiosInstance.get(url);
-        set({ messages: res.data });
+        set({
+          messages: res.data.messages,
+          hasMoreMessages: res.data.pagination.hasMoreBefore,
+          hasNewerMessages: false,
+          readMarkers: res.data.readMarkers || [],
+          groupPermissions: res.data.permissions || null,
+          messageTtl: res.data.messageTtl || null,
+        });
       } catch (error) {
         toast.error(error.response?.data?.message || "Failed to fetch messages");
       } finally {
@@ -44,37 +129,349 @@ export const useChatStore = create((set, get) => {
       }
     },
 
+    // Pins come from their own endpoint so they're complete even when their messages aren't loaded
+    getPins: async () => {
+      const { selectedUser } = get();
+      if (!selectedUser) return;
+
+      try {
+        const params = selectedUser.groupId ? { groupId: selectedUser.groupId } : {};
+        const res = await axiosInstance.get(`/messages/pins/${selectedUser._id}`, { params });
+        if (get().selectedUser?._id !== selectedUser._id) return;
+        set({ pins: res.data.pins, pinLimit: res.data.limit });
+      } catch (error) {
+        console.error("Failed to fetch pinned messages:", error);
+      }
+    },
+
+    // Load the page of messages just before the oldest one currently shown (infinite scroll)
+    loadOlderMessages: async () => {
+      const { selectedUser, messages, hasMoreMessages, isLoadingOlderMessages } = get();
+      if (!selectedUser || !hasMoreMessages || isLoadingOlderMessages || messages.length === 0) {
+        return false;
+      }
+
+      set({ isLoadingOlderMessages: true });
+      try {
+        const params = { before: messages[0]._id };
+        if (selectedUser.groupId) params.groupId = selectedUser.groupId;
+
+        const res = await axiosInstance.get(`/messages/${selectedUser._id}`, { params });
+
+        // Drop the page if the user switched conversations while it was loading
+        if (get().selectedUser?._id !== selectedUser._id) return false;
+
+        set((state) => {
+          const existingIds = new Set(state.messages.map((msg) => msg._id));
+          const olderMessages = res.data.messages.filter((msg) => !existingIds.has(msg._id));
+          return {
+            messages: [...olderMessages, ...state.messages],
+            hasMoreMessages: res.data.pagination.hasMoreBefore,
+          };
+        });
+        return res.data.messages.length > 0;
+      } catch (error) {
+        toast.error(error.response?.data?.message || "Failed to load older messages");
+        return false;
+      } finally {
+        set({ isLoadingOlderMessages: false });
+      }
+    },
+
+    // Load the page of history centred on one message (used when jumping to an older message)
+    getMessagesAround: async (messageId) => {
+      const { selectedUser } = get();
+      if (!selectedUser) return;
+
+      set({ isMessagesLoading: true });
+      try {
+        const params = { around: messageId };
+        if (selectedUser.groupId) params.groupId = selectedUser.groupId;
+
+        const res = await axiosInstance.get(`/messages/${selectedUser._id}`, { params });
+        if (get().selectedUser?._id !== selectedUser._id) return;
+
+        set({
+          messages: res.data.messages,
+          hasMoreMessages: res.data.pagination.hasMoreBefore,
+          hasNewerMessages: res.data.pagination.hasMoreAfter,
+          readMarkers: res.data.readMarkers || [],
+          groupPermissions: res.data.permissions || null,
+          messageTtl: res.data.messageTtl || null,
+        });
+      } catch (error) {
+        toast.error(error.response?.data?.message || "Failed to load message");
+        set({ pendingJumpMessageId: null });
+      } finally {
+        set({ isMessagesLoading: false });
+      }
+    },
+
+    // Load the page of messages just after the newest one currently shown
+    loadNewerMessages: async () => {
+      const { selectedUser, messages, hasNewerMessages, isLoadingNewerMessages } = get();
+      if (!selectedUser || !hasNewerMessages || isLoadingNewerMessages || messages.length === 0) {
+        return false;
+      }
+
+      set({ isLoadingNewerMessages: true });
+      try {
+        const params = { after: messages[messages.length - 1]._id };
+        if (selectedUser.groupId) params.groupId = selectedUser.groupId;
+
+        const res = await axiosInstance.get(`/messages/${selectedUser._id}`, { params });
+        if (get().selectedUser?._id !== selectedUser._id) return false;
+
+        set((state) => {
+          const existingIds = new Set(state.messages.map((msg) => msg._id));
+          const newerMessages = res.data.messages.filter((msg) => !existingIds.has(msg._id));
+          return {
+            messages: [...state.messages, ...newerMessages],
+            hasNewerMessages: res.data.pagination.hasMoreAfter,
+          };
+        });
+        return res.data.messages.length > 0;
+      } catch (error) {
+        toast.error(error.response?.data?.message || "Failed to load newer messages");
+        return false;
+      } finally {
+        set({ isLoadingNewerMessages: false });
+      }
+    },
+
+    // Scroll to a message in the open conversation, loading its page of history if needed
+    jumpToMessage: async (messageId) => {
+      set({ pendingJumpMessageId: messageId });
+      if (get().messages.some((msg) => msg._id === messageId)) return;
+      await get().getMessagesAround(messageId);
+    },
+
+    // Open another conversation and jump to a message in it once its history loads
+    openConversationAtMessage: (conversation, messageId) => {
+      set({ selectedUser: conversation, pendingJumpMessageId: messageId });
+    },
+
+    // Go to a message given the server's conversation reference (search results, saved messages)
+    jumpToConversationMessage: (conversation, messageId) => {
+      const { selectedUser } = get();
+      const isOpen = conversation.type === "group"
+        ? selectedUser?.groupId === conversation.groupId
+        : !!selectedUser && !selectedUser.isGroup && selectedUser._id === conversation.user?._id;
+
+      if (isOpen) {
+        get().jumpToMessage(messageId);
+      } else if (conversation.type === "group") {
+        get().openConversationAtMessage({
+          _id: conversation.groupId,
+          fullName: conversation.name,
+          groupId: conversation.groupId,
+          isGroup: true,
+          profilePic: conversation.profilePic || "/group-avatar.png",
+          members: conversation.members,
+        }, messageId);
+      } else if (conversation.user) {
+        get().openConversationAtMessage(conversation.user, messageId);
+      }
+    },
+
+    clearPendingJump: () => set({ pendingJumpMessageId: null }),
+
+    // Tell the server the open conversation has been read (it answers with receipts to the senders)
+    markConversationRead: () => {
+      const socket = useAuthStore.getState().socket;
+      const { selectedUser } = get();
+      if (!socket || !selectedUser) return;
+
+      if (selectedUser.groupId) {
+        socket.emit("markMessagesRead", { groupId: selectedUser.groupId });
+      } else {
+        socket.emit("markMessagesRead", { receiverId: selectedUser._id });
+      }
+    },
+
+    // Send through the outbox so a failed request is kept and retried instead of lost
     sendMessage: async (messageData) => {
-      const { selectedUser, messages } = get();
+      const { selectedUser } = get();
+      const target = selectedUser.isGroup
+        ? { groupId: selectedUser.groupId }
+        : { receiverId: selectedUser._id };
+
+      const savedMessage = await get().queueMessage(target, messageData);
+
+      // 🔄 Emit messageUpdated event to trigger sidebar re-sort via broadcast
+      const socket = useAuthStore.getState().socket;
+      if (savedMessage && socket) {
+        console.log("📤 Broadcasting sidebarUpdate event");
+        socket.emit("sidebarUpdate", {
+          userId: useAuthStore.getState().authUser?._id,
+          message: savedMessage,
+          timestamp: new Date(savedMessage.createdAt).getTime()
+        });
+      }
+
+      return savedMessage; // null while the message is still queued
+    },
+
+    // Restore the signed-in user's unsent messages (e.g. after a reload)
+    loadOutbox: () => {
+      set({ outbox: loadOutbox(useAuthStore.getState().authUser?._id) });
+    },
+
+    // Persist a message to the outbox and try to deliver it right away
+    queueMessage: async (target, payload) => {
+      const entry = {
+        clientMessageId: createClientMessageId(),
+        target,
+        payload,
+        status: "pending",
+        retryable: true,
+        error: null,
+        createdAt: new Date().toISOString(),
+      };
+      updateOutbox((outbox) => [...outbox, entry]);
+      return get().deliverOutboxMessage(entry.clientMessageId);
+    },
+
+    // POST one outbox entry; the clientMessageId lets the server drop duplicates of a retried send
+    deliverOutboxMessage: async (clientMessageId) => {
+      const entry = get().outbox.find((item) => item.clientMessageId === clientMessageId);
+      if (!entry || inFlightMessageIds.has(clientMessageId)) return null;
+      // Restored from storage without its file (see saveOutbox): nothing left to send
+      if (entry.payload.file && !(entry.payload.file instanceof Blob)) return null;
+
+      inFlightMessageIds.add(clientMessageId);
+      updateOutbox((outbox) =>
+        outbox.map((item) =>
+          item.clientMessageId === clientMessageId ? { ...item, status: "pending", error: null } : item
+        )
+      );
+
       try {
-        let res;
-        if (selectedUser.isGroup) {
-          // Group chat - no receiverId in URL
-          res = await axiosInstance.post("/messages/send", messageData);
-        } else {
-          // Direct chat - receiverId in URL
-          res = await axiosInstance.post(`/messages/send/${selectedUser._id}`, messageData);
-        }
-        set({ messages: [...messages, res.data] });
-        
-        // 🔄 Emit messageUpdated event to trigger sidebar re-sort via broadcast
-        const socket = useAuthStore.getState().socket;
-        if (socket) {
-          console.log("📤 Broadcasting sidebarUpdate event");
-          socket.emit("sidebarUpdate", {
-            userId: useAuthStore.getState().authUser?._id,
-            message: res.data,
-            timestamp: new Date(res.data.createdAt).getTime()
-          });
+        const { target, payload } = entry;
+        const res = target.groupId
+          ? await axiosInstance.post("/messages/send", toSendBody({ ...payload, groupId: target.groupId, clientMessageId }))
+          : await axiosInstance.post(`/messages/send/${target.receiverId}`, toSendBody({ ...payload, clientMessageId }));
+
+        updateOutbox((outbox) => outbox.filter((item) => item.clientMessageId !== clientMessageId));
+
+        // Show the stored message now rather than waiting on the socket echo (which is deduped)
+        const { selectedUser, hasNewerMessages } = get();
+        const isOpenConversation = target.groupId
+          ? selectedUser?.groupId === target.groupId
+          : !selectedUser?.groupId && selectedUser?._id === target.receiverId;
+        if (isOpenConversation && !hasNewerMessages) {
+          set((state) =>
+            state.messages.some((msg) => msg._id === res.data._id)
+              ? state
+              : { messages: [...state.messages, res.data] }
+          );
         }
-        
-        return res.data; // Return the saved message
+
+        return res.data;
+      } catch (error) {
+        // Network errors and 5xx are retried on reconnect; 4xx (e.g. blocked content) needs the user
+        const retryable = !error.response || error.response.status >= 500;
+        const message = error.response?.data?.message || error.response?.data?.error || error.message || "Failed to send message";
+        console.error("❌ Outbox delivery failed:", { clientMessageId, retryable, message });
+
+        updateOutbox((outbox) =>
+          outbox.map((item) =>
+            item.clientMessageId === clientMessageId
+              ? { ...item, status: "failed", retryable, error: message }
+              : item
+          )
+        );
+        if (!retryable) toast.error(message);
+        return null;
+      } finally {
+        inFlightMessageIds.delete(clientMessageId);
+      }
+    },
+
+    // Resend queued messages in order; stops at the first one that still can't get through
+    flushOutbox: async () => {
+      const queued = get().outbox.filter((item) => item.retryable);
+      if (queued.length === 0) return;
+
+      console.log("📮 [ChatStore] Resending", queued.length, "queued message(s)");
+      for (const item of queued) {
+        const saved = await get().deliverOutboxMessage(item.clientMessageId);
+        const stillQueued = get().outbox.find((entry) => entry.clientMessageId === item.clientMessageId);
+        if (!saved && stillQueued?.retryable) break;
+      }
+    },
+
+    discardOutboxMessage: (clientMessageId) => {
+      updateOutbox((outbox) => outbox.filter((item) => item.clientMessageId !== clientMessageId));
+    },
+
+    getScheduledMessages: async () => {
+      try {
+        const res = await axiosInstance.get("/messages/scheduled");
+        set({ scheduledMessages: res.data });
+      } catch (error) {
+        console.error("Failed to fetch scheduled messages:", error);
+      }
+    },
+
+    // Store a message on the server to be delivered to the open conversation at sendAt
+    scheduleMessage: async (messageData, sendAt) => {
+      const { selectedUser } = get();
+      const target = selectedUser.isGroup
+        ? { groupId: selectedUser.groupId }
+        : { receiverId: selectedUser._id };
+
+      try {
+        const res = await axiosInstance.post("/messages/scheduled", {
+          ...messageData,
+          ...target,
+          sendAt: new Date(sendAt).toISOString(),
+        });
+        set((state) => ({ scheduledMessages: sortBySendAt([...state.scheduledMessages, res.data]) }));
+        toast.success(`Message scheduled for ${new Date(res.data.sendAt).toLocaleString()}`);
+        return res.data;
+      } catch (error) {
+        toast.error(error.response?.data?.message || "Failed to schedule message");
+        return null;
+      }
+    },
+
+    updateScheduledMessage: async (scheduledId, data) => {
+      try {
+        const payload = { ...data };
+        if (payload.sendAt) payload.sendAt = new Date(payload.sendAt).toISOString();
+        const res = await axiosInstance.put(`/messages/scheduled/${scheduledId}`, payload);
+        get().applyScheduledMessageUpdate(res.data);
+        toast.success("Scheduled message updated");
+        return true;
+      } catch (error) {
+        toast.error(error.response?.data?.message || "Failed to update scheduled message");
+        return false;
+      }
+    },
+
+    cancelScheduledMessage: async (scheduledId) => {
+      try {
+        const res = await axiosInstance.delete(`/messages/scheduled/${scheduledId}`);
+        get().applyScheduledMessageUpdate(res.data);
+        toast.success("Scheduled message cancelled");
       } catch (error) {
-        toast.error(error.response?.data?.message || "Failed to send message");
-        throw error; // Re-throw to handle in component
+        toast.error(error.response?.data?.message || "Failed to cancel scheduled message");
       }
     },
 
+    // Apply a scheduled message from an API response or the worker's scheduledMessageUpdated event
+    applyScheduledMessageUpdate: (entry) => {
+      set((state) => {
+        const others = state.scheduledMessages.filter((item) => item._id !== entry._id);
+        return {
+          scheduledMessages: ACTIVE_SCHEDULE_STATUSES.includes(entry.status)
+            ? sortBySendAt([...others, entry])
+            : others,
+        };
+      });
+    },
+
     subscribeToMessages: () => {
       const socket = useAuthStore.getState().socket;
       const { selectedUser } = get();
@@ -114,10 +511,42 @@ export const useChatStore = create((set, get) => {
         if (messagePinnedHandler) {
           currentSocket.off("messagePinned", messagePinnedHandler);
         }
+        if (messagesDeliveredHandler) {
+          currentSocket.off("messagesDelivered", messagesDeliveredHandler);
+        }
+        if (messagesReadHandler) {
+          currentSocket.off("messagesRead", messagesReadHandler);
+        }
+        if (groupReadMarkerHandler) {
+          currentSocket.off("groupReadMarker", groupReadMarkerHandler);
+        }
+        if (groupPermissionsHandler) {
+          currentSocket.off("groupPermissionsUpdated", groupPermissionsHandler);
+        }
+        if (messageExpiredHandler) {
+          currentSocket.off("messageExpired", messageExpiredHandler);
+        }
+        if (messageTtlHandler) {
+          currentSocket.off("messageTtlUpdated", messageTtlHandler);
+        }
+        if (messageLinkPreviewHandler) {
+          currentSocket.off("messageLinkPreview", messageLinkPreviewHandler);
+        }
+        if (pollUpdatedHandler) {
+          currentSocket.off("pollUpdated", pollUpdatedHandler);
+        }
         messageHandler = null;
         messageDeletedHandler = null;
         messageEditedHandler = null;
         messagePinnedHandler = null;
+        messagesDeliveredHandler = null;
+        messagesReadHandler = null;
+        groupReadMarkerHandler = null;
+        groupPermissionsHandler = null;
+        messageExpiredHandler = null;
+        messageTtlHandler = null;
+        messageLinkPreviewHandler = null;
+        pollUpdatedHandler = null;
       }
 
       // ✅ If already subscribed to same socket, skip
@@ -133,6 +562,14 @@ export const useChatStore = create((set, get) => {
         socket.off("messageDeleted", messageDeletedHandler);
         socket.off("messageEdited", messageEditedHandler);
         socket.off("messagePinned", messagePinnedHandler);
+        socket.off("messagesDelivered", messagesDeliveredHandler);
+        socket.off("messagesRead", messagesReadHandler);
+        socket.off("groupReadMarker", groupReadMarkerHandler);
+        socket.off("groupPermissionsUpdated", groupPermissionsHandler);
+        socket.off("messageExpired", messageExpiredHandler);
+        socket.off("messageTtlUpdated", messageTtlHandler);
+        socket.off("messageLinkPreview", messageLinkPreviewHandler);
+        socket.off("pollUpdated", pollUpdatedHandler);
       }
 
       // ✅ Create new message handler with current context
@@ -174,7 +611,21 @@ export const useChatStore = create((set, get) => {
           currentAuthUserId: currentAuthUser._id,
         });
 
-        if (isRelevant) {
+        // A thread reply bumps its parent's reply count wherever the parent is on screen
+        const threadParentId = newMessage.replyTo?._id || newMessage.replyTo;
+        if (isRelevant && threadParentId) {
+          set((state) => ({
+            messages: state.messages.map(msg =>
+              msg._id === threadParentId
+                ? { ...msg, replyCount: (msg.replyCount || 0) + 1, lastReplyAt: newMessage.createdAt }
+                : msg
+            )
+          }));
+        }
+
+        if (isRelevant && get().hasNewerMessages) {
+          console.log("ℹ️ [ChatStore] Viewing older history, message will load when scrolling down");
+        } else if (isRelevant) {
           console.log("✅ [ChatStore] Message is relevant, adding to state");
           
           // ✅ Check for duplicates before adding
@@ -198,11 +649,14 @@ export const useChatStore = create((set, get) => {
       // ✅ Create handler for messageDeleted event
       messageDeletedHandler = (deletedMessage) => {
         console.log("🗑️ [ChatStore] Message deleted via socket:", deletedMessage._id);
+        const threadParentId = deletedMessage.replyTo?._id || deletedMessage.replyTo;
         
         set((state) => ({
-          messages: state.messages.map(msg => 
-            msg._id === deletedMessage._id ? deletedMessage : msg
-          )
+          messages: state.messages.map(msg => {
+            if (msg._id === deletedMessage._id) return mergeMessageUpdate(msg, deletedMessage);
+            if (threadParentId && msg._id === threadParentId) return { ...msg, replyCount: Math.max((msg.replyCount || 1) - 1, 0) };
+            return msg;
+          })
         }));
       };
 
@@ -212,7 +666,7 @@ export const useChatStore = create((set, get) => {
         
         set((state) => ({
           messages: state.messages.map(msg => 
-            msg._id === editedMessage._id ? editedMessage : msg
+            msg._id === editedMessage._id ? mergeMessageUpdate(msg, editedMessage) : msg
           )
         }));
       };
@@ -223,17 +677,116 @@ export const useChatStore = create((set, get) => {
         
         set((state) => ({
           messages: state.messages.map(msg => 
-            msg._id === pinnedMessage._id ? pinnedMessage : msg
+            msg._id === pinnedMessage._id ? mergeMessageUpdate(msg, pinnedMessage) : msg
+          )
+        }));
+      };
+
+      // ✅ Create handler for delivery receipts on messages we sent
+      messagesDeliveredHandler = ({ messageIds, deliveredAt }) => {
+        console.log("📬 [ChatStore] Messages delivered via socket:", messageIds.length);
+        const deliveredIds = new Set(messageIds.map(String));
+
+        set((state) => ({
+          messages: state.messages.map(msg =>
+            deliveredIds.has(msg._id) && !msg.deliveredAt ? { ...msg, deliveredAt } : msg
+          )
+        }));
+      };
+
+      // ✅ Create handler for read receipts on messages we sent
+      messagesReadHandler = ({ messageIds, readAt }) => {
+        console.log("👀 [ChatStore] Messages read via socket:", messageIds.length);
+        const readIds = new Set(messageIds.map(String));
+
+        set((state) => ({
+          messages: state.messages.map(msg =>
+            readIds.has(msg._id) ? { ...msg, deliveredAt: msg.deliveredAt || readAt, readAt } : msg
           )
         }));
       };
 
+      // ✅ Create handler for a group member's read marker moving
+      groupReadMarkerHandler = (marker) => {
+        const { selectedUser: currentSelectedUser } = get();
+        if (!currentSelectedUser?.groupId || marker.groupId !== currentSelectedUser.groupId) return;
+
+        console.log("👀 [ChatStore] Group read marker updated via socket:", marker.userId);
+        const member = currentSelectedUser.members?.find(m => m._id === marker.userId);
+
+        set((state) => ({
+          readMarkers: [
+            ...state.readMarkers.filter(m => (m.userId?._id || m.userId) !== marker.userId),
+            {
+              userId: member || { _id: marker.userId },
+              lastReadMessageId: marker.lastReadMessageId,
+              lastReadAt: marker.lastReadAt,
+            },
+          ]
+        }));
+      };
+
+      // ✅ Create handler for the group admin changing moderators or pin rights
+      groupPermissionsHandler = ({ groupId, moderators, pinPermission, pinLimit, permissions }) => {
+        const { selectedUser: currentSelectedUser } = get();
+        if (!currentSelectedUser?.groupId || groupId !== currentSelectedUser.groupId) return;
+
+        console.log("🛡️ [ChatStore] Group permissions updated via socket:", permissions);
+        set({
+          groupPermissions: permissions,
+          pinLimit,
+          selectedUser: { ...currentSelectedUser, moderators, pinPermission, pinLimit },
+        });
+      };
+
+      // ✅ Create handler for disappearing messages the server has removed
+      messageExpiredHandler = ({ messageId }) => {
+        console.log("⏳ [ChatStore] Message expired via socket:", messageId);
+        set((state) => ({ messages: state.messages.filter(msg => msg._id !== messageId) }));
+      };
+
+      // ✅ Create handler for the conversation's disappearing timer changing
+      messageTtlHandler = ({ groupId, userIds, messageTtl }) => {
+        const { selectedUser: currentSelectedUser } = get();
+        const isOpenConversation = groupId
+          ? currentSelectedUser?.groupId === groupId
+          : !currentSelectedUser?.isGroup && userIds?.includes(currentSelectedUser?._id);
+        if (!isOpenConversation) return;
+
+        console.log("⏳ [ChatStore] Disappearing timer updated via socket:", messageTtl);
+        set({ messageTtl });
+      };
+
+      // ✅ Create handler for a link preview card fetched after the message was sent
+      messageLinkPreviewHandler = ({ messageId, linkPreview }) => {
+        console.log("🔗 [ChatStore] Link preview ready via socket:", messageId);
+        set((state) => ({
+          messages: state.messages.map(msg => msg._id === messageId ? { ...msg, linkPreview } : msg)
+        }));
+      };
+
+      // ✅ Create handler for a poll's live tally (a vote was cast or the poll was closed)
+      pollUpdatedHandler = ({ messageId, results }) => {
+        console.log("📊 [ChatStore] Poll tally updated via socket:", messageId);
+        set((state) => ({
+          messages: state.messages.map(msg => msg._id === messageId ? withPollResults(msg, results) : msg)
+        }));
+      };
+
       // ✅ Register all handlers
       currentSocket = socket;
       socket.on("newMessage", messageHandler);
       socket.on("messageDeleted", messageDeletedHandler);
       socket.on("messageEdited", messageEditedHandler);
       socket.on("messagePinned", messagePinnedHandler);
+      socket.on("messagesDelivered", messagesDeliveredHandler);
+      socket.on("messagesRead", messagesReadHandler);
+      socket.on("groupReadMarker", groupReadMarkerHandler);
+      socket.on("groupPermissionsUpdated", groupPermissionsHandler);
+      socket.on("messageExpired", messageExpiredHandler);
+      socket.on("messageTtlUpdated", messageTtlHandler);
+      socket.on("messageLinkPreview", messageLinkPreviewHandler);
+      socket.on("pollUpdated", pollUpdatedHandler);
       console.log("✅ [subscribeToMessages] All socket message listeners registered for user:", selectedUser._id);
     },
 
@@ -257,6 +810,38 @@ export const useChatStore = create((set, get) => {
           currentSocket.off("messagePinned", messagePinnedHandler);
           messagePinnedHandler = null;
         }
+        if (messagesDeliveredHandler) {
+          currentSocket.off("messagesDelivered", messagesDeliveredHandler);
+          messagesDeliveredHandler = null;
+        }
+        if (messagesReadHandler) {
+          currentSocket.off("messagesRead", messagesReadHandler);
+          messagesReadHandler = null;
+        }
+        if (groupReadMarkerHandler) {
+          currentSocket.off("groupReadMarker", groupReadMarkerHandler);
+          groupReadMarkerHandler = null;
+        }
+        if (groupPermissionsHandler) {
+          currentSocket.off("groupPermissionsUpdated", groupPermissionsHandler);
+          groupPermissionsHandler = null;
+        }
+        if (messageExpiredHandler) {
+          currentSocket.off("messageExpired", messageExpiredHandler);
+          messageExpiredHandler = null;
+        }
+        if (messageTtlHandler) {
+          currentSocket.off("messageTtlUpdated", messageTtlHandler);
+          messageTtlHandler = null;
+        }
+        if (messageLinkPreviewHandler) {
+          currentSocket.off("messageLinkPreview", messageLinkPreviewHandler);
+          messageLinkPreviewHandler = null;
+        }
+        if (pollUpdatedHandler) {
+          currentSocket.off("pollUpdated", pollUpdatedHandler);
+          pollUpdatedHandler = null;
+        }
         currentSocket = null;
       }
     },
@@ -291,6 +876,61 @@ export const useChatStore = create((set, get) => {
       }
     },
 
+    // Set the open conversation's disappearing messages timer (seconds, or null to turn it off)
+    setMessageTtl: async (ttl) => {
+      const { selectedUser } = get();
+      if (!selectedUser) return;
+
+      try {
+        const res = await axiosInstance.put("/messages/ttl", {
+          ...(selectedUser.isGroup ? { groupId: selectedUser.groupId } : { receiverId: selectedUser._id }),
+          ttl,
+        });
+        set({ messageTtl: res.data.messageTtl });
+      } catch (error) {
+        get().applyPermissionDenial(error.response?.data?.code);
+        toast.error(error.response?.data?.error || "Failed to change disappearing messages");
+      }
+    },
+
+    // Group admin only: set the moderators and who may pin messages
+    updateGroupPermissions: async (groupId, data) => {
+      try {
+        const res = await axiosInstance.put(`/group/permissions/${groupId}`, data);
+        const { selectedUser } = get();
+        if (selectedUser?.groupId === groupId) {
+          set({
+            selectedUser: {
+              ...selectedUser,
+              moderators: res.data.moderators,
+              pinPermission: res.data.pinPermission,
+              pinLimit: res.data.pinLimit,
+            },
+          });
+        }
+        toast.success("Group permissions updated");
+        return res.data;
+      } catch (error) {
+        console.error("❌ Error updating group permissions:", error);
+        toast.error(error.response?.data?.message || "Failed to update group permissions");
+        throw error;
+      }
+    },
+
+    // A 403 from edit/delete/pin carries a code: drop the matching right so the action is hidden
+    applyPermissionDenial: (code) => {
+      const { groupPermissions } = get();
+      if (!groupPermissions) return;
+
+      if (code === "NOT_PARTICIPANT") {
+        set({ groupPermissions: { ...groupPermissions, role: null, canModerate: false, canPin: false } });
+      } else if (code === "NOT_MODERATOR") {
+        set({ groupPermissions: { ...groupPermissions, canModerate: false } });
+      } else if (code === "PIN_NOT_ALLOWED") {
+        set({ groupPermissions: { ...groupPermissions, canPin: false } });
+      }
+    },
+
     // Refresh group data with latest members
     refreshGroupData: async (groupId) => {
       try {
@@ -309,29 +949,102 @@ export const useChatStore = create((set, get) => {
 
     // Update message when deleted (real-time)
     updateMessageDeleted: (deletedMessage) => {
-      const { messages } = get();
+      const { messages, pins } = get();
       const updatedMessages = messages.map(msg =>
-        msg._id === deletedMessage._id ? deletedMessage : msg
+        msg._id === deletedMessage._id ? mergeMessageUpdate(msg, deletedMessage) : msg
       );
-      set({ messages: updatedMessages });
+      set({
+        messages: updatedMessages,
+        pins: pins.filter(pin => pin._id !== deletedMessage._id), // deleting a message unpins it
+      });
     },
 
     // Update message when edited (real-time)
     updateMessageEdited: (editedMessage) => {
       const { messages } = get();
       const updatedMessages = messages.map(msg =>
-        msg._id === editedMessage._id ? editedMessage : msg
+        msg._id === editedMessage._id ? mergeMessageUpdate(msg, editedMessage) : msg
       );
       set({ messages: updatedMessages });
     },
 
+    // Star or unstar a message for the signed-in user only (the "Saved messages" list)
+    setMessageStarred: async (messageId, starred) => {
+      try {
+        if (starred) {
+          await axiosInstance.post(`/stars/${messageId}`);
+        } else {
+          await axiosInstance.delete(`/stars/${messageId}`);
+        }
+        set({
+          messages: get().messages.map(msg => (msg._id === messageId ? { ...msg, starred } : msg)),
+        });
+        return true;
+      } catch (error) {
+        toast.error(error.response?.data?.error || "Failed to update saved messages");
+        return false;
+      }
+    },
+
+    // Post a poll to the open group: { question, options, allowMultiple, anonymous, closesAt }
+    createPoll: async (pollData) => {
+      const { selectedUser } = get();
+      try {
+        const res = await axiosInstance.post(`/polls/group/${selectedUser.groupId}`, pollData);
+        // Shown now rather than on the socket echo, which then finds it already in the list
+        set((state) =>
+          state.messages.some((msg) => msg._id === res.data._id) || state.hasNewerMessages
+            ? state
+            : { messages: [...state.messages, res.data] }
+        );
+        return res.data;
+      } catch (error) {
+        toast.error(error.response?.data?.error || "Failed to create poll");
+        return null;
+      }
+    },
+
+    // Vote in a poll (an empty choice withdraws the vote)
+    votePoll: async (messageId, optionIds) => {
+      try {
+        const res = await axiosInstance.post(`/polls/${messageId}/vote`, { optionIds });
+        set((state) => ({
+          messages: state.messages.map(msg => msg._id === messageId ? withPollResults(msg, res.data.results) : msg)
+        }));
+        return true;
+      } catch (error) {
+        toast.error(error.response?.data?.error || "Failed to vote");
+        return false;
+      }
+    },
+
+    // Stop a poll taking votes (its creator or a group moderator)
+    closePoll: async (messageId) => {
+      try {
+        const res = await axiosInstance.post(`/polls/${messageId}/close`);
+        set((state) => ({
+          messages: state.messages.map(msg =>
+            msg._id === messageId
+              ? withPollResults({ ...msg, poll: { ...msg.poll, closedAt: new Date().toISOString() } }, res.data.results)
+              : msg
+          )
+        }));
+      } catch (error) {
+        toast.error(error.response?.data?.error || "Failed to close poll");
+      }
+    },
+
     // Update message when pinned (real-time)
     updateMessagePinned: (pinnedMessage) => {
-      const { messages } = get();
+      const { messages, pins, selectedUser } = get();
       const updatedMessages = messages.map(msg =>
-        msg._id === pinnedMessage._id ? pinnedMessage : msg
+        msg._id === pinnedMessage._id ? mergeMessageUpdate(msg, pinnedMessage) : msg
       );
       set({ messages: updatedMessages });
+
+      if (!belongsToConversation(pinnedMessage, selectedUser)) return;
+      const otherPins = pins.filter(pin => pin._id !== pinnedMessage._id);
+      set({ pins: pinnedMessage.pinned ? sortByPinnedAt([...otherPins, pinnedMessage]) : otherPins });
     },
   };
 });
\ No newline at end of file